@@ -4,39 +4,142 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Administration\Controller;
 
+use AdvancedWishlist\Service\AnalyticsService;
 use Shopware\Core\Framework\Context;
-use Shopware\Core\Framework\Routing\Annotation\RouteScope;
 use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
 use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
 
+/**
+ * Admin API endpoints of the wishlist analytics dashboard.
+ * All endpoints accept an optional date range as `from` and `to` query parameters (Y-m-d).
+ */
 class AnalyticsController extends AbstractController
 {
-    private \AdvancedWishlist\Service\AnalyticsService $analyticsService;
+    private const int DEFAULT_RANGE_DAYS = 30;
+    private const int MAX_TOP_PRODUCTS = 50;
 
-    public function __construct(\AdvancedWishlist\Service\AnalyticsService $analyticsService)
+    private AnalyticsService $analyticsService;
+
+    public function __construct(AnalyticsService $analyticsService)
     {
         $this->analyticsService = $analyticsService;
     }
 
-    /**
-     * @RouteScope(scopes={"administration"})
-     */
-    public function getAnalyticsSummary(Context $context): JsonResponse
+    public function getAnalyticsSummary(Request $request, Context $context): JsonResponse
     {
         try {
-            $summary = $this->analyticsService->getAnalyticsSummary($context);
-            
+            [$from, $to] = $this->getDateRange($request);
+            $summary = $this->analyticsService->getAnalyticsSummary($context, $from, $to);
+
             return new JsonResponse([
                 'totalWishlists' => $summary['totalWishlists'] ?? 0,
                 'totalItems' => $summary['totalItems'] ?? 0,
+                'totalQuantity' => $summary['totalQuantity'] ?? 0,
                 'totalShares' => $summary['totalShares'] ?? 0,
+                'totalShareViews' => $summary['totalShareViews'] ?? 0,
                 'totalConversions' => $summary['totalConversions'] ?? 0,
+                'conversionValue' => $summary['conversionValue'] ?? 0.0,
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    public function getTimeSeries(Request $request, Context $context): JsonResponse
+    {
+        try {
+            [$from, $to] = $this->getDateRange($request);
+            $interval = (string) $request->query->get('interval', AnalyticsService::INTERVAL_DAY);
+
+            return new JsonResponse([
+                'interval' => $interval,
+                'series' => $this->analyticsService->getTimeSeries($context, $from, $to, $interval),
             ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
         } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    public function getTopProducts(Request $request, Context $context): JsonResponse
+    {
+        try {
+            [$from, $to] = $this->getDateRange($request);
+            $limit = min(max($request->query->getInt('limit', 10), 1), self::MAX_TOP_PRODUCTS);
+
             return new JsonResponse([
-                'error' => 'Failed to fetch analytics data',
-                'message' => $e->getMessage(),
-            ], 500);
+                'products' => $this->analyticsService->getTopProducts($context, $from, $to, $limit),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
         }
     }
+
+    public function getConversionFunnel(Request $request, Context $context): JsonResponse
+    {
+        try {
+            [$from, $to] = $this->getDateRange($request);
+
+            return new JsonResponse([
+                'funnel' => $this->analyticsService->getConversionFunnel($context, $from, $to),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    /**
+     * Read the requested date range, defaulting to the last 30 days.
+     *
+     * @return array{\DateTimeImmutable, \DateTimeImmutable}
+     */
+    private function getDateRange(Request $request): array
+    {
+        $to = $this->parseDate($request->query->get('to')) ?? new \DateTimeImmutable('today');
+        $from = $this->parseDate($request->query->get('from')) ?? $to->modify(\sprintf('-%d days', self::DEFAULT_RANGE_DAYS - 1));
+
+        if ($from > $to) {
+            throw new \InvalidArgumentException('The start date must not be after the end date');
+        }
+
+        return [$from, $to];
+    }
+
+    private function parseDate(mixed $value): ?\DateTimeImmutable
+    {
+        if (!\is_string($value) || $value === '') {
+            return null;
+        }
+
+        $date = \DateTimeImmutable::createFromFormat('!Y-m-d', substr($value, 0, 10));
+        if ($date === false) {
+            throw new \InvalidArgumentException(\sprintf('Invalid date "%s", expected Y-m-d', $value));
+        }
+
+        return $date;
+    }
+
+    private function createBadRequestResponse(\InvalidArgumentException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Invalid analytics request',
+            'message' => $e->getMessage(),
+        ], 400);
+    }
+
+    private function createErrorResponse(\Exception $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Failed to fetch analytics data',
+            'message' => $e->getMessage(),
+        ], 500);
+    }
 }
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistActivityService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints of the activity tab on the wishlist detail page.
+ */
+class WishlistActivityController extends AbstractController
+{
+    private const int DEFAULT_LIMIT = 25;
+
+    private WishlistActivityService $activityService;
+
+    public function __construct(WishlistActivityService $activityService)
+    {
+        $this->activityService = $activityService;
+    }
+
+    /**
+     * Paginated timeline, filtered by `types[]` and a `from`/`to` date range (Y-m-d).
+     */
+    public function getActivity(string $wishlistId, Request $request, Context $context): JsonResponse
+    {
+        try {
+            $types = $request->query->all('types');
+
+            return new JsonResponse($this->activityService->getActivity(
+                $wishlistId,
+                array_values(array_filter($types, 'is_string')),
+                $this->parseDate($request->query->get('from')),
+                $this->parseDate($request->query->get('to')),
+                $request->query->getInt('page', 1),
+                $request->query->getInt('limit', self::DEFAULT_LIMIT),
+                $context
+            ));
+        } catch (WishlistNotFoundException $e) {
+            return $this->createNotFoundResponse($e);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid activity request',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load wishlist activity',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    public function getStats(string $wishlistId, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->activityService->getStats($wishlistId, $context));
+        } catch (WishlistNotFoundException $e) {
+            return $this->createNotFoundResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load wishlist statistics',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    private function parseDate(mixed $value): ?\DateTimeImmutable
+    {
+        if (!\is_string($value) || $value === '') {
+            return null;
+        }
+
+        $date = \DateTimeImmutable::createFromFormat('!Y-m-d', substr($value, 0, 10));
+        if ($date === false) {
+            throw new \InvalidArgumentException(\sprintf('Invalid date "%s", expected Y-m-d', $value));
+        }
+
+        return $date;
+    }
+
+    private function createNotFoundResponse(WishlistNotFoundException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Not found',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_NOT_FOUND);
+    }
+}
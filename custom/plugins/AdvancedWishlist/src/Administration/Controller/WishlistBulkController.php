@@ -0,0 +1,160 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\CrossCustomerMergeException;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistMergeService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints for merging and deleting wishlists.
+ */
+class WishlistBulkController extends AbstractController
+{
+    private WishlistMergeService $mergeService;
+
+    public function __construct(WishlistMergeService $mergeService)
+    {
+        $this->mergeService = $mergeService;
+    }
+
+    /**
+     * Delete one wishlist, `transferTo` moves its items into another wishlist of the same customer first.
+     */
+    public function deleteWishlist(string $wishlistId, Request $request, Context $context): JsonResponse
+    {
+        $transferToId = $request->query->get('transferTo');
+
+        return $this->delete([$wishlistId], \is_string($transferToId) && $transferToId !== '' ? $transferToId : null, $context);
+    }
+
+    /**
+     * Delete several wishlists, `transferTo` moves their items into another wishlist of the same customer first.
+     */
+    public function bulkDelete(RequestDataBag $data, Context $context): JsonResponse
+    {
+        $ids = $data->get('ids');
+        $ids = $ids instanceof RequestDataBag ? $ids->all() : (array) $ids;
+        $transferToId = $data->get('transferTo');
+
+        return $this->delete($ids, \is_string($transferToId) && $transferToId !== '' ? $transferToId : null, $context);
+    }
+
+    /**
+     * Merge the source wishlists into the target, or only preview the result with `dryRun`.
+     */
+    public function merge(RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $sourceIds = $data->get('sourceIds');
+            $sourceIds = $sourceIds instanceof RequestDataBag ? $sourceIds->all() : (array) $sourceIds;
+            $targetId = $data->getString('targetId');
+
+            if ($targetId === '') {
+                throw new \InvalidArgumentException('A target wishlist is required');
+            }
+
+            $strategy = $data->getString('strategy', WishlistMergeService::STRATEGY_SUM);
+
+            if ($data->getBoolean('dryRun')) {
+                return new JsonResponse($this->mergeService->previewMerge($sourceIds, $targetId, $strategy, $context));
+            }
+
+            // The route needs the editor role, removing the merged wishlists also needs the deleter role
+            if ($data->getBoolean('deleteSources') && !$context->isAllowed('advanced_wishlist.deleter')) {
+                return new JsonResponse([
+                    'error' => 'Forbidden',
+                    'message' => 'Deleting the merged wishlists requires the advanced_wishlist.deleter privilege',
+                ], Response::HTTP_FORBIDDEN);
+            }
+
+            return new JsonResponse($this->mergeService->merge($sourceIds, $targetId, [
+                'strategy' => $strategy,
+                'deleteSources' => $data->getBoolean('deleteSources'),
+                'allowCrossCustomer' => $data->getBoolean('allowCrossCustomer'),
+            ], $context));
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (CrossCustomerMergeException|WishlistLimitExceededException $e) {
+            return new JsonResponse([
+                'error' => 'Merge not allowed',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (OptimisticLockException $e) {
+            return new JsonResponse([
+                'error' => 'Conflict',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid merge request',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to merge wishlists',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * @param string[] $wishlistIds
+     */
+    private function delete(array $wishlistIds, ?string $transferToId, Context $context): JsonResponse
+    {
+        // The route needs the deleter role, moving the items into another wishlist also needs the editor role
+        if ($transferToId !== null && !$context->isAllowed('advanced_wishlist.editor')) {
+            return new JsonResponse([
+                'error' => 'Forbidden',
+                'message' => 'Transferring the items requires the advanced_wishlist.editor privilege',
+            ], Response::HTTP_FORBIDDEN);
+        }
+
+        try {
+            return new JsonResponse($this->mergeService->deleteWishlists($wishlistIds, $transferToId, $context));
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (CrossCustomerMergeException|WishlistLimitExceededException $e) {
+            return new JsonResponse([
+                'error' => 'Transfer not allowed',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (OptimisticLockException $e) {
+            return new JsonResponse([
+                'error' => 'Conflict',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid delete request',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to delete wishlists',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\DTO\Request\UpdateWishlistRequest;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoint for saving the fields of the wishlist detail page.
+ * Saves are based on the wishlist version the page has loaded, so concurrent edits are detected instead of overwritten.
+ */
+class WishlistController extends AbstractController
+{
+    private WishlistCrudService $wishlistCrudService;
+
+    public function __construct(WishlistCrudService $wishlistCrudService)
+    {
+        $this->wishlistCrudService = $wishlistCrudService;
+    }
+
+    /**
+     * Update name, description, type and customer of a wishlist. Only the given fields are written.
+     */
+    public function updateWishlist(string $wishlistId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $version = $data->get('version');
+            if (!is_numeric($version)) {
+                throw new \InvalidArgumentException('The wishlist version the changes are based on is required');
+            }
+
+            $request = new UpdateWishlistRequest();
+            $request->setWishlistId($wishlistId);
+            $request->setVersion((int) $version);
+
+            if ($data->has('name')) {
+                $request->setName(trim((string) $data->get('name')));
+            }
+
+            if ($data->has('description')) {
+                // An empty description is stored as an empty text, `null` would leave it untouched
+                $request->setDescription((string) $data->get('description'));
+            }
+
+            if ($data->has('type')) {
+                $request->setType((string) $data->get('type'));
+            }
+
+            if ($data->has('customerId')) {
+                $request->setCustomerId((string) $data->get('customerId'));
+            }
+
+            if (!$request->hasChanges()) {
+                throw new \InvalidArgumentException('At least one field must be provided for update');
+            }
+
+            $wishlist = $this->wishlistCrudService->saveWishlist($request, $context);
+
+            return new JsonResponse([
+                'id' => $wishlistId,
+                'version' => $wishlist->getVersion(),
+            ]);
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (OptimisticLockException $e) {
+            return new JsonResponse([
+                'error' => 'Conflict',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+                'currentVersion' => $e->getParameters()['currentVersion'] ?? null,
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid wishlist update',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to update wishlist',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
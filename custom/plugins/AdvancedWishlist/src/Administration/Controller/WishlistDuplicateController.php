@@ -0,0 +1,65 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistDuplicateService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoint for duplicating a wishlist.
+ */
+class WishlistDuplicateController extends AbstractController
+{
+    private WishlistDuplicateService $duplicateService;
+
+    public function __construct(WishlistDuplicateService $duplicateService)
+    {
+        $this->duplicateService = $duplicateService;
+    }
+
+    /**
+     * Copy a wishlist with its items. `customerId` moves the copy to another customer, `includeShares` copies the share links.
+     */
+    public function duplicate(string $wishlistId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $customerId = $data->get('customerId');
+            $name = $data->get('name');
+
+            return new JsonResponse($this->duplicateService->duplicate($wishlistId, [
+                'name' => \is_string($name) ? $name : null,
+                'customerId' => \is_string($customerId) ? $customerId : null,
+                'includeShares' => $data->getBoolean('includeShares'),
+            ], $context), Response::HTTP_CREATED);
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (WishlistLimitExceededException $e) {
+            return new JsonResponse([
+                'error' => 'Duplicate not allowed',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid duplicate request',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to duplicate wishlist',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
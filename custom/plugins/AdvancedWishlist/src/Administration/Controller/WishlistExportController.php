@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\WishlistExportNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistExportService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints to start wishlist exports and follow them until the file can be downloaded.
+ */
+class WishlistExportController extends AbstractController
+{
+    private WishlistExportService $exportService;
+
+    public function __construct(WishlistExportService $exportService)
+    {
+        $this->exportService = $exportService;
+    }
+
+    public function startExport(RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $wishlistIds = $data->get('wishlistIds');
+            $columns = $data->get('columns');
+
+            return new JsonResponse($this->exportService->startExport(
+                $wishlistIds instanceof RequestDataBag ? $wishlistIds->all() : [],
+                $columns instanceof RequestDataBag ? $columns->all() : [],
+                $data->getString('format', WishlistExportService::FORMAT_CSV),
+                $context
+            ), Response::HTTP_CREATED);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid export',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to start export',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    public function listExports(Request $request, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->exportService->getExports(
+                $request->query->getInt('page', 1),
+                $request->query->getInt('limit', 10),
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load exports',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    public function getExport(string $exportId, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->exportService->getExport($exportId, $context));
+        } catch (WishlistExportNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load export',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
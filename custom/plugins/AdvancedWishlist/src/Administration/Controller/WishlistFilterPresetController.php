@@ -0,0 +1,166 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\FilterPresetNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistFilterPresetService;
+use Shopware\Core\Framework\Api\Context\AdminApiSource;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints for the saved filter presets of the wishlist list, scoped to the calling admin user.
+ */
+class WishlistFilterPresetController extends AbstractController
+{
+    private WishlistFilterPresetService $filterPresetService;
+
+    public function __construct(WishlistFilterPresetService $filterPresetService)
+    {
+        $this->filterPresetService = $filterPresetService;
+    }
+
+    public function listPresets(Context $context): JsonResponse
+    {
+        $userId = $this->getUserId($context);
+        if ($userId === null) {
+            return $this->createNoUserResponse();
+        }
+
+        try {
+            return new JsonResponse(['data' => $this->filterPresetService->getPresets($userId, $context)]);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load filter presets',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    public function createPreset(RequestDataBag $data, Context $context): JsonResponse
+    {
+        $userId = $this->getUserId($context);
+        if ($userId === null) {
+            return $this->createNoUserResponse();
+        }
+
+        try {
+            return new JsonResponse($this->filterPresetService->createPreset(
+                $userId,
+                $data->getString('name'),
+                $this->getFilters($data),
+                $data->getBoolean('shared'),
+                $context
+            ), Response::HTTP_CREATED);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to save filter preset',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Rename, share/unshare or overwrite the filters of an own preset.
+     */
+    public function updatePreset(string $presetId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        $userId = $this->getUserId($context);
+        if ($userId === null) {
+            return $this->createNoUserResponse();
+        }
+
+        try {
+            $changes = [];
+            if ($data->has('name')) {
+                $changes['name'] = $data->getString('name');
+            }
+            if ($data->has('filters')) {
+                $changes['filters'] = $this->getFilters($data);
+            }
+            if ($data->has('shared')) {
+                $changes['shared'] = $data->getBoolean('shared');
+            }
+
+            return new JsonResponse($this->filterPresetService->updatePreset($userId, $presetId, $changes, $context));
+        } catch (FilterPresetNotFoundException $e) {
+            return $this->createNotFoundResponse($e);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to update filter preset',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    public function deletePreset(string $presetId, Context $context): JsonResponse
+    {
+        $userId = $this->getUserId($context);
+        if ($userId === null) {
+            return $this->createNoUserResponse();
+        }
+
+        try {
+            $this->filterPresetService->deletePreset($userId, $presetId, $context);
+
+            return new JsonResponse(['success' => true]);
+        } catch (FilterPresetNotFoundException $e) {
+            return $this->createNotFoundResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to delete filter preset',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    private function getUserId(Context $context): ?string
+    {
+        $source = $context->getSource();
+
+        return $source instanceof AdminApiSource ? $source->getUserId() : null;
+    }
+
+    private function getFilters(RequestDataBag $data): array
+    {
+        $filters = $data->get('filters');
+        if (!$filters instanceof RequestDataBag) {
+            throw new \InvalidArgumentException('The preset filters must be an object');
+        }
+
+        return $filters->all();
+    }
+
+    private function createNoUserResponse(): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Forbidden',
+            'message' => 'Filter presets are only available to admin users',
+        ], Response::HTTP_FORBIDDEN);
+    }
+
+    private function createNotFoundResponse(FilterPresetNotFoundException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Not found',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_NOT_FOUND);
+    }
+
+    private function createBadRequestResponse(\InvalidArgumentException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Invalid filter preset',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_BAD_REQUEST);
+    }
+}
@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Service\WishlistImportService;
+use AdvancedWishlist\Core\Service\WishlistMergeService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints of the CSV import: analyze the file, preview the import as a dry run and run it.
+ */
+class WishlistImportController extends AbstractController
+{
+    private WishlistImportService $importService;
+
+    public function __construct(WishlistImportService $importService)
+    {
+        $this->importService = $importService;
+    }
+
+    public function analyzeImport(RequestDataBag $data): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->importService->analyze(
+                $data->getString('content'),
+                $this->getDelimiter($data)
+            ));
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to read import file',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Runs as a dry run unless `dryRun` is explicitly false.
+     */
+    public function import(RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $mapping = $data->get('mapping');
+
+            return new JsonResponse($this->importService->import(
+                $data->getString('content'),
+                $this->getDelimiter($data),
+                $mapping instanceof RequestDataBag ? $mapping->all() : [],
+                $data->getString('quantityStrategy', WishlistMergeService::STRATEGY_MAX),
+                $data->getBoolean('dryRun', true),
+                $context
+            ));
+        } catch (OptimisticLockException $e) {
+            return new JsonResponse([
+                'error' => 'Conflict',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to import wishlists',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    private function getDelimiter(RequestDataBag $data): ?string
+    {
+        $delimiter = $data->get('delimiter');
+
+        return \is_string($delimiter) && $delimiter !== '' ? $delimiter : null;
+    }
+
+    private function createBadRequestResponse(\InvalidArgumentException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Invalid import',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_BAD_REQUEST);
+    }
+}
@@ -0,0 +1,80 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoint of the wishlist item manager.
+ * Item edits are queued in the administration and sent as one batch when the wishlist is saved.
+ */
+class WishlistItemController extends AbstractController
+{
+    private const int MAX_OPERATIONS = 200;
+
+    private WishlistItemService $wishlistItemService;
+
+    public function __construct(WishlistItemService $wishlistItemService)
+    {
+        $this->wishlistItemService = $wishlistItemService;
+    }
+
+    /**
+     * `version` is the wishlist version the queued edits are based on, a newer version rejects the whole batch.
+     */
+    public function manageItems(string $wishlistId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $operations = $data->get('operations');
+            $operations = $operations instanceof RequestDataBag ? $operations->all() : $operations;
+
+            if (!\is_array($operations) || $operations === []) {
+                throw new \InvalidArgumentException('At least one item operation is required');
+            }
+
+            if (\count($operations) > self::MAX_OPERATIONS) {
+                throw new \InvalidArgumentException(\sprintf('Not more than %d item operations can be applied at once', self::MAX_OPERATIONS));
+            }
+
+            $version = $data->get('version');
+
+            return new JsonResponse($this->wishlistItemService->manageItems(
+                $wishlistId,
+                array_values($operations),
+                $context,
+                is_numeric($version) ? (int) $version : null
+            ));
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (OptimisticLockException $e) {
+            return new JsonResponse([
+                'error' => 'Conflict',
+                'code' => $e->getErrorCode(),
+                'message' => $e->getMessage(),
+                'currentVersion' => $e->getParameters()['currentVersion'] ?? null,
+            ], Response::HTTP_CONFLICT);
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid item operations',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to apply item operations',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
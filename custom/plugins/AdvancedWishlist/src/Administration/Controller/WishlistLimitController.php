@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistLimitService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints for the configured wishlist limits and the remaining capacity of customers and wishlists.
+ */
+class WishlistLimitController extends AbstractController
+{
+    private WishlistLimitService $limitService;
+
+    public function __construct(WishlistLimitService $limitService)
+    {
+        $this->limitService = $limitService;
+    }
+
+    /**
+     * Wishlists a customer can still create, with the item limit their new wishlists get.
+     */
+    public function getCustomerCapacity(string $customerId, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->limitService->getCustomerCapacity($customerId, $context));
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load wishlist limits',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Items a wishlist can still take.
+     */
+    public function getWishlistCapacity(string $wishlistId, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->limitService->getWishlistCapacity($wishlistId, $context));
+        } catch (WishlistNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load wishlist limits',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
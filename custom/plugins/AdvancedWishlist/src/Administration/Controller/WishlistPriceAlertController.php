@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
+use AdvancedWishlist\Core\Service\PriceMonitorService;
+use Shopware\Core\Framework\Context;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints of the price alert overview: alerts by status, send history and test mails.
+ */
+class WishlistPriceAlertController extends AbstractController
+{
+    private const int DEFAULT_LIMIT = 25;
+
+    private PriceMonitorService $priceMonitorService;
+
+    public function __construct(PriceMonitorService $priceMonitorService)
+    {
+        $this->priceMonitorService = $priceMonitorService;
+    }
+
+    /**
+     * Paginated alerts, `status` is `active` (default) or `triggered`.
+     */
+    public function listAlerts(Request $request, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->priceMonitorService->getAlerts(
+                (string) $request->query->get('status', PriceMonitorService::STATUS_ACTIVE),
+                $request->query->getInt('page', 1),
+                $request->query->getInt('limit', self::DEFAULT_LIMIT),
+                $context
+            ));
+        } catch (\InvalidArgumentException $e) {
+            return new JsonResponse([
+                'error' => 'Invalid price alert request',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_BAD_REQUEST);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load price alerts',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Paginated send history, newest first, optionally of a single item (`itemId`).
+     */
+    public function listHistory(Request $request, Context $context): JsonResponse
+    {
+        $itemId = $request->query->get('itemId');
+
+        try {
+            return new JsonResponse($this->priceMonitorService->getNotificationHistory(
+                \is_string($itemId) && $itemId !== '' ? $itemId : null,
+                $request->query->getInt('page', 1),
+                $request->query->getInt('limit', self::DEFAULT_LIMIT),
+                $context
+            ));
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to load price alert history',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Send the price alert mail of an item with its current price, the attempt is added to the history.
+     */
+    public function sendTest(string $itemId, Context $context): JsonResponse
+    {
+        try {
+            return new JsonResponse($this->priceMonitorService->sendTestNotification($itemId, $context));
+        } catch (WishlistItemNotFoundException $e) {
+            return new JsonResponse([
+                'error' => 'Not found',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_NOT_FOUND);
+        } catch (\Exception $e) {
+            return new JsonResponse([
+                'error' => 'Failed to send test notification',
+                'message' => $e->getMessage(),
+            ], Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+    }
+}
@@ -0,0 +1,293 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Administration\Controller;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Service\ShareService;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Validation\DataBag\RequestDataBag;
+use Symfony\Bundle\FrameworkBundle\Controller\AbstractController;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Admin API endpoints of the wishlist share manager.
+ * Tokens are generated on the server; revoked shares are kept for their statistics but no longer resolve.
+ * Passwords are only ever written, the API tells whether a share is protected but never returns the password.
+ */
+class WishlistShareController extends AbstractController
+{
+    private const array RECIPIENT_TYPES = ['email', 'link', 'customer'];
+    private const array PERMISSIONS = ['view', 'edit', 'share'];
+
+    private ShareService $shareService;
+    private EntityRepository $wishlistRepository;
+
+    public function __construct(ShareService $shareService, EntityRepository $wishlistRepository)
+    {
+        $this->shareService = $shareService;
+        $this->wishlistRepository = $wishlistRepository;
+    }
+
+    public function listShares(string $wishlistId, Context $context): JsonResponse
+    {
+        try {
+            if (!$this->wishlistExists($wishlistId, $context)) {
+                return $this->createNotFoundResponse('Wishlist not found');
+            }
+
+            $shares = array_values(array_map(
+                fn (WishlistShareEntity $share) => $this->formatShare($share),
+                $this->shareService->getSharesForWishlist($wishlistId, $context)->getElements()
+            ));
+
+            return new JsonResponse(['data' => $shares, 'total' => \count($shares)]);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    public function createShare(string $wishlistId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            if (!$this->wishlistExists($wishlistId, $context)) {
+                return $this->createNotFoundResponse('Wishlist not found');
+            }
+
+            $recipientType = $data->getString('type', 'link');
+            if (!\in_array($recipientType, self::RECIPIENT_TYPES, true)) {
+                throw new \InvalidArgumentException(\sprintf('Unsupported share type "%s"', $recipientType));
+            }
+
+            $share = $this->shareService->createShare($wishlistId, $context, [
+                'active' => $data->getBoolean('isActive', true),
+                'expiresAt' => $this->parseExpiresAt($data->get('expiresAt')),
+                'settings' => $this->buildSettings($data, ['recipientType' => $recipientType]),
+            ] + $this->buildAccessOptions($data));
+
+            return new JsonResponse($this->formatShare($share), Response::HTTP_CREATED);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    public function updateShare(string $wishlistId, string $shareId, RequestDataBag $data, Context $context): JsonResponse
+    {
+        try {
+            $share = $this->loadShare($wishlistId, $shareId, $context);
+            if ($share === null) {
+                return $this->createNotFoundResponse('Share not found');
+            }
+
+            $update = [];
+
+            if ($data->has('isActive')) {
+                $update['active'] = $data->getBoolean('isActive');
+            }
+
+            if ($data->has('expiresAt')) {
+                $update['expiresAt'] = $this->parseExpiresAt($data->get('expiresAt'));
+            }
+
+            $update += $this->buildAccessOptions($data);
+
+            $settings = $this->buildSettings($data, $share->getSettings() ?? []);
+            if ($settings !== ($share->getSettings() ?? [])) {
+                $update['settings'] = $settings;
+            }
+
+            if ($update !== []) {
+                $this->shareService->updateShare($shareId, $update, $context);
+            }
+
+            return new JsonResponse($this->formatShare($this->shareService->getShare($shareId, $context)));
+        } catch (\InvalidArgumentException $e) {
+            return $this->createBadRequestResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    public function revokeShare(string $wishlistId, string $shareId, Context $context): Response
+    {
+        try {
+            if ($this->loadShare($wishlistId, $shareId, $context) === null) {
+                return $this->createNotFoundResponse('Share not found');
+            }
+
+            $this->shareService->revokeShare($shareId, $context);
+
+            return new Response(null, Response::HTTP_NO_CONTENT);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse($e);
+        }
+    }
+
+    private function loadShare(string $wishlistId, string $shareId, Context $context): ?WishlistShareEntity
+    {
+        $share = $this->shareService->getShare($shareId, $context);
+
+        if ($share === null || $share->getWishlistId() !== $wishlistId || $share->getRevokedAt() !== null) {
+            return null;
+        }
+
+        return $share;
+    }
+
+    private function wishlistExists(string $wishlistId, Context $context): bool
+    {
+        return $this->wishlistRepository->searchIds(new Criteria([$wishlistId]), $context)->getTotal() > 0;
+    }
+
+    /**
+     * Recipient details and permissions are kept in the share settings.
+     *
+     * @param array<string, mixed> $settings Current settings, overwritten by the fields present in the request
+     *
+     * @return array<string, mixed>
+     */
+    private function buildSettings(RequestDataBag $data, array $settings): array
+    {
+        foreach (['recipientEmail', 'recipientName', 'customerId', 'message'] as $field) {
+            if ($data->has($field)) {
+                $value = $data->get($field);
+                $settings[$field] = \is_string($value) && $value !== '' ? $value : null;
+            }
+        }
+
+        if ($data->has('permissions')) {
+            $permissions = $data->get('permissions');
+            $permissions = $permissions instanceof RequestDataBag ? $permissions->all() : (array) $permissions;
+
+            $invalid = array_diff($permissions, self::PERMISSIONS);
+            if ($invalid !== []) {
+                throw new \InvalidArgumentException(\sprintf('Unsupported permissions: %s', implode(', ', $invalid)));
+            }
+
+            $settings['permissions'] = array_values(array_unique($permissions));
+        }
+
+        if ($data->has('singleUse')) {
+            $settings['singleUse'] = $data->getBoolean('singleUse');
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Password and view limit present in the request. A single-use share is limited to one view,
+     * an empty password removes the protection.
+     *
+     * @return array{password?: string|null, maxViews?: int|null}
+     */
+    private function buildAccessOptions(RequestDataBag $data): array
+    {
+        $options = [];
+
+        if ($data->has('password')) {
+            $password = $data->get('password');
+            $options['password'] = \is_string($password) && $password !== '' ? $password : null;
+        }
+
+        if ($data->has('maxViews')) {
+            $maxViews = $data->get('maxViews');
+
+            if ($maxViews === null || $maxViews === '') {
+                $options['maxViews'] = null;
+            } elseif (filter_var($maxViews, \FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]) !== false) {
+                $options['maxViews'] = (int) $maxViews;
+            } else {
+                throw new \InvalidArgumentException('The maximum view count must be at least 1');
+            }
+        }
+
+        if ($data->has('singleUse')) {
+            if ($data->getBoolean('singleUse')) {
+                $options['maxViews'] = 1;
+            } elseif (!$data->has('maxViews')) {
+                $options['maxViews'] = null;
+            }
+        }
+
+        return $options;
+    }
+
+    private function parseExpiresAt(mixed $value): ?string
+    {
+        if (!\is_string($value) || $value === '') {
+            return null;
+        }
+
+        try {
+            $expiresAt = new \DateTimeImmutable($value);
+        } catch (\Exception) {
+            throw new \InvalidArgumentException(\sprintf('Invalid expiration date "%s"', $value));
+        }
+
+        if ($expiresAt < new \DateTimeImmutable()) {
+            throw new \InvalidArgumentException('Expiration date cannot be in the past');
+        }
+
+        return $expiresAt->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatShare(WishlistShareEntity $share): array
+    {
+        $settings = $share->getSettings() ?? [];
+
+        return [
+            'id' => $share->getUniqueIdentifier(),
+            'wishlistId' => $share->getWishlistId(),
+            'type' => $settings['recipientType'] ?? 'link',
+            'shareToken' => $this->shareService->getPlainToken($share),
+            'isActive' => $share->isActive(),
+            'expiresAt' => $share->getExpiresAt()?->format(\DateTimeInterface::ATOM),
+            'recipientEmail' => $settings['recipientEmail'] ?? null,
+            'recipientName' => $settings['recipientName'] ?? null,
+            'customerId' => $settings['customerId'] ?? null,
+            'permissions' => $settings['permissions'] ?? ['view'],
+            'message' => $settings['message'] ?? null,
+            'isProtected' => $share->isProtected(),
+            'singleUse' => (bool) ($settings['singleUse'] ?? false),
+            'maxViews' => $share->getMaxViews(),
+            'remainingViews' => $share->getRemainingViews(),
+            'views' => $share->getViews(),
+            'conversions' => $share->getConversions(),
+            'createdAt' => $share->getCreatedAt()?->format(\DateTimeInterface::ATOM),
+        ];
+    }
+
+    private function createNotFoundResponse(string $message): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Not found',
+            'message' => $message,
+        ], Response::HTTP_NOT_FOUND);
+    }
+
+    private function createBadRequestResponse(\InvalidArgumentException $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Invalid share request',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_BAD_REQUEST);
+    }
+
+    private function createErrorResponse(\Exception $e): JsonResponse
+    {
+        return new JsonResponse([
+            'error' => 'Failed to process share request',
+            'message' => $e->getMessage(),
+        ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+}
@@ -4,9 +4,11 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist;
 
+use AdvancedWishlist\Core\Service\WishlistExportService;
 use AdvancedWishlist\ScheduledTask\PriceMonitoringTask;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
 use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTaskDefinition;
 use Shopware\Core\Framework\Plugin;
@@ -62,6 +64,9 @@ class AdvancedWishlist extends Plugin
     public function configureRoutes(RoutingConfigurator $routes, string $environment): void
     {
         $routes->import(__DIR__.'/Resources/config/routes.yaml', 'yaml');
+        // Storefront endpoints are declared with route attributes on the controllers
+        $routes->import(__DIR__.'/Storefront/Controller/V2', 'attribute');
+        $routes->import(__DIR__.'/Storefront/Controller/SharedWishlistController.php', 'attribute');
     }
 
     #[\Override]
@@ -110,6 +115,20 @@ class AdvancedWishlist extends Plugin
                 ['id' => $scheduledTask->getId()],
             ], $uninstallContext->getContext());
         }
+
+        /** @var EntityRepository $profileRepository */
+        $profileRepository = $this->container->get('import_export_profile.repository');
+        $profileIds = $profileRepository->searchIds(
+            (new Criteria())->addFilter(new EqualsAnyFilter('technicalName', array_values(WishlistExportService::PROFILES))),
+            $uninstallContext->getContext()
+        )->getIds();
+
+        if ($profileIds !== []) {
+            $profileRepository->delete(
+                array_map(static fn (string $id): array => ['id' => $id], $profileIds),
+                $uninstallContext->getContext()
+            );
+        }
     }
 
     #[\Override]
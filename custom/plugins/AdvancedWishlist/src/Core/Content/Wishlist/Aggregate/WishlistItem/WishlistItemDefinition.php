@@ -52,6 +52,11 @@ class WishlistItemDefinition extends EntityDefinition
             new FloatField('price_at_addition', 'priceAtAddition'),
             new FloatField('price_alert_threshold', 'priceAlertThreshold'),
             new BoolField('price_alert_active', 'priceAlertActive'),
+            new FloatField('price_at_alert', 'priceAtAlert'),
+            new DateTimeField('price_alert_triggered_at', 'priceAlertTriggeredAt'),
+            new BoolField('stock_alert_active', 'stockAlertActive'),
+            new DateTimeField('stock_alert_subscribed_at', 'stockAlertSubscribedAt'),
+            new DateTimeField('stock_alert_notified_at', 'stockAlertNotifiedAt'),
             new CustomFields(),
             (new DateTimeField('added_at', 'addedAt'))->addFlags(new Required()),
             new DateTimeField('updated_at', 'updatedAt'),
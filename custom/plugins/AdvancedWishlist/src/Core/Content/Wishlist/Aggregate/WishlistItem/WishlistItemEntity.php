@@ -75,6 +75,7 @@ class WishlistItemEntity extends Entity
 
     // Price tracking with automatic updates
     public protected(set) ?float $priceAtAddition = null;
+    public protected(set) ?\DateTimeInterface $addedAt = null;
 
     // Price alert threshold with validation
     private ?float $_priceAlertThreshold = null;
@@ -101,6 +102,15 @@ class WishlistItemEntity extends Entity
         }
     }
 
+    // Price the alert was set up at, and when it fired
+    public protected(set) ?float $priceAtAlert = null;
+    public protected(set) ?\DateTimeInterface $priceAlertTriggeredAt = null;
+
+    // Back-in-stock subscription, pending until the customer was notified
+    public protected(set) ?bool $stockAlertActive = null;
+    public protected(set) ?\DateTimeInterface $stockAlertSubscribedAt = null;
+    public protected(set) ?\DateTimeInterface $stockAlertNotifiedAt = null;
+
     // Virtual property for current price drop calculation
     public ?float $priceDrop {
         get {
@@ -186,6 +196,61 @@ class WishlistItemEntity extends Entity
         }
     }
 
+    public function getWishlistId(): string
+    {
+        return $this->wishlistId;
+    }
+
+    public function getProductId(): string
+    {
+        return $this->productId;
+    }
+
+    public function getPriceAlertThreshold(): ?float
+    {
+        return $this->priceAlertThreshold;
+    }
+
+    public function getPriceAlertActive(): ?bool
+    {
+        return $this->priceAlertActive;
+    }
+
+    public function getAddedAt(): ?\DateTimeInterface
+    {
+        return $this->addedAt;
+    }
+
+    public function getPriceAtAlert(): ?float
+    {
+        return $this->priceAtAlert;
+    }
+
+    public function getPriceAlertTriggeredAt(): ?\DateTimeInterface
+    {
+        return $this->priceAlertTriggeredAt;
+    }
+
+    public function getStockAlertActive(): ?bool
+    {
+        return $this->stockAlertActive;
+    }
+
+    public function getStockAlertSubscribedAt(): ?\DateTimeInterface
+    {
+        return $this->stockAlertSubscribedAt;
+    }
+
+    public function getStockAlertNotifiedAt(): ?\DateTimeInterface
+    {
+        return $this->stockAlertNotifiedAt;
+    }
+
+    public function hasPendingStockAlert(): bool
+    {
+        return (bool) $this->stockAlertActive && null === $this->stockAlertNotifiedAt;
+    }
+
     public function getCustomFields(): ?array
     {
         return $this->customFields;
@@ -329,6 +394,11 @@ class WishlistItemEntity extends Entity
             'priceAtAddition' => $this->priceAtAddition,
             'priceAlertThreshold' => $this->priceAlertThreshold,
             'priceAlertActive' => $this->priceAlertActive,
+            'priceAtAlert' => $this->priceAtAlert,
+            'priceAlertTriggeredAt' => $this->priceAlertTriggeredAt?->format('c'),
+            'stockAlertActive' => $this->stockAlertActive,
+            'stockAlertSubscribedAt' => $this->stockAlertSubscribedAt?->format('c'),
+            'stockAlertNotifiedAt' => $this->stockAlertNotifiedAt?->format('c'),
             'priceDrop' => $this->priceDrop,
             'priceDropPercentage' => $this->priceDropPercentage,
             'totalValue' => $this->totalValue,
@@ -44,6 +44,7 @@ class WishlistShareDefinition extends EntityDefinition
             (new IdField('id', 'id'))->addFlags(new Required(), new PrimaryKey()),
             (new FkField('wishlist_id', 'wishlistId', WishlistDefinition::class))->addFlags(new Required()),
             (new LongTextField('token', 'token'))->addFlags(new Required()),
+            new StringField('token_hash', 'tokenHash', 64),
             (new StringField('type', 'type'))->addFlags(new Required()),
             new StringField('platform', 'platform'),
             (new BoolField('active', 'active'))->addFlags(new Required()),
@@ -51,6 +52,7 @@ class WishlistShareDefinition extends EntityDefinition
             new DateTimeField('expires_at', 'expiresAt'),
             new JsonField('settings', 'settings'),
             (new IntField('views', 'views'))->addFlags(new Required()),
+            new IntField('max_views', 'maxViews', 1),
             (new IntField('unique_views', 'uniqueViews'))->addFlags(new Required()),
             (new IntField('conversions', 'conversions'))->addFlags(new Required()),
             new DateTimeField('last_viewed_at', 'lastViewedAt'),
@@ -16,6 +16,9 @@ class WishlistShareEntity extends Entity
     // Token should be read-only after creation
     public private(set) ?string $token;
 
+    // SHA-256 of the plain token, share links are resolved by it
+    public private(set) ?string $tokenHash = null;
+
     // Property with validation hook
     public string $type {
         get => $this->type;
@@ -58,6 +61,9 @@ class WishlistShareEntity extends Entity
         set => $this->views = $value;
     }
 
+    // Views after which the link stops resolving for new visitors, null for no limit
+    public protected(set) ?int $maxViews = null;
+
     public protected(set) int $uniqueViews {
         get => $this->uniqueViews;
         set => $this->uniqueViews = $value;
@@ -102,6 +108,16 @@ class WishlistShareEntity extends Entity
         $this->token = $token;
     }
 
+    public function getTokenHash(): ?string
+    {
+        return $this->tokenHash;
+    }
+
+    public function setTokenHash(?string $tokenHash): void
+    {
+        $this->tokenHash = $tokenHash;
+    }
+
     public function getType(): string
     {
         return $this->type;
@@ -167,6 +183,29 @@ class WishlistShareEntity extends Entity
         return $this->views;
     }
 
+    public function getMaxViews(): ?int
+    {
+        return $this->maxViews;
+    }
+
+    public function setMaxViews(?int $maxViews): void
+    {
+        $this->maxViews = $maxViews;
+    }
+
+    /**
+     * Views left before the link stops resolving, null for no limit.
+     */
+    public function getRemainingViews(): ?int
+    {
+        return null !== $this->maxViews ? max(0, $this->maxViews - $this->views) : null;
+    }
+
+    public function isProtected(): bool
+    {
+        return null !== $this->password && '' !== $this->password;
+    }
+
     public function setViews(int $views): void
     {
         $this->views = $views;
@@ -57,6 +57,7 @@ class WishlistDefinition extends EntityDefinition
             new FkField('language_id', 'languageId', LanguageDefinition::class),
             (new IntField('item_count', 'itemCount'))->addFlags(new Required()),
             new FloatField('total_value', 'totalValue'),
+            new IntField('version', 'version'),
             new CustomFields(),
             (new DateTimeField('created_at', 'createdAt'))->addFlags(new Required()),
             new DateTimeField('updated_at', 'updatedAt'),
@@ -123,6 +123,9 @@ class WishlistEntity extends Entity
         get => !empty($this->shareInfo) && $this->shareInfo->count() > 0;
     }
 
+    // Revision for optimistic locking, raised by every write to the wishlist or its items
+    public protected(set) int $version = 1;
+
     // Timestamps with automatic updates
     public protected(set) \DateTime $updatedAt;
 
@@ -167,6 +170,11 @@ class WishlistEntity extends Entity
         return $this->id;
     }
 
+    public function getVersion(): int
+    {
+        return $this->version;
+    }
+
     public function getCustomerId(): string
     {
         return $this->customerId;
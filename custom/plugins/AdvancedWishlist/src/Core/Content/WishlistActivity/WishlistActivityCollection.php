@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistActivity;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @method void                        add(WishlistActivityEntity $entity)
+ * @method void                        set(string $key, WishlistActivityEntity $entity)
+ * @method WishlistActivityEntity[]    getIterator()
+ * @method WishlistActivityEntity[]    getElements()
+ * @method WishlistActivityEntity|null get(string $key)
+ * @method WishlistActivityEntity|null first()
+ * @method WishlistActivityEntity|null last()
+ */
+class WishlistActivityCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return WishlistActivityEntity::class;
+    }
+}
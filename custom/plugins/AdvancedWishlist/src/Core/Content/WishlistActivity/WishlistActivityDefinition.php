@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistActivity;
+
+use AdvancedWishlist\Core\Content\Wishlist\WishlistDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+class WishlistActivityDefinition extends EntityDefinition
+{
+    public const ENTITY_NAME = 'wishlist_activity';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return WishlistActivityCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return WishlistActivityEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new Required(), new PrimaryKey()),
+            (new FkField('wishlist_id', 'wishlistId', WishlistDefinition::class))->addFlags(new Required()),
+            (new StringField('type', 'type', 32))->addFlags(new Required()),
+            // No foreign key, the entry outlives a deleted product
+            new IdField('product_id', 'productId'),
+            new IntField('quantity', 'quantity'),
+            new IntField('previous_quantity', 'previousQuantity'),
+            new JsonField('payload', 'payload'),
+            (new DateTimeField('created_at', 'createdAt'))->addFlags(new Required()),
+
+            new ManyToOneAssociationField('wishlist', 'wishlist_id', WishlistDefinition::class, 'id', false),
+        ]);
+    }
+}
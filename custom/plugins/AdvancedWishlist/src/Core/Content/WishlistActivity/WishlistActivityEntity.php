@@ -0,0 +1,90 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistActivity;
+
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+
+class WishlistActivityEntity extends Entity
+{
+    // Properties with asymmetric visibility - public read, protected write
+    public protected(set) string $wishlistId;
+    protected ?WishlistEntity $wishlist = null;
+    public protected(set) string $type;
+    public protected(set) ?string $productId = null;
+    public protected(set) ?int $quantity = null;
+    public protected(set) ?int $previousQuantity = null;
+    protected ?array $payload = null;
+
+    public function getWishlistId(): string
+    {
+        return $this->wishlistId;
+    }
+
+    public function setWishlistId(string $wishlistId): void
+    {
+        $this->wishlistId = $wishlistId;
+    }
+
+    public function getWishlist(): ?WishlistEntity
+    {
+        return $this->wishlist;
+    }
+
+    public function setWishlist(?WishlistEntity $wishlist): void
+    {
+        $this->wishlist = $wishlist;
+    }
+
+    public function getType(): string
+    {
+        return $this->type;
+    }
+
+    public function setType(string $type): void
+    {
+        $this->type = $type;
+    }
+
+    public function getProductId(): ?string
+    {
+        return $this->productId;
+    }
+
+    public function setProductId(?string $productId): void
+    {
+        $this->productId = $productId;
+    }
+
+    public function getQuantity(): ?int
+    {
+        return $this->quantity;
+    }
+
+    public function setQuantity(?int $quantity): void
+    {
+        $this->quantity = $quantity;
+    }
+
+    public function getPreviousQuantity(): ?int
+    {
+        return $this->previousQuantity;
+    }
+
+    public function setPreviousQuantity(?int $previousQuantity): void
+    {
+        $this->previousQuantity = $previousQuantity;
+    }
+
+    public function getPayload(): ?array
+    {
+        return $this->payload;
+    }
+
+    public function setPayload(?array $payload): void
+    {
+        $this->payload = $payload;
+    }
+}
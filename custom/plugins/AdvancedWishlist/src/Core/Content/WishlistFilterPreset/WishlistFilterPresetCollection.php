@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistFilterPreset;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @method void                            add(WishlistFilterPresetEntity $entity)
+ * @method void                            set(string $key, WishlistFilterPresetEntity $entity)
+ * @method WishlistFilterPresetEntity[]    getIterator()
+ * @method WishlistFilterPresetEntity[]    getElements()
+ * @method WishlistFilterPresetEntity|null get(string $key)
+ * @method WishlistFilterPresetEntity|null first()
+ * @method WishlistFilterPresetEntity|null last()
+ */
+class WishlistFilterPresetCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return WishlistFilterPresetEntity::class;
+    }
+}
@@ -0,0 +1,53 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistFilterPreset;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\BoolField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\DateTimeField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\ManyToOneAssociationField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+use Shopware\Core\System\User\UserDefinition;
+
+class WishlistFilterPresetDefinition extends EntityDefinition
+{
+    public const ENTITY_NAME = 'wishlist_filter_preset';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return WishlistFilterPresetCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return WishlistFilterPresetEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new Required(), new PrimaryKey()),
+            (new FkField('user_id', 'userId', UserDefinition::class))->addFlags(new Required()),
+            (new StringField('name', 'name'))->addFlags(new Required()),
+            (new JsonField('filters', 'filters'))->addFlags(new Required()),
+            (new BoolField('shared', 'shared'))->addFlags(new Required()),
+            (new DateTimeField('created_at', 'createdAt'))->addFlags(new Required()),
+            new DateTimeField('updated_at', 'updatedAt'),
+
+            new ManyToOneAssociationField('user', 'user_id', UserDefinition::class, 'id', false),
+        ]);
+    }
+}
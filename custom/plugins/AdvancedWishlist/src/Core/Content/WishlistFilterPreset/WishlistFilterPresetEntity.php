@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistFilterPreset;
+
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+use Shopware\Core\System\User\UserEntity;
+
+class WishlistFilterPresetEntity extends Entity
+{
+    // Properties with asymmetric visibility - public read, protected write
+    public protected(set) string $userId;
+    protected ?UserEntity $user = null;
+    public protected(set) string $name;
+    protected array $filters = [];
+    public protected(set) bool $shared = false;
+
+    public function getUserId(): string
+    {
+        return $this->userId;
+    }
+
+    public function setUserId(string $userId): void
+    {
+        $this->userId = $userId;
+    }
+
+    public function getUser(): ?UserEntity
+    {
+        return $this->user;
+    }
+
+    public function setUser(?UserEntity $user): void
+    {
+        $this->user = $user;
+    }
+
+    public function getName(): string
+    {
+        return $this->name;
+    }
+
+    public function setName(string $name): void
+    {
+        $this->name = $name;
+    }
+
+    public function getFilters(): array
+    {
+        return $this->filters;
+    }
+
+    public function setFilters(array $filters): void
+    {
+        $this->filters = $filters;
+    }
+
+    public function isShared(): bool
+    {
+        return $this->shared;
+    }
+
+    public function setShared(bool $shared): void
+    {
+        $this->shared = $shared;
+    }
+}
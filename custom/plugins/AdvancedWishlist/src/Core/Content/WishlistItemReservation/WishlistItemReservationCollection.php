@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistItemReservation;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @method void                                 add(WishlistItemReservationEntity $entity)
+ * @method void                                 set(string $key, WishlistItemReservationEntity $entity)
+ * @method WishlistItemReservationEntity[]    getIterator()
+ * @method WishlistItemReservationEntity[]    getElements()
+ * @method WishlistItemReservationEntity|null get(string $key)
+ * @method WishlistItemReservationEntity|null first()
+ * @method WishlistItemReservationEntity|null last()
+ */
+class WishlistItemReservationCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return WishlistItemReservationEntity::class;
+    }
+}
@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistItemReservation;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FkField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IntField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+class WishlistItemReservationDefinition extends EntityDefinition
+{
+    public const ENTITY_NAME = 'wishlist_item_reservation';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return WishlistItemReservationCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return WishlistItemReservationEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new Required(), new PrimaryKey()),
+            // No association on the item, reservations must not show up in the data of the wishlist owner
+            (new FkField('wishlist_item_id', 'wishlistItemId', WishlistItemDefinition::class))->addFlags(new Required()),
+            (new IdField('wishlist_id', 'wishlistId'))->addFlags(new Required()),
+            new IdField('share_id', 'shareId'),
+            new IdField('customer_id', 'customerId'),
+            (new StringField('visitor_id', 'visitorId', 64))->addFlags(new Required()),
+            (new StringField('status', 'status', 16))->addFlags(new Required()),
+            (new IntField('quantity', 'quantity', 1))->addFlags(new Required()),
+        ]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistItemReservation;
+
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+
+class WishlistItemReservationEntity extends Entity
+{
+    public const STATUS_RESERVED = 'reserved';
+    public const STATUS_PURCHASED = 'purchased';
+
+    public const STATUSES = [
+        self::STATUS_RESERVED,
+        self::STATUS_PURCHASED,
+    ];
+
+    // Properties with asymmetric visibility - public read, protected write
+    public protected(set) string $wishlistItemId;
+    public protected(set) string $wishlistId;
+    public protected(set) ?string $shareId = null;
+    public protected(set) ?string $customerId = null;
+    public protected(set) string $visitorId;
+    public protected(set) string $status;
+    public protected(set) int $quantity = 1;
+
+    public function getWishlistItemId(): string
+    {
+        return $this->wishlistItemId;
+    }
+
+    public function setWishlistItemId(string $wishlistItemId): void
+    {
+        $this->wishlistItemId = $wishlistItemId;
+    }
+
+    public function getWishlistId(): string
+    {
+        return $this->wishlistId;
+    }
+
+    public function setWishlistId(string $wishlistId): void
+    {
+        $this->wishlistId = $wishlistId;
+    }
+
+    public function getShareId(): ?string
+    {
+        return $this->shareId;
+    }
+
+    public function setShareId(?string $shareId): void
+    {
+        $this->shareId = $shareId;
+    }
+
+    public function getCustomerId(): ?string
+    {
+        return $this->customerId;
+    }
+
+    public function setCustomerId(?string $customerId): void
+    {
+        $this->customerId = $customerId;
+    }
+
+    public function getVisitorId(): string
+    {
+        return $this->visitorId;
+    }
+
+    public function setVisitorId(string $visitorId): void
+    {
+        $this->visitorId = $visitorId;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function setStatus(string $status): void
+    {
+        $this->status = $status;
+    }
+
+    public function getQuantity(): int
+    {
+        return $this->quantity;
+    }
+
+    public function setQuantity(int $quantity): void
+    {
+        $this->quantity = $quantity;
+    }
+}
@@ -0,0 +1,24 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistPriceAlertNotification;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityCollection;
+
+/**
+ * @method void                                     add(WishlistPriceAlertNotificationEntity $entity)
+ * @method void                                     set(string $key, WishlistPriceAlertNotificationEntity $entity)
+ * @method WishlistPriceAlertNotificationEntity[]    getIterator()
+ * @method WishlistPriceAlertNotificationEntity[]    getElements()
+ * @method WishlistPriceAlertNotificationEntity|null get(string $key)
+ * @method WishlistPriceAlertNotificationEntity|null first()
+ * @method WishlistPriceAlertNotificationEntity|null last()
+ */
+class WishlistPriceAlertNotificationCollection extends EntityCollection
+{
+    protected function getExpectedClass(): string
+    {
+        return WishlistPriceAlertNotificationEntity::class;
+    }
+}
@@ -0,0 +1,55 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistPriceAlertNotification;
+
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\BoolField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\FloatField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\PrimaryKey;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\Flag\Required;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\IdField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\JsonField;
+use Shopware\Core\Framework\DataAbstractionLayer\Field\StringField;
+use Shopware\Core\Framework\DataAbstractionLayer\FieldCollection;
+
+class WishlistPriceAlertNotificationDefinition extends EntityDefinition
+{
+    public const ENTITY_NAME = 'wishlist_price_alert_notification';
+
+    public function getEntityName(): string
+    {
+        return self::ENTITY_NAME;
+    }
+
+    public function getCollectionClass(): string
+    {
+        return WishlistPriceAlertNotificationCollection::class;
+    }
+
+    public function getEntityClass(): string
+    {
+        return WishlistPriceAlertNotificationEntity::class;
+    }
+
+    protected function defineFields(): FieldCollection
+    {
+        return new FieldCollection([
+            (new IdField('id', 'id'))->addFlags(new Required(), new PrimaryKey()),
+            // No foreign keys, the history outlives removed items, wishlists and customers
+            new IdField('wishlist_item_id', 'wishlistItemId'),
+            new IdField('wishlist_id', 'wishlistId'),
+            new IdField('customer_id', 'customerId'),
+            new IdField('product_id', 'productId'),
+            new StringField('recipient', 'recipient'),
+            new FloatField('threshold', 'threshold'),
+            (new FloatField('old_price', 'oldPrice'))->addFlags(new Required()),
+            (new FloatField('new_price', 'newPrice'))->addFlags(new Required()),
+            new BoolField('is_test', 'isTest'),
+            (new StringField('status', 'status', 16))->addFlags(new Required()),
+            new StringField('error', 'error', 500),
+            new JsonField('payload', 'payload'),
+        ]);
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Content\WishlistPriceAlertNotification;
+
+use Shopware\Core\Framework\DataAbstractionLayer\Entity;
+
+class WishlistPriceAlertNotificationEntity extends Entity
+{
+    public const STATUS_SENT = 'sent';
+    public const STATUS_FAILED = 'failed';
+
+    // Properties with asymmetric visibility - public read, protected write
+    public protected(set) ?string $wishlistItemId = null;
+    public protected(set) ?string $wishlistId = null;
+    public protected(set) ?string $customerId = null;
+    public protected(set) ?string $productId = null;
+    public protected(set) ?string $recipient = null;
+    public protected(set) ?float $threshold = null;
+    public protected(set) float $oldPrice;
+    public protected(set) float $newPrice;
+    public protected(set) bool $isTest = false;
+    public protected(set) string $status;
+    public protected(set) ?string $error = null;
+    protected ?array $payload = null;
+
+    public function getWishlistItemId(): ?string
+    {
+        return $this->wishlistItemId;
+    }
+
+    public function setWishlistItemId(?string $wishlistItemId): void
+    {
+        $this->wishlistItemId = $wishlistItemId;
+    }
+
+    public function getWishlistId(): ?string
+    {
+        return $this->wishlistId;
+    }
+
+    public function setWishlistId(?string $wishlistId): void
+    {
+        $this->wishlistId = $wishlistId;
+    }
+
+    public function getCustomerId(): ?string
+    {
+        return $this->customerId;
+    }
+
+    public function setCustomerId(?string $customerId): void
+    {
+        $this->customerId = $customerId;
+    }
+
+    public function getProductId(): ?string
+    {
+        return $this->productId;
+    }
+
+    public function setProductId(?string $productId): void
+    {
+        $this->productId = $productId;
+    }
+
+    public function getRecipient(): ?string
+    {
+        return $this->recipient;
+    }
+
+    public function setRecipient(?string $recipient): void
+    {
+        $this->recipient = $recipient;
+    }
+
+    public function getThreshold(): ?float
+    {
+        return $this->threshold;
+    }
+
+    public function setThreshold(?float $threshold): void
+    {
+        $this->threshold = $threshold;
+    }
+
+    public function getOldPrice(): float
+    {
+        return $this->oldPrice;
+    }
+
+    public function setOldPrice(float $oldPrice): void
+    {
+        $this->oldPrice = $oldPrice;
+    }
+
+    public function getNewPrice(): float
+    {
+        return $this->newPrice;
+    }
+
+    public function setNewPrice(float $newPrice): void
+    {
+        $this->newPrice = $newPrice;
+    }
+
+    public function isTest(): bool
+    {
+        return $this->isTest;
+    }
+
+    public function setIsTest(bool $isTest): void
+    {
+        $this->isTest = $isTest;
+    }
+
+    public function getStatus(): string
+    {
+        return $this->status;
+    }
+
+    public function setStatus(string $status): void
+    {
+        $this->status = $status;
+    }
+
+    public function getError(): ?string
+    {
+        return $this->error;
+    }
+
+    public function setError(?string $error): void
+    {
+        $this->error = $error;
+    }
+
+    public function getPayload(): ?array
+    {
+        return $this->payload;
+    }
+
+    public function setPayload(?array $payload): void
+    {
+        $this->payload = $payload;
+    }
+}
@@ -38,4 +38,75 @@ class UpdateItemRequest extends AbstractRequestDTO
     {
         return [];
     }
+
+    // Getters and Setters
+    public function getWishlistId(): string
+    {
+        return $this->wishlistId;
+    }
+
+    public function setWishlistId(string $wishlistId): void
+    {
+        $this->wishlistId = $wishlistId;
+    }
+
+    public function getItemId(): string
+    {
+        return $this->itemId;
+    }
+
+    public function setItemId(string $itemId): void
+    {
+        $this->itemId = $itemId;
+    }
+
+    public function getQuantity(): ?int
+    {
+        return $this->quantity;
+    }
+
+    public function setQuantity(?int $quantity): void
+    {
+        $this->quantity = $quantity;
+    }
+
+    public function getNote(): ?string
+    {
+        return $this->note;
+    }
+
+    public function setNote(?string $note): void
+    {
+        $this->note = $note;
+    }
+
+    public function getPriority(): ?int
+    {
+        return $this->priority;
+    }
+
+    public function setPriority(?int $priority): void
+    {
+        $this->priority = $priority;
+    }
+
+    public function getPriceAlertThreshold(): ?float
+    {
+        return $this->priceAlertThreshold;
+    }
+
+    public function setPriceAlertThreshold(?float $priceAlertThreshold): void
+    {
+        $this->priceAlertThreshold = $priceAlertThreshold;
+    }
+
+    public function getPriceAlertActive(): ?bool
+    {
+        return $this->priceAlertActive;
+    }
+
+    public function setPriceAlertActive(?bool $priceAlertActive): void
+    {
+        $this->priceAlertActive = $priceAlertActive;
+    }
 }
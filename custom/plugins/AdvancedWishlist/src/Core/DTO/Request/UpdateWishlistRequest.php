@@ -35,6 +35,14 @@ class UpdateWishlistRequest extends AbstractRequestDTO
     #[Assert\Type('array')]
     private array $customFields = [];
 
+    // Reassigning a wishlist to another customer is reserved to the administration
+    #[Assert\Uuid]
+    private ?string $customerId = null;
+
+    // Version the changes are based on, the update is rejected when the wishlist has moved on since
+    #[Assert\Positive]
+    private ?int $version = null;
+
     // Getters for all fields...
 
     public function hasChanges(): bool
@@ -43,6 +51,7 @@ class UpdateWishlistRequest extends AbstractRequestDTO
             || null !== $this->description
             || null !== $this->type
             || null !== $this->isDefault
+            || null !== $this->customerId
             || !empty($this->customFields);
     }
 
@@ -66,6 +75,10 @@ class UpdateWishlistRequest extends AbstractRequestDTO
             $data['isDefault'] = $this->isDefault;
         }
 
+        if (null !== $this->customerId) {
+            $data['customerId'] = $this->customerId;
+        }
+
         if (!empty($this->customFields)) {
             $data['customFields'] = $this->customFields;
         }
@@ -176,4 +189,24 @@ class UpdateWishlistRequest extends AbstractRequestDTO
     {
         $this->customFields = $customFields;
     }
+
+    public function getCustomerId(): ?string
+    {
+        return $this->customerId;
+    }
+
+    public function setCustomerId(?string $customerId): void
+    {
+        $this->customerId = $customerId;
+    }
+
+    public function getVersion(): ?int
+    {
+        return $this->version;
+    }
+
+    public function setVersion(?int $version): void
+    {
+        $this->version = $version;
+    }
 }
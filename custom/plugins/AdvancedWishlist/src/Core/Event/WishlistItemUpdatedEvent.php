@@ -0,0 +1,60 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Event;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Event\EventData\EntityType;
+use Shopware\Core\Framework\Event\EventData\EventDataCollection;
+use Shopware\Core\Framework\Event\EventData\ScalarValueType;
+use Symfony\Contracts\EventDispatcher\Event;
+
+class WishlistItemUpdatedEvent extends Event
+{
+    /**
+     * @param WishlistItemEntity   $wishlistItem The item as it was before the update
+     * @param array<string, mixed> $changes      The written fields
+     */
+    public function __construct(
+        private readonly WishlistEntity $wishlist,
+        private readonly WishlistItemEntity $wishlistItem,
+        private readonly array $changes,
+        private readonly Context $context,
+    ) {
+    }
+
+    public function getWishlist(): WishlistEntity
+    {
+        return $this->wishlist;
+    }
+
+    public function getWishlistItem(): WishlistItemEntity
+    {
+        return $this->wishlistItem;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    public function getChanges(): array
+    {
+        return $this->changes;
+    }
+
+    public function getContext(): Context
+    {
+        return $this->context;
+    }
+
+    public static function getEventData(): EventDataCollection
+    {
+        return (new EventDataCollection())
+            ->add('wishlist', new EntityType(WishlistEntity::class))
+            ->add('wishlistItem', new EntityType(WishlistItemEntity::class))
+            ->add('changes', new ScalarValueType(ScalarValueType::TYPE_OBJECT))
+            ->add('context', new ScalarValueType(ScalarValueType::TYPE_OBJECT));
+    }
+}
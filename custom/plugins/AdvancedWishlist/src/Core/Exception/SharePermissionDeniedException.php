@@ -0,0 +1,18 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Exception;
+
+class SharePermissionDeniedException extends WishlistException
+{
+    public function __construct(string $message, array $parameters = [])
+    {
+        parent::__construct($message, $parameters);
+    }
+
+    public function getErrorCode(): string
+    {
+        return 'WISHLIST_SHARE__PERMISSION_DENIED';
+    }
+}
@@ -0,0 +1,52 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Http;
+
+use AdvancedWishlist\Core\Service\GuestIdentifierService;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+use Symfony\Component\HttpKernel\Event\ResponseEvent;
+use Symfony\Component\HttpKernel\KernelEvents;
+
+/**
+ * Event subscriber moving guest IDs from the cookie of earlier plugin versions to the current guest ID cookie.
+ *
+ * Guests keep their guest wishlist after an update, the legacy cookie is removed once it has been moved.
+ */
+class LegacyGuestCookieSubscriber implements EventSubscriberInterface
+{
+    /**
+     * @param GuestIdentifierService $guestIdentifierService Service owning the guest ID cookies
+     */
+    public function __construct(
+        private readonly GuestIdentifierService $guestIdentifierService,
+    ) {
+    }
+
+    /**
+     * Get the subscribed events.
+     *
+     * @return array<string, string|array{0: string, 1: int}> The subscribed events
+     */
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            KernelEvents::RESPONSE => ['onKernelResponse', 0],
+        ];
+    }
+
+    /**
+     * Handle the kernel response event.
+     *
+     * @param ResponseEvent $event The response event
+     */
+    public function onKernelResponse(ResponseEvent $event): void
+    {
+        if (!$event->isMainRequest()) {
+            return;
+        }
+
+        $this->guestIdentifierService->migrateLegacyCookie($event->getRequest(), $event->getResponse());
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\ImportExport;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistDefinition;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use Shopware\Core\Content\ImportExport\DataAbstractionLayer\Serializer\Entity\EntitySerializer;
+use Shopware\Core\Content\ImportExport\Struct\Config;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityDefinition;
+
+/**
+ * Writes the items of a wishlist into a single `items` column as `productNumber:quantity` lines separated by `|`.
+ * Items without a loaded product fall back to the product ID.
+ */
+class WishlistSerializer extends EntitySerializer
+{
+    public const string ITEM_SEPARATOR = '|';
+    public const string QUANTITY_SEPARATOR = ':';
+
+    public function serialize(Config $config, EntityDefinition $definition, $entity): iterable
+    {
+        $items = $entity instanceof WishlistEntity ? $entity->getItems() : ($entity['items'] ?? null);
+
+        foreach (parent::serialize($config, $definition, $entity) as $key => $value) {
+            if ($key !== 'items') {
+                yield $key => $value;
+            }
+        }
+
+        if ($items !== null) {
+            yield 'items' => $this->serializeItems($items);
+        }
+    }
+
+    public function supports(string $entity): bool
+    {
+        return $entity === WishlistDefinition::ENTITY_NAME;
+    }
+
+    private function serializeItems(iterable $items): string
+    {
+        $lines = [];
+
+        foreach ($items as $item) {
+            if ($item instanceof WishlistItemEntity) {
+                $reference = $item->getProduct()?->getProductNumber() ?? $item->productId;
+                $quantity = $item->quantity;
+            } else {
+                $reference = $item['product']['productNumber'] ?? $item['productId'] ?? null;
+                $quantity = $item['quantity'] ?? 1;
+            }
+
+            if ($reference === null) {
+                continue;
+            }
+
+            $lines[] = $reference . self::QUANTITY_SEPARATOR . $quantity;
+        }
+
+        return implode(self::ITEM_SEPARATOR, $lines);
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\ImportExport\Writer;
+
+use League\Flysystem\FilesystemOperator;
+use Shopware\Core\Content\ImportExport\Processing\Writer\AbstractWriter;
+use Shopware\Core\Content\ImportExport\Struct\Config;
+
+/**
+ * Base of the file formats that can only be written once all records are known.
+ * Every batch of an export runs in its own message, so the encoded records are collected line by line
+ * in a part file next to the target and turned into the final file when the export finishes.
+ */
+abstract class AbstractPartFileWriter extends AbstractWriter
+{
+    private const string PART_SUFFIX = '.part';
+
+    /**
+     * @var list<string>
+     */
+    private array $lines = [];
+
+    public function __construct(
+        protected readonly FilesystemOperator $filesystem,
+    ) {
+    }
+
+    public function append(Config $config, array $data, int $index): void
+    {
+        foreach ($this->encodeRecord($data, $index) as $line) {
+            $this->lines[] = $line;
+        }
+    }
+
+    public function flush(Config $config, string $targetPath): void
+    {
+        if ($this->lines === []) {
+            return;
+        }
+
+        $partPath = $targetPath . self::PART_SUFFIX;
+        $stream = fopen('php://temp', 'w+b');
+
+        if ($this->filesystem->fileExists($partPath)) {
+            stream_copy_to_stream($this->filesystem->readStream($partPath), $stream);
+        }
+
+        fwrite($stream, implode("\n", $this->lines) . "\n");
+        rewind($stream);
+
+        $this->filesystem->writeStream($partPath, $stream);
+        fclose($stream);
+
+        $this->lines = [];
+    }
+
+    public function finish(Config $config, string $targetPath): void
+    {
+        $this->flush($config, $targetPath);
+
+        $partPath = $targetPath . self::PART_SUFFIX;
+        $part = $this->filesystem->fileExists($partPath) ? $this->filesystem->readStream($partPath) : null;
+
+        $stream = $this->buildFile($this->readLines($part));
+        rewind($stream);
+
+        $this->filesystem->writeStream($targetPath, $stream);
+        fclose($stream);
+
+        if ($part !== null) {
+            $this->filesystem->delete($partPath);
+        }
+    }
+
+    /**
+     * Lines for one record, none of them may contain a line break.
+     *
+     * @return list<string>
+     */
+    abstract protected function encodeRecord(array $data, int $index): array;
+
+    /**
+     * @param iterable<string> $lines
+     *
+     * @return resource
+     */
+    abstract protected function buildFile(iterable $lines);
+
+    /**
+     * @param resource|null $stream
+     *
+     * @return \Generator<string>
+     */
+    private function readLines($stream): \Generator
+    {
+        if ($stream === null) {
+            return;
+        }
+
+        while (($line = fgets($stream)) !== false) {
+            $line = rtrim($line, "\n");
+            if ($line !== '') {
+                yield $line;
+            }
+        }
+
+        fclose($stream);
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\ImportExport\Writer;
+
+/**
+ * Writes the records as a JSON array of objects keyed by column.
+ */
+class JsonFileWriter extends AbstractPartFileWriter
+{
+    public const string FILE_TYPE = 'application/json';
+
+    protected function encodeRecord(array $data, int $index): array
+    {
+        return [json_encode($data, \JSON_UNESCAPED_UNICODE | \JSON_UNESCAPED_SLASHES | \JSON_THROW_ON_ERROR)];
+    }
+
+    protected function buildFile(iterable $lines)
+    {
+        $stream = fopen('php://temp', 'w+b');
+        $separator = "\n";
+
+        fwrite($stream, '[');
+        foreach ($lines as $line) {
+            fwrite($stream, $separator . '  ' . $line);
+            $separator = ",\n";
+        }
+        fwrite($stream, "\n]\n");
+
+        return $stream;
+    }
+}
@@ -0,0 +1,28 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\ImportExport\Writer;
+
+use League\Flysystem\FilesystemOperator;
+use Shopware\Core\Content\ImportExport\Aggregate\ImportExportLog\ImportExportLogEntity;
+use Shopware\Core\Content\ImportExport\Processing\Writer\AbstractWriter;
+use Shopware\Core\Content\ImportExport\Processing\Writer\AbstractWriterFactory;
+
+class JsonFileWriterFactory extends AbstractWriterFactory
+{
+    public function __construct(
+        private readonly FilesystemOperator $filesystem,
+    ) {
+    }
+
+    public function create(ImportExportLogEntity $logEntity): AbstractWriter
+    {
+        return new JsonFileWriter($this->filesystem);
+    }
+
+    public function supports(ImportExportLogEntity $logEntity): bool
+    {
+        return $logEntity->getProfile()?->getFileType() === JsonFileWriter::FILE_TYPE;
+    }
+}
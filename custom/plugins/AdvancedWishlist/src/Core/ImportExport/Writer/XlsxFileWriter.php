@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\ImportExport\Writer;
+
+/**
+ * Writes the records into the first sheet of a minimal XLSX workbook, the first row holds the column names.
+ * Cells are written as inline strings, so no shared string table has to be kept across batches.
+ */
+class XlsxFileWriter extends AbstractPartFileWriter
+{
+    public const string FILE_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+    private const string XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n";
+
+    private const string CONTENT_TYPES = self::XML_HEADER
+        . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        . '<Default Extension="xml" ContentType="application/xml"/>'
+        . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        . '</Types>';
+
+    private const string PACKAGE_RELATIONSHIPS = self::XML_HEADER
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        . '</Relationships>';
+
+    private const string WORKBOOK = self::XML_HEADER
+        . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        . '<sheets><sheet name="Wishlists" sheetId="1" r:id="rId1"/></sheets>'
+        . '</workbook>';
+
+    private const string WORKBOOK_RELATIONSHIPS = self::XML_HEADER
+        . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        . '</Relationships>';
+
+    protected function encodeRecord(array $data, int $index): array
+    {
+        $rows = [];
+
+        if ($index === 0) {
+            $rows[] = $this->encodeRow(array_keys($data));
+        }
+
+        $rows[] = $this->encodeRow(array_values($data));
+
+        return $rows;
+    }
+
+    protected function buildFile(iterable $lines)
+    {
+        $sheetPath = tempnam(sys_get_temp_dir(), 'wishlist_export_sheet_');
+        $zipPath = tempnam(sys_get_temp_dir(), 'wishlist_export_xlsx_');
+
+        try {
+            $sheet = fopen($sheetPath, 'wb');
+            fwrite($sheet, self::XML_HEADER . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+            foreach ($lines as $line) {
+                fwrite($sheet, $line);
+            }
+            fwrite($sheet, '</sheetData></worksheet>');
+            fclose($sheet);
+
+            $zip = new \ZipArchive();
+            if ($zip->open($zipPath, \ZipArchive::OVERWRITE) !== true) {
+                throw new \RuntimeException('Could not create the XLSX archive');
+            }
+
+            $zip->addFromString('[Content_Types].xml', self::CONTENT_TYPES);
+            $zip->addFromString('_rels/.rels', self::PACKAGE_RELATIONSHIPS);
+            $zip->addFromString('xl/workbook.xml', self::WORKBOOK);
+            $zip->addFromString('xl/_rels/workbook.xml.rels', self::WORKBOOK_RELATIONSHIPS);
+            $zip->addFile($sheetPath, 'xl/worksheets/sheet1.xml');
+            $zip->close();
+
+            $stream = fopen('php://temp', 'w+b');
+            $archive = fopen($zipPath, 'rb');
+            stream_copy_to_stream($archive, $stream);
+            fclose($archive);
+
+            return $stream;
+        } finally {
+            @unlink($sheetPath);
+            @unlink($zipPath);
+        }
+    }
+
+    private function encodeRow(array $values): string
+    {
+        $cells = '';
+
+        foreach ($values as $value) {
+            if ($value === null || $value === '') {
+                $cells .= '<c/>';
+            } elseif (\is_int($value) || \is_float($value)) {
+                $cells .= '<c><v>' . $value . '</v></c>';
+            } else {
+                $cells .= '<c t="inlineStr"><is><t xml:space="preserve">' . $this->escape((string) $value) . '</t></is></c>';
+            }
+        }
+
+        return '<row>' . $cells . '</row>';
+    }
+
+    private function escape(string $value): string
+    {
+        // Characters XML 1.0 does not allow at all, line breaks are kept as references so a row stays on one line
+        $value = (string) preg_replace('/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', $value);
+
+        return str_replace(["\r", "\n"], ['&#13;', '&#10;'], htmlspecialchars($value, \ENT_XML1 | \ENT_QUOTES, 'UTF-8'));
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Migration;
+
+use Doctrine\DBAL\ArrayParameterType;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Installs a mail template type with its default template for migrations.
+ * Translations are written for the system language and for every installed language of the given locales.
+ */
+trait MailTemplateMigrationTrait
+{
+    /**
+     * @param array<string, string> $typeNames         Type name by locale code
+     * @param array<string, array>  $translations      senderName, subject, description, contentHtml and contentPlain by locale code, `en-GB` is the fallback
+     * @param array<string, string> $availableEntities Entities of the template data by variable name
+     */
+    private function createMailTemplate(
+        Connection $connection,
+        string $technicalName,
+        array $typeNames,
+        array $translations,
+        array $availableEntities,
+    ): void {
+        $exists = $connection->fetchOne(
+            'SELECT 1 FROM `mail_template_type` WHERE `technical_name` = :technicalName',
+            ['technicalName' => $technicalName]
+        );
+        if ($exists) {
+            return;
+        }
+
+        $now = (new \DateTime())->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+        $typeId = Uuid::randomBytes();
+        $templateId = Uuid::randomBytes();
+
+        $connection->insert('mail_template_type', [
+            'id' => $typeId,
+            'technical_name' => $technicalName,
+            'available_entities' => json_encode($availableEntities, \JSON_THROW_ON_ERROR),
+            'created_at' => $now,
+        ]);
+
+        $connection->insert('mail_template', [
+            'id' => $templateId,
+            'mail_template_type_id' => $typeId,
+            'system_default' => 1,
+            'created_at' => $now,
+        ]);
+
+        foreach ($this->getMailTemplateLanguages($connection, array_keys($translations)) as [$languageId, $locale]) {
+            $connection->insert('mail_template_type_translation', [
+                'mail_template_type_id' => $typeId,
+                'language_id' => $languageId,
+                'name' => $typeNames[$locale] ?? $typeNames['en-GB'],
+                'created_at' => $now,
+            ]);
+
+            $translation = $translations[$locale] ?? $translations['en-GB'];
+
+            $connection->insert('mail_template_translation', [
+                'mail_template_id' => $templateId,
+                'language_id' => $languageId,
+                'sender_name' => $translation['senderName'],
+                'subject' => $translation['subject'],
+                'description' => $translation['description'],
+                'content_html' => $translation['contentHtml'],
+                'content_plain' => $translation['contentPlain'],
+                'created_at' => $now,
+            ]);
+        }
+    }
+
+    /**
+     * @param string[] $locales
+     *
+     * @return list<array{0: string, 1: string}> Binary language ID and locale code, the system language always included
+     */
+    private function getMailTemplateLanguages(Connection $connection, array $locales): array
+    {
+        $rows = $connection->fetchAllAssociative(
+            'SELECT `language`.`id`, `locale`.`code`
+             FROM `language`
+             INNER JOIN `locale` ON `locale`.`id` = `language`.`locale_id`
+             WHERE `locale`.`code` IN (:locales)',
+            ['locales' => $locales],
+            ['locales' => ArrayParameterType::STRING]
+        );
+
+        $languages = array_map(fn (array $row) => [$row['id'], $row['code']], $rows);
+
+        $systemLanguageId = Uuid::fromHexToBytes(Defaults::LANGUAGE_SYSTEM);
+        if (!\in_array($systemLanguageId, array_column($languages, 0), true)) {
+            $languages[] = [$systemLanguageId, 'en-GB'];
+        }
+
+        return $languages;
+    }
+}
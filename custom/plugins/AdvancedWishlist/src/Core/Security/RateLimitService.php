@@ -55,6 +55,26 @@ class RateLimitService
         return true;
     }
 
+    /**
+     * Check a rate limit for a key of the caller, e.g. a single resource combined with the client IP.
+     */
+    public function isAllowedForKey(string $endpoint, string $key): bool
+    {
+        $clientKey = hash('sha256', $endpoint.':'.$key);
+
+        if (!$this->getLimiter($endpoint)->create($clientKey)->consume()->isAccepted()) {
+            $this->logger->warning('Rate limit exceeded', [
+                'endpoint' => $endpoint,
+                'client_key' => substr($clientKey, 0, 8).'...',
+                'timestamp' => time(),
+            ]);
+
+            return false;
+        }
+
+        return true;
+    }
+
     /**
      * Get remaining tokens for a client.
      */
@@ -127,6 +147,11 @@ class RateLimitService
                 'limit' => 20,
                 'interval' => '15 minutes',
             ],
+            'share_password' => [
+                'policy' => 'sliding_window',
+                'limit' => 10,
+                'interval' => '15 minutes',
+            ],
         ];
 
         foreach ($configs as $endpoint => $config) {
@@ -177,6 +202,7 @@ class RateLimitService
             'wishlist_bulk' => ['limit' => 10, 'interval' => '1 hour'],
             'analytics' => ['limit' => 100, 'interval' => '1 hour'],
             'auth' => ['limit' => 20, 'interval' => '15 minutes'],
+            'share_password' => ['limit' => 10, 'interval' => '15 minutes'],
         ];
 
         return $configs[$endpoint] ?? $configs['wishlist_read'];
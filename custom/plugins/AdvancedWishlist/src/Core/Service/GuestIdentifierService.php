@@ -6,11 +6,15 @@ namespace AdvancedWishlist\Core\Service;
 
 use Shopware\Core\System\SalesChannel\SalesChannelContext;
 use Symfony\Component\HttpFoundation\Cookie;
+use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\RequestStack;
+use Symfony\Component\HttpFoundation\Response;
 
 class GuestIdentifierService
 {
-    private const string COOKIE_NAME = 'guest_id';
+    public const string COOKIE_NAME = 'guest-wishlist-token';
+    // Cookie of earlier plugin versions, still read until it has been moved to COOKIE_NAME
+    public const string LEGACY_COOKIE_NAME = 'guest_id';
     private const int ID_LENGTH = 32;
     private const int COOKIE_LIFETIME = 2592000; // 30 days
 
@@ -76,7 +80,7 @@ class GuestIdentifierService
     }
 
     /**
-     * Get guest ID from cookie.
+     * Get guest ID from cookie, falling back to the legacy cookie.
      */
     public function getGuestIdFromCookie(): ?string
     {
@@ -86,7 +90,40 @@ class GuestIdentifierService
             return null;
         }
 
-        return $request->cookies->get(self::COOKIE_NAME);
+        return $request->cookies->get(self::COOKIE_NAME) ?? $request->cookies->get(self::LEGACY_COOKIE_NAME);
+    }
+
+    /**
+     * Whether the request carries a guest ID cookie, current or legacy.
+     */
+    public function hasGuestIdCookie(Request $request): bool
+    {
+        return $request->cookies->has(self::COOKIE_NAME) || $request->cookies->has(self::LEGACY_COOKIE_NAME);
+    }
+
+    /**
+     * Move a guest ID from the legacy cookie to the current one.
+     * Responses that already set or clear the guest ID cookie are left alone.
+     */
+    public function migrateLegacyCookie(Request $request, Response $response): void
+    {
+        $legacyGuestId = $request->cookies->get(self::LEGACY_COOKIE_NAME);
+
+        if (null === $legacyGuestId) {
+            return;
+        }
+
+        foreach ($response->headers->getCookies() as $cookie) {
+            if (self::COOKIE_NAME === $cookie->getName()) {
+                return;
+            }
+        }
+
+        if (!$request->cookies->has(self::COOKIE_NAME) && $this->validateGuestId($legacyGuestId)) {
+            $response->headers->setCookie($this->createGuestIdCookie($legacyGuestId));
+        }
+
+        $response->headers->clearCookie(self::LEGACY_COOKIE_NAME, '/');
     }
 
     /**
@@ -100,15 +137,21 @@ class GuestIdentifierService
             return;
         }
 
-        $cookie = Cookie::create(self::COOKIE_NAME)
+        $response->headers->setCookie($this->createGuestIdCookie($guestId));
+    }
+
+    /**
+     * Create the guest ID cookie, for controllers that attach it to their own response.
+     */
+    public function createGuestIdCookie(string $guestId): Cookie
+    {
+        return Cookie::create(self::COOKIE_NAME)
             ->withValue($guestId)
             ->withExpires(time() + self::COOKIE_LIFETIME)
             ->withPath('/')
             ->withSecure(true)
             ->withHttpOnly(true)
             ->withSameSite('Lax');
-
-        $response->headers->setCookie($cookie);
     }
 
     /**
@@ -122,6 +165,15 @@ class GuestIdentifierService
             return;
         }
 
+        $this->clearGuestIdCookies($response);
+    }
+
+    /**
+     * Clear the current and the legacy guest ID cookie on a response.
+     */
+    public function clearGuestIdCookies(Response $response): void
+    {
         $response->headers->clearCookie(self::COOKIE_NAME, '/');
+        $response->headers->clearCookie(self::LEGACY_COOKIE_NAME, '/');
     }
 }
@@ -5,16 +5,21 @@ declare(strict_types=1);
 namespace AdvancedWishlist\Core\Service;
 
 use AdvancedWishlist\Core\Content\GuestWishlist\GuestWishlistEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistCollection;
 use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
 use AdvancedWishlist\Core\Event\GuestWishlistCreatedEvent;
 use AdvancedWishlist\Core\Event\GuestWishlistMergedEvent;
 use AdvancedWishlist\Core\Exception\GuestWishlistLimitException;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use Doctrine\DBAL\Connection;
 use Psr\Log\LoggerInterface;
+use Shopware\Core\Defaults;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
 use Shopware\Core\Framework\Uuid\Uuid;
 use Shopware\Core\System\SalesChannel\SalesChannelContext;
 use Symfony\Component\EventDispatcher\EventDispatcherInterface;
@@ -26,6 +31,10 @@ class GuestWishlistService
     private const int DEFAULT_TTL = 2592000; // 30 days
     private const int MAX_ITEMS_GUEST = 50;
     private const int CLEANUP_BATCH_SIZE = 100;
+    private const int MAX_ITEM_QUANTITY = 999;
+
+    public const string MERGE_INTO_EXISTING = 'existing';
+    public const string MERGE_INTO_NEW = 'new';
 
     public function __construct(
         private EntityRepository $guestWishlistRepository,
@@ -35,6 +44,11 @@ class GuestWishlistService
         private RequestStack $requestStack,
         private EventDispatcherInterface $eventDispatcher,
         private LoggerInterface $logger,
+        private EntityRepository $wishlistItemRepository,
+        private EntityRepository $mergeLogRepository,
+        private WishlistLimitService $limitService,
+        private WishlistVersionService $versionService,
+        private Connection $connection,
         private int $guestWishlistTtl = self::DEFAULT_TTL,
     ) {
     }
@@ -67,6 +81,19 @@ class GuestWishlistService
         return $this->createGuestWishlist($guestId, $context);
     }
 
+    /**
+     * Find the guest wishlist of the current visitor without creating one.
+     */
+    public function findGuestWishlist(SalesChannelContext $context): ?GuestWishlistEntity
+    {
+        $guestId = $this->identifierService->getGuestIdFromCookie();
+        if (!$guestId) {
+            return null;
+        }
+
+        return $this->findGuestWishlistByIdentifier($guestId, $context);
+    }
+
     /**
      * Create new guest wishlist.
      */
@@ -271,6 +298,204 @@ class GuestWishlistService
         ]);
     }
 
+    /**
+     * Preview a merge of the visitor's guest wishlist: the guest items and, per customer wishlist,
+     * the quantities of guest products that are already on it.
+     */
+    public function getMergePreview(string $customerId, SalesChannelContext $context): ?array
+    {
+        $guestWishlist = $this->findGuestWishlist($context);
+        if (!$guestWishlist) {
+            return null;
+        }
+
+        $guestProductIds = array_column($guestWishlist->getItems(), 'productId');
+
+        $wishlists = [];
+        foreach ($this->loadCustomerWishlists($customerId, $context) as $wishlist) {
+            $existingQuantities = [];
+            foreach ($wishlist->getItems() ?? [] as $item) {
+                if (in_array($item->getProductId(), $guestProductIds, true)) {
+                    $existingQuantities[$item->getProductId()] = $item->getQuantity();
+                }
+            }
+
+            $wishlists[] = [
+                'id' => $wishlist->getId(),
+                'name' => $wishlist->name,
+                'isDefault' => $wishlist->isDefault,
+                'existingQuantities' => (object) $existingQuantities,
+            ];
+        }
+
+        return [
+            'guestWishlist' => [
+                'id' => $guestWishlist->getId(),
+                'name' => $guestWishlist->getName(),
+                'items' => array_map(fn ($item) => [
+                    'id' => $item['id'],
+                    'productId' => $item['productId'],
+                    'quantity' => (int) $item['quantity'],
+                    'note' => $item['note'] ?? null,
+                ], $guestWishlist->getItems()),
+            ],
+            'wishlists' => $wishlists,
+        ];
+    }
+
+    /**
+     * Merge the visitor's guest wishlist into an existing customer wishlist or into a new one.
+     * Products that are already on the target wishlist get the guest quantity added.
+     * The merge is written in one transaction and only when the target stays within the wishlist and item limits.
+     *
+     * @throws WishlistLimitExceededException When the customer has no wishlist left or the target would exceed its item limit
+     * @throws \InvalidArgumentException      When there is no guest wishlist or the target wishlist is not the customer's
+     *
+     * @return array{wishlistId: string, itemsAdded: int, itemsMerged: int}
+     */
+    public function mergeGuestWishlist(
+        string $customerId,
+        string $mode,
+        ?string $targetWishlistId,
+        ?string $newWishlistName,
+        SalesChannelContext $context,
+    ): array {
+        $guestWishlist = $this->findGuestWishlist($context);
+        if (!$guestWishlist) {
+            throw new \InvalidArgumentException('Guest wishlist not found');
+        }
+
+        $customerWishlists = $this->loadCustomerWishlists($customerId, $context);
+        $targetItems = [];
+
+        if (self::MERGE_INTO_NEW === $mode) {
+            $this->limitService->checkCustomerWishlistLimit($customerId, $context->getContext());
+
+            $targetWishlistId = Uuid::randomHex();
+            $itemLimit = $this->limitService->getCustomerLimits($customerId, $context->getContext())['maxItemsPerWishlist'];
+        } else {
+            $targetWishlist = $targetWishlistId ? $customerWishlists->get($targetWishlistId) : null;
+            if (!$targetWishlist) {
+                throw new \InvalidArgumentException('Target wishlist not found');
+            }
+
+            foreach ($targetWishlist->getItems() ?? [] as $item) {
+                $targetItems[$item->getProductId()] = $item;
+            }
+
+            $itemLimit = $this->limitService->getWishlistLimits($targetWishlistId, $context->getContext())['maxItemsPerWishlist'];
+        }
+
+        $newItems = [];
+        $mergedItems = [];
+
+        foreach ($guestWishlist->getItems() as $guestItem) {
+            $quantity = (int) ($guestItem['quantity'] ?? 1);
+            $existingItem = $targetItems[$guestItem['productId']] ?? null;
+
+            if ($existingItem) {
+                $mergedItems[] = [
+                    'id' => $existingItem->getId(),
+                    'quantity' => min($existingItem->getQuantity() + $quantity, self::MAX_ITEM_QUANTITY),
+                    'updatedAt' => new \DateTime(),
+                ];
+                continue;
+            }
+
+            $newItems[] = [
+                'id' => Uuid::randomHex(),
+                'wishlistId' => $targetWishlistId,
+                'productId' => $guestItem['productId'],
+                'productVersionId' => Defaults::LIVE_VERSION,
+                'quantity' => min($quantity, self::MAX_ITEM_QUANTITY),
+                'note' => $guestItem['note'] ?? null,
+                'priority' => 0,
+                'addedAt' => new \DateTime(),
+            ];
+        }
+
+        // All or nothing, a partly merged guest wishlist would be deleted with the rest of its items
+        if (count($targetItems) + count($newItems) > $itemLimit) {
+            throw new WishlistLimitExceededException('Maximum number of items in wishlist reached', [
+                'limit' => $itemLimit,
+                'current' => count($targetItems),
+                'type' => 'items',
+            ]);
+        }
+
+        $this->connection->transactional(function () use ($guestWishlist, $customerWishlists, $customerId, $mode, $targetWishlistId, $newWishlistName, $targetItems, $newItems, $mergedItems, $context): void {
+            if (self::MERGE_INTO_NEW === $mode) {
+                $this->createCustomerWishlist(
+                    $targetWishlistId,
+                    $customerId,
+                    $newWishlistName ?: ($guestWishlist->getName() ?? 'My Wishlist'),
+                    0 === $customerWishlists->count(),
+                    $context
+                );
+            }
+
+            if (!empty($newItems)) {
+                $this->wishlistItemRepository->create($newItems, $context->getContext());
+            }
+
+            if (!empty($mergedItems)) {
+                $this->wishlistItemRepository->update($mergedItems, $context->getContext());
+            }
+
+            $this->wishlistRepository->update([[
+                'id' => $targetWishlistId,
+                'itemCount' => count($targetItems) + count($newItems),
+                'updatedAt' => new \DateTime(),
+            ]], $context->getContext());
+
+            // Saves of the target based on the version before the merge are rejected instead of dropping the merged items
+            if (self::MERGE_INTO_EXISTING === $mode) {
+                $this->versionService->raiseVersion($targetWishlistId);
+            }
+
+            $this->recordMerge($guestWishlist, $targetWishlistId, $customerId, $mode, count($newItems), count($mergedItems), $context);
+            $this->deleteGuestWishlist($guestWishlist->getId(), $context->getContext());
+        });
+
+        $this->eventDispatcher->dispatch(new GuestWishlistMergedEvent(
+            $guestWishlist->getId(),
+            $targetWishlistId,
+            count($newItems) + count($mergedItems),
+            $context
+        ));
+
+        $this->logger->info('Guest wishlist merged', [
+            'guestWishlistId' => $guestWishlist->getId(),
+            'customerWishlistId' => $targetWishlistId,
+            'mode' => $mode,
+            'itemsAdded' => count($newItems),
+            'itemsMerged' => count($mergedItems),
+        ]);
+
+        return [
+            'wishlistId' => $targetWishlistId,
+            'itemsAdded' => count($newItems),
+            'itemsMerged' => count($mergedItems),
+        ];
+    }
+
+    /**
+     * Throw away the visitor's guest wishlist, e.g. when the shopper declines the merge.
+     */
+    public function discardGuestWishlist(SalesChannelContext $context): void
+    {
+        $guestWishlist = $this->findGuestWishlist($context);
+        if (!$guestWishlist) {
+            return;
+        }
+
+        $this->deleteGuestWishlist($guestWishlist->getId(), $context->getContext());
+
+        $this->logger->info('Guest wishlist discarded', [
+            'guestWishlistId' => $guestWishlist->getId(),
+        ]);
+    }
+
     /**
      * Send reminder email to guest.
      */
@@ -473,6 +698,58 @@ class GuestWishlistService
         ]], $context);
     }
 
+    private function loadCustomerWishlists(string $customerId, SalesChannelContext $context): WishlistCollection
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+        $criteria->addAssociation('items');
+        $criteria->addSorting(new FieldSorting('isDefault', FieldSorting::DESCENDING));
+        $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+
+        return $this->wishlistRepository->search($criteria, $context->getContext())->getEntities();
+    }
+
+    private function createCustomerWishlist(string $wishlistId, string $customerId, string $name, bool $isDefault, SalesChannelContext $context): void
+    {
+        $this->wishlistRepository->create([[
+            'id' => $wishlistId,
+            'customerId' => $customerId,
+            'name' => mb_substr($name, 0, 255),
+            'type' => 'private',
+            'isDefault' => $isDefault,
+            'salesChannelId' => $context->getSalesChannelId(),
+            'languageId' => $context->getLanguageId(),
+            'itemCount' => 0,
+            'createdAt' => new \DateTime(),
+        ]], $context->getContext());
+    }
+
+    private function recordMerge(
+        GuestWishlistEntity $guestWishlist,
+        string $customerWishlistId,
+        string $customerId,
+        string $mode,
+        int $itemsAdded,
+        int $itemsMerged,
+        SalesChannelContext $context,
+    ): void {
+        $this->mergeLogRepository->create([[
+            'id' => Uuid::randomHex(),
+            'guestWishlistId' => $guestWishlist->getId(),
+            'customerWishlistId' => $customerWishlistId,
+            'customerId' => $customerId,
+            'guestId' => $guestWishlist->getGuestId(),
+            'itemsMerged' => $itemsAdded + $itemsMerged,
+            'itemsSkipped' => 0,
+            'mergeStrategy' => self::MERGE_INTO_NEW === $mode ? 'append' : 'merge',
+            'mergeData' => [
+                'itemsAdded' => $itemsAdded,
+                'quantitiesMerged' => $itemsMerged,
+            ],
+            'mergedAt' => new \DateTime(),
+        ]], $context->getContext());
+    }
+
     private function deleteGuestWishlist(string $wishlistId, Context $context): void
     {
         $this->guestWishlistRepository->delete([['id' => $wishlistId]], $context);
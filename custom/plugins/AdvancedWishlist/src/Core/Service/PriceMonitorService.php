@@ -4,27 +4,36 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Core\Service;
 
-use AdvancedWishlist\Core\Entity\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\WishlistPriceAlertNotification\WishlistPriceAlertNotificationEntity;
 use AdvancedWishlist\Core\Event\PriceDropDetectedEvent;
+use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
+use AdvancedWishlist\Service\NotificationService;
 use Psr\Cache\CacheItemPoolInterface;
 use Psr\Log\LoggerInterface;
-use Shopware\Core\Content\Product\ProductEntity;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\NotFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
 use Symfony\Component\EventDispatcher\EventDispatcherInterface;
 
 class PriceMonitorService
 {
     private const int BATCH_SIZE = 100;
     private const int CHECK_INTERVAL = 3600; // 1 hour
+    private const int MAX_LIMIT = 100;
+
+    public const string STATUS_ACTIVE = 'active';
+    public const string STATUS_TRIGGERED = 'triggered';
 
     public function __construct(
         private EntityRepository $wishlistItemRepository,
         private EntityRepository $productRepository,
-        // private NotificationService $notificationService,
+        private EntityRepository $priceAlertNotificationRepository,
+        private NotificationService $notificationService,
         // private PriceHistoryService $priceHistoryService,
         private EventDispatcherInterface $eventDispatcher,
         private LoggerInterface $logger,
@@ -43,15 +52,17 @@ class PriceMonitorService
         $offset = 0;
 
         do {
-            // Get items with active price alerts (optimized query)
+            // Get items with active price alerts that have not fired yet (optimized query)
             $criteria = new Criteria();
             $criteria->addFilter(new EqualsFilter('priceAlertActive', true));
+            $criteria->addFilter(new EqualsFilter('priceAlertTriggeredAt', null));
             $criteria->addFilter(new RangeFilter('priceAlertThreshold', [
                 RangeFilter::GT => 0,
             ]));
             // Eager load all needed associations in one query
             $criteria->addAssociation('product');
             $criteria->addAssociation('wishlist.customer');
+            $criteria->addSorting(new FieldSorting('id'));
             $criteria->setLimit(self::BATCH_SIZE);
             $criteria->setOffset($offset);
 
@@ -74,6 +85,7 @@ class PriceMonitorService
             ]);
 
             // Process each item with pre-calculated prices
+            $triggeredInBatch = 0;
             foreach ($itemsArray as $item) {
                 try {
                     $productId = $item->getProductId();
@@ -81,18 +93,20 @@ class PriceMonitorService
                     
                     if ($this->checkPriceDropOptimized($item, $priceData, $context)) {
                         ++$triggered;
+                        ++$triggeredInBatch;
                     }
                     ++$processed;
                 } catch (\Exception $e) {
                     $this->logger->error('Failed to check price alert', [
-                        'itemId' => $item->getId(),
+                        'itemId' => $item->getUniqueIdentifier(),
                         'productId' => $item->getProductId(),
                         'error' => $e->getMessage(),
                     ]);
                 }
             }
 
-            $offset += self::BATCH_SIZE;
+            // Triggered items drop out of the filter, the next batch starts that much earlier
+            $offset += self::BATCH_SIZE - $triggeredInBatch;
         } while (self::BATCH_SIZE === $items->count());
 
         $this->logger->info('Price alerts checked', [
@@ -113,12 +127,11 @@ class PriceMonitorService
         WishlistItemEntity $item,
         Context $context,
     ): bool {
-        $product = $item->getProduct();
-        if (!$product) {
+        if (!$item->getProduct() || null !== $item->getPriceAlertTriggeredAt()) {
             return false;
         }
 
-        $currentPrice = $this->getCurrentPrice($product, $context);
+        $currentPrice = $this->getCurrentPrice($item, $context);
         $threshold = $item->getPriceAlertThreshold();
 
         // Check if price dropped below threshold
@@ -127,7 +140,7 @@ class PriceMonitorService
         }
 
         // Check if we already notified recently
-        if ($this->wasRecentlyNotified($item->getId())) {
+        if ($this->wasRecentlyNotified($item->getUniqueIdentifier())) {
             return false;
         }
 
@@ -144,7 +157,7 @@ class PriceMonitorService
     ): bool {
         if (!$priceData || !isset($priceData['gross_price'])) {
             $this->logger->warning('No price data available for product', [
-                'itemId' => $item->getId(),
+                'itemId' => $item->getUniqueIdentifier(),
                 'productId' => $item->getProductId()
             ]);
             return false;
@@ -159,7 +172,7 @@ class PriceMonitorService
         }
 
         // Check if we already notified recently
-        if ($this->wasRecentlyNotified($item->getId())) {
+        if ($this->wasRecentlyNotified($item->getUniqueIdentifier())) {
             return false;
         }
 
@@ -175,22 +188,32 @@ class PriceMonitorService
         float $threshold,
         Context $context
     ): bool {
-        // Calculate savings
-        $savings = $threshold - $currentPrice;
-        $savingsPercentage = ($savings / $threshold) * 100;
-
-        // Send notification
-        // $this->notificationService->sendPriceAlert(
-        //     $item->getWishlist()->getCustomer(),
-        //     $item,
-        //     $currentPrice,
-        //     $savings,
-        //     $savingsPercentage,
-        //     $context
-        // );
+        // The shopper is told how far the price fell since the alert was set up
+        $oldPrice = $item->getPriceAtAlert() ?? $threshold;
+        $savings = $oldPrice - $currentPrice;
+        $savingsPercentage = $oldPrice > 0 ? ($savings / $oldPrice) * 100 : 0;
+
+        // A failed mail leaves the alert active, the next check tries again
+        if (!$this->notificationService->sendPriceAlertNotification($item, $oldPrice, $currentPrice, $context)) {
+            $this->logger->warning('Price drop notification could not be sent', [
+                'itemId' => $item->getUniqueIdentifier(),
+                'productId' => $item->getProductId(),
+                'currentPrice' => $currentPrice,
+            ]);
+
+            return false;
+        }
 
         // Record notification
-        $this->recordNotification($item->getId(), $currentPrice);
+        $this->recordNotification($item->getUniqueIdentifier(), $currentPrice);
+
+        // A triggered alert stays quiet until the shopper sets it up again
+        $this->wishlistItemRepository->update([
+            [
+                'id' => $item->getUniqueIdentifier(),
+                'priceAlertTriggeredAt' => new \DateTimeImmutable(),
+            ],
+        ], $context);
 
         // Track price history
         // $this->priceHistoryService->recordPrice(
@@ -200,16 +223,16 @@ class PriceMonitorService
         // );
 
         // Dispatch event
-        $event = new PriceDropDetectedEvent($item, $threshold, $currentPrice, $context);
+        $event = new PriceDropDetectedEvent($item, $oldPrice, $currentPrice, $context);
         $this->eventDispatcher->dispatch($event);
 
         $this->logger->info('Price drop detected', [
-            'itemId' => $item->getId(),
+            'itemId' => $item->getUniqueIdentifier(),
             'productId' => $item->getProductId(),
             'threshold' => $threshold,
             'currentPrice' => $currentPrice,
             'savings' => $savings,
-            'savingsPercentage' => round($savingsPercentage, 2)
+            'savingsPercentage' => round($savingsPercentage, 2),
         ]);
 
         return true;
@@ -217,47 +240,182 @@ class PriceMonitorService
 
     /**
      * Setup price alert for item.
+     * Without a target price the alert fires on any drop below the current price.
+     *
+     * @return array Alert state as returned by formatAlertState()
      */
     public function setupAlert(
-        string $itemId,
-        ProductEntity $product,
-        float $threshold,
+        WishlistItemEntity $item,
+        ?float $targetPrice,
         Context $context,
-    ): void {
-        // Validate threshold
-        $currentPrice = $this->getCurrentPrice($product, $context);
+    ): array {
+        $currentPrice = $this->getCurrentPrice($item, $context);
+        $threshold = $targetPrice ?? $currentPrice;
 
+        // Validate threshold
         if ($threshold <= 0) {
-            throw new \InvalidArgumentException('Threshold must be greater than 0');
+            throw new \InvalidArgumentException('Target price must be greater than 0');
         }
 
-        if ($threshold <= $currentPrice) {
-            throw new \InvalidArgumentException('Threshold must be higher than current price');
+        if ($threshold > $currentPrice) {
+            throw new \InvalidArgumentException(
+                sprintf('Target price (%.2f) must not be above the current price (%.2f)', $threshold, $currentPrice)
+            );
         }
 
+        $data = [
+            'id' => $item->getUniqueIdentifier(),
+            'priceAlertThreshold' => $threshold,
+            'priceAlertActive' => true,
+            'priceAtAlert' => $currentPrice,
+            'priceAlertTriggeredAt' => null,
+        ];
+
         // Update item
-        $this->wishlistItemRepository->update([
-            [
-                'id' => $itemId,
-                'priceAlertThreshold' => $threshold,
-                'priceAlertActive' => true,
-                'priceAtAlert' => $currentPrice,
-            ],
-        ], $context);
+        $this->wishlistItemRepository->update([$data], $context);
+
+        // A new setup may notify again right away
+        $this->cache->deleteItem(sprintf('price_alert.notified.%s', $item->getUniqueIdentifier()));
 
         // Record initial price
         // $this->priceHistoryService->recordPrice(
-        //     $product->getId(),
+        //     $item->getProductId(),
         //     $currentPrice,
         //     $context
         // );
 
         $this->logger->info('Price alert setup', [
-            'itemId' => $itemId,
-            'productId' => $product->getId(),
+            'itemId' => $item->getUniqueIdentifier(),
+            'productId' => $item->getProductId(),
             'threshold' => $threshold,
             'currentPrice' => $currentPrice,
         ]);
+
+        return $this->formatAlertState($data, null !== $targetPrice);
+    }
+
+    /**
+     * Switch the price alert of an item off, the target price is kept for the next setup.
+     */
+    public function disableAlert(WishlistItemEntity $item, Context $context): array
+    {
+        $data = [
+            'id' => $item->getUniqueIdentifier(),
+            'priceAlertActive' => false,
+            'priceAlertTriggeredAt' => null,
+        ];
+
+        $this->wishlistItemRepository->update([$data], $context);
+
+        return $this->formatAlertState($data + [
+            'priceAlertThreshold' => $item->getPriceAlertThreshold(),
+            'priceAtAlert' => $item->getPriceAtAlert(),
+        ], null !== $item->getPriceAtAlert() && $item->getPriceAlertThreshold() !== $item->getPriceAtAlert());
+    }
+
+    /**
+     * Paginated items with a price alert for the admin, `active` ones still wait for a drop, `triggered` ones fired.
+     */
+    public function getAlerts(string $status, int $page, int $limit, Context $context): array
+    {
+        if (!\in_array($status, [self::STATUS_ACTIVE, self::STATUS_TRIGGERED], true)) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported price alert status "%s"', $status));
+        }
+
+        $page = max(1, $page);
+        $limit = max(1, min($limit, self::MAX_LIMIT));
+
+        $criteria = new Criteria();
+        $criteria->addAssociation('product');
+        $criteria->addAssociation('wishlist.customer');
+        $criteria->setLimit($limit);
+        $criteria->setOffset(($page - 1) * $limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        if (self::STATUS_ACTIVE === $status) {
+            $criteria->addFilter(new EqualsFilter('priceAlertActive', true));
+            $criteria->addFilter(new EqualsFilter('priceAlertTriggeredAt', null));
+            $criteria->addSorting(new FieldSorting('updatedAt', FieldSorting::DESCENDING));
+        } else {
+            $criteria->addFilter(new NotFilter(NotFilter::CONNECTION_AND, [
+                new EqualsFilter('priceAlertTriggeredAt', null),
+            ]));
+            $criteria->addSorting(new FieldSorting('priceAlertTriggeredAt', FieldSorting::DESCENDING));
+        }
+
+        $result = $this->wishlistItemRepository->search($criteria, $context);
+        $items = $result->getEntities()->getElements();
+        $pricesData = $this->priceCalculationService->calculateWishlistItemPrices(array_values($items), $context);
+
+        return [
+            'total' => $result->getTotal(),
+            'page' => $page,
+            'limit' => $limit,
+            'entries' => array_values(array_map(
+                fn (WishlistItemEntity $item) => $this->formatAlert($item, $pricesData[$item->getProductId()]['gross_price'] ?? null),
+                $items
+            )),
+        ];
+    }
+
+    /**
+     * Paginated send history, newest first, optionally of a single item.
+     */
+    public function getNotificationHistory(?string $itemId, int $page, int $limit, Context $context): array
+    {
+        $page = max(1, $page);
+        $limit = max(1, min($limit, self::MAX_LIMIT));
+
+        $criteria = new Criteria();
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+        $criteria->setLimit($limit);
+        $criteria->setOffset(($page - 1) * $limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        if (null !== $itemId) {
+            $criteria->addFilter(new EqualsFilter('wishlistItemId', $itemId));
+        }
+
+        $result = $this->priceAlertNotificationRepository->search($criteria, $context);
+
+        return [
+            'total' => $result->getTotal(),
+            'page' => $page,
+            'limit' => $limit,
+            'entries' => array_values(array_map(
+                fn (WishlistPriceAlertNotificationEntity $notification) => $this->formatNotification($notification),
+                $result->getEntities()->getElements()
+            )),
+        ];
+    }
+
+    /**
+     * Send the price alert mail of an item with the current price, marked as test.
+     * The alert itself is left untouched.
+     */
+    public function sendTestNotification(string $itemId, Context $context): array
+    {
+        $criteria = new Criteria([$itemId]);
+        $criteria->addAssociation('product');
+        $criteria->addAssociation('wishlist.customer');
+
+        /** @var WishlistItemEntity|null $item */
+        $item = $this->wishlistItemRepository->search($criteria, $context)->first();
+        if (!$item) {
+            throw new WishlistItemNotFoundException('Item not found', ['itemId' => $itemId]);
+        }
+
+        $currentPrice = $this->getCurrentPrice($item, $context);
+        $oldPrice = $item->getPriceAtAlert() ?? $item->getPriceAlertThreshold() ?? $currentPrice;
+
+        $sent = $this->notificationService->sendPriceAlertNotification($item, $oldPrice, $currentPrice, $context, true);
+
+        return [
+            'success' => $sent,
+            'itemId' => $itemId,
+            'oldPrice' => $oldPrice,
+            'newPrice' => $currentPrice,
+        ];
     }
 
     /**
@@ -326,19 +484,81 @@ class PriceMonitorService
     }
 
     /**
-     * Helper: Get current price for product.
+     * Helper: Get current price for the product of an item, the same way the scheduled check does.
      */
     private function getCurrentPrice(
-        ProductEntity $product,
+        WishlistItemEntity $item,
         Context $context,
     ): float {
-        $price = $product->getCheapestPrice();
+        $pricesData = $this->priceCalculationService->calculateWishlistItemPrices([$item], $context);
+        $price = $pricesData[$item->getProductId()]['gross_price'] ?? null;
 
         if (!$price) {
-            throw new \RuntimeException('No price found for product: '.$product->getId());
+            throw new \RuntimeException('No price found for product: '.$item->getProductId());
         }
 
-        return $price->getGross();
+        return (float) $price;
+    }
+
+    /**
+     * Helper: Alert state of an item for the storefront.
+     */
+    private function formatAlertState(array $data, bool $hasTargetPrice): array
+    {
+        return [
+            'itemId' => $data['id'],
+            'active' => (bool) $data['priceAlertActive'],
+            'targetPrice' => $hasTargetPrice ? $data['priceAlertThreshold'] : null,
+            'priceAtAlert' => $data['priceAtAlert'],
+        ];
+    }
+
+    private function formatAlert(WishlistItemEntity $item, ?float $currentPrice): array
+    {
+        $wishlist = $item->getWishlist();
+        $customer = $wishlist?->getCustomer();
+        $product = $item->getProduct();
+
+        return [
+            'itemId' => $item->getUniqueIdentifier(),
+            'wishlistId' => $item->getWishlistId(),
+            'wishlistName' => $wishlist?->name,
+            'customerId' => $customer?->getId(),
+            'customerName' => $customer ? $customer->getFirstName().' '.$customer->getLastName() : null,
+            'customerEmail' => $customer?->getEmail(),
+            'productId' => $item->getProductId(),
+            'productName' => $product?->getTranslation('name') ?? $product?->getName(),
+            'productNumber' => $product?->getProductNumber(),
+            'threshold' => $item->getPriceAlertThreshold(),
+            'priceAtAlert' => $item->getPriceAtAlert(),
+            'currentPrice' => $currentPrice,
+            'triggeredAt' => $item->getPriceAlertTriggeredAt()?->format(\DateTimeInterface::ATOM),
+        ];
+    }
+
+    private function formatNotification(WishlistPriceAlertNotificationEntity $notification): array
+    {
+        $payload = $notification->getPayload() ?? [];
+
+        return [
+            'id' => $notification->getUniqueIdentifier(),
+            'itemId' => $notification->getWishlistItemId(),
+            'wishlistId' => $notification->getWishlistId(),
+            'wishlistName' => $payload['wishlistName'] ?? null,
+            'customerId' => $notification->getCustomerId(),
+            'customerName' => $payload['customerName'] ?? null,
+            'recipient' => $notification->getRecipient(),
+            'productId' => $notification->getProductId(),
+            'productName' => $payload['productName'] ?? null,
+            'productNumber' => $payload['productNumber'] ?? null,
+            'threshold' => $notification->getThreshold(),
+            'oldPrice' => $notification->getOldPrice(),
+            'newPrice' => $notification->getNewPrice(),
+            'isTest' => $notification->isTest(),
+            'status' => $notification->getStatus(),
+            'error' => $notification->getError(),
+            'sentAt' => $notification->getCreatedAt()?->format(\DateTimeInterface::ATOM),
+        ];
     }
 
     /**
@@ -348,7 +568,7 @@ class PriceMonitorService
     {
         $cacheKey = sprintf('price_alert.notified.%s', $itemId);
 
-        return $this->cache->has($cacheKey);
+        return $this->cache->hasItem($cacheKey);
     }
 
     /**
@@ -359,10 +579,13 @@ class PriceMonitorService
         $cacheKey = sprintf('price_alert.notified.%s', $itemId);
 
         // Prevent duplicate notifications for 24 hours
-        $this->cache->set($cacheKey, [
+        $cacheItem = $this->cache->getItem($cacheKey);
+        $cacheItem->set([
             'price' => $price,
             'timestamp' => time(),
-        ], 86400);
+        ]);
+        $cacheItem->expiresAfter(86400);
+        $this->cache->save($cacheItem);
     }
 
     /**
@@ -406,9 +629,9 @@ class PriceMonitorService
                     throw new \RuntimeException('Could not determine current price');
                 }
 
-                if ($threshold <= $currentPrice) {
+                if ($threshold > $currentPrice) {
                     throw new \InvalidArgumentException(
-                        sprintf('Threshold (%.2f) must be higher than current price (%.2f)', $threshold, $currentPrice)
+                        sprintf('Threshold (%.2f) must not be above the current price (%.2f)', $threshold, $currentPrice)
                     );
                 }
 
@@ -417,6 +640,7 @@ class PriceMonitorService
                     'priceAlertThreshold' => $threshold,
                     'priceAlertActive' => true,
                     'priceAtAlert' => $currentPrice,
+                    'priceAlertTriggeredAt' => null,
                 ];
 
                 $results[] = [
@@ -0,0 +1,185 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Service\NotificationService;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Back-in-stock subscriptions of wishlist items.
+ * A subscription stays pending until the available stock of the product reaches the configured threshold,
+ * then the customer is mailed once.
+ */
+class StockMonitorService
+{
+    public const string THRESHOLD_CONFIG_KEY = 'AdvancedWishlist.config.backInStockThreshold';
+
+    private const int BATCH_SIZE = 100;
+
+    public function __construct(
+        private EntityRepository $wishlistItemRepository,
+        private NotificationService $notificationService,
+        private SystemConfigService $systemConfigService,
+        private LoggerInterface $logger,
+    ) {
+    }
+
+    /**
+     * Subscribe to the back-in-stock mail of an item, only possible while its product is out of stock.
+     * The item needs `product` and `wishlist` loaded.
+     *
+     * @throws \InvalidArgumentException When the product is in stock
+     *
+     * @return array Subscription state as returned by formatSubscription()
+     */
+    public function subscribe(WishlistItemEntity $item, Context $context): array
+    {
+        $product = $item->getProduct();
+        if (!$product) {
+            throw new \RuntimeException('The product of the item no longer exists');
+        }
+
+        if ($this->isInStock($product, $item->getWishlist()?->salesChannelId)) {
+            throw new \InvalidArgumentException('The product is in stock');
+        }
+
+        $data = [
+            'id' => $item->getUniqueIdentifier(),
+            'stockAlertActive' => true,
+            'stockAlertSubscribedAt' => new \DateTimeImmutable(),
+            'stockAlertNotifiedAt' => null,
+        ];
+
+        $this->wishlistItemRepository->update([$data], $context);
+
+        $this->logger->info('Back-in-stock subscription created', [
+            'itemId' => $item->getUniqueIdentifier(),
+            'productId' => $item->getProductId(),
+        ]);
+
+        return $this->formatSubscription($data);
+    }
+
+    /**
+     * Cancel the back-in-stock subscription of an item.
+     */
+    public function unsubscribe(WishlistItemEntity $item, Context $context): array
+    {
+        $data = [
+            'id' => $item->getUniqueIdentifier(),
+            'stockAlertActive' => false,
+            'stockAlertSubscribedAt' => null,
+            'stockAlertNotifiedAt' => null,
+        ];
+
+        $this->wishlistItemRepository->update([$data], $context);
+
+        return $this->formatSubscription($data);
+    }
+
+    /**
+     * Mail the customers of all pending subscriptions whose product is back in stock.
+     * Subscriptions whose mail could not be sent stay pending and are retried on the next run.
+     */
+    public function checkStockAlerts(Context $context): array
+    {
+        $processed = 0;
+        $notified = 0;
+        $offset = 0;
+
+        do {
+            $criteria = new Criteria();
+            $criteria->addFilter(new EqualsFilter('stockAlertActive', true));
+            $criteria->addFilter(new EqualsFilter('stockAlertNotifiedAt', null));
+            $criteria->addAssociation('product');
+            $criteria->addAssociation('wishlist.customer');
+            $criteria->addSorting(new FieldSorting('id'));
+            $criteria->setLimit(self::BATCH_SIZE);
+            $criteria->setOffset($offset);
+
+            $items = $this->wishlistItemRepository->search($criteria, $context);
+
+            $notifiedInBatch = 0;
+            /** @var WishlistItemEntity $item */
+            foreach ($items as $item) {
+                ++$processed;
+
+                try {
+                    $product = $item->getProduct();
+                    if (!$product || !$this->isInStock($product, $item->getWishlist()?->salesChannelId)) {
+                        continue;
+                    }
+
+                    if (!$this->notificationService->sendBackInStockNotification($item, (int) $product->getAvailableStock(), $context)) {
+                        continue;
+                    }
+
+                    $this->wishlistItemRepository->update([[
+                        'id' => $item->getUniqueIdentifier(),
+                        'stockAlertNotifiedAt' => new \DateTimeImmutable(),
+                    ]], $context);
+
+                    ++$notified;
+                    ++$notifiedInBatch;
+                } catch (\Exception $e) {
+                    $this->logger->error('Failed to check back-in-stock subscription', [
+                        'itemId' => $item->getUniqueIdentifier(),
+                        'productId' => $item->getProductId(),
+                        'error' => $e->getMessage(),
+                    ]);
+                }
+            }
+
+            // Notified items drop out of the filter, the next batch starts that much earlier
+            $offset += self::BATCH_SIZE - $notifiedInBatch;
+        } while (self::BATCH_SIZE === $items->count());
+
+        $this->logger->info('Back-in-stock subscriptions checked', [
+            'processed' => $processed,
+            'notified' => $notified,
+        ]);
+
+        return [
+            'processed' => $processed,
+            'notified' => $notified,
+        ];
+    }
+
+    /**
+     * A product counts as in stock when it is active and its available stock reached the threshold
+     * of the sales channel, closeout or not.
+     */
+    public function isInStock(ProductEntity $product, ?string $salesChannelId = null): bool
+    {
+        if (false === $product->getActive()) {
+            return false;
+        }
+
+        return (int) $product->getAvailableStock() >= $this->getThreshold($salesChannelId);
+    }
+
+    private function getThreshold(?string $salesChannelId): int
+    {
+        return max(1, $this->systemConfigService->getInt(self::THRESHOLD_CONFIG_KEY, $salesChannelId));
+    }
+
+    private function formatSubscription(array $data): array
+    {
+        return [
+            'itemId' => $data['id'],
+            'active' => (bool) $data['stockAlertActive'],
+            'pending' => (bool) $data['stockAlertActive'] && null === $data['stockAlertNotifiedAt'],
+            'subscribedAt' => $data['stockAlertSubscribedAt']?->format(\DateTimeInterface::ATOM),
+        ];
+    }
+}
@@ -0,0 +1,406 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use AdvancedWishlist\Core\Content\WishlistActivity\WishlistActivityEntity;
+use AdvancedWishlist\Core\Content\WishlistShareView\WishlistShareViewEntity;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use Doctrine\DBAL\Connection;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\NotFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Activity timeline and statistics of a single wishlist for the administration.
+ * Item changes are logged in `wishlist_activity`, share events are read from the shares and their views.
+ * Purchases are orders of customers who viewed a share, placed after the view and containing products of the wishlist.
+ */
+class WishlistActivityService
+{
+    public const string TYPE_ITEM_ADDED = 'item_added';
+    public const string TYPE_ITEM_REMOVED = 'item_removed';
+    public const string TYPE_QUANTITY_CHANGED = 'quantity_changed';
+    public const string TYPE_SHARE_CREATED = 'share_created';
+    public const string TYPE_SHARE_REVOKED = 'share_revoked';
+    public const string TYPE_SHARE_VIEWED = 'share_viewed';
+    public const string TYPE_PURCHASE = 'purchase';
+
+    public const array TYPES = [
+        self::TYPE_ITEM_ADDED,
+        self::TYPE_ITEM_REMOVED,
+        self::TYPE_QUANTITY_CHANGED,
+        self::TYPE_SHARE_CREATED,
+        self::TYPE_SHARE_REVOKED,
+        self::TYPE_SHARE_VIEWED,
+        self::TYPE_PURCHASE,
+    ];
+
+    public const int MAX_LIMIT = 100;
+
+    private const array LOGGED_TYPES = [
+        self::TYPE_ITEM_ADDED,
+        self::TYPE_ITEM_REMOVED,
+        self::TYPE_QUANTITY_CHANGED,
+    ];
+
+    public function __construct(
+        private readonly EntityRepository $wishlistRepository,
+        private readonly EntityRepository $wishlistActivityRepository,
+        private readonly EntityRepository $wishlistShareRepository,
+        private readonly EntityRepository $wishlistShareViewRepository,
+        private readonly Connection $connection,
+        private readonly LoggerInterface $logger,
+    ) {
+    }
+
+    /**
+     * Log an item change. Failures are only logged, the activity log must never break the change itself.
+     *
+     * @param array{productId?: ?string, quantity?: ?int, previousQuantity?: ?int, payload?: ?array} $data
+     */
+    public function record(string $wishlistId, string $type, array $data, Context $context): void
+    {
+        if (!\in_array($type, self::LOGGED_TYPES, true)) {
+            throw new \InvalidArgumentException(\sprintf('Activity type "%s" is not logged', $type));
+        }
+
+        try {
+            $this->wishlistActivityRepository->create([[
+                'id' => Uuid::randomHex(),
+                'wishlistId' => $wishlistId,
+                'type' => $type,
+                'productId' => $data['productId'] ?? null,
+                'quantity' => $data['quantity'] ?? null,
+                'previousQuantity' => $data['previousQuantity'] ?? null,
+                'payload' => $data['payload'] ?? null,
+                'createdAt' => (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT),
+            ]], $context);
+        } catch (\Throwable $e) {
+            $this->logger->warning('Failed to record wishlist activity', [
+                'wishlistId' => $wishlistId,
+                'type' => $type,
+                'error' => $e->getMessage(),
+            ]);
+        }
+    }
+
+    /**
+     * One page of the timeline, newest first.
+     *
+     * @param string[] $types Empty for all types
+     *
+     * @return array{total: int, page: int, limit: int, entries: list<array<string, mixed>>}
+     */
+    public function getActivity(
+        string $wishlistId,
+        array $types,
+        ?\DateTimeInterface $from,
+        ?\DateTimeInterface $to,
+        int $page,
+        int $limit,
+        Context $context,
+    ): array {
+        $this->loadWishlist($wishlistId, $context);
+
+        $unknownTypes = array_diff($types, self::TYPES);
+        if ($unknownTypes !== []) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported activity type "%s"', reset($unknownTypes)));
+        }
+
+        $types = $types === [] ? self::TYPES : array_values(array_unique($types));
+        $page = max(1, $page);
+        $limit = max(1, min($limit, self::MAX_LIMIT));
+
+        // Every source is cut at the end of the requested page, the merged list is sliced afterwards
+        $fetch = $page * $limit;
+        $total = 0;
+        $entries = [];
+
+        $loggedTypes = array_values(array_intersect($types, self::LOGGED_TYPES));
+        if ($loggedTypes !== []) {
+            $criteria = $this->createTimelineCriteria('createdAt', $from, $to, $fetch);
+            $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+            $criteria->addFilter(new EqualsAnyFilter('type', $loggedTypes));
+
+            $result = $this->wishlistActivityRepository->search($criteria, $context);
+            $total += $result->getTotal();
+
+            /** @var WishlistActivityEntity $activity */
+            foreach ($result->getEntities() as $activity) {
+                $entries[] = $this->formatActivity($activity);
+            }
+        }
+
+        if (\in_array(self::TYPE_SHARE_CREATED, $types, true)) {
+            $criteria = $this->createTimelineCriteria('createdAt', $from, $to, $fetch);
+            $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+
+            $result = $this->wishlistShareRepository->search($criteria, $context);
+            $total += $result->getTotal();
+
+            foreach ($result->getEntities() as $share) {
+                $entries[] = $this->formatShare($share, self::TYPE_SHARE_CREATED, $share->getCreatedAt());
+            }
+        }
+
+        if (\in_array(self::TYPE_SHARE_REVOKED, $types, true)) {
+            $criteria = $this->createTimelineCriteria('revokedAt', $from, $to, $fetch);
+            $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+            $criteria->addFilter(new NotFilter(NotFilter::CONNECTION_AND, [new EqualsFilter('revokedAt', null)]));
+
+            $result = $this->wishlistShareRepository->search($criteria, $context);
+            $total += $result->getTotal();
+
+            foreach ($result->getEntities() as $share) {
+                $entries[] = $this->formatShare($share, self::TYPE_SHARE_REVOKED, $share->getRevokedAt());
+            }
+        }
+
+        if (\in_array(self::TYPE_SHARE_VIEWED, $types, true)) {
+            $criteria = $this->createTimelineCriteria('viewedAt', $from, $to, $fetch);
+            $criteria->addFilter(new EqualsFilter('share.wishlistId', $wishlistId));
+
+            $result = $this->wishlistShareViewRepository->search($criteria, $context);
+            $total += $result->getTotal();
+
+            foreach ($result->getEntities() as $view) {
+                $entries[] = $this->formatShareView($view);
+            }
+        }
+
+        if (\in_array(self::TYPE_PURCHASE, $types, true)) {
+            [$sql, $parameters] = $this->buildPurchaseQuery($wishlistId, $from, $to);
+
+            $total += (int) $this->connection->fetchOne('SELECT COUNT(DISTINCT ord.`id`) ' . $sql, $parameters);
+
+            $purchases = $this->connection->fetchAllAssociative(
+                'SELECT LOWER(HEX(ord.`id`)) AS `order_id`, ord.`order_number`, ord.`order_date_time`,
+                    LOWER(HEX(order_customer.`customer_id`)) AS `customer_id`, SUM(line_item.`total_price`) AS `purchase_value` '
+                . $sql
+                . ' GROUP BY ord.`id`, ord.`order_number`, ord.`order_date_time`, order_customer.`customer_id`
+                    ORDER BY ord.`order_date_time` DESC LIMIT ' . $fetch,
+                $parameters
+            );
+
+            foreach ($purchases as $purchase) {
+                $entries[] = $this->formatPurchase($purchase);
+            }
+        }
+
+        usort($entries, fn (array $a, array $b) => strcmp($b['occurredAt'], $a['occurredAt']));
+
+        return [
+            'total' => $total,
+            'page' => $page,
+            'limit' => $limit,
+            'entries' => \array_slice($entries, ($page - 1) * $limit, $limit),
+        ];
+    }
+
+    /**
+     * View and conversion totals over all shares of the wishlist.
+     *
+     * @return array<string, mixed>
+     */
+    public function getStats(string $wishlistId, Context $context): array
+    {
+        $wishlist = $this->loadWishlist($wishlistId, $context);
+
+        $shareCriteria = new Criteria();
+        $shareCriteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+        $shares = $this->wishlistShareRepository->search($shareCriteria, $context)->getEntities();
+
+        $views = 0;
+        $uniqueViews = 0;
+        $conversions = 0;
+        $activeShares = 0;
+        $lastViewedAt = null;
+
+        /** @var WishlistShareEntity $share */
+        foreach ($shares as $share) {
+            $views += $share->getViews();
+            $uniqueViews += $share->getUniqueViews();
+            $conversions += $share->getConversions();
+
+            if ($share->isActive() && $share->getRevokedAt() === null) {
+                ++$activeShares;
+            }
+
+            if ($share->getLastViewedAt() !== null && ($lastViewedAt === null || $share->getLastViewedAt() > $lastViewedAt)) {
+                $lastViewedAt = $share->getLastViewedAt();
+            }
+        }
+
+        [$sql, $parameters] = $this->buildPurchaseQuery($wishlistId, null, null);
+        $purchaseValue = $this->connection->fetchOne('SELECT SUM(line_item.`total_price`) ' . $sql, $parameters);
+
+        return [
+            'itemCount' => $wishlist->getItems()?->count() ?? 0,
+            'shareCount' => $shares->count(),
+            'activeShareCount' => $activeShares,
+            'views' => $views,
+            'uniqueViews' => $uniqueViews,
+            'conversions' => $conversions,
+            'conversionRate' => $uniqueViews > 0 ? round($conversions / $uniqueViews * 100, 2) : 0.0,
+            'purchaseValue' => round((float) $purchaseValue, 2),
+            'lastViewedAt' => $lastViewedAt?->format(\DateTimeInterface::ATOM),
+        ];
+    }
+
+    private function loadWishlist(string $wishlistId, Context $context): WishlistEntity
+    {
+        $criteria = new Criteria([$wishlistId]);
+        $criteria->addAssociation('items');
+
+        $wishlist = $this->wishlistRepository->search($criteria, $context)->first();
+
+        if (!$wishlist) {
+            throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $wishlistId]);
+        }
+
+        return $wishlist;
+    }
+
+    /**
+     * Line items of wishlist products in orders placed after the customer viewed one of the wishlist's shares.
+     *
+     * @return array{0: string, 1: array<string, mixed>} FROM and WHERE part of the query and its parameters
+     */
+    private function buildPurchaseQuery(string $wishlistId, ?\DateTimeInterface $from, ?\DateTimeInterface $to): array
+    {
+        $sql = <<<'SQL'
+            FROM `order` ord
+            INNER JOIN `order_customer` order_customer
+                ON order_customer.`order_id` = ord.`id` AND order_customer.`order_version_id` = ord.`version_id`
+            INNER JOIN `order_line_item` line_item
+                ON line_item.`order_id` = ord.`id` AND line_item.`order_version_id` = ord.`version_id`
+            WHERE ord.`version_id` = :versionId
+                AND line_item.`product_id` IN (
+                    SELECT item.`product_id` FROM `wishlist_item` item WHERE item.`wishlist_id` = :wishlistId
+                )
+                AND EXISTS (
+                    SELECT 1 FROM `wishlist_share_view` share_view
+                    INNER JOIN `wishlist_share` share ON share.`id` = share_view.`share_id`
+                    WHERE share.`wishlist_id` = :wishlistId
+                        AND share_view.`customer_id` = order_customer.`customer_id`
+                        AND share_view.`viewed_at` <= ord.`order_date_time`
+                )
+            SQL;
+
+        $parameters = [
+            'versionId' => Uuid::fromHexToBytes(Defaults::LIVE_VERSION),
+            'wishlistId' => Uuid::fromHexToBytes($wishlistId),
+        ];
+
+        if ($from !== null) {
+            $sql .= ' AND ord.`order_date_time` >= :from';
+            $parameters['from'] = \DateTimeImmutable::createFromInterface($from)->setTime(0, 0)->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+        }
+        if ($to !== null) {
+            $sql .= ' AND ord.`order_date_time` <= :to';
+            $parameters['to'] = \DateTimeImmutable::createFromInterface($to)->setTime(23, 59, 59)->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+        }
+
+        return [$sql, $parameters];
+    }
+
+    private function createTimelineCriteria(string $dateField, ?\DateTimeInterface $from, ?\DateTimeInterface $to, int $limit): Criteria
+    {
+        $criteria = new Criteria();
+        $criteria->setLimit($limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+        $criteria->addSorting(new FieldSorting($dateField, 'DESC'));
+
+        $range = [];
+        if ($from !== null) {
+            $range[RangeFilter::GTE] = \DateTimeImmutable::createFromInterface($from)->setTime(0, 0)->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+        }
+        if ($to !== null) {
+            $range[RangeFilter::LTE] = \DateTimeImmutable::createFromInterface($to)->setTime(23, 59, 59)->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+        }
+        if ($range !== []) {
+            $criteria->addFilter(new RangeFilter($dateField, $range));
+        }
+
+        return $criteria;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatActivity(WishlistActivityEntity $activity): array
+    {
+        $payload = $activity->getPayload() ?? [];
+
+        return [
+            'id' => $activity->getUniqueIdentifier(),
+            'type' => $activity->getType(),
+            'occurredAt' => $activity->getCreatedAt()?->format(\DateTimeInterface::ATOM),
+            'productId' => $activity->getProductId(),
+            'productName' => $payload['productName'] ?? null,
+            'productNumber' => $payload['productNumber'] ?? null,
+            'quantity' => $activity->getQuantity(),
+            'previousQuantity' => $activity->getPreviousQuantity(),
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatShare(WishlistShareEntity $share, string $type, ?\DateTimeInterface $occurredAt): array
+    {
+        return [
+            'id' => $share->getUniqueIdentifier() . '-' . $type,
+            'type' => $type,
+            'occurredAt' => $occurredAt?->format(\DateTimeInterface::ATOM),
+            'shareId' => $share->getUniqueIdentifier(),
+            'shareType' => $share->getType(),
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatShareView(WishlistShareViewEntity $view): array
+    {
+        return [
+            'id' => $view->getUniqueIdentifier() . '-' . self::TYPE_SHARE_VIEWED,
+            'type' => self::TYPE_SHARE_VIEWED,
+            'occurredAt' => $view->getViewedAt()->format(\DateTimeInterface::ATOM),
+            'shareId' => $view->getShareId(),
+            'customerId' => $view->getCustomerId(),
+            'deviceType' => $view->getDeviceType(),
+            'countryCode' => $view->getCountryCode(),
+        ];
+    }
+
+    /**
+     * @param array<string, mixed> $purchase
+     *
+     * @return array<string, mixed>
+     */
+    private function formatPurchase(array $purchase): array
+    {
+        return [
+            'id' => $purchase['order_id'] . '-' . self::TYPE_PURCHASE,
+            'type' => self::TYPE_PURCHASE,
+            'occurredAt' => (new \DateTimeImmutable($purchase['order_date_time'], new \DateTimeZone('UTC')))->format(\DateTimeInterface::ATOM),
+            'orderId' => $purchase['order_id'],
+            'orderNumber' => $purchase['order_number'],
+            'customerId' => $purchase['customer_id'],
+            'purchaseValue' => round((float) $purchase['purchase_value'], 2),
+        ];
+    }
+}
@@ -15,9 +15,11 @@ use AdvancedWishlist\Core\Event\WishlistUpdatedEvent;
 use AdvancedWishlist\Core\Exception\CannotDeleteDefaultWishlistException;
 use AdvancedWishlist\Core\Exception\OptimisticLockException;
 use AdvancedWishlist\Core\Exception\WishlistException;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
 use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
 use AdvancedWishlist\Core\Message\WishlistCreatedMessage;
 use AdvancedWishlist\Service\ShareService;
+use Doctrine\DBAL\Connection;
 use Psr\Log\LoggerInterface;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
@@ -33,8 +35,6 @@ use Symfony\Contracts\EventDispatcher\EventDispatcherInterface;
  */
 class WishlistCrudService
 {
-    private const int MAX_ITEMS_PER_WISHLIST = 100;
-
     /**
      * @param EntityRepository         $wishlistRepository Repository for wishlist entities
      * @param WishlistValidator        $validator          Service for validating wishlist operations
@@ -44,6 +44,8 @@ class WishlistCrudService
      * @param MessageBusInterface      $messageBus         Message bus for async operations
      * @param LoggerInterface          $logger             Logger for wishlist operations
      * @param ShareService             $shareService       Service for managing wishlist sharing
+     * @param WishlistVersionService   $versionService     Service for the optimistic locking of saves
+     * @param Connection               $connection         Database connection for transactions
      */
     public function __construct(
         private readonly EntityRepository $wishlistRepository,
@@ -55,6 +57,8 @@ class WishlistCrudService
         private readonly LoggerInterface $logger,
         private readonly ShareService $shareService,
         private readonly WishlistBuilder $wishlistBuilder,
+        private readonly WishlistVersionService $versionService,
+        private readonly Connection $connection,
     ) {
     }
 
@@ -160,6 +164,11 @@ class WishlistCrudService
                 'executionTimeMs' => round($totalTime * 1000, 2),
             ]);
 
+            // Kept as is so callers can tell the customer about the limit
+            if ($e instanceof WishlistLimitExceededException) {
+                throw $e;
+            }
+
             throw new WishlistException('Failed to create wishlist: '.$e->getMessage(), 0, $e);
         }
     }
@@ -171,6 +180,19 @@ class WishlistCrudService
         UpdateWishlistRequest $request,
         Context $context,
     ): WishlistResponse {
+        return WishlistResponse::fromEntity($this->saveWishlist($request, $context));
+    }
+
+    /**
+     * Update existing wishlist with optimistic locking.
+     * Returns the wishlist as stored, with the version a following save has to be based on.
+     *
+     * @throws OptimisticLockException When the wishlist was saved since the version of the request
+     */
+    public function saveWishlist(
+        UpdateWishlistRequest $request,
+        Context $context,
+    ): WishlistEntity {
         // Start performance monitoring
         $startTime = microtime(true);
 
@@ -193,10 +215,10 @@ class WishlistCrudService
             $this->validator->validateUpdateRequest($request, $wishlist, $context);
             $validationTime = microtime(true) - $validationStartTime;
 
-            // 3. Check version for optimistic locking
+            // 3. Check version for optimistic locking, fails early before anything is written
             $lockingStartTime = microtime(true);
-            if ($request->getVersion() && $request->getVersion() !== $wishlist->getVersion()) {
-                throw new OptimisticLockException('Wishlist was modified by another process', ['currentVersion' => $wishlist->getVersion()]);
+            if (null !== $request->getVersion() && $request->getVersion() !== $wishlist->getVersion()) {
+                throw new OptimisticLockException('Wishlist was modified by another process', ['expectedVersion' => $request->getVersion(), 'currentVersion' => $wishlist->getVersion()]);
             }
             $lockingTime = microtime(true) - $lockingStartTime;
 
@@ -204,19 +226,25 @@ class WishlistCrudService
             $updateData = $request->toArray();
 
             if (empty($updateData)) {
-                return WishlistResponse::fromEntity($wishlist);
+                return $wishlist;
             }
 
-            // 5. Update wishlist
+            // 5. Update wishlist, the version is raised in the same transaction
+            // so a concurrent save of the same version rolls this one back
             $updateStartTime = microtime(true);
-            $this->wishlistRepository->update([array_merge(['id' => $request->getWishlistId()], $updateData)], $context);
+            $updatedWishlist = $this->connection->transactional(function () use ($request, $updateData, $context): WishlistEntity {
+                $this->wishlistRepository->update([array_merge(['id' => $request->getWishlistId()], $updateData)], $context);
+                $this->versionService->raiseVersion($request->getWishlistId(), $request->getVersion());
+
+                // 6. Reload wishlist before the commit, a later save cannot have raised the version yet.
+                // Read past the cache, it is only cleared after the commit
+                return $this->wishlistRepository->search(
+                    (new Criteria([$request->getWishlistId()]))->addAssociation('items'),
+                    $context
+                )->first();
+            });
             $updateTime = microtime(true) - $updateStartTime;
 
-            // 6. Reload wishlist
-            $reloadStartTime = microtime(true);
-            $updatedWishlist = $this->loadWishlist($request->getWishlistId(), $context);
-            $reloadTime = microtime(true) - $reloadStartTime;
-
             // 7. Clear cache
             $cacheStartTime = microtime(true);
             $this->cacheService->invalidateWishlistCache($request->getWishlistId());
@@ -240,13 +268,12 @@ class WishlistCrudService
                     'validationTimeMs' => round($validationTime * 1000, 2),
                     'lockingTimeMs' => round($lockingTime * 1000, 2),
                     'updateTimeMs' => round($updateTime * 1000, 2),
-                    'reloadTimeMs' => round($reloadTime * 1000, 2),
                     'cacheTimeMs' => round($cacheTime * 1000, 2),
                     'eventTimeMs' => round($eventTime * 1000, 2),
                 ],
             ]);
 
-            return WishlistResponse::fromEntity($updatedWishlist);
+            return $updatedWishlist;
         } catch (\Exception $e) {
             // Calculate total execution time for failed operation
             $totalTime = microtime(true) - $startTime;
@@ -486,7 +513,7 @@ class WishlistCrudService
         }
 
         // Check target wishlist capacity
-        $availableCapacity = self::MAX_ITEMS_PER_WISHLIST - $targetWishlist->getItems()->count();
+        $availableCapacity = $this->limitService->getWishlistLimits($targetWishlistId, $context)['maxItemsPerWishlist'] - $targetWishlist->getItems()->count();
         if ($availableCapacity < $sourceItems->count()) {
             $this->logger->warning('Not all items could be transferred due to wishlist capacity limit', [
                 'sourceWishlistId' => $sourceWishlist->getId(),
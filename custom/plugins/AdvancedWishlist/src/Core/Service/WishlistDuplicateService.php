@@ -0,0 +1,177 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use AdvancedWishlist\Core\Event\WishlistCreatedEvent;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Service\ShareService;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Checkout\Customer\CustomerEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Copies a wishlist with its items, and optionally its shares, in a single write.
+ * Items keep their quantity, note, priority, price alert and addition date, so the copy is ordered like the original.
+ * Used by the administration and the storefront.
+ */
+class WishlistDuplicateService
+{
+    private const int MAX_NAME_LENGTH = 255;
+
+    public function __construct(
+        private readonly EntityRepository $wishlistRepository,
+        private readonly EntityRepository $customerRepository,
+        private readonly WishlistLimitService $limitService,
+        private readonly ShareService $shareService,
+        private readonly WishlistCacheService $cacheService,
+        private readonly EventDispatcherInterface $eventDispatcher,
+        private readonly LoggerInterface $logger,
+    ) {
+    }
+
+    /**
+     * Duplicate a wishlist. The copy is never the default wishlist of its customer.
+     *
+     * @param array{name?: ?string, customerId?: ?string, includeShares?: bool} $options Name and customer of the copy default to the ones of the original
+     *
+     * @return array<string, mixed>
+     */
+    public function duplicate(string $wishlistId, array $options, Context $context): array
+    {
+        $source = $this->loadSource($wishlistId, $context);
+
+        $name = trim((string) ($options['name'] ?? ''));
+        if ($name === '') {
+            $name = $source->name;
+        }
+
+        if (mb_strlen($name) < 2 || mb_strlen($name) > self::MAX_NAME_LENGTH) {
+            throw new \InvalidArgumentException(\sprintf('The name must be between 2 and %d characters long', self::MAX_NAME_LENGTH));
+        }
+
+        $customerId = $options['customerId'] ?? null;
+        $customerId = \is_string($customerId) && $customerId !== '' ? $customerId : $source->getCustomerId();
+        $salesChannelId = $source->salesChannelId;
+
+        if ($customerId !== $source->getCustomerId()) {
+            $salesChannelId = $this->loadCustomer($customerId, $context)->getSalesChannelId();
+        }
+
+        $this->limitService->checkCustomerWishlistLimit($customerId, $context);
+
+        $duplicateId = Uuid::randomHex();
+        $includeShares = (bool) ($options['includeShares'] ?? false);
+
+        $items = array_map(
+            fn (WishlistItemEntity $item) => $this->buildItemCopy($item, $duplicateId),
+            array_values($source->getItems()?->getElements() ?? [])
+        );
+
+        $shares = [];
+        if ($includeShares) {
+            foreach ($source->getShareInfo() ?? [] as $share) {
+                /** @var WishlistShareEntity $share */
+                if ($share->getRevokedAt() === null) {
+                    $shares[] = $this->shareService->buildShareCopy($share, $duplicateId);
+                }
+            }
+        }
+
+        $this->wishlistRepository->create([[
+            'id' => $duplicateId,
+            'customerId' => $customerId,
+            'salesChannelId' => $salesChannelId,
+            'languageId' => $source->languageId,
+            'name' => $name,
+            'description' => $source->description,
+            'type' => $source->type,
+            'isDefault' => false,
+            'itemCount' => \count($items),
+            'totalValue' => $source->totalValue,
+            'createdAt' => new \DateTime(),
+            'items' => $items,
+            'shareInfo' => $shares,
+        ]], $context);
+
+        $this->cacheService->invalidateCustomerCache($customerId);
+
+        $duplicate = $this->wishlistRepository->search(new Criteria([$duplicateId]), $context)->first();
+        if ($duplicate instanceof WishlistEntity) {
+            $this->eventDispatcher->dispatch(new WishlistCreatedEvent($duplicate, $context));
+        }
+
+        $this->logger->info('Wishlist duplicated', [
+            'sourceId' => $wishlistId,
+            'wishlistId' => $duplicateId,
+            'customerId' => $customerId,
+            'items' => \count($items),
+            'shares' => \count($shares),
+        ]);
+
+        return [
+            'id' => $duplicateId,
+            'sourceId' => $wishlistId,
+            'name' => $name,
+            'customerId' => $customerId,
+            'itemCount' => \count($items),
+            'shareCount' => \count($shares),
+        ];
+    }
+
+    private function loadSource(string $wishlistId, Context $context): WishlistEntity
+    {
+        $criteria = new Criteria([$wishlistId]);
+        $criteria->addAssociation('items');
+        $criteria->addAssociation('shareInfo');
+
+        $wishlist = $this->wishlistRepository->search($criteria, $context)->first();
+
+        if (!$wishlist instanceof WishlistEntity) {
+            throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $wishlistId]);
+        }
+
+        return $wishlist;
+    }
+
+    private function loadCustomer(string $customerId, Context $context): CustomerEntity
+    {
+        $customer = Uuid::isValid($customerId)
+            ? $this->customerRepository->search(new Criteria([$customerId]), $context)->first()
+            : null;
+
+        if (!$customer instanceof CustomerEntity) {
+            throw new \InvalidArgumentException(\sprintf('Customer "%s" not found', $customerId));
+        }
+
+        return $customer;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function buildItemCopy(WishlistItemEntity $item, string $wishlistId): array
+    {
+        return [
+            'id' => Uuid::randomHex(),
+            'wishlistId' => $wishlistId,
+            'productId' => $item->productId,
+            'productVersionId' => $item->productVersionId,
+            'quantity' => $item->quantity,
+            'note' => $item->note,
+            'priority' => $item->priority ?? 0,
+            'priceAtAddition' => $item->priceAtAddition,
+            'priceAlertThreshold' => $item->priceAlertThreshold,
+            'priceAlertActive' => $item->priceAlertActive ?? false,
+            'addedAt' => $item->addedAt ?? $item->createdAt,
+        ];
+    }
+}
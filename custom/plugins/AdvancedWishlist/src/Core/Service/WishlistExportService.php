@@ -0,0 +1,260 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Exception\WishlistExportNotFoundException;
+use Shopware\Core\Content\ImportExport\Aggregate\ImportExportLog\ImportExportLogEntity;
+use Shopware\Core\Content\ImportExport\ImportExportProfileEntity;
+use Shopware\Core\Content\ImportExport\Message\ImportExportMessage;
+use Shopware\Core\Content\ImportExport\Service\ImportExportService;
+use Shopware\Core\Content\ImportExport\Struct\Progress;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Symfony\Component\Messenger\MessageBusInterface;
+
+/**
+ * Wishlist exports of the administration, run as background jobs of the Shopware import/export.
+ * Every format has its own profile, the selected columns replace the profile mapping of a single run.
+ */
+class WishlistExportService
+{
+    public const string FORMAT_CSV = 'csv';
+    public const string FORMAT_XLSX = 'xlsx';
+    public const string FORMAT_JSON = 'json';
+
+    /**
+     * Format => technical name of the import/export profile.
+     */
+    public const array PROFILES = [
+        self::FORMAT_CSV => 'advanced_wishlist_export_csv',
+        self::FORMAT_XLSX => 'advanced_wishlist_export_xlsx',
+        self::FORMAT_JSON => 'advanced_wishlist_export_json',
+    ];
+
+    /**
+     * Column => field path of the wishlist entity, `items` is written by the WishlistSerializer.
+     */
+    public const array COLUMNS = [
+        'id' => 'id',
+        'name' => 'name',
+        'type' => 'type',
+        'description' => 'description',
+        'isDefault' => 'isDefault',
+        'itemCount' => 'itemCount',
+        'totalValue' => 'totalValue',
+        'salesChannelId' => 'salesChannelId',
+        'createdAt' => 'createdAt',
+        'updatedAt' => 'updatedAt',
+        'customerId' => 'customerId',
+        'customerNumber' => 'customer.customerNumber',
+        'customerEmail' => 'customer.email',
+        'customerFirstName' => 'customer.firstName',
+        'customerLastName' => 'customer.lastName',
+        'items' => 'items',
+    ];
+
+    public const string PARAMETER_WISHLIST_IDS = 'wishlistIds';
+    public const string PARAMETER_TOTAL = 'wishlistTotal';
+
+    public const int MAX_LIMIT = 100;
+
+    private const int EXPIRE_DAYS = 30;
+
+    public function __construct(
+        private readonly ImportExportService $importExportService,
+        private readonly EntityRepository $profileRepository,
+        private readonly EntityRepository $logRepository,
+        private readonly EntityRepository $wishlistRepository,
+        private readonly MessageBusInterface $messageBus,
+    ) {
+    }
+
+    /**
+     * Prepare the export file and queue its processing.
+     *
+     * @param string[] $wishlistIds Empty for all wishlists
+     * @param string[] $columns     Keys of self::COLUMNS in the order of the file
+     *
+     * @return array<string, mixed> The export as returned by getExport()
+     */
+    public function startExport(array $wishlistIds, array $columns, string $format, Context $context): array
+    {
+        if (!isset(self::PROFILES[$format])) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported export format "%s"', $format));
+        }
+
+        $columns = array_values(array_unique($columns));
+        if ($columns === []) {
+            throw new \InvalidArgumentException('At least one column is required');
+        }
+
+        $unknownColumns = array_diff($columns, array_keys(self::COLUMNS));
+        if ($unknownColumns !== []) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported export column "%s"', reset($unknownColumns)));
+        }
+
+        $wishlistIds = array_values(array_unique(array_filter($wishlistIds, 'is_string')));
+        $total = $this->countWishlists($wishlistIds, $context);
+        if ($total === 0) {
+            throw new \InvalidArgumentException('There are no wishlists to export');
+        }
+
+        $mapping = [];
+        foreach ($columns as $position => $column) {
+            $mapping[] = [
+                'key' => self::COLUMNS[$column],
+                'mappedKey' => $column,
+                'position' => $position,
+                'useDefaultValue' => false,
+                'defaultValue' => null,
+                'requiredByUser' => false,
+            ];
+        }
+
+        $profile = $this->loadProfile($format, $context);
+        $now = new \DateTimeImmutable();
+
+        $log = $this->importExportService->prepareExport(
+            $context,
+            $profile->getId(),
+            $now->modify(\sprintf('+%d days', self::EXPIRE_DAYS)),
+            \sprintf('wishlists_%s.%s', $now->format('Y-m-d_His'), $format),
+            [
+                'mapping' => $mapping,
+                'parameters' => [
+                    self::PARAMETER_WISHLIST_IDS => $wishlistIds,
+                    self::PARAMETER_TOTAL => $total,
+                ],
+            ]
+        );
+
+        $this->messageBus->dispatch(new ImportExportMessage($context, $log->getId(), $log->getActivity()));
+
+        return $this->getExport($log->getId(), $context);
+    }
+
+    /**
+     * History of the wishlist exports, newest first.
+     *
+     * @return array{total: int, page: int, limit: int, data: list<array<string, mixed>>}
+     */
+    public function getExports(int $page, int $limit, Context $context): array
+    {
+        $page = max(1, $page);
+        $limit = max(1, min($limit, self::MAX_LIMIT));
+
+        $criteria = $this->createLogCriteria();
+        $criteria->setOffset(($page - 1) * $limit);
+        $criteria->setLimit($limit);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
+
+        $result = $this->logRepository->search($criteria, $context);
+
+        $data = [];
+        /** @var ImportExportLogEntity $log */
+        foreach ($result->getEntities() as $log) {
+            $data[] = $this->formatLog($log);
+        }
+
+        return [
+            'total' => $result->getTotal(),
+            'page' => $page,
+            'limit' => $limit,
+            'data' => $data,
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    public function getExport(string $exportId, Context $context): array
+    {
+        $criteria = $this->createLogCriteria();
+        $criteria->setIds([$exportId]);
+
+        $log = $this->logRepository->search($criteria, $context)->first();
+        if (!$log instanceof ImportExportLogEntity) {
+            throw new WishlistExportNotFoundException(\sprintf('Export "%s" not found', $exportId));
+        }
+
+        return $this->formatLog($log);
+    }
+
+    /**
+     * @param string[] $wishlistIds
+     */
+    private function countWishlists(array $wishlistIds, Context $context): int
+    {
+        $criteria = new Criteria();
+        $criteria->setLimit(1);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        if ($wishlistIds !== []) {
+            $criteria->addFilter(new EqualsAnyFilter('id', $wishlistIds));
+        }
+
+        return $this->wishlistRepository->searchIds($criteria, $context)->getTotal();
+    }
+
+    private function loadProfile(string $format, Context $context): ImportExportProfileEntity
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('technicalName', self::PROFILES[$format]));
+
+        $profile = $this->profileRepository->search($criteria, $context)->first();
+        if (!$profile instanceof ImportExportProfileEntity) {
+            throw new \RuntimeException(\sprintf('The import/export profile "%s" is missing, please reinstall the plugin', self::PROFILES[$format]));
+        }
+
+        return $profile;
+    }
+
+    private function createLogCriteria(): Criteria
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('profile.technicalName', array_values(self::PROFILES)));
+        $criteria->addFilter(new EqualsFilter('activity', ImportExportLogEntity::ACTIVITY_EXPORT));
+        $criteria->addAssociation('profile');
+        $criteria->addAssociation('file');
+
+        return $criteria;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatLog(ImportExportLogEntity $log): array
+    {
+        $parameters = $log->getConfig()['parameters'] ?? [];
+        $total = (int) ($parameters[self::PARAMETER_TOTAL] ?? 0);
+        $records = $log->getRecords();
+        $file = $log->getFile();
+        $finished = $log->getState() === Progress::STATE_SUCCEEDED;
+
+        $progress = $total > 0 ? (int) floor(min($records, $total) / $total * 100) : 0;
+
+        return [
+            'id' => $log->getId(),
+            'state' => $log->getState(),
+            'format' => array_search($log->getProfile()?->getTechnicalName(), self::PROFILES, true) ?: null,
+            'records' => $records,
+            'total' => $total,
+            'progress' => $finished ? 100 : $progress,
+            'columns' => array_column($log->getConfig()['mapping'] ?? [], 'mappedKey'),
+            // Only finished files are offered for download
+            'fileId' => $finished ? $file?->getId() : null,
+            'fileName' => $file?->getOriginalName(),
+            'fileSize' => $file?->getSize(),
+            'username' => $log->getUsername(),
+            'createdAt' => $log->getCreatedAt()?->format(\DateTimeInterface::ATOM),
+            'expireDate' => $file?->getExpireDate()->format(\DateTimeInterface::ATOM),
+        ];
+    }
+}
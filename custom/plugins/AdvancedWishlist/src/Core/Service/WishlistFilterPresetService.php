@@ -0,0 +1,157 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\WishlistFilterPreset\WishlistFilterPresetEntity;
+use AdvancedWishlist\Core\Exception\FilterPresetNotFoundException;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\MultiFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Named filter presets of the admin wishlist list.
+ * A preset belongs to the admin user who saved it; shared presets can be applied, but not changed, by everyone else.
+ */
+class WishlistFilterPresetService
+{
+    public const int MAX_NAME_LENGTH = 255;
+
+    public function __construct(
+        private readonly EntityRepository $filterPresetRepository,
+    ) {
+    }
+
+    /**
+     * Own presets and the presets other users shared, ordered by name.
+     *
+     * @return list<array{id: string, name: string, filters: array, shared: bool, owned: bool, ownerName: ?string}>
+     */
+    public function getPresets(string $userId, Context $context): array
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, [
+            new EqualsFilter('userId', $userId),
+            new EqualsFilter('shared', true),
+        ]));
+        $criteria->addAssociation('user');
+        $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+
+        $presets = [];
+
+        /** @var WishlistFilterPresetEntity $preset */
+        foreach ($this->filterPresetRepository->search($criteria, $context)->getEntities() as $preset) {
+            $presets[] = $this->format($preset, $userId);
+        }
+
+        return $presets;
+    }
+
+    /**
+     * @return array{id: string, name: string, filters: array, shared: bool, owned: bool, ownerName: ?string}
+     */
+    public function createPreset(string $userId, string $name, array $filters, bool $shared, Context $context): array
+    {
+        $id = Uuid::randomHex();
+
+        $this->filterPresetRepository->create([[
+            'id' => $id,
+            'userId' => $userId,
+            'name' => $this->validateName($name),
+            'filters' => $filters,
+            'shared' => $shared,
+        ]], $context);
+
+        return $this->format($this->loadOwnPreset($id, $userId, $context), $userId);
+    }
+
+    /**
+     * Only the given keys are changed.
+     *
+     * @param array{name?: string, filters?: array, shared?: bool} $data
+     *
+     * @return array{id: string, name: string, filters: array, shared: bool, owned: bool, ownerName: ?string}
+     */
+    public function updatePreset(string $userId, string $presetId, array $data, Context $context): array
+    {
+        $this->loadOwnPreset($presetId, $userId, $context);
+
+        $payload = ['id' => $presetId];
+        if (\array_key_exists('name', $data)) {
+            $payload['name'] = $this->validateName($data['name']);
+        }
+        if (\array_key_exists('filters', $data)) {
+            $payload['filters'] = $data['filters'];
+        }
+        if (\array_key_exists('shared', $data)) {
+            $payload['shared'] = $data['shared'];
+        }
+
+        $this->filterPresetRepository->update([$payload], $context);
+
+        return $this->format($this->loadOwnPreset($presetId, $userId, $context), $userId);
+    }
+
+    public function deletePreset(string $userId, string $presetId, Context $context): void
+    {
+        $this->loadOwnPreset($presetId, $userId, $context);
+
+        $this->filterPresetRepository->delete([['id' => $presetId]], $context);
+    }
+
+    /**
+     * Presets of other users are reported as missing, sharing only grants read access.
+     */
+    private function loadOwnPreset(string $presetId, string $userId, Context $context): WishlistFilterPresetEntity
+    {
+        if (!Uuid::isValid($presetId)) {
+            throw new FilterPresetNotFoundException(\sprintf('Filter preset "%s" not found', $presetId));
+        }
+
+        $criteria = new Criteria([$presetId]);
+        $criteria->addFilter(new EqualsFilter('userId', $userId));
+        $criteria->addAssociation('user');
+
+        $preset = $this->filterPresetRepository->search($criteria, $context)->first();
+        if (!$preset instanceof WishlistFilterPresetEntity) {
+            throw new FilterPresetNotFoundException(\sprintf('Filter preset "%s" not found', $presetId));
+        }
+
+        return $preset;
+    }
+
+    private function validateName(string $name): string
+    {
+        $name = trim($name);
+        if ($name === '') {
+            throw new \InvalidArgumentException('The preset name must not be empty');
+        }
+        if (mb_strlen($name) > self::MAX_NAME_LENGTH) {
+            throw new \InvalidArgumentException(\sprintf('The preset name must not exceed %d characters', self::MAX_NAME_LENGTH));
+        }
+
+        return $name;
+    }
+
+    /**
+     * @return array{id: string, name: string, filters: array, shared: bool, owned: bool, ownerName: ?string}
+     */
+    private function format(WishlistFilterPresetEntity $preset, string $userId): array
+    {
+        $user = $preset->getUser();
+
+        return [
+            'id' => $preset->getUniqueIdentifier(),
+            'name' => $preset->getName(),
+            'filters' => $preset->getFilters(),
+            'shared' => $preset->isShared(),
+            'owned' => $preset->getUserId() === $userId,
+            'ownerName' => $user !== null ? trim($user->getFirstName() . ' ' . $user->getLastName()) : null,
+        ];
+    }
+}
@@ -0,0 +1,861 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use AdvancedWishlist\Core\ImportExport\WishlistSerializer;
+use Doctrine\DBAL\Connection;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Checkout\Customer\CustomerEntity;
+use Shopware\Core\Content\Product\ProductEntity;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\MultiFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Imports wishlists and their items from a CSV file uploaded in the administration.
+ * Every row names a customer, a wishlist of that customer and either a single product with its quantity or
+ * the `items` column of a wishlist export. Rows of the same customer and wishlist name are combined into one
+ * wishlist, existing wishlists with that name receive the items. A row is only imported when it has no errors.
+ */
+class WishlistImportService
+{
+    public const array FIELDS = [
+        'customerEmail',
+        'customerNumber',
+        'wishlistName',
+        'type',
+        'productNumber',
+        'quantity',
+        'items',
+    ];
+
+    public const array DELIMITERS = [',', ';', "\t"];
+
+    public const int MAX_ROWS = 5000;
+
+    public const string ERROR_MISSING_CUSTOMER = 'missing_customer';
+    public const string ERROR_CUSTOMER_NOT_FOUND = 'customer_not_found';
+    public const string ERROR_CUSTOMER_AMBIGUOUS = 'customer_ambiguous';
+    public const string ERROR_MISSING_WISHLIST_NAME = 'missing_wishlist_name';
+    public const string ERROR_INVALID_TYPE = 'invalid_type';
+    public const string ERROR_MISSING_PRODUCT = 'missing_product';
+    public const string ERROR_PRODUCT_NOT_FOUND = 'product_not_found';
+    public const string ERROR_INVALID_QUANTITY = 'invalid_quantity';
+    public const string ERROR_ITEM_LIMIT = 'item_limit';
+    public const string ERROR_WISHLIST_LIMIT = 'wishlist_limit';
+
+    private const array TYPES = ['private', 'public', 'shared'];
+
+    private const string DEFAULT_TYPE = 'private';
+
+    private const int MAX_ITEM_QUANTITY = 999;
+
+    private const int SAMPLE_ROWS = 5;
+
+    /**
+     * Header names a column is suggested for, compared in lower case without spaces, dashes and underscores.
+     */
+    private const array HEADER_ALIASES = [
+        'customerEmail' => ['customeremail', 'email', 'emailaddress', 'mail'],
+        'customerNumber' => ['customernumber', 'customerno', 'customer'],
+        'wishlistName' => ['wishlistname', 'wishlist', 'name', 'listname'],
+        'type' => ['type', 'wishlisttype', 'visibility'],
+        'productNumber' => ['productnumber', 'productno', 'sku', 'ordernumber', 'product', 'productid'],
+        'quantity' => ['quantity', 'qty', 'amount'],
+        'items' => ['items', 'products'],
+    ];
+
+    public function __construct(
+        private readonly EntityRepository $wishlistRepository,
+        private readonly EntityRepository $wishlistItemRepository,
+        private readonly EntityRepository $customerRepository,
+        private readonly EntityRepository $productRepository,
+        private readonly WishlistCacheService $cacheService,
+        private readonly LoggerInterface $logger,
+        private readonly WishlistLimitService $limitService,
+        private readonly WishlistVersionService $versionService,
+        private readonly Connection $connection,
+    ) {
+    }
+
+    /**
+     * Columns, a few sample rows and a suggested mapping of a file, the first step of an import.
+     *
+     * @return array<string, mixed>
+     */
+    public function analyze(string $content, ?string $delimiter): array
+    {
+        $delimiter = $this->resolveDelimiter($content, $delimiter);
+        [$headers, $rows] = $this->parse($content, $delimiter);
+
+        return [
+            'delimiter' => $delimiter,
+            'headers' => $headers,
+            'rowCount' => \count($rows),
+            'sampleRows' => array_column(\array_slice($rows, 0, self::SAMPLE_ROWS), 'values'),
+            'mapping' => $this->suggestMapping($headers),
+        ];
+    }
+
+    /**
+     * Resolve every row and import the valid ones, nothing is written on a dry run.
+     *
+     * @param array<string, string> $mapping Field of self::FIELDS => column header of the file
+     * @param string                $quantityStrategy How quantities of products already in a wishlist are combined,
+     *                                                one of WishlistMergeService::STRATEGIES
+     *
+     * @return array<string, mixed>
+     */
+    public function import(
+        string $content,
+        ?string $delimiter,
+        array $mapping,
+        string $quantityStrategy,
+        bool $dryRun,
+        Context $context,
+    ): array {
+        if (!\in_array($quantityStrategy, WishlistMergeService::STRATEGIES, true)) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported quantity strategy "%s"', $quantityStrategy));
+        }
+
+        $delimiter = $this->resolveDelimiter($content, $delimiter);
+        [$headers, $rows] = $this->parse($content, $delimiter);
+        $mapping = $this->validateMapping($mapping, $headers);
+
+        $records = array_map(fn (array $row) => $this->readRecord($row, $mapping), $rows);
+
+        $customers = $this->loadCustomers($records, $context);
+        $products = $this->loadProducts($records, $context);
+        $wishlists = $this->loadWishlists($customers, $context);
+
+        $plans = [];
+        $reportRows = [];
+
+        foreach ($records as $record) {
+            $errors = $record['errors'];
+            $customer = null;
+
+            if ($record['customerNumber'] !== '' || $record['customerEmail'] !== '') {
+                [$customer, $customerError] = $this->resolveCustomer($record, $customers);
+                if ($customerError !== null) {
+                    $errors[] = $customerError;
+                }
+            }
+
+            $items = [];
+            foreach ($record['products'] as $entry) {
+                $product = $products[mb_strtolower($entry['identifier'])] ?? null;
+                if ($product === null) {
+                    $errors[] = ['code' => self::ERROR_PRODUCT_NOT_FOUND, 'value' => $entry['identifier']];
+                    continue;
+                }
+
+                $items[] = ['product' => $product, 'identifier' => $entry['identifier'], 'quantity' => $entry['quantity']];
+            }
+
+            $plan = null;
+            if ($errors === [] && $customer !== null) {
+                $key = $customer->getId() . '|' . mb_strtolower($record['wishlistName']);
+                $plans[$key] ??= $this->createPlan($customer, $record, $wishlists);
+                $plan = &$plans[$key];
+                $limits = $this->limitService->getLimits($customer->getSalesChannelId(), $customer->getGroupId());
+
+                // A new wishlist counts against the limit once one of its rows is imported
+                if ($plan['wishlist'] === null && !$this->hasImportedItems($plan)
+                    && $this->countWishlists($customer->getId(), $wishlists, $plans) >= $limits['maxWishlistsPerCustomer']) {
+                    $errors[] = ['code' => self::ERROR_WISHLIST_LIMIT, 'value' => (string) $limits['maxWishlistsPerCustomer']];
+                }
+
+                // The limit counts the distinct products of the wishlist once the import is done
+                $newProductIds = array_diff(
+                    array_unique(array_map(fn (array $item) => $item['product']->getId(), $items)),
+                    array_keys($plan['items'])
+                );
+                if (\count($plan['items']) + \count($newProductIds) > $limits['maxItemsPerWishlist']) {
+                    $errors[] = ['code' => self::ERROR_ITEM_LIMIT, 'value' => (string) $limits['maxItemsPerWishlist']];
+                }
+            }
+
+            $reportItems = [];
+            foreach ($items as $item) {
+                $productId = $item['product']->getId();
+                $existing = $plan['items'][$productId]['existing'] ?? null;
+
+                if ($errors === []) {
+                    // Rows naming the same product for a wishlist add up
+                    $plan['items'][$productId] ??= ['product' => $item['product'], 'existing' => null, 'imported' => 0];
+                    $plan['items'][$productId]['imported'] = min(
+                        ($plan['items'][$productId]['imported'] ?? 0) + $item['quantity'],
+                        self::MAX_ITEM_QUANTITY
+                    );
+                }
+
+                $reportItems[] = [
+                    'identifier' => $item['identifier'],
+                    'productId' => $productId,
+                    'productName' => $this->getProductName($item['product']),
+                    'productNumber' => $item['product']->getProductNumber(),
+                    'quantity' => $item['quantity'],
+                    'action' => $existing === null ? 'add' : 'update',
+                ];
+            }
+
+            $reportRows[] = [
+                'row' => $record['row'],
+                'valid' => $errors === [],
+                'customer' => $customer !== null ? $this->formatCustomer($customer) : null,
+                'wishlistName' => $record['wishlistName'],
+                'wishlistAction' => $plan !== null ? ($plan['wishlist'] !== null ? 'update' : 'create') : null,
+                'type' => $plan['type'] ?? ($record['type'] !== '' ? $record['type'] : self::DEFAULT_TYPE),
+                'items' => $reportItems,
+                'errors' => $errors,
+            ];
+
+            unset($plan);
+        }
+
+        $changes = [];
+        foreach ($plans as $key => $plan) {
+            $change = $this->resolveChanges($plan, $quantityStrategy);
+            if ($change['added'] !== [] || $change['updated'] !== []) {
+                $changes[$key] = $change;
+            }
+        }
+
+        // A customer without any wishlist gets the first imported one as default
+        $defaultCustomerIds = [];
+        foreach (array_keys($changes) as $key) {
+            $customerId = $plans[$key]['customerId'];
+            if (($wishlists[$customerId] ?? []) === [] && !isset($defaultCustomerIds[$customerId])) {
+                $plans[$key]['isDefault'] = true;
+                $defaultCustomerIds[$customerId] = true;
+            }
+        }
+
+        if (!$dryRun && $changes !== []) {
+            $this->write($plans, $changes, $context);
+        }
+
+        $summary = $this->summarize($reportRows, $plans, $changes);
+
+        if (!$dryRun) {
+            $this->logger->info('Wishlists imported', $summary);
+        }
+
+        return [
+            'dryRun' => $dryRun,
+            'delimiter' => $delimiter,
+            'quantityStrategy' => $quantityStrategy,
+            'summary' => $summary,
+            'rows' => $reportRows,
+        ];
+    }
+
+    private function resolveDelimiter(string $content, ?string $delimiter): string
+    {
+        if ($delimiter !== null && $delimiter !== '') {
+            if (!\in_array($delimiter, self::DELIMITERS, true)) {
+                throw new \InvalidArgumentException(\sprintf('Unsupported delimiter "%s"', $delimiter));
+            }
+
+            return $delimiter;
+        }
+
+        // The delimiter found most often in the header line wins
+        $firstLine = strtok($content, "\n") ?: '';
+        $counts = [];
+        foreach (self::DELIMITERS as $candidate) {
+            $counts[$candidate] = substr_count($firstLine, $candidate);
+        }
+        arsort($counts);
+
+        return reset($counts) > 0 ? (string) key($counts) : self::DELIMITERS[0];
+    }
+
+    /**
+     * @return array{0: list<string>, 1: list<array{row: int, values: array<string, string>}>}
+     */
+    private function parse(string $content, string $delimiter): array
+    {
+        // Spreadsheet applications write a byte order mark or a legacy encoding
+        $content = (string) preg_replace('/^\xEF\xBB\xBF/', '', $content);
+        if (!mb_check_encoding($content, 'UTF-8')) {
+            $content = mb_convert_encoding($content, 'UTF-8', 'Windows-1252');
+        }
+
+        $stream = fopen('php://temp', 'w+b');
+        fwrite($stream, $content);
+        rewind($stream);
+
+        $headers = null;
+        $rows = [];
+        $rowNumber = 0;
+
+        try {
+            while (($values = fgetcsv($stream, null, $delimiter, '"', '')) !== false) {
+                ++$rowNumber;
+
+                if ($headers === null) {
+                    $headers = $this->readHeaders($values);
+                    continue;
+                }
+
+                if (implode('', array_map('strval', $values)) === '') {
+                    continue;
+                }
+
+                if (\count($rows) >= self::MAX_ROWS) {
+                    throw new \InvalidArgumentException(\sprintf('The file has more than %d rows', self::MAX_ROWS));
+                }
+
+                $row = [];
+                foreach ($headers as $index => $header) {
+                    $row[$header] = trim((string) ($values[$index] ?? ''));
+                }
+
+                $rows[] = ['row' => $rowNumber, 'values' => $row];
+            }
+        } finally {
+            fclose($stream);
+        }
+
+        if ($headers === null || $headers === []) {
+            throw new \InvalidArgumentException('The file is empty');
+        }
+
+        return [$headers, $rows];
+    }
+
+    /**
+     * @return list<string>
+     */
+    private function readHeaders(array $values): array
+    {
+        $headers = [];
+
+        foreach ($values as $index => $value) {
+            $header = trim((string) $value);
+            if ($header === '') {
+                $header = \sprintf('#%d', $index + 1);
+            }
+
+            if (\in_array($header, $headers, true)) {
+                throw new \InvalidArgumentException(\sprintf('The column "%s" appears more than once', $header));
+            }
+
+            $headers[] = $header;
+        }
+
+        return $headers;
+    }
+
+    /**
+     * @param list<string> $headers
+     *
+     * @return array<string, ?string>
+     */
+    private function suggestMapping(array $headers): array
+    {
+        $normalized = [];
+        foreach ($headers as $header) {
+            $normalized[str_replace([' ', '-', '_'], '', mb_strtolower($header))] = $header;
+        }
+
+        $mapping = [];
+        foreach (self::FIELDS as $field) {
+            $mapping[$field] = null;
+
+            foreach (self::HEADER_ALIASES[$field] as $alias) {
+                if (isset($normalized[$alias]) && !\in_array($normalized[$alias], $mapping, true)) {
+                    $mapping[$field] = $normalized[$alias];
+                    break;
+                }
+            }
+        }
+
+        return $mapping;
+    }
+
+    /**
+     * @param list<string> $headers
+     *
+     * @return array<string, string>
+     */
+    private function validateMapping(array $mapping, array $headers): array
+    {
+        $validated = [];
+
+        foreach ($mapping as $field => $header) {
+            if ($header === null || $header === '') {
+                continue;
+            }
+
+            if (!\in_array($field, self::FIELDS, true)) {
+                throw new \InvalidArgumentException(\sprintf('Unsupported import field "%s"', $field));
+            }
+
+            if (!\in_array($header, $headers, true)) {
+                throw new \InvalidArgumentException(\sprintf('The column "%s" does not exist in the file', $header));
+            }
+
+            $validated[$field] = $header;
+        }
+
+        if (!isset($validated['customerEmail']) && !isset($validated['customerNumber'])) {
+            throw new \InvalidArgumentException('A column with the customer email or number is required');
+        }
+
+        if (!isset($validated['wishlistName'])) {
+            throw new \InvalidArgumentException('A column with the wishlist name is required');
+        }
+
+        if (!isset($validated['productNumber']) && !isset($validated['items'])) {
+            throw new \InvalidArgumentException('A column with the product number or the items is required');
+        }
+
+        return $validated;
+    }
+
+    /**
+     * @param array{row: int, values: array<string, string>} $row
+     * @param array<string, string>                          $mapping
+     *
+     * @return array<string, mixed>
+     */
+    private function readRecord(array $row, array $mapping): array
+    {
+        $value = static fn (string $field): string => isset($mapping[$field]) ? $row['values'][$mapping[$field]] : '';
+
+        $record = [
+            'row' => $row['row'],
+            'customerEmail' => $value('customerEmail'),
+            'customerNumber' => $value('customerNumber'),
+            'wishlistName' => $value('wishlistName'),
+            'type' => mb_strtolower($value('type')),
+            'products' => [],
+            'errors' => [],
+        ];
+
+        if ($record['customerEmail'] === '' && $record['customerNumber'] === '') {
+            $record['errors'][] = ['code' => self::ERROR_MISSING_CUSTOMER, 'value' => null];
+        }
+
+        if ($record['wishlistName'] === '') {
+            $record['errors'][] = ['code' => self::ERROR_MISSING_WISHLIST_NAME, 'value' => null];
+        }
+
+        if ($record['type'] !== '' && !\in_array($record['type'], self::TYPES, true)) {
+            $record['errors'][] = ['code' => self::ERROR_INVALID_TYPE, 'value' => $value('type')];
+        }
+
+        $entries = [];
+        if ($value('productNumber') !== '') {
+            $entries[] = [$value('productNumber'), $value('quantity')];
+        }
+
+        // Same format as the `items` column of the export: productNumber:quantity|productNumber:quantity
+        if ($value('items') !== '') {
+            foreach (explode(WishlistSerializer::ITEM_SEPARATOR, $value('items')) as $part) {
+                $part = trim($part);
+                if ($part === '') {
+                    continue;
+                }
+
+                $separator = strrpos($part, WishlistSerializer::QUANTITY_SEPARATOR);
+                $entries[] = $separator === false
+                    ? [$part, '']
+                    : [trim(substr($part, 0, $separator)), trim(substr($part, $separator + 1))];
+            }
+        }
+
+        if ($entries === []) {
+            $record['errors'][] = ['code' => self::ERROR_MISSING_PRODUCT, 'value' => null];
+        }
+
+        foreach ($entries as [$identifier, $quantity]) {
+            $quantity = $quantity === '' ? '1' : $quantity;
+
+            if (!ctype_digit($quantity) || (int) $quantity < 1 || (int) $quantity > self::MAX_ITEM_QUANTITY) {
+                $record['errors'][] = ['code' => self::ERROR_INVALID_QUANTITY, 'value' => $quantity];
+                continue;
+            }
+
+            $record['products'][] = ['identifier' => $identifier, 'quantity' => (int) $quantity];
+        }
+
+        return $record;
+    }
+
+    /**
+     * Customers of the file keyed by lower case email and customer number, guests are never matched.
+     *
+     * @return array{byEmail: array<string, CustomerEntity[]>, byNumber: array<string, CustomerEntity[]>}
+     */
+    private function loadCustomers(array $records, Context $context): array
+    {
+        $emails = array_values(array_unique(array_filter(array_column($records, 'customerEmail'))));
+        $numbers = array_values(array_unique(array_filter(array_column($records, 'customerNumber'))));
+
+        $result = ['byEmail' => [], 'byNumber' => []];
+        if ($emails === [] && $numbers === []) {
+            return $result;
+        }
+
+        $filters = [];
+        if ($emails !== []) {
+            $filters[] = new EqualsAnyFilter('email', $emails);
+        }
+        if ($numbers !== []) {
+            $filters[] = new EqualsAnyFilter('customerNumber', $numbers);
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('guest', false));
+        $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, $filters));
+
+        /** @var CustomerEntity $customer */
+        foreach ($this->customerRepository->search($criteria, $context)->getEntities() as $customer) {
+            $result['byEmail'][mb_strtolower($customer->getEmail())][] = $customer;
+            $result['byNumber'][mb_strtolower($customer->getCustomerNumber())][] = $customer;
+        }
+
+        return $result;
+    }
+
+    /**
+     * The customer number wins over the email when a row has both.
+     *
+     * @return array{0: ?CustomerEntity, 1: ?array{code: string, value: string}}
+     */
+    private function resolveCustomer(array $record, array $customers): array
+    {
+        [$value, $matches] = $record['customerNumber'] !== ''
+            ? [$record['customerNumber'], $customers['byNumber'][mb_strtolower($record['customerNumber'])] ?? []]
+            : [$record['customerEmail'], $customers['byEmail'][mb_strtolower($record['customerEmail'])] ?? []];
+
+        if ($matches === []) {
+            return [null, ['code' => self::ERROR_CUSTOMER_NOT_FOUND, 'value' => $value]];
+        }
+
+        // The same email can be bound to several sales channels
+        if (\count($matches) > 1) {
+            return [null, ['code' => self::ERROR_CUSTOMER_AMBIGUOUS, 'value' => $value]];
+        }
+
+        return [$matches[0], null];
+    }
+
+    /**
+     * Products of the file keyed by lower case product number and by id.
+     *
+     * @return array<string, ProductEntity>
+     */
+    private function loadProducts(array $records, Context $context): array
+    {
+        $identifiers = [];
+        foreach ($records as $record) {
+            foreach ($record['products'] as $entry) {
+                $identifiers[$entry['identifier']] = true;
+            }
+        }
+
+        if ($identifiers === []) {
+            return [];
+        }
+
+        $identifiers = array_keys($identifiers);
+        $ids = array_values(array_filter(
+            array_map('mb_strtolower', $identifiers),
+            static fn (string $identifier) => Uuid::isValid($identifier)
+        ));
+
+        $filters = [new EqualsAnyFilter('productNumber', $identifiers)];
+        if ($ids !== []) {
+            $filters[] = new EqualsAnyFilter('id', $ids);
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, $filters));
+
+        // Variants inherit name and price from their parent
+        $found = $context->enableInheritance(
+            fn (Context $inheritanceContext) => $this->productRepository->search($criteria, $inheritanceContext)->getEntities()
+        );
+
+        $products = [];
+        /** @var ProductEntity $product */
+        foreach ($found as $product) {
+            $products[mb_strtolower((string) $product->getProductNumber())] = $product;
+            $products[$product->getId()] = $product;
+        }
+
+        return $products;
+    }
+
+    /**
+     * Existing wishlists of the matched customers keyed by customer id and lower case name.
+     *
+     * @return array<string, array<string, WishlistEntity>>
+     */
+    private function loadWishlists(array $customers, Context $context): array
+    {
+        $customerIds = [];
+        foreach ([...$customers['byEmail'], ...$customers['byNumber']] as $matches) {
+            foreach ($matches as $customer) {
+                $customerIds[$customer->getId()] = true;
+            }
+        }
+
+        $wishlists = array_fill_keys(array_keys($customerIds), []);
+        if ($wishlists === []) {
+            return [];
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsAnyFilter('customerId', array_keys($wishlists)));
+        $criteria->addAssociation('items');
+
+        /** @var WishlistEntity $wishlist */
+        foreach ($this->wishlistRepository->search($criteria, $context)->getEntities() as $wishlist) {
+            $wishlists[$wishlist->getCustomerId()][mb_strtolower($wishlist->getName())] = $wishlist;
+        }
+
+        return $wishlists;
+    }
+
+    /**
+     * @param array<string, array<string, WishlistEntity>> $wishlists
+     *
+     * @return array<string, mixed>
+     */
+    private function createPlan(CustomerEntity $customer, array $record, array $wishlists): array
+    {
+        $customerId = $customer->getId();
+        $wishlist = $wishlists[$customerId][mb_strtolower($record['wishlistName'])] ?? null;
+
+        $items = [];
+        foreach ($wishlist?->getItems() ?? [] as $item) {
+            $items[$item->productId] = ['product' => null, 'existing' => $item, 'imported' => null];
+        }
+
+        return [
+            'id' => $wishlist?->getId() ?? Uuid::randomHex(),
+            'wishlist' => $wishlist,
+            'customerId' => $customerId,
+            'salesChannelId' => $customer->getSalesChannelId(),
+            'name' => $wishlist?->getName() ?? $record['wishlistName'],
+            // The type of existing wishlists is kept
+            'type' => $wishlist?->getType() ?? ($record['type'] !== '' ? $record['type'] : self::DEFAULT_TYPE),
+            // Decided once all rows are resolved, see import()
+            'isDefault' => false,
+            'items' => $items,
+        ];
+    }
+
+    /**
+     * Whether a valid row added products to the wishlist of a plan.
+     *
+     * @param array<string, mixed> $plan
+     */
+    private function hasImportedItems(array $plan): bool
+    {
+        foreach ($plan['items'] as $entry) {
+            if ($entry['imported'] !== null) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Wishlists a customer has after the import, existing ones and new ones with an imported row.
+     *
+     * @param array<string, array<string, WishlistEntity>> $wishlists
+     * @param array<string, array<string, mixed>>          $plans
+     */
+    private function countWishlists(string $customerId, array $wishlists, array $plans): int
+    {
+        $count = \count($wishlists[$customerId] ?? []);
+        foreach ($plans as $plan) {
+            if ($plan['customerId'] === $customerId && $plan['wishlist'] === null && $this->hasImportedItems($plan)) {
+                ++$count;
+            }
+        }
+
+        return $count;
+    }
+
+    /**
+     * @return array{added: list<array{product: ProductEntity, quantity: int}>, updated: list<array{item: WishlistItemEntity, quantity: int}>, itemCount: int}
+     */
+    private function resolveChanges(array $plan, string $strategy): array
+    {
+        $added = [];
+        $updated = [];
+
+        foreach ($plan['items'] as $entry) {
+            if ($entry['imported'] === null) {
+                continue;
+            }
+
+            $existing = $entry['existing'];
+            if ($existing === null) {
+                $added[] = ['product' => $entry['product'], 'quantity' => $entry['imported']];
+                continue;
+            }
+
+            $quantity = min(match ($strategy) {
+                WishlistMergeService::STRATEGY_SUM => $existing->quantity + $entry['imported'],
+                WishlistMergeService::STRATEGY_MAX => max($existing->quantity, $entry['imported']),
+                WishlistMergeService::STRATEGY_KEEP_TARGET => $existing->quantity,
+            }, self::MAX_ITEM_QUANTITY);
+
+            if ($quantity !== $existing->quantity) {
+                $updated[] = ['item' => $existing, 'quantity' => $quantity];
+            }
+        }
+
+        return [
+            'added' => $added,
+            'updated' => $updated,
+            'itemCount' => \count($plan['items']),
+        ];
+    }
+
+    /**
+     * @param array<string, array<string, mixed>> $plans
+     * @param array<string, array<string, mixed>> $changes
+     */
+    private function write(array $plans, array $changes, Context $context): void
+    {
+        $now = new \DateTime();
+        $newWishlists = [];
+        $updatedWishlists = [];
+        $newItems = [];
+        $updatedItems = [];
+
+        foreach ($changes as $key => $change) {
+            $plan = $plans[$key];
+
+            if ($plan['wishlist'] === null) {
+                $newWishlists[] = [
+                    'id' => $plan['id'],
+                    'customerId' => $plan['customerId'],
+                    'salesChannelId' => $plan['salesChannelId'],
+                    'name' => $plan['name'],
+                    'type' => $plan['type'],
+                    'isDefault' => $plan['isDefault'],
+                    'itemCount' => $change['itemCount'],
+                    'createdAt' => $now,
+                ];
+            } else {
+                $updatedWishlists[] = [
+                    'id' => $plan['id'],
+                    'itemCount' => $change['itemCount'],
+                    'updatedAt' => $now,
+                ];
+            }
+
+            foreach ($change['added'] as $entry) {
+                $newItems[] = [
+                    'id' => Uuid::randomHex(),
+                    'wishlistId' => $plan['id'],
+                    'productId' => $entry['product']->getId(),
+                    'productVersionId' => $entry['product']->getVersionId(),
+                    'quantity' => $entry['quantity'],
+                    'priority' => 0,
+                    'priceAtAddition' => $entry['product']->getPrice()?->first()?->getGross(),
+                    'addedAt' => $now,
+                ];
+            }
+
+            foreach ($change['updated'] as $entry) {
+                $updatedItems[] = [
+                    'id' => $entry['item']->getUniqueIdentifier(),
+                    'quantity' => $entry['quantity'],
+                ];
+            }
+        }
+
+        $this->connection->transactional(function () use ($plans, $changes, $newWishlists, $updatedWishlists, $newItems, $updatedItems, $context): void {
+            if ($newWishlists !== []) {
+                $this->wishlistRepository->create($newWishlists, $context);
+            }
+
+            if ($updatedWishlists !== []) {
+                $this->wishlistRepository->update($updatedWishlists, $context);
+            }
+
+            if ($newItems !== []) {
+                $this->wishlistItemRepository->create($newItems, $context);
+            }
+
+            if ($updatedItems !== []) {
+                $this->wishlistItemRepository->update($updatedItems, $context);
+            }
+
+            // Quantities were computed from the loaded wishlists, a save in between rolls the import back
+            foreach (array_keys($changes) as $key) {
+                if ($plans[$key]['wishlist'] !== null) {
+                    $this->versionService->raiseVersion($plans[$key]['id'], $plans[$key]['wishlist']->getVersion());
+                }
+            }
+        });
+
+        foreach (array_unique(array_map(fn (string $key) => $plans[$key]['customerId'], array_keys($changes))) as $customerId) {
+            $this->cacheService->invalidateCustomerCache($customerId);
+        }
+    }
+
+    /**
+     * @return array<string, int>
+     */
+    private function summarize(array $reportRows, array $plans, array $changes): array
+    {
+        $validRows = \count(array_filter($reportRows, fn (array $row) => $row['valid']));
+        $summary = [
+            'rows' => \count($reportRows),
+            'validRows' => $validRows,
+            'invalidRows' => \count($reportRows) - $validRows,
+            'wishlistsCreated' => 0,
+            'wishlistsUpdated' => 0,
+            'itemsAdded' => 0,
+            'itemsUpdated' => 0,
+        ];
+
+        foreach ($changes as $key => $change) {
+            ++$summary[$plans[$key]['wishlist'] === null ? 'wishlistsCreated' : 'wishlistsUpdated'];
+            $summary['itemsAdded'] += \count($change['added']);
+            $summary['itemsUpdated'] += \count($change['updated']);
+        }
+
+        return $summary;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatCustomer(CustomerEntity $customer): array
+    {
+        return [
+            'id' => $customer->getId(),
+            'name' => trim($customer->getFirstName() . ' ' . $customer->getLastName()),
+            'email' => $customer->getEmail(),
+            'customerNumber' => $customer->getCustomerNumber(),
+        ];
+    }
+
+    private function getProductName(ProductEntity $product): ?string
+    {
+        return $product->getTranslation('name') ?? $product->getName();
+    }
+}
@@ -11,9 +11,14 @@ use AdvancedWishlist\Core\DTO\Response\WishlistItemResponse;
 use AdvancedWishlist\Core\Event\WishlistItemAddedEvent;
 use AdvancedWishlist\Core\Event\WishlistItemMovedEvent;
 use AdvancedWishlist\Core\Event\WishlistItemRemovedEvent;
+use AdvancedWishlist\Core\Event\WishlistItemUpdatedEvent;
 use AdvancedWishlist\Core\Exception\DuplicateWishlistItemException;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistException;
 use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
 use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use Doctrine\DBAL\Connection;
 use Psr\Log\LoggerInterface;
 use Shopware\Core\Content\Product\ProductEntity;
 use Shopware\Core\Framework\Context;
@@ -24,7 +29,12 @@ use Symfony\Component\EventDispatcher\EventDispatcherInterface;
 
 class WishlistItemService
 {
+    public const string OPERATION_ADD = 'add';
+    public const string OPERATION_UPDATE = 'update';
+    public const string OPERATION_REMOVE = 'remove';
+
     private const int BATCH_SIZE = 50;
+    private const int MAX_ITEM_QUANTITY = 999;
 
     public function __construct(
         private EntityRepository $wishlistRepository,
@@ -36,22 +46,28 @@ class WishlistItemService
         private EventDispatcherInterface $eventDispatcher,
         private LoggerInterface $logger,
         private OptimizedPriceCalculationService $priceCalculationService,
+        private WishlistLimitService $limitService,
+        private WishlistVersionService $versionService,
+        private Connection $connection,
     ) {
     }
 
     /**
      * Add item to wishlist with duplicate check.
+     *
+     * @param string|null $customerId Customer of a storefront request, see WishlistValidator::validateOwnership()
      */
     public function addItem(
         AddItemRequest $request,
         Context $context,
+        ?string $customerId = null,
     ): WishlistItemResponse {
         // 1. Load and validate wishlist
         $wishlist = $this->loadWishlist($request->getWishlistId(), $context);
-        $this->validator->validateOwnership($wishlist, $context);
+        $this->validator->validateOwnership($wishlist, $context, $customerId);
 
         // 2. Check item limit
-        $this->checkItemLimit($wishlist);
+        $this->checkItemLimit($wishlist, $context);
 
         // 3. Validate product
         $product = $this->validateProduct($request->getProductId(), $context);
@@ -66,6 +82,7 @@ class WishlistItemService
         $itemData = $this->prepareItemData($itemId, $request, $product, $context);
 
         $this->wishlistItemRepository->create([$itemData], $context);
+        $this->raiseVersion($wishlist);
 
         // 6. Setup price alert if requested
         // if ($request->getPriceAlertThreshold()) {
@@ -101,17 +118,25 @@ class WishlistItemService
 
     /**
      * Update wishlist item.
+     *
+     * @param string|null $customerId Customer of a storefront request, see WishlistValidator::validateOwnership()
      */
     public function updateItem(
         UpdateItemRequest $request,
         Context $context,
+        ?string $customerId = null,
     ): WishlistItemResponse {
         // 1. Load item with wishlist
         $item = $this->loadWishlistItem($request->getItemId(), $context);
         $wishlist = $item->getWishlist();
 
+        // Items are only changed through the wishlist they belong to
+        if ($item->getWishlistId() !== $request->getWishlistId()) {
+            throw new WishlistItemNotFoundException('Item not found in wishlist', ['itemId' => $request->getItemId(), 'wishlistId' => $request->getWishlistId()]);
+        }
+
         // 2. Validate ownership
-        $this->validator->validateOwnership($wishlist, $context);
+        $this->validator->validateOwnership($wishlist, $context, $customerId);
 
         // 3. Prepare update data
         $updateData = $this->prepareUpdateData($request, $item);
@@ -122,6 +147,8 @@ class WishlistItemService
 
         // 4. Update item
         $this->wishlistItemRepository->update([$updateData], $context);
+        $this->raiseVersion($wishlist);
+        $this->eventDispatcher->dispatch(new WishlistItemUpdatedEvent($wishlist, $item, $updateData, $context));
 
         // 5. Update price alert if needed
         // if (array_key_exists('priceAlertThreshold', $updateData)) {
@@ -145,15 +172,18 @@ class WishlistItemService
 
     /**
      * Remove item from wishlist.
+     *
+     * @param string|null $customerId Customer of a storefront request, see WishlistValidator::validateOwnership()
      */
     public function removeItem(
         string $wishlistId,
         string $itemId,
         Context $context,
+        ?string $customerId = null,
     ): void {
         // 1. Validate
         $wishlist = $this->loadWishlist($wishlistId, $context);
-        $this->validator->validateOwnership($wishlist, $context);
+        $this->validator->validateOwnership($wishlist, $context, $customerId);
 
         // 2. Check item belongs to wishlist
         $item = $wishlist->getItems()->get($itemId);
@@ -168,6 +198,7 @@ class WishlistItemService
 
         // 4. Delete item
         $this->wishlistItemRepository->delete([['id' => $itemId]], $context);
+        $this->raiseVersion($wishlist);
 
         // 5. Dispatch event
         $event = new WishlistItemRemovedEvent($wishlist, $item, $context);
@@ -209,7 +240,7 @@ class WishlistItemService
         }
 
         // 4. Check target wishlist limit
-        $this->checkItemLimit($targetWishlist);
+        $this->checkItemLimit($targetWishlist, $context);
 
         if ($copy) {
             // Copy item
@@ -372,6 +403,120 @@ class WishlistItemService
         ];
     }
 
+    /**
+     * Apply a batch of item operations queued in the administration.
+     * Each operation is applied on its own, so a failing operation does not roll back the others.
+     * The results keep the order and the client `reference` of the operations.
+     * With an `$expectedVersion` the whole batch is rejected when the wishlist has been saved since that version,
+     * also when a concurrent save of the same version commits first.
+     *
+     * @param array<int, array<string, mixed>> $operations
+     *
+     * @throws OptimisticLockException
+     *
+     * @return array{total: int, successful: int, failed: int, version: int, results: array<int, array<string, mixed>>}
+     */
+    public function manageItems(
+        string $wishlistId,
+        array $operations,
+        Context $context,
+        ?int $expectedVersion = null,
+    ): array {
+        // Products are loaded for the activity log entries of updated and removed items
+        $wishlist = $this->loadWishlist($wishlistId, $context, ['items.product']);
+
+        if (null !== $expectedVersion && $expectedVersion !== $wishlist->getVersion()) {
+            throw new OptimisticLockException('Wishlist was modified by another process', ['expectedVersion' => $expectedVersion, 'currentVersion' => $wishlist->getVersion()]);
+        }
+
+        // Product IDs by item ID, kept up to date while the batch is applied
+        $itemProductIds = [];
+        foreach ($wishlist->getItems() as $item) {
+            $itemProductIds[$item->getUniqueIdentifier()] = $item->productId;
+        }
+        $initialCount = \count($itemProductIds);
+        $itemLimit = $this->limitService->getWishlistLimits($wishlistId, $context)['maxItemsPerWishlist'];
+
+        // The operations and the version are written in one transaction, a conflict rolls back the whole batch
+        [$results, $failed, $version] = $this->connection->transactional(
+            fn () => $this->applyOperations($wishlist, $operations, $itemProductIds, $initialCount, $itemLimit, $expectedVersion, $context)
+        );
+
+        $this->logger->info('Wishlist item operations applied', [
+            'wishlistId' => $wishlistId,
+            'total' => \count($operations),
+            'failed' => $failed,
+        ]);
+
+        return [
+            'total' => \count($operations),
+            'successful' => \count($operations) - $failed,
+            'failed' => $failed,
+            'version' => $version,
+            'results' => $results,
+        ];
+    }
+
+    /**
+     * @param array<int, array<string, mixed>> $operations
+     * @param array<string, string>            $itemProductIds
+     *
+     * @throws OptimisticLockException
+     *
+     * @return array{0: array<int, array<string, mixed>>, 1: int, 2: int} Results, number of failed operations and the stored version
+     */
+    private function applyOperations(
+        WishlistEntity $wishlist,
+        array $operations,
+        array $itemProductIds,
+        int $initialCount,
+        int $itemLimit,
+        ?int $expectedVersion,
+        Context $context,
+    ): array {
+        $results = [];
+        $failed = 0;
+
+        foreach ($operations as $operation) {
+            $action = $operation['operation'] ?? null;
+            $result = [
+                'reference' => $operation['reference'] ?? null,
+                'operation' => $action,
+                'success' => true,
+                'itemId' => $operation['itemId'] ?? null,
+                'error' => null,
+            ];
+
+            try {
+                $result['itemId'] = match ($action) {
+                    self::OPERATION_ADD => $this->applyAddOperation($wishlist, $operation, $itemProductIds, $itemLimit, $context),
+                    self::OPERATION_UPDATE => $this->applyUpdateOperation($wishlist, $operation, $itemProductIds, $context),
+                    self::OPERATION_REMOVE => $this->applyRemoveOperation($wishlist, $operation, $itemProductIds, $context),
+                    default => throw new \InvalidArgumentException(\sprintf('Unsupported item operation "%s"', (string) $action)),
+                };
+            } catch (WishlistException|\InvalidArgumentException $e) {
+                $result['success'] = false;
+                $result['error'] = [
+                    'code' => $this->getOperationErrorCode($e),
+                    'message' => $e->getMessage(),
+                ];
+                ++$failed;
+            }
+
+            $results[] = $result;
+        }
+
+        if (\count($itemProductIds) !== $initialCount) {
+            $this->wishlistRepository->update([['id' => $wishlist->getId(), 'itemCount' => \count($itemProductIds)]], $context);
+        }
+
+        $version = $failed < \count($operations)
+            ? $this->versionService->raiseVersion($wishlist->getId(), $expectedVersion)
+            : $wishlist->getVersion();
+
+        return [$results, $failed, $version];
+    }
+
     /**
      * Batch validate multiple products at once.
      */
@@ -406,6 +551,117 @@ class WishlistItemService
         return $validProducts;
     }
 
+    /**
+     * @param array<string, string> $itemProductIds
+     */
+    private function applyAddOperation(WishlistEntity $wishlist, array $operation, array &$itemProductIds, int $itemLimit, Context $context): string
+    {
+        $productId = $operation['productId'] ?? null;
+        if (!\is_string($productId) || !Uuid::isValid($productId)) {
+            throw new \InvalidArgumentException('A valid product ID is required');
+        }
+
+        $quantity = $this->parseOperationQuantity($operation);
+
+        if (\in_array($productId, $itemProductIds, true)) {
+            throw new DuplicateWishlistItemException('Product already in wishlist', ['productId' => $productId, 'wishlistId' => $wishlist->getUniqueIdentifier()]);
+        }
+
+        if (\count($itemProductIds) >= $itemLimit) {
+            throw new WishlistLimitExceededException('Wishlist item limit reached', ['limit' => $itemLimit, 'current' => \count($itemProductIds), 'type' => 'items']);
+        }
+
+        $product = $this->validateProduct($productId, $context);
+
+        $itemId = Uuid::randomHex();
+        $this->wishlistItemRepository->create([[
+            'id' => $itemId,
+            'wishlistId' => $wishlist->getUniqueIdentifier(),
+            'productId' => $productId,
+            'productVersionId' => $product->getVersionId(),
+            'quantity' => $quantity,
+            'note' => $operation['note'] ?? null,
+            'priority' => 0,
+            'priceAtAddition' => $product->getPrice()?->first()?->getGross(),
+            'addedAt' => new \DateTime(),
+        ]], $context);
+
+        $itemProductIds[$itemId] = $productId;
+
+        $this->eventDispatcher->dispatch(new WishlistItemAddedEvent($wishlist, $itemId, $product, $context));
+
+        return $itemId;
+    }
+
+    /**
+     * @param array<string, string> $itemProductIds
+     */
+    private function applyUpdateOperation(WishlistEntity $wishlist, array $operation, array $itemProductIds, Context $context): string
+    {
+        $itemId = $this->getOperationItemId($wishlist, $operation, $itemProductIds);
+
+        $changes = ['id' => $itemId, 'quantity' => $this->parseOperationQuantity($operation)];
+
+        $this->wishlistItemRepository->update([$changes], $context);
+
+        $this->eventDispatcher->dispatch(new WishlistItemUpdatedEvent($wishlist, $wishlist->getItems()->get($itemId), $changes, $context));
+
+        return $itemId;
+    }
+
+    /**
+     * @param array<string, string> $itemProductIds
+     */
+    private function applyRemoveOperation(WishlistEntity $wishlist, array $operation, array &$itemProductIds, Context $context): string
+    {
+        $itemId = $this->getOperationItemId($wishlist, $operation, $itemProductIds);
+
+        $this->wishlistItemRepository->delete([['id' => $itemId]], $context);
+        unset($itemProductIds[$itemId]);
+
+        $this->eventDispatcher->dispatch(new WishlistItemRemovedEvent($wishlist, $wishlist->getItems()->get($itemId), $context));
+
+        return $itemId;
+    }
+
+    /**
+     * Updates and removals only apply to items the wishlist had when the batch started.
+     *
+     * @param array<string, string> $itemProductIds
+     */
+    private function getOperationItemId(WishlistEntity $wishlist, array $operation, array $itemProductIds): string
+    {
+        $itemId = $operation['itemId'] ?? null;
+
+        if (!\is_string($itemId) || !isset($itemProductIds[$itemId]) || !$wishlist->getItems()->has($itemId)) {
+            throw new WishlistItemNotFoundException('Item not found in wishlist', ['itemId' => $itemId, 'wishlistId' => $wishlist->getUniqueIdentifier()]);
+        }
+
+        return $itemId;
+    }
+
+    private function parseOperationQuantity(array $operation): int
+    {
+        $quantity = $operation['quantity'] ?? 1;
+
+        if (!\is_int($quantity) || $quantity < 1 || $quantity > self::MAX_ITEM_QUANTITY) {
+            throw new \InvalidArgumentException(\sprintf('Quantity must be between 1 and %d', self::MAX_ITEM_QUANTITY));
+        }
+
+        return $quantity;
+    }
+
+    private function getOperationErrorCode(\Exception $e): string
+    {
+        return match (true) {
+            $e instanceof DuplicateWishlistItemException => 'DUPLICATE_ITEM',
+            $e instanceof WishlistLimitExceededException => 'LIMIT_REACHED',
+            $e instanceof WishlistItemNotFoundException => isset($e->getParameters()['productId']) ? 'PRODUCT_NOT_FOUND' : 'ITEM_NOT_FOUND',
+            $e instanceof \InvalidArgumentException => 'INVALID_OPERATION',
+            default => $e->getErrorCode(),
+        };
+    }
+
     /**
      * Helper: Check if product already in wishlist.
      */
@@ -419,12 +675,15 @@ class WishlistItemService
     }
 
     /**
-     * Helper: Check item limit.
+     * Helper: Check item limit of the wishlist's sales channel and owner's customer group.
      */
-    private function checkItemLimit(WishlistEntity $wishlist): void
+    private function checkItemLimit(WishlistEntity $wishlist, Context $context): void
     {
-        if ($wishlist->getItems()->count() >= WishlistService::MAX_ITEMS_PER_WISHLIST) {
-            throw new WishlistLimitExceededException('Wishlist item limit reached', ['limit' => WishlistService::MAX_ITEMS_PER_WISHLIST]);
+        $limit = $this->limitService->getWishlistLimits($wishlist->getId(), $context)['maxItemsPerWishlist'];
+        $count = $wishlist->getItems()->count();
+
+        if ($count >= $limit) {
+            throw new WishlistLimitExceededException('Wishlist item limit reached', ['limit' => $limit, 'current' => $count, 'type' => 'items']);
         }
     }
 
@@ -444,10 +703,21 @@ class WishlistItemService
         return $maxPriority + 1;
     }
 
-    private function loadWishlist(string $wishlistId, Context $context): WishlistEntity
+    /**
+     * Move the wishlist to a new version after its items have been written.
+     */
+    private function raiseVersion(WishlistEntity $wishlist): void
+    {
+        $this->versionService->raiseVersion($wishlist->getId());
+    }
+
+    /**
+     * @param string[] $associations
+     */
+    private function loadWishlist(string $wishlistId, Context $context, array $associations = ['items']): WishlistEntity
     {
         $criteria = new Criteria([$wishlistId]);
-        $criteria->addAssociation('items');
+        $criteria->addAssociations($associations);
         $wishlist = $this->wishlistRepository->search($criteria, $context)->first();
 
         if (!$wishlist) {
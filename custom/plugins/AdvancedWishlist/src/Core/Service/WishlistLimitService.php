@@ -4,24 +4,39 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Core\Service;
 
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
 use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
 use Psr\Log\LoggerInterface;
+use Shopware\Core\Checkout\Customer\CustomerEntity;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
 
+/**
+ * Wishlist limits from the plugin configuration.
+ * The configuration of a sales channel overrides the global one, a customer group entry overrides both.
+ * The constructor values (or setLimits()) apply when nothing is configured.
+ */
 class WishlistLimitService
 {
     private const int DEFAULT_MAX_WISHLISTS_PER_CUSTOMER = 10;
     private const int DEFAULT_MAX_ITEMS_PER_WISHLIST = 100;
 
+    public const string CONFIG_MAX_WISHLISTS = 'AdvancedWishlist.config.maxWishlistsPerCustomer';
+    public const string CONFIG_MAX_ITEMS = 'AdvancedWishlist.config.maxItemsPerWishlist';
+    public const string CONFIG_CUSTOMER_GROUP_LIMITS = 'AdvancedWishlist.config.customerGroupLimits';
+
     public function __construct(
         private EntityRepository $wishlistRepository,
         private EntityRepository $wishlistItemRepository,
         private LoggerInterface $logger,
         private int $maxWishlistsPerCustomer = self::DEFAULT_MAX_WISHLISTS_PER_CUSTOMER,
         private int $maxItemsPerWishlist = self::DEFAULT_MAX_ITEMS_PER_WISHLIST,
+        private ?SystemConfigService $systemConfigService = null,
+        private ?EntityRepository $customerRepository = null,
     ) {
     }
 
@@ -30,19 +45,17 @@ class WishlistLimitService
      */
     public function checkCustomerWishlistLimit(string $customerId, Context $context): void
     {
-        $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+        $limit = $this->getCustomerLimits($customerId, $context)['maxWishlistsPerCustomer'];
+        $count = $this->countCustomerWishlists($customerId, $context);
 
-        $count = $this->wishlistRepository->search($criteria, $context)->getTotal();
-
-        if ($count >= $this->maxWishlistsPerCustomer) {
+        if ($count >= $limit) {
             $this->logger->warning('Customer has reached wishlist limit', [
                 'customerId' => $customerId,
-                'limit' => $this->maxWishlistsPerCustomer,
+                'limit' => $limit,
                 'current' => $count,
             ]);
 
-            throw new WishlistLimitExceededException('Maximum number of wishlists reached', ['limit' => $this->maxWishlistsPerCustomer, 'current' => $count]);
+            throw new WishlistLimitExceededException('Maximum number of wishlists reached', ['limit' => $limit, 'current' => $count, 'type' => 'wishlists']);
         }
     }
 
@@ -51,19 +64,17 @@ class WishlistLimitService
      */
     public function checkWishlistItemLimit(string $wishlistId, Context $context): void
     {
-        $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+        $limit = $this->getWishlistLimits($wishlistId, $context)['maxItemsPerWishlist'];
+        $count = $this->countWishlistItems($wishlistId, $context);
 
-        $count = $this->wishlistItemRepository->search($criteria, $context)->getTotal();
-
-        if ($count >= $this->maxItemsPerWishlist) {
+        if ($count >= $limit) {
             $this->logger->warning('Wishlist has reached item limit', [
                 'wishlistId' => $wishlistId,
-                'limit' => $this->maxItemsPerWishlist,
+                'limit' => $limit,
                 'current' => $count,
             ]);
 
-            throw new WishlistLimitExceededException('Maximum number of items in wishlist reached', ['limit' => $this->maxItemsPerWishlist, 'current' => $count]);
+            throw new WishlistLimitExceededException('Maximum number of items in wishlist reached', ['limit' => $limit, 'current' => $count, 'type' => 'items']);
         }
     }
 
@@ -72,12 +83,9 @@ class WishlistLimitService
      */
     public function getWishlistRemainingCapacity(string $wishlistId, Context $context): int
     {
-        $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+        $limit = $this->getWishlistLimits($wishlistId, $context)['maxItemsPerWishlist'];
 
-        $count = $this->wishlistItemRepository->search($criteria, $context)->getTotal();
-
-        return max(0, $this->maxItemsPerWishlist - $count);
+        return max(0, $limit - $this->countWishlistItems($wishlistId, $context));
     }
 
     /**
@@ -85,12 +93,9 @@ class WishlistLimitService
      */
     public function getCustomerRemainingCapacity(string $customerId, Context $context): int
     {
-        $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
-
-        $count = $this->wishlistRepository->search($criteria, $context)->getTotal();
+        $limit = $this->getCustomerLimits($customerId, $context)['maxWishlistsPerCustomer'];
 
-        return max(0, $this->maxWishlistsPerCustomer - $count);
+        return max(0, $limit - $this->countCustomerWishlists($customerId, $context));
     }
 
     /**
@@ -98,6 +103,8 @@ class WishlistLimitService
      */
     public function getLimitsInfo(string $customerId, Context $context): array
     {
+        $limits = $this->getCustomerLimits($customerId, $context);
+
         $wishlistCriteria = new Criteria();
         $wishlistCriteria->addFilter(new EqualsFilter('customerId', $customerId));
 
@@ -108,35 +115,33 @@ class WishlistLimitService
         $totalItems = 0;
 
         foreach ($wishlists as $wishlist) {
-            $itemCriteria = new Criteria();
-            $itemCriteria->addFilter(new EqualsFilter('wishlistId', $wishlist->getId()));
-
-            $itemCount = $this->wishlistItemRepository->search($itemCriteria, $context)->getTotal();
+            $itemCount = $this->countWishlistItems($wishlist->getId(), $context);
             $totalItems += $itemCount;
 
             $itemCounts[$wishlist->getId()] = [
                 'name' => $wishlist->getName(),
                 'count' => $itemCount,
-                'limit' => $this->maxItemsPerWishlist,
-                'remaining' => $this->maxItemsPerWishlist - $itemCount,
+                'limit' => $limits['maxItemsPerWishlist'],
+                'remaining' => max(0, $limits['maxItemsPerWishlist'] - $itemCount),
             ];
         }
 
         return [
             'wishlists' => [
                 'count' => $wishlistCount,
-                'limit' => $this->maxWishlistsPerCustomer,
-                'remaining' => $this->maxWishlistsPerCustomer - $wishlistCount,
+                'limit' => $limits['maxWishlistsPerCustomer'],
+                'remaining' => max(0, $limits['maxWishlistsPerCustomer'] - $wishlistCount),
             ],
             'items' => [
                 'total' => $totalItems,
+                'limit' => $limits['maxItemsPerWishlist'],
                 'byWishlist' => $itemCounts,
             ],
         ];
     }
 
     /**
-     * Set custom limits.
+     * Set custom limits, used wherever the configuration has no value.
      */
     public function setLimits(int $maxWishlistsPerCustomer, int $maxItemsPerWishlist): void
     {
@@ -148,4 +153,156 @@ class WishlistLimitService
             'maxItemsPerWishlist' => $maxItemsPerWishlist,
         ]);
     }
+
+    /**
+     * Limits of a sales channel and customer group, both optional.
+     *
+     * @return array{maxWishlistsPerCustomer: int, maxItemsPerWishlist: int}
+     */
+    public function getLimits(?string $salesChannelId = null, ?string $customerGroupId = null): array
+    {
+        $limits = [
+            'maxWishlistsPerCustomer' => $this->getConfiguredLimit(self::CONFIG_MAX_WISHLISTS, $salesChannelId) ?? $this->maxWishlistsPerCustomer,
+            'maxItemsPerWishlist' => $this->getConfiguredLimit(self::CONFIG_MAX_ITEMS, $salesChannelId) ?? $this->maxItemsPerWishlist,
+        ];
+
+        if (null === $customerGroupId || null === $this->systemConfigService) {
+            return $limits;
+        }
+
+        $groupLimits = $this->systemConfigService->get(self::CONFIG_CUSTOMER_GROUP_LIMITS, $salesChannelId);
+        if (!\is_array($groupLimits)) {
+            return $limits;
+        }
+
+        foreach ($groupLimits as $groupLimit) {
+            if (($groupLimit['customerGroupId'] ?? null) !== $customerGroupId) {
+                continue;
+            }
+
+            // Empty fields of an entry keep the sales channel value
+            foreach (array_keys($limits) as $key) {
+                if (isset($groupLimit[$key]) && (int) $groupLimit[$key] > 0) {
+                    $limits[$key] = (int) $groupLimit[$key];
+                }
+            }
+
+            break;
+        }
+
+        return $limits;
+    }
+
+    /**
+     * Limits of a customer, by their sales channel and customer group.
+     *
+     * @return array{maxWishlistsPerCustomer: int, maxItemsPerWishlist: int}
+     */
+    public function getCustomerLimits(string $customerId, Context $context): array
+    {
+        /** @var CustomerEntity|null $customer */
+        $customer = $this->customerRepository?->search(new Criteria([$customerId]), $context)->first();
+
+        return $this->getLimits($customer?->getSalesChannelId(), $customer?->getGroupId());
+    }
+
+    /**
+     * Limits of a wishlist, by its sales channel and the customer group of its owner.
+     *
+     * @return array{maxWishlistsPerCustomer: int, maxItemsPerWishlist: int}
+     */
+    public function getWishlistLimits(string $wishlistId, Context $context): array
+    {
+        return $this->resolveWishlistLimits($this->loadWishlist($wishlistId, $context));
+    }
+
+    /**
+     * Wishlist limit, current and remaining number of wishlists of a customer.
+     *
+     * @return array{limit: int, count: int, remaining: int, maxItemsPerWishlist: int}
+     */
+    public function getCustomerCapacity(string $customerId, Context $context): array
+    {
+        $limits = $this->getCustomerLimits($customerId, $context);
+        $count = $this->countCustomerWishlists($customerId, $context);
+
+        return [
+            'limit' => $limits['maxWishlistsPerCustomer'],
+            'count' => $count,
+            'remaining' => max(0, $limits['maxWishlistsPerCustomer'] - $count),
+            'maxItemsPerWishlist' => $limits['maxItemsPerWishlist'],
+        ];
+    }
+
+    /**
+     * Item limit, current and remaining number of items of a wishlist.
+     *
+     * @throws WishlistNotFoundException
+     *
+     * @return array{limit: int, count: int, remaining: int}
+     */
+    public function getWishlistCapacity(string $wishlistId, Context $context): array
+    {
+        $wishlist = $this->loadWishlist($wishlistId, $context);
+        if (null === $wishlist) {
+            throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $wishlistId]);
+        }
+
+        $limit = $this->resolveWishlistLimits($wishlist)['maxItemsPerWishlist'];
+        $count = $this->countWishlistItems($wishlistId, $context);
+
+        return [
+            'limit' => $limit,
+            'count' => $count,
+            'remaining' => max(0, $limit - $count),
+        ];
+    }
+
+    private function loadWishlist(string $wishlistId, Context $context): ?WishlistEntity
+    {
+        $criteria = new Criteria([$wishlistId]);
+        $criteria->addAssociation('customer');
+
+        return $this->wishlistRepository->search($criteria, $context)->first();
+    }
+
+    /**
+     * @return array{maxWishlistsPerCustomer: int, maxItemsPerWishlist: int}
+     */
+    private function resolveWishlistLimits(?WishlistEntity $wishlist): array
+    {
+        $customer = $wishlist?->getCustomer();
+
+        return $this->getLimits(
+            $wishlist?->salesChannelId ?? $customer?->getSalesChannelId(),
+            $customer?->getGroupId()
+        );
+    }
+
+    private function getConfiguredLimit(string $key, ?string $salesChannelId): ?int
+    {
+        $value = $this->systemConfigService?->getInt($key, $salesChannelId) ?? 0;
+
+        return $value > 0 ? $value : null;
+    }
+
+    private function countCustomerWishlists(string $customerId, Context $context): int
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+        $criteria->setLimit(1);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        return $this->wishlistRepository->search($criteria, $context)->getTotal();
+    }
+
+    private function countWishlistItems(string $wishlistId, Context $context): int
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+        $criteria->setLimit(1);
+        $criteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        return $this->wishlistItemRepository->search($criteria, $context)->getTotal();
+    }
 }
@@ -0,0 +1,464 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use AdvancedWishlist\Core\Event\WishlistDeletedEvent;
+use AdvancedWishlist\Core\Exception\CrossCustomerMergeException;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use Doctrine\DBAL\Connection;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\EventDispatcher\EventDispatcherInterface;
+
+/**
+ * Merges several wishlists into one target wishlist for the administration.
+ * Products found in more than one wishlist are combined into a single item, their quantity is
+ * resolved by the chosen strategy. Deleting wishlists with an item transfer is built on the same merge.
+ * A merge is written in one transaction and moves the target to its next version.
+ */
+class WishlistMergeService
+{
+    public const string STRATEGY_SUM = 'sum';
+    public const string STRATEGY_MAX = 'max';
+    public const string STRATEGY_KEEP_TARGET = 'keep_target';
+
+    public const array STRATEGIES = [
+        self::STRATEGY_SUM,
+        self::STRATEGY_MAX,
+        self::STRATEGY_KEEP_TARGET,
+    ];
+
+    private const int MAX_ITEM_QUANTITY = 999;
+
+    public function __construct(
+        private readonly EntityRepository $wishlistRepository,
+        private readonly EntityRepository $wishlistItemRepository,
+        private readonly WishlistCacheService $cacheService,
+        private readonly EventDispatcherInterface $eventDispatcher,
+        private readonly LoggerInterface $logger,
+        private readonly WishlistLimitService $limitService,
+        private readonly WishlistVersionService $versionService,
+        private readonly Connection $connection,
+    ) {
+    }
+
+    /**
+     * Combined items of a merge without writing anything.
+     *
+     * @param string[] $sourceIds
+     *
+     * @return array<string, mixed>
+     */
+    public function previewMerge(array $sourceIds, string $targetId, string $strategy, Context $context): array
+    {
+        $this->validateStrategy($strategy);
+
+        [$target, $sources] = $this->loadWishlists($sourceIds, $targetId, $context);
+        $entries = $this->combineItems($target, $sources, $strategy);
+        $limit = $this->limitService->getWishlistLimits($targetId, $context)['maxItemsPerWishlist'];
+
+        return [
+            'target' => $this->formatWishlist($target),
+            'sources' => array_map(fn (WishlistEntity $source) => $this->formatWishlist($source), $sources),
+            'crossCustomer' => $this->isCrossCustomer($target, $sources),
+            'strategy' => $strategy,
+            'items' => array_map(fn (array $entry) => $this->formatEntry($entry), array_values($entries)),
+            'summary' => $this->summarize($entries),
+            'limit' => $limit,
+            'exceedsLimit' => \count($entries) > $limit,
+        ];
+    }
+
+    /**
+     * Merge the source wishlists into the target.
+     * Items new to the target count as added now, unless `keepAddedAt` keeps the date of their source.
+     *
+     * @param string[]                                                                                       $sourceIds
+     * @param array{strategy?: string, deleteSources?: bool, allowCrossCustomer?: bool, keepAddedAt?: bool} $options
+     *
+     * @throws OptimisticLockException When the target was saved while the merge was computed
+     *
+     * @return array<string, mixed>
+     */
+    public function merge(array $sourceIds, string $targetId, array $options, Context $context): array
+    {
+        $strategy = $options['strategy'] ?? self::STRATEGY_SUM;
+        $this->validateStrategy($strategy);
+
+        [$target, $sources] = $this->loadWishlists($sourceIds, $targetId, $context);
+
+        if ($this->isCrossCustomer($target, $sources) && !($options['allowCrossCustomer'] ?? false)) {
+            throw new CrossCustomerMergeException('The wishlists belong to different customers', ['targetId' => $targetId]);
+        }
+
+        $entries = $this->combineItems($target, $sources, $strategy);
+
+        $limit = $this->limitService->getWishlistLimits($targetId, $context)['maxItemsPerWishlist'];
+        if (\count($entries) > $limit) {
+            throw new WishlistLimitExceededException('Wishlist item limit reached', ['limit' => $limit, 'current' => \count($entries), 'type' => 'items']);
+        }
+
+        $newItems = [];
+        $mergedItems = [];
+
+        foreach ($entries as $entry) {
+            $targetItem = $entry['targetItem'];
+
+            if ($targetItem !== null) {
+                if ($entry['quantity'] !== $targetItem->quantity) {
+                    $mergedItems[] = [
+                        'id' => $targetItem->getUniqueIdentifier(),
+                        'quantity' => $entry['quantity'],
+                    ];
+                }
+                continue;
+            }
+
+            // New items keep the note and price of their first occurrence
+            $sourceItem = $entry['sourceItems'][0];
+            $newItems[] = [
+                'id' => Uuid::randomHex(),
+                'wishlistId' => $targetId,
+                'productId' => $sourceItem->productId,
+                'productVersionId' => $sourceItem->productVersionId,
+                'quantity' => $entry['quantity'],
+                'note' => $sourceItem->note,
+                'priority' => $sourceItem->priority ?? 0,
+                'priceAtAddition' => $sourceItem->priceAtAddition,
+                'addedAt' => ($options['keepAddedAt'] ?? false) ? ($sourceItem->addedAt ?? new \DateTime()) : new \DateTime(),
+            ];
+        }
+
+        $deleteSources = (bool) ($options['deleteSources'] ?? false);
+
+        $this->connection->transactional(function () use ($target, $sources, $entries, $newItems, $mergedItems, $deleteSources, $context): void {
+            if ($newItems !== []) {
+                $this->wishlistItemRepository->create($newItems, $context);
+            }
+
+            if ($mergedItems !== []) {
+                $this->wishlistItemRepository->update($mergedItems, $context);
+            }
+
+            $this->wishlistRepository->update([[
+                'id' => $target->getId(),
+                'itemCount' => \count($entries),
+                'updatedAt' => new \DateTime(),
+            ]], $context);
+
+            // The merge was computed from the loaded target, a save in between rolls it back
+            $this->versionService->raiseVersion($target->getId(), $target->getVersion());
+
+            if ($deleteSources) {
+                $this->deleteRows($sources, $context);
+            }
+        });
+
+        if ($deleteSources) {
+            $this->notifyRemoved($sources, $context);
+        }
+
+        $this->cacheService->invalidateCustomerCache($target->getCustomerId());
+
+        $summary = $this->summarize($entries);
+
+        $this->logger->info('Wishlists merged', [
+            'targetId' => $targetId,
+            'sourceIds' => array_values($sourceIds),
+            'strategy' => $strategy,
+            'itemsAdded' => $summary['added'],
+            'itemsUpdated' => $summary['updated'],
+            'sourcesDeleted' => $deleteSources,
+        ]);
+
+        return [
+            'targetId' => $targetId,
+            'strategy' => $strategy,
+            'itemCount' => \count($entries),
+            'itemsAdded' => $summary['added'],
+            'itemsUpdated' => $summary['updated'],
+            'conflicts' => $summary['conflicts'],
+            'sourcesDeleted' => $deleteSources ? \count($sources) : 0,
+        ];
+    }
+
+    /**
+     * Delete wishlists, their items are moved into the wishlist `$transferToId` of the same customer first if given.
+     *
+     * @param string[] $wishlistIds
+     *
+     * @return array{deleted: int, transferToId: ?string, itemsTransferred: int}
+     */
+    public function deleteWishlists(array $wishlistIds, ?string $transferToId, Context $context): array
+    {
+        $wishlistIds = array_values(array_unique($wishlistIds));
+
+        if ($wishlistIds === []) {
+            throw new \InvalidArgumentException('At least one wishlist is required');
+        }
+
+        if ($transferToId !== null) {
+            if (\in_array($transferToId, $wishlistIds, true)) {
+                throw new \InvalidArgumentException('The wishlist receiving the items cannot be deleted');
+            }
+
+            // A transfer is a merge that always keeps every quantity and date and never crosses customers
+            $result = $this->merge($wishlistIds, $transferToId, [
+                'strategy' => self::STRATEGY_SUM,
+                'deleteSources' => true,
+                'allowCrossCustomer' => false,
+                'keepAddedAt' => true,
+            ], $context);
+
+            return [
+                'deleted' => $result['sourcesDeleted'],
+                'transferToId' => $transferToId,
+                'itemsTransferred' => $result['itemsAdded'] + $result['itemsUpdated'],
+            ];
+        }
+
+        $wishlists = $this->wishlistRepository->search(new Criteria($wishlistIds), $context)->getEntities();
+
+        foreach ($wishlistIds as $wishlistId) {
+            if (!$wishlists->has($wishlistId)) {
+                throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $wishlistId]);
+            }
+        }
+
+        $this->removeWishlists(array_values($wishlists->getElements()), $context);
+
+        $this->logger->info('Wishlists deleted', [
+            'wishlistIds' => $wishlistIds,
+            'itemsTransferred' => false,
+        ]);
+
+        return [
+            'deleted' => \count($wishlistIds),
+            'transferToId' => null,
+            'itemsTransferred' => 0,
+        ];
+    }
+
+    /**
+     * @param WishlistEntity[] $wishlists
+     */
+    private function removeWishlists(array $wishlists, Context $context): void
+    {
+        $this->deleteRows($wishlists, $context);
+        $this->notifyRemoved($wishlists, $context);
+    }
+
+    /**
+     * @param WishlistEntity[] $wishlists
+     */
+    private function deleteRows(array $wishlists, Context $context): void
+    {
+        $this->wishlistRepository->delete(
+            array_map(fn (WishlistEntity $wishlist) => ['id' => $wishlist->getId()], $wishlists),
+            $context
+        );
+    }
+
+    /**
+     * @param WishlistEntity[] $wishlists
+     */
+    private function notifyRemoved(array $wishlists, Context $context): void
+    {
+        foreach ($wishlists as $wishlist) {
+            $this->cacheService->invalidateCustomerCache($wishlist->getCustomerId());
+            $this->eventDispatcher->dispatch(new WishlistDeletedEvent($wishlist, $context));
+        }
+    }
+
+    /**
+     * @param string[] $sourceIds
+     *
+     * @return array{0: WishlistEntity, 1: WishlistEntity[]}
+     */
+    private function loadWishlists(array $sourceIds, string $targetId, Context $context): array
+    {
+        $sourceIds = array_values(array_unique(array_diff($sourceIds, [$targetId])));
+
+        if ($sourceIds === []) {
+            throw new \InvalidArgumentException('At least one source wishlist other than the target is required');
+        }
+
+        $criteria = new Criteria([...$sourceIds, $targetId]);
+        $criteria->addAssociation('customer');
+        $criteria->addAssociation('items.product');
+
+        $wishlists = $this->wishlistRepository->search($criteria, $context)->getEntities();
+
+        $target = $wishlists->get($targetId);
+        if (!$target) {
+            throw new WishlistNotFoundException('Target wishlist not found', ['wishlistId' => $targetId]);
+        }
+
+        $sources = [];
+        foreach ($sourceIds as $sourceId) {
+            $source = $wishlists->get($sourceId);
+            if (!$source) {
+                throw new WishlistNotFoundException('Source wishlist not found', ['wishlistId' => $sourceId]);
+            }
+
+            $sources[] = $source;
+        }
+
+        return [$target, $sources];
+    }
+
+    /**
+     * One entry per product: the target item, the source items in the order of the sources and the resolved quantity.
+     *
+     * @param WishlistEntity[] $sources
+     *
+     * @return array<string, array{productId: string, targetItem: ?WishlistItemEntity, sourceItems: WishlistItemEntity[], quantities: int[], quantity: int}>
+     */
+    private function combineItems(WishlistEntity $target, array $sources, string $strategy): array
+    {
+        $entries = [];
+
+        foreach ($target->getItems() ?? [] as $item) {
+            $entries[$item->productId] = [
+                'productId' => $item->productId,
+                'targetItem' => $item,
+                'sourceItems' => [],
+                'quantities' => [$item->quantity],
+                'quantity' => $item->quantity,
+            ];
+        }
+
+        foreach ($sources as $source) {
+            foreach ($source->getItems() ?? [] as $item) {
+                $entries[$item->productId] ??= [
+                    'productId' => $item->productId,
+                    'targetItem' => null,
+                    'sourceItems' => [],
+                    'quantities' => [],
+                    'quantity' => 0,
+                ];
+
+                $entries[$item->productId]['sourceItems'][] = $item;
+                $entries[$item->productId]['quantities'][] = $item->quantity;
+            }
+        }
+
+        foreach ($entries as $productId => $entry) {
+            $entries[$productId]['quantity'] = $this->resolveQuantity($entry, $strategy);
+        }
+
+        return $entries;
+    }
+
+    private function resolveQuantity(array $entry, string $strategy): int
+    {
+        $quantity = match ($strategy) {
+            self::STRATEGY_SUM => array_sum($entry['quantities']),
+            self::STRATEGY_MAX => max($entry['quantities']),
+            // Products missing in the target keep the quantity of the first source
+            self::STRATEGY_KEEP_TARGET => $entry['quantities'][0],
+        };
+
+        return min($quantity, self::MAX_ITEM_QUANTITY);
+    }
+
+    /**
+     * @param WishlistEntity[] $sources
+     */
+    private function isCrossCustomer(WishlistEntity $target, array $sources): bool
+    {
+        foreach ($sources as $source) {
+            if ($source->getCustomerId() !== $target->getCustomerId()) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private function validateStrategy(string $strategy): void
+    {
+        if (!\in_array($strategy, self::STRATEGIES, true)) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported conflict strategy "%s"', $strategy));
+        }
+    }
+
+    /**
+     * @return array{items: int, added: int, updated: int, conflicts: int}
+     */
+    private function summarize(array $entries): array
+    {
+        $summary = ['items' => \count($entries), 'added' => 0, 'updated' => 0, 'conflicts' => 0];
+
+        foreach ($entries as $entry) {
+            $status = $this->getEntryStatus($entry);
+            if ($status === 'added') {
+                ++$summary['added'];
+            } elseif ($status === 'updated') {
+                ++$summary['updated'];
+            }
+
+            if (\count($entry['quantities']) > 1) {
+                ++$summary['conflicts'];
+            }
+        }
+
+        return $summary;
+    }
+
+    private function getEntryStatus(array $entry): string
+    {
+        if ($entry['targetItem'] === null) {
+            return 'added';
+        }
+
+        return $entry['quantity'] !== $entry['targetItem']->quantity ? 'updated' : 'unchanged';
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatEntry(array $entry): array
+    {
+        $product = ($entry['targetItem'] ?? $entry['sourceItems'][0])->getProduct();
+
+        return [
+            'productId' => $entry['productId'],
+            'productName' => $product?->getTranslation('name') ?? $product?->getName(),
+            'productNumber' => $product?->getProductNumber(),
+            'targetQuantity' => $entry['targetItem']?->quantity,
+            'sourceQuantities' => array_map(
+                fn (WishlistItemEntity $item) => ['wishlistId' => $item->wishlistId, 'quantity' => $item->quantity],
+                $entry['sourceItems']
+            ),
+            'quantity' => $entry['quantity'],
+            'conflict' => \count($entry['quantities']) > 1,
+            'status' => $this->getEntryStatus($entry),
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function formatWishlist(WishlistEntity $wishlist): array
+    {
+        $customer = $wishlist->getCustomer();
+
+        return [
+            'id' => $wishlist->getId(),
+            'name' => $wishlist->name,
+            'customerId' => $wishlist->getCustomerId(),
+            'customerName' => $customer ? trim($customer->getFirstName() . ' ' . $customer->getLastName()) : null,
+            'itemCount' => $wishlist->getItems()?->count() ?? 0,
+        ];
+    }
+}
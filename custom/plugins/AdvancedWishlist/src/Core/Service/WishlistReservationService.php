@@ -0,0 +1,310 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
+use AdvancedWishlist\Core\Content\WishlistItemReservation\WishlistItemReservationCollection;
+use AdvancedWishlist\Core\Content\WishlistItemReservation\WishlistItemReservationEntity;
+use AdvancedWishlist\Core\Exception\ItemNotReservableException;
+use AdvancedWishlist\Core\Exception\SharePasswordRequiredException;
+use AdvancedWishlist\Core\Exception\SharePermissionDeniedException;
+use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Exception\WishlistShareNotFoundException;
+use AdvancedWishlist\Service\ShareService;
+use Doctrine\DBAL\Connection;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\HttpFoundation\IpUtils;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Session\SessionInterface;
+
+/**
+ * Gift reservations on shared wishlists.
+ * Recipients of a share link mark items as reserved or purchased, the wishlist owner only ever sees the totals.
+ */
+class WishlistReservationService
+{
+    public const string PERMISSION_VIEW = 'view';
+    public const string PERMISSION_EDIT = 'edit';
+
+    // IDs of the shares opened in the session, they need no password and use up no views anymore
+    private const string SESSION_GRANTED_SHARES = 'advanced_wishlist.granted_shares';
+
+    public function __construct(
+        private EntityRepository $wishlistRepository,
+        private EntityRepository $reservationRepository,
+        private ShareService $shareService,
+        private Connection $connection,
+        private LoggerInterface $logger,
+    ) {
+    }
+
+    /**
+     * Resolve a share link and grant the session access to it, so the recipient can keep using
+     * a protected, limited or single-use link after opening it once.
+     *
+     * @param array<string, ?string> $viewer Visitor a counted view is logged for, see createViewer()
+     *
+     * @throws WishlistShareNotFoundException When the token does not resolve to an active share or the share is out of views
+     * @throws SharePasswordRequiredException When the share is protected and the password is missing or wrong
+     */
+    public function resolveShare(
+        string $token,
+        Context $context,
+        ?SessionInterface $session = null,
+        ?string $password = null,
+        array $viewer = [],
+    ): WishlistShareEntity {
+        $granted = (array) ($session?->get(self::SESSION_GRANTED_SHARES) ?? []);
+
+        $share = $this->shareService->getShareByToken($token, $context, $password, $granted, $viewer);
+        if (!$share) {
+            throw new WishlistShareNotFoundException('Shared wishlist not found');
+        }
+
+        if ($session && !\in_array($share->getUniqueIdentifier(), $granted, true)) {
+            $granted[] = $share->getUniqueIdentifier();
+            $session->set(self::SESSION_GRANTED_SHARES, $granted);
+        }
+
+        return $share;
+    }
+
+    /**
+     * Visitor data logged with a share view. The IP address is anonymized before it is stored.
+     *
+     * @return array{visitorId: ?string, customerId: ?string, ipAddress: ?string, userAgent: ?string, referrer: ?string}
+     */
+    public function createViewer(Request $request, ?string $customerId, ?string $visitorId): array
+    {
+        $ipAddress = $request->getClientIp();
+
+        return [
+            'visitorId' => $visitorId,
+            'customerId' => $customerId,
+            'ipAddress' => null !== $ipAddress ? IpUtils::anonymize($ipAddress) : null,
+            'userAgent' => $request->headers->get('User-Agent'),
+            'referrer' => $request->headers->get('Referer'),
+        ];
+    }
+
+    /**
+     * Permissions granted by the share, `view` when none were stored.
+     *
+     * @return string[]
+     */
+    public function getPermissions(WishlistShareEntity $share): array
+    {
+        $permissions = $share->getSettings()['permissions'] ?? null;
+
+        return \is_array($permissions) && [] !== $permissions ? array_values($permissions) : [self::PERMISSION_VIEW];
+    }
+
+    public function hasPermission(WishlistShareEntity $share, string $permission): bool
+    {
+        return \in_array($permission, $this->getPermissions($share), true);
+    }
+
+    /**
+     * The shared wishlist with its items and products.
+     *
+     * @throws WishlistNotFoundException
+     */
+    public function loadSharedWishlist(WishlistShareEntity $share, Context $context): WishlistEntity
+    {
+        $criteria = new Criteria([$share->getWishlistId()]);
+        $criteria->addAssociation('items.product.cover');
+        $criteria->addAssociation('customer');
+
+        $wishlist = $this->wishlistRepository->search($criteria, $context)->first();
+        if (!$wishlist) {
+            throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $share->getWishlistId()]);
+        }
+
+        return $wishlist;
+    }
+
+    /**
+     * Reservation state of every item of a wishlist as seen by a recipient.
+     *
+     * @return array<string, array{reserved: int, purchased: int, own: array{status: string, quantity: int}|null}> By item ID
+     */
+    public function getItemStates(string $wishlistId, string $visitorId, Context $context): array
+    {
+        $states = [];
+
+        foreach ($this->loadReservations($wishlistId, $context) as $reservation) {
+            $itemId = $reservation->getWishlistItemId();
+            $states[$itemId] ??= ['reserved' => 0, 'purchased' => 0, 'own' => null];
+            $states[$itemId][$reservation->getStatus()] += $reservation->getQuantity();
+
+            if ($reservation->getVisitorId() === $visitorId) {
+                $states[$itemId]['own'] = [
+                    'status' => $reservation->getStatus(),
+                    'quantity' => $reservation->getQuantity(),
+                ];
+            }
+        }
+
+        return $states;
+    }
+
+    /**
+     * Reserved and purchased quantities per item for the wishlist owner, without who reserved what.
+     *
+     * @return array<string, array{reserved: int, purchased: int}> By item ID
+     */
+    public function getReservationCounts(string $wishlistId, Context $context): array
+    {
+        $counts = [];
+
+        foreach ($this->loadReservations($wishlistId, $context) as $reservation) {
+            $itemId = $reservation->getWishlistItemId();
+            $counts[$itemId] ??= ['reserved' => 0, 'purchased' => 0];
+            $counts[$itemId][$reservation->getStatus()] += $reservation->getQuantity();
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Reserve an item or mark it as purchased, an existing mark of the visitor is replaced.
+     *
+     * @throws SharePermissionDeniedException When the share is view-only or the owner opens their own link
+     * @throws WishlistItemNotFoundException
+     * @throws ItemNotReservableException    When more than the open quantity is requested
+     * @throws \InvalidArgumentException     On an unknown status or a quantity below 1
+     *
+     * @return array Item state as returned by getItemStates()
+     */
+    public function reserve(
+        WishlistShareEntity $share,
+        string $itemId,
+        string $status,
+        int $quantity,
+        string $visitorId,
+        ?string $customerId,
+        Context $context,
+    ): array {
+        if (!\in_array($status, WishlistItemReservationEntity::STATUSES, true)) {
+            throw new \InvalidArgumentException(\sprintf('Invalid reservation status "%s"', $status));
+        }
+
+        if ($quantity < 1) {
+            throw new \InvalidArgumentException('Quantity must be at least 1');
+        }
+
+        $wishlist = $this->loadSharedWishlist($share, $context);
+        $this->assertCanReserve($share, $wishlist, $customerId);
+
+        $item = $wishlist->getItems()?->get($itemId);
+        if (!$item) {
+            throw new WishlistItemNotFoundException('Wishlist item not found', ['itemId' => $itemId]);
+        }
+
+        $this->connection->transactional(function () use ($share, $wishlist, $itemId, $status, $quantity, $visitorId, $customerId, $context): void {
+            // Locking the item makes concurrent reservations wait, so two recipients cannot both take the last gift
+            $itemQuantity = (int) $this->connection->fetchOne(
+                'SELECT `quantity` FROM `wishlist_item` WHERE `id` = :id FOR UPDATE',
+                ['id' => Uuid::fromHexToBytes($itemId)]
+            );
+
+            $reservations = $this->loadReservations($wishlist->getId(), $context)
+                ->filter(fn (WishlistItemReservationEntity $reservation) => $reservation->getWishlistItemId() === $itemId);
+
+            $own = $reservations->filter(fn (WishlistItemReservationEntity $reservation) => $reservation->getVisitorId() === $visitorId)->first();
+            $taken = 0;
+            foreach ($reservations as $reservation) {
+                if ($reservation !== $own) {
+                    $taken += $reservation->getQuantity();
+                }
+            }
+
+            $available = max(0, $itemQuantity - $taken);
+            if ($quantity > $available) {
+                throw new ItemNotReservableException('The requested quantity is no longer available', [
+                    'itemId' => $itemId,
+                    'available' => $available,
+                ]);
+            }
+
+            $this->reservationRepository->upsert([[
+                'id' => $own?->getUniqueIdentifier() ?? Uuid::randomHex(),
+                'wishlistItemId' => $itemId,
+                'wishlistId' => $wishlist->getId(),
+                'shareId' => $share->getUniqueIdentifier(),
+                'customerId' => $customerId,
+                'visitorId' => $visitorId,
+                'status' => $status,
+                'quantity' => $quantity,
+            ]], $context);
+        });
+
+        $this->logger->info('Wishlist item reserved', [
+            'wishlistId' => $wishlist->getId(),
+            'itemId' => $itemId,
+            'shareId' => $share->getUniqueIdentifier(),
+            'status' => $status,
+        ]);
+
+        return $this->getItemStates($wishlist->getId(), $visitorId, $context)[$itemId];
+    }
+
+    /**
+     * Withdraw the visitor's reservation of an item.
+     *
+     * @throws SharePermissionDeniedException When the share is view-only
+     *
+     * @return array Item state as returned by getItemStates()
+     */
+    public function cancel(WishlistShareEntity $share, string $itemId, string $visitorId, Context $context): array
+    {
+        if (!$this->hasPermission($share, self::PERMISSION_EDIT)) {
+            throw new SharePermissionDeniedException('This share does not allow reservations');
+        }
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('wishlistId', $share->getWishlistId()));
+        $criteria->addFilter(new EqualsFilter('wishlistItemId', $itemId));
+        $criteria->addFilter(new EqualsFilter('visitorId', $visitorId));
+
+        $ids = $this->reservationRepository->searchIds($criteria, $context)->getIds();
+        if ([] !== $ids) {
+            $this->reservationRepository->delete(array_map(fn (string $id) => ['id' => $id], $ids), $context);
+        }
+
+        return $this->getItemStates($share->getWishlistId(), $visitorId, $context)[$itemId]
+            ?? ['reserved' => 0, 'purchased' => 0, 'own' => null];
+    }
+
+    private function assertCanReserve(WishlistShareEntity $share, WishlistEntity $wishlist, ?string $customerId): void
+    {
+        if (!$this->hasPermission($share, self::PERMISSION_EDIT)) {
+            throw new SharePermissionDeniedException('This share does not allow reservations');
+        }
+
+        // Owners would spoil their own surprise
+        if (null !== $customerId && $wishlist->getCustomerId() === $customerId) {
+            throw new SharePermissionDeniedException('You cannot reserve items of your own wishlist');
+        }
+    }
+
+    private function loadReservations(string $wishlistId, Context $context): WishlistItemReservationCollection
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+
+        /** @var WishlistItemReservationCollection $reservations */
+        $reservations = $this->reservationRepository->search($criteria, $context)->getEntities();
+
+        return $reservations;
+    }
+}
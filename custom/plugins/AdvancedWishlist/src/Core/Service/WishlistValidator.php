@@ -8,6 +8,7 @@ use AdvancedWishlist\Core\Content\Wishlist\WishlistEntity;
 use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
 use AdvancedWishlist\Core\DTO\Request\UpdateWishlistRequest;
 use AdvancedWishlist\Core\Exception\WishlistException;
+use Shopware\Core\Framework\Api\Context\AdminApiSource;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\System\SalesChannel\SalesChannelContext;
 
@@ -65,17 +66,30 @@ class WishlistValidator
         if (null !== $type && !in_array($type, ['private', 'public', 'shared'], true)) {
             throw new WishlistException('Invalid wishlist type. Must be one of: private, public, shared', ['field' => 'type', 'allowedValues' => ['private', 'public', 'shared']]);
         }
+
+        // Only the administration moves wishlists between customers
+        if (null !== $request->getCustomerId() && !$context->getSource() instanceof AdminApiSource) {
+            throw new WishlistException('The customer of a wishlist can only be changed in the administration', ['field' => 'customerId']);
+        }
     }
 
     /**
      * Validates ownership of a wishlist.
+     *
+     * @param string|null $customerId Customer of a storefront request, the plain Context passed to the services does not carry it
      */
     public function validateOwnership(
         WishlistEntity $wishlist,
         Context $context,
+        ?string $customerId = null,
     ): void {
+        // Administrators manage the wishlists of all customers
+        if ($context->getSource() instanceof AdminApiSource) {
+            return;
+        }
+
         // Get customer ID from context
-        $customerId = $this->getCustomerIdFromContext($context);
+        $customerId ??= $this->getCustomerIdFromContext($context);
 
         // Check if the wishlist belongs to the customer
         if ($wishlist->getCustomerId() !== $customerId) {
@@ -0,0 +1,68 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Core\Service;
+
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Wishlist versions for optimistic locking. Every saved change moves a wishlist to the next version.
+ * Compare and increment are one statement, so of two saves based on the same version only one succeeds.
+ * Callers raise the version in the transaction of their writes, a conflict then rolls the writes back.
+ */
+class WishlistVersionService
+{
+    public function __construct(
+        private readonly Connection $connection,
+    ) {
+    }
+
+    /**
+     * Move a wishlist to the next version, with an `$expectedVersion` only while it is still at that version.
+     *
+     * @throws OptimisticLockException   When the wishlist was saved since the expected version
+     * @throws WishlistNotFoundException
+     *
+     * @return int The version now stored
+     */
+    public function raiseVersion(string $wishlistId, ?int $expectedVersion = null): int
+    {
+        $sql = 'UPDATE `wishlist` SET `version` = `version` + 1 WHERE `id` = :id';
+        $parameters = ['id' => Uuid::fromHexToBytes($wishlistId)];
+
+        if (null !== $expectedVersion) {
+            $sql .= ' AND `version` = :expectedVersion';
+            $parameters['expectedVersion'] = $expectedVersion;
+        }
+
+        $affected = $this->connection->executeStatement($sql, $parameters);
+        $version = $this->getVersion($wishlistId);
+
+        if (0 === $affected) {
+            throw new OptimisticLockException('Wishlist was modified by another process', ['expectedVersion' => $expectedVersion, 'currentVersion' => $version]);
+        }
+
+        return $version;
+    }
+
+    /**
+     * @throws WishlistNotFoundException
+     */
+    public function getVersion(string $wishlistId): int
+    {
+        $version = $this->connection->fetchOne(
+            'SELECT `version` FROM `wishlist` WHERE `id` = :id',
+            ['id' => Uuid::fromHexToBytes($wishlistId)]
+        );
+
+        if (false === $version) {
+            throw new WishlistNotFoundException('Wishlist not found', ['wishlistId' => $wishlistId]);
+        }
+
+        return (int) $version;
+    }
+}
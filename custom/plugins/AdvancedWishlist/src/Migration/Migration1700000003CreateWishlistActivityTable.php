@@ -0,0 +1,44 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000003CreateWishlistActivityTable extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000003;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Item changes leave no trace in `wishlist_item`, so they are logged here for the activity timeline
+        $sql = <<<SQL
+        CREATE TABLE IF NOT EXISTS `wishlist_activity` (
+            `id` BINARY(16) NOT NULL,
+            `wishlist_id` BINARY(16) NOT NULL,
+            `type` VARCHAR(32) NOT NULL,
+            `product_id` BINARY(16),
+            `quantity` INT,
+            `previous_quantity` INT,
+            `payload` JSON,
+            `created_at` DATETIME(3) NOT NULL,
+            PRIMARY KEY (`id`),
+            KEY `idx.wishlist_activity.timeline` (`wishlist_id`, `created_at`),
+            KEY `idx.wishlist_activity.type` (`wishlist_id`, `type`),
+            CONSTRAINT `fk.wishlist_activity.wishlist` FOREIGN KEY (`wishlist_id`)
+                REFERENCES `wishlist` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,43 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000004CreateWishlistFilterPresetTable extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000004;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Named filter sets of the admin wishlist list, owned by an admin user and optionally shared
+        $sql = <<<SQL
+        CREATE TABLE IF NOT EXISTS `wishlist_filter_preset` (
+            `id` BINARY(16) NOT NULL,
+            `user_id` BINARY(16) NOT NULL,
+            `name` VARCHAR(255) NOT NULL,
+            `filters` JSON NOT NULL,
+            `shared` TINYINT(1) NOT NULL DEFAULT 0,
+            `created_at` DATETIME(3) NOT NULL,
+            `updated_at` DATETIME(3),
+            PRIMARY KEY (`id`),
+            KEY `idx.wishlist_filter_preset.user` (`user_id`),
+            KEY `idx.wishlist_filter_preset.shared` (`shared`),
+            CONSTRAINT `fk.wishlist_filter_preset.user` FOREIGN KEY (`user_id`)
+                REFERENCES `user` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
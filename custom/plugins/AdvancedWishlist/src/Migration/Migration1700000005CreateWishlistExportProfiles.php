@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Defaults;
+use Shopware\Core\Framework\Migration\MigrationStep;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+class Migration1700000005CreateWishlistExportProfiles extends MigrationStep
+{
+    private const array PROFILES = [
+        'advanced_wishlist_export_csv' => ['text/csv', 'Wishlists (CSV)'],
+        'advanced_wishlist_export_xlsx' => ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'Wishlists (XLSX)'],
+        'advanced_wishlist_export_json' => ['application/json', 'Wishlists (JSON)'],
+    ];
+
+    private const array COLUMNS = [
+        'id' => 'id',
+        'name' => 'name',
+        'type' => 'type',
+        'description' => 'description',
+        'isDefault' => 'isDefault',
+        'itemCount' => 'itemCount',
+        'totalValue' => 'totalValue',
+        'salesChannelId' => 'salesChannelId',
+        'createdAt' => 'createdAt',
+        'updatedAt' => 'updatedAt',
+        'customerId' => 'customerId',
+        'customerNumber' => 'customer.customerNumber',
+        'customerEmail' => 'customer.email',
+        'customerFirstName' => 'customer.firstName',
+        'customerLastName' => 'customer.lastName',
+        'items' => 'items',
+    ];
+
+    public function getCreationTimestamp(): int
+    {
+        return 1700000005;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // One import/export profile per file format, the admin export picks the columns per run
+        $mapping = [];
+        foreach (array_keys(self::COLUMNS) as $position => $column) {
+            $mapping[] = [
+                'key' => self::COLUMNS[$column],
+                'mappedKey' => $column,
+                'position' => $position,
+                'useDefaultValue' => false,
+                'defaultValue' => null,
+                'requiredByUser' => false,
+            ];
+        }
+
+        $createdAt = (new \DateTime())->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+
+        foreach (self::PROFILES as $technicalName => [$fileType, $label]) {
+            $exists = $connection->fetchOne(
+                'SELECT 1 FROM `import_export_profile` WHERE `technical_name` = :technicalName',
+                ['technicalName' => $technicalName]
+            );
+            if ($exists !== false) {
+                continue;
+            }
+
+            $id = Uuid::randomBytes();
+
+            $connection->insert('import_export_profile', [
+                'id' => $id,
+                'technical_name' => $technicalName,
+                'system_default' => 0,
+                'source_entity' => 'wishlist',
+                'file_type' => $fileType,
+                'delimiter' => ';',
+                'enclosure' => '"',
+                'type' => 'export',
+                'mapping' => json_encode($mapping, \JSON_THROW_ON_ERROR),
+                'config' => json_encode([], \JSON_THROW_ON_ERROR),
+                'created_at' => $createdAt,
+            ]);
+
+            $connection->insert('import_export_profile_translation', [
+                'import_export_profile_id' => $id,
+                'language_id' => Uuid::fromHexToBytes(Defaults::LANGUAGE_SYSTEM),
+                'label' => $label,
+                'created_at' => $createdAt,
+            ]);
+        }
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,35 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000006AddWishlistVersion extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000006;
+    }
+
+    public function update(Connection $connection): void
+    {
+        if ($this->columnExists($connection, 'wishlist', 'version')) {
+            return;
+        }
+
+        // Raised by every write to a wishlist or its items, saves based on an older version are rejected
+        $sql = <<<SQL
+        ALTER TABLE `wishlist`
+            ADD COLUMN `version` INT UNSIGNED NOT NULL DEFAULT 1 AFTER `total_value`;
+        SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
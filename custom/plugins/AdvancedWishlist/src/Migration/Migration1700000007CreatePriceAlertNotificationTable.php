@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000007CreatePriceAlertNotificationTable extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000007;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Price the alert was set up at and when it fired, a triggered alert stays quiet until it is set up again
+        if (!$this->columnExists($connection, 'wishlist_item', 'price_at_alert')) {
+            $connection->executeStatement(<<<SQL
+            ALTER TABLE `wishlist_item`
+                ADD COLUMN `price_at_alert` DECIMAL(10,2) NULL AFTER `price_alert_active`,
+                ADD COLUMN `price_alert_triggered_at` DATETIME(3) NULL AFTER `price_at_alert`;
+            SQL);
+        }
+
+        // Send history of price alert mails, entries outlive the wishlist item they were sent for
+        $sql = <<<SQL
+        CREATE TABLE IF NOT EXISTS `wishlist_price_alert_notification` (
+            `id` BINARY(16) NOT NULL,
+            `wishlist_item_id` BINARY(16),
+            `wishlist_id` BINARY(16),
+            `customer_id` BINARY(16),
+            `product_id` BINARY(16),
+            `recipient` VARCHAR(255),
+            `threshold` DECIMAL(10,2),
+            `old_price` DECIMAL(10,2) NOT NULL,
+            `new_price` DECIMAL(10,2) NOT NULL,
+            `is_test` TINYINT(1) NOT NULL DEFAULT 0,
+            `status` VARCHAR(16) NOT NULL,
+            `error` VARCHAR(500),
+            `payload` JSON,
+            `created_at` DATETIME(3) NOT NULL,
+            `updated_at` DATETIME(3),
+            PRIMARY KEY (`id`),
+            KEY `idx.wishlist_price_alert_notification.created` (`created_at`),
+            KEY `idx.wishlist_price_alert_notification.item` (`wishlist_item_id`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
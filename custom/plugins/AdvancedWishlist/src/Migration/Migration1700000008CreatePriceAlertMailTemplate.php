@@ -0,0 +1,89 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use AdvancedWishlist\Core\Migration\MailTemplateMigrationTrait;
+use AdvancedWishlist\Service\NotificationService;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000008CreatePriceAlertMailTemplate extends MigrationStep
+{
+    use MailTemplateMigrationTrait;
+
+    public function getCreationTimestamp(): int
+    {
+        return 1700000008;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $this->createMailTemplate(
+            $connection,
+            NotificationService::PRICE_ALERT_MAIL_TYPE,
+            [
+                'en-GB' => 'Wishlist price alert',
+                'de-DE' => 'Merkliste Preisalarm',
+            ],
+            [
+                'en-GB' => [
+                    'senderName' => '{{ salesChannel.translated.name }}',
+                    'subject' => 'The price of {{ product.translated.name }} has dropped',
+                    'description' => 'Sent when a product on a wishlist drops below the price the customer is waiting for',
+                    'contentHtml' => <<<'TWIG'
+                    <div style="font-family:arial; font-size:12px;">
+                        <p>
+                            {% if isTest %}<strong>[Test]</strong><br/><br/>{% endif %}
+                            Hello {{ customer.firstName }} {{ customer.lastName }},<br/>
+                            <br/>
+                            good news: "{{ product.translated.name }}" on your wishlist "{{ wishlist.name }}" now costs {{ newPrice|currency }} instead of {{ oldPrice|currency }}.
+                        </p>
+                    </div>
+                    TWIG,
+                    'contentPlain' => <<<'TWIG'
+                    {% if isTest %}[Test]
+
+                    {% endif %}Hello {{ customer.firstName }} {{ customer.lastName }},
+
+                    good news: "{{ product.translated.name }}" on your wishlist "{{ wishlist.name }}" now costs {{ newPrice|currency }} instead of {{ oldPrice|currency }}.
+                    TWIG,
+                ],
+                'de-DE' => [
+                    'senderName' => '{{ salesChannel.translated.name }}',
+                    'subject' => 'Der Preis von {{ product.translated.name }} ist gesunken',
+                    'description' => 'Wird gesendet, wenn ein Produkt einer Merkliste unter den Preis fällt, auf den der Kunde wartet',
+                    'contentHtml' => <<<'TWIG'
+                    <div style="font-family:arial; font-size:12px;">
+                        <p>
+                            {% if isTest %}<strong>[Test]</strong><br/><br/>{% endif %}
+                            Hallo {{ customer.firstName }} {{ customer.lastName }},<br/>
+                            <br/>
+                            gute Nachrichten: "{{ product.translated.name }}" auf Ihrer Merkliste "{{ wishlist.name }}" kostet jetzt {{ newPrice|currency }} statt {{ oldPrice|currency }}.
+                        </p>
+                    </div>
+                    TWIG,
+                    'contentPlain' => <<<'TWIG'
+                    {% if isTest %}[Test]
+
+                    {% endif %}Hallo {{ customer.firstName }} {{ customer.lastName }},
+
+                    gute Nachrichten: "{{ product.translated.name }}" auf Ihrer Merkliste "{{ wishlist.name }}" kostet jetzt {{ newPrice|currency }} statt {{ oldPrice|currency }}.
+                    TWIG,
+                ],
+            ],
+            [
+                'customer' => 'customer',
+                'product' => 'product',
+                'wishlist' => 'wishlist',
+                'salesChannel' => 'sales_channel',
+            ]
+        );
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,35 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000009AddStockAlertToWishlistItem extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000009;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Back-in-stock subscription of an item, pending while `stock_alert_notified_at` is empty
+        if (!$this->columnExists($connection, 'wishlist_item', 'stock_alert_active')) {
+            $connection->executeStatement(<<<SQL
+            ALTER TABLE `wishlist_item`
+                ADD COLUMN `stock_alert_active` TINYINT(1) NOT NULL DEFAULT 0 AFTER `price_alert_triggered_at`,
+                ADD COLUMN `stock_alert_subscribed_at` DATETIME(3) NULL AFTER `stock_alert_active`,
+                ADD COLUMN `stock_alert_notified_at` DATETIME(3) NULL AFTER `stock_alert_subscribed_at`,
+                ADD KEY `idx.wishlist_item.stock_alert` (`stock_alert_active`, `stock_alert_notified_at`);
+            SQL);
+        }
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
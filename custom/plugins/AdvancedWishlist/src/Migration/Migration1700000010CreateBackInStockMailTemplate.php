@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use AdvancedWishlist\Core\Migration\MailTemplateMigrationTrait;
+use AdvancedWishlist\Service\NotificationService;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000010CreateBackInStockMailTemplate extends MigrationStep
+{
+    use MailTemplateMigrationTrait;
+
+    public function getCreationTimestamp(): int
+    {
+        return 1700000010;
+    }
+
+    public function update(Connection $connection): void
+    {
+        $this->createMailTemplate(
+            $connection,
+            NotificationService::BACK_IN_STOCK_MAIL_TYPE,
+            [
+                'en-GB' => 'Wishlist back in stock',
+                'de-DE' => 'Merkliste wieder verfügbar',
+            ],
+            [
+                'en-GB' => [
+                    'senderName' => '{{ salesChannel.translated.name }}',
+                    'subject' => '{{ product.translated.name }} is back in stock',
+                    'description' => 'Sent when an out-of-stock product on a wishlist is available again',
+                    'contentHtml' => <<<'TWIG'
+                    <div style="font-family:arial; font-size:12px;">
+                        <p>
+                            Hello {{ customer.firstName }} {{ customer.lastName }},<br/>
+                            <br/>
+                            good news: "{{ product.translated.name }}" on your wishlist "{{ wishlist.name }}" is back in stock. {{ stock }} pieces are available right now.
+                        </p>
+                    </div>
+                    TWIG,
+                    'contentPlain' => <<<'TWIG'
+                    Hello {{ customer.firstName }} {{ customer.lastName }},
+
+                    good news: "{{ product.translated.name }}" on your wishlist "{{ wishlist.name }}" is back in stock. {{ stock }} pieces are available right now.
+                    TWIG,
+                ],
+                'de-DE' => [
+                    'senderName' => '{{ salesChannel.translated.name }}',
+                    'subject' => '{{ product.translated.name }} ist wieder verfügbar',
+                    'description' => 'Wird gesendet, wenn ein ausverkauftes Produkt einer Merkliste wieder verfügbar ist',
+                    'contentHtml' => <<<'TWIG'
+                    <div style="font-family:arial; font-size:12px;">
+                        <p>
+                            Hallo {{ customer.firstName }} {{ customer.lastName }},<br/>
+                            <br/>
+                            gute Nachrichten: "{{ product.translated.name }}" auf Ihrer Merkliste "{{ wishlist.name }}" ist wieder verfügbar. Aktuell sind {{ stock }} Stück auf Lager.
+                        </p>
+                    </div>
+                    TWIG,
+                    'contentPlain' => <<<'TWIG'
+                    Hallo {{ customer.firstName }} {{ customer.lastName }},
+
+                    gute Nachrichten: "{{ product.translated.name }}" auf Ihrer Merkliste "{{ wishlist.name }}" ist wieder verfügbar. Aktuell sind {{ stock }} Stück auf Lager.
+                    TWIG,
+                ],
+            ],
+            [
+                'customer' => 'customer',
+                'product' => 'product',
+                'wishlist' => 'wishlist',
+                'salesChannel' => 'sales_channel',
+            ]
+        );
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,46 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000011CreateWishlistItemReservationTable extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000011;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // "I'll buy this" marks of share recipients, one per recipient and item, never shown to the wishlist owner
+        $sql = <<<SQL
+        CREATE TABLE IF NOT EXISTS `wishlist_item_reservation` (
+            `id` BINARY(16) NOT NULL,
+            `wishlist_item_id` BINARY(16) NOT NULL,
+            `wishlist_id` BINARY(16) NOT NULL,
+            `share_id` BINARY(16),
+            `customer_id` BINARY(16),
+            `visitor_id` VARCHAR(64) NOT NULL,
+            `status` VARCHAR(16) NOT NULL,
+            `quantity` INT NOT NULL DEFAULT 1,
+            `created_at` DATETIME(3) NOT NULL,
+            `updated_at` DATETIME(3),
+            PRIMARY KEY (`id`),
+            UNIQUE KEY `uniq.wishlist_item_reservation.visitor` (`wishlist_item_id`, `visitor_id`),
+            KEY `idx.wishlist_item_reservation.wishlist` (`wishlist_id`),
+            CONSTRAINT `fk.wishlist_item_reservation.wishlist_item` FOREIGN KEY (`wishlist_item_id`)
+                REFERENCES `wishlist_item` (`id`) ON DELETE CASCADE ON UPDATE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+        SQL;
+        $connection->executeStatement($sql);
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,32 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000012AddShareViewLimit extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000012;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Share links stop resolving for new visitors once `views` reaches the limit, single-use links have a limit of 1
+        if (!$this->columnExists($connection, 'wishlist_share', 'max_views')) {
+            $connection->executeStatement(<<<SQL
+            ALTER TABLE `wishlist_share`
+                ADD COLUMN `max_views` INT NULL AFTER `views`;
+            SQL);
+        }
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+}
@@ -0,0 +1,54 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000013UpdateShareTokenStorage extends MigrationStep
+{
+    public function getCreationTimestamp(): int
+    {
+        return 1700000013;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Tokens are stored encrypted with a random IV, share links are looked up by the SHA-256 hash of the plain token.
+        // The encrypted token does not fit the old column and is no longer unique.
+        if (!$this->columnExists($connection, 'wishlist_share', 'token_hash')) {
+            if ($this->hasIndex($connection, 'wishlist_share', 'uniq.wishlist_share.token')) {
+                $connection->executeStatement('ALTER TABLE `wishlist_share` DROP INDEX `uniq.wishlist_share.token`');
+            }
+
+            $connection->executeStatement(<<<SQL
+            ALTER TABLE `wishlist_share`
+                MODIFY COLUMN `token` TEXT NOT NULL,
+                ADD COLUMN `token_hash` CHAR(64) NULL AFTER `token`,
+                ADD UNIQUE KEY `uniq.wishlist_share.token_hash` (`token_hash`);
+            SQL);
+        }
+
+        // Share types are no longer limited to the link, email and social channels of the first release
+        $connection->executeStatement(<<<SQL
+        ALTER TABLE `wishlist_share`
+            MODIFY COLUMN `type` VARCHAR(32) NOT NULL DEFAULT 'link';
+        SQL);
+        $connection->executeStatement("UPDATE `wishlist_share` SET `type` = 'link' WHERE `type` = 'shared'");
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+
+    private function hasIndex(Connection $connection, string $table, string $index): bool
+    {
+        return (bool) $connection->fetchOne(
+            'SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+            [$table, $index]
+        );
+    }
+}
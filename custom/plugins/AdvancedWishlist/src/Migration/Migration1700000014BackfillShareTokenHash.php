@@ -0,0 +1,66 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Migration;
+
+use Defuse\Crypto\Crypto;
+use Defuse\Crypto\Exception\BadFormatException;
+use Defuse\Crypto\Exception\WrongKeyOrModifiedCiphertextException;
+use Defuse\Crypto\Key;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Framework\Migration\MigrationStep;
+
+class Migration1700000014BackfillShareTokenHash extends MigrationStep
+{
+    private const string ENCRYPTION_KEY_ENV = 'WISHLIST_ENCRYPTION_KEY';
+
+    public function getCreationTimestamp(): int
+    {
+        return 1700000014;
+    }
+
+    public function update(Connection $connection): void
+    {
+        // Shares created before tokens were hashed cannot be looked up until their token is hashed.
+        // The key is the one EncryptionService is configured with, shares it cannot decrypt stay unresolvable.
+        $key = $this->loadEncryptionKey();
+        if ($key === null) {
+            return;
+        }
+
+        $shares = $connection->fetchAllAssociative('SELECT `id`, `token` FROM `wishlist_share` WHERE `token_hash` IS NULL');
+
+        foreach ($shares as $share) {
+            try {
+                $token = Crypto::decrypt($share['token'], $key);
+            } catch (WrongKeyOrModifiedCiphertextException) {
+                continue;
+            }
+
+            $connection->executeStatement(
+                'UPDATE `wishlist_share` SET `token_hash` = :tokenHash WHERE `id` = :id',
+                ['tokenHash' => hash('sha256', $token), 'id' => $share['id']]
+            );
+        }
+    }
+
+    public function updateDestructive(Connection $connection): void
+    {
+        // implement update destructive
+    }
+
+    private function loadEncryptionKey(): ?Key
+    {
+        $value = $_SERVER[self::ENCRYPTION_KEY_ENV] ?? $_ENV[self::ENCRYPTION_KEY_ENV] ?? getenv(self::ENCRYPTION_KEY_ENV);
+        if (!\is_string($value) || $value === '') {
+            return null;
+        }
+
+        try {
+            return Key::loadFromAsciiSafeString($value);
+        } catch (BadFormatException) {
+            return null;
+        }
+    }
+}
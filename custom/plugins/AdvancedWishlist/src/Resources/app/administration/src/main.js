@@ -1,5 +1,6 @@
 // Import services
 import './service/wishlist-admin.service';
+import './service/analytics.service';
 
 // Import admin modules
 import './module/advanced-wishlist-main';
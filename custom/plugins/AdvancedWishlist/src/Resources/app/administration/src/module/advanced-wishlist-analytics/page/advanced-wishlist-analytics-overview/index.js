@@ -1,6 +1,9 @@
 import template from './advanced-wishlist-analytics-overview.html.twig';
+import './advanced-wishlist-analytics-overview.scss';
 
-const {Component, Mixin} = Shopware;
+const { Component, Mixin } = Shopware;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
 
 Component.register('advanced-wishlist-analytics-overview', {
     template,
@@ -15,38 +18,216 @@ Component.register('advanced-wishlist-analytics-overview', {
 
     data() {
         return {
-            totalWishlists: 0,
-            totalItems: 0,
-            totalShares: 0,
-            totalConversions: 0,
+            rangePreset: '30',
+            dateFrom: null,
+            dateTo: null,
+            interval: 'day',
+            summary: {
+                totalWishlists: 0,
+                totalItems: 0,
+                totalQuantity: 0,
+                totalShares: 0,
+                totalShareViews: 0,
+                totalConversions: 0,
+                conversionValue: 0
+            },
+            series: [],
+            topProducts: [],
+            funnel: [],
             isLoading: false,
         };
     },
 
+    metaInfo() {
+        return {
+            title: this.$createTitle()
+        };
+    },
+
+    computed: {
+        dateRange() {
+            return {
+                from: this.dateFrom,
+                to: this.dateTo
+            };
+        },
+
+        rangePresetOptions() {
+            return ['7', '30', '90', '365', 'custom'].map(value => ({
+                value,
+                label: this.$tc(`advanced-wishlist-analytics.overview.range.${value}`)
+            }));
+        },
+
+        intervalOptions() {
+            return ['day', 'week', 'month'].map(value => ({
+                value,
+                label: this.$tc(`advanced-wishlist-analytics.overview.interval.${value}`)
+            }));
+        },
+
+        summaryTiles() {
+            return [
+                { key: 'totalWishlists', value: this.summary.totalWishlists },
+                { key: 'totalItems', value: this.summary.totalItems },
+                { key: 'totalShares', value: this.summary.totalShares },
+                { key: 'totalShareViews', value: this.summary.totalShareViews },
+                { key: 'totalConversions', value: this.summary.totalConversions },
+                { key: 'conversionValue', value: this.formatCurrency(this.summary.conversionValue) }
+            ];
+        },
+
+        chartSeries() {
+            return ['wishlists', 'items', 'shares', 'conversions'].map(key => ({
+                name: this.$tc(`advanced-wishlist-analytics.overview.series.${key}`),
+                data: this.series.map(point => ({
+                    x: Date.parse(point.date),
+                    y: point[key]
+                }))
+            }));
+        },
+
+        chartOptions() {
+            return {
+                chart: {
+                    toolbar: { show: false }
+                },
+                stroke: {
+                    width: 2
+                },
+                xaxis: {
+                    type: 'datetime'
+                },
+                yaxis: {
+                    min: 0,
+                    forceNiceScale: true,
+                    labels: {
+                        formatter: value => Math.round(value)
+                    }
+                }
+            };
+        },
+
+        hasSeriesData() {
+            return this.series.some(point => point.wishlists || point.items || point.shares || point.conversions);
+        },
+
+        topProductColumns() {
+            return [
+                {
+                    property: 'name',
+                    label: this.$tc('advanced-wishlist-analytics.overview.columnProduct'),
+                    primary: true
+                },
+                {
+                    property: 'productNumber',
+                    label: this.$tc('advanced-wishlist-analytics.overview.columnProductNumber')
+                },
+                {
+                    property: 'wishlistCount',
+                    label: this.$tc('advanced-wishlist-analytics.overview.columnWishlistCount'),
+                    align: 'right'
+                }
+            ];
+        },
+
+        funnelMax() {
+            return Math.max(1, ...this.funnel.map(step => step.count));
+        }
+    },
+
     created() {
         this.createdComponent();
     },
 
     methods: {
         createdComponent() {
-            this.loadAnalyticsSummary();
+            this.applyRangePreset();
+            this.loadAnalytics();
         },
 
-        loadAnalyticsSummary() {
+        loadAnalytics() {
             this.isLoading = true;
-            this.AnalyticsService.getAnalyticsSummary().then((response) => {
-                this.totalWishlists = response.totalWishlists;
-                this.totalItems = response.totalItems;
-                this.totalShares = response.totalShares;
-                this.totalConversions = response.totalConversions;
-                this.isLoading = false;
+
+            return Promise.all([
+                this.AnalyticsService.getAnalyticsSummary(this.dateRange),
+                this.AnalyticsService.getTimeSeries(this.dateRange, this.interval),
+                this.AnalyticsService.getTopProducts(this.dateRange, 10),
+                this.AnalyticsService.getConversionFunnel(this.dateRange)
+            ]).then(([summary, timeSeries, topProducts, funnel]) => {
+                this.summary = { ...this.summary, ...summary };
+                this.series = timeSeries.series || [];
+                this.topProducts = (topProducts.products || []).map(product => ({
+                    ...product,
+                    id: product.productId
+                }));
+                this.funnel = funnel.funnel || [];
             }).catch((error) => {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-analytics.overview.errorTitle'),
+                    message: error.response?.data?.message || error.message
+                });
+            }).finally(() => {
                 this.isLoading = false;
-                this.showNotificationError(
-                    this.$tc('advanced-wishlist-analytics.overview.errorTitle'),
-                    error.message
-                );
             });
         },
+
+        onChangeRangePreset() {
+            if (this.rangePreset === 'custom') {
+                return;
+            }
+
+            this.applyRangePreset();
+            this.loadAnalytics();
+        },
+
+        onChangeDate() {
+            if (!this.dateFrom || !this.dateTo) {
+                return;
+            }
+
+            this.rangePreset = 'custom';
+
+            if (new Date(this.dateFrom) > new Date(this.dateTo)) {
+                this.createNotificationWarning({
+                    message: this.$tc('advanced-wishlist-analytics.overview.invalidRange')
+                });
+                return;
+            }
+
+            this.loadAnalytics();
+        },
+
+        onChangeInterval() {
+            this.AnalyticsService.getTimeSeries(this.dateRange, this.interval).then((timeSeries) => {
+                this.series = timeSeries.series || [];
+            }).catch((error) => {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-analytics.overview.errorTitle'),
+                    message: error.response?.data?.message || error.message
+                });
+            });
+        },
+
+        applyRangePreset() {
+            const days = parseInt(this.rangePreset, 10);
+            const to = new Date();
+
+            this.dateTo = this.AnalyticsService.formatDate(to);
+            this.dateFrom = this.AnalyticsService.formatDate(new Date(to.getTime() - ((days - 1) * DAY_IN_MS)));
+
+            // Keep the chart readable for long ranges
+            if (days > 90 && this.interval === 'day') {
+                this.interval = 'week';
+            }
+        },
+
+        getFunnelStepLabel(step) {
+            return this.$tc(`advanced-wishlist-analytics.overview.funnel.${step}`);
+        },
+
+        formatCurrency(value) {
+            return Shopware.Filter.getByName('currency')(value || 0);
+        }
     },
-});
\ No newline at end of file
+});
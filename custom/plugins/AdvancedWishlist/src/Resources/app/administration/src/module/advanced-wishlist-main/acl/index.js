@@ -0,0 +1,85 @@
+/**
+ * Privileges of the wishlist module, listed under marketing in the role settings.
+ * `creator` builds on `editor` like the core roles do, so creating a wishlist also allows editing its items.
+ */
+Shopware.Service('privileges').addPrivilegeMappingEntry({
+    category: 'permissions',
+    parent: 'marketing',
+    key: 'advanced_wishlist',
+    roles: {
+        viewer: {
+            privileges: [
+                'wishlist:read',
+                'wishlist_item:read',
+                'wishlist_share:read',
+                'wishlist_share_view:read',
+                'wishlist_activity:read',
+                'wishlist_analytics:read',
+                'wishlist_price_alert_notification:read',
+                // Filter presets are personal, every viewer can save them
+                'wishlist_filter_preset:read',
+                'wishlist_filter_preset:create',
+                'wishlist_filter_preset:update',
+                'wishlist_filter_preset:delete',
+                'customer:read',
+                'customer_address:read',
+                'country:read',
+                'product:read',
+                'product_media:read',
+                'media:read',
+                'property_group_option:read',
+                'property_group:read',
+                'category:read',
+                'sales_channel:read',
+                'currency:read',
+                // Exports run through the import/export module
+                'import_export_profile:read',
+                'import_export_log:read',
+                'import_export_log:create',
+                'import_export_file:read',
+                'import_export_file:create',
+                'user:read'
+            ],
+            dependencies: []
+        },
+        editor: {
+            privileges: [
+                'wishlist:update',
+                'wishlist_item:create',
+                'wishlist_item:update',
+                'wishlist_item:delete',
+                'wishlist_share:create',
+                'wishlist_share:update',
+                'wishlist_activity:create',
+                // Test mails of price alerts are rendered from the mail template and kept in the send history
+                'wishlist_price_alert_notification:create',
+                'mail_template:read',
+                'mail_template_type:read'
+            ],
+            dependencies: [
+                'advanced_wishlist.viewer'
+            ]
+        },
+        creator: {
+            privileges: [
+                'wishlist:create',
+                'wishlist_share:create'
+            ],
+            dependencies: [
+                'advanced_wishlist.viewer',
+                'advanced_wishlist.editor'
+            ]
+        },
+        deleter: {
+            privileges: [
+                'wishlist:delete',
+                'wishlist_item:delete',
+                'wishlist_share:delete',
+                'wishlist_activity:delete'
+            ],
+            dependencies: [
+                'advanced_wishlist.viewer'
+            ]
+        }
+    }
+});
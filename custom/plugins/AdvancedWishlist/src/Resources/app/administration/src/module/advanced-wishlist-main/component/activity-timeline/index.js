@@ -0,0 +1,169 @@
+import template from './activity-timeline.html.twig';
+import './activity-timeline.scss';
+
+const { Component, Mixin } = Shopware;
+
+const ACTIVITY_TYPES = [
+    'item_added',
+    'item_removed',
+    'quantity_changed',
+    'share_created',
+    'share_revoked',
+    'share_viewed',
+    'purchase'
+];
+
+Component.register('advanced-wishlist-activity-timeline', {
+    template,
+
+    inject: [
+        'wishlistAdminService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        wishlistId: {
+            type: String,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            entries: [],
+            stats: null,
+            total: 0,
+            page: 1,
+            limit: 25,
+            filterTypes: [],
+            dateFrom: null,
+            dateTo: null,
+            isLoading: false,
+            isStatsLoading: false
+        };
+    },
+
+    computed: {
+        typeOptions() {
+            return ACTIVITY_TYPES.map(type => ({
+                value: type,
+                label: this.$tc(`advanced-wishlist-main.activityTimeline.types.${type}`)
+            }));
+        },
+
+        statTiles() {
+            if (!this.stats) {
+                return [];
+            }
+
+            return [
+                { key: 'views', value: this.stats.views },
+                { key: 'uniqueViews', value: this.stats.uniqueViews },
+                { key: 'conversions', value: this.stats.conversions },
+                { key: 'conversionRate', value: `${this.stats.conversionRate} %` },
+                { key: 'purchaseValue', value: Shopware.Filter.getByName('currency')(this.stats.purchaseValue || 0) },
+                { key: 'activeShareCount', value: this.stats.activeShareCount }
+            ];
+        }
+    },
+
+    watch: {
+        wishlistId() {
+            this.page = 1;
+            this.loadStats();
+            this.loadActivity();
+        }
+    },
+
+    created() {
+        this.loadStats();
+        this.loadActivity();
+    },
+
+    methods: {
+        async loadStats() {
+            this.isStatsLoading = true;
+
+            try {
+                this.stats = await this.wishlistAdminService.getWishlistStats(this.wishlistId);
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.activityTimeline.loadErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isStatsLoading = false;
+            }
+        },
+
+        async loadActivity() {
+            this.isLoading = true;
+
+            try {
+                const response = await this.wishlistAdminService.getActivity(this.wishlistId, {
+                    types: this.filterTypes,
+                    from: this.dateFrom || undefined,
+                    to: this.dateTo || undefined,
+                    page: this.page,
+                    limit: this.limit
+                });
+
+                this.entries = response.entries || [];
+                this.total = response.total || 0;
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.activityTimeline.loadErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onFilterChange() {
+            this.page = 1;
+            this.loadActivity();
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.loadActivity();
+        },
+
+        onRefresh() {
+            this.loadStats();
+            this.loadActivity();
+        },
+
+        getEntryIcon(type) {
+            const icons = {
+                item_added: 'regular-plus-circle',
+                item_removed: 'regular-minus-circle',
+                quantity_changed: 'regular-exchange',
+                share_created: 'regular-share',
+                share_revoked: 'regular-times-circle',
+                share_viewed: 'regular-eye',
+                purchase: 'regular-shopping-bag'
+            };
+            return icons[type] || 'regular-circle';
+        },
+
+        getEntryDescription(entry) {
+            return this.$tc(`advanced-wishlist-main.activityTimeline.descriptions.${entry.type}`, 0, {
+                product: entry.productName || entry.productNumber || entry.productId,
+                quantity: entry.quantity,
+                previousQuantity: entry.previousQuantity,
+                shareType: entry.shareType,
+                value: Shopware.Filter.getByName('currency')(entry.purchaseValue || 0)
+            });
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
@@ -0,0 +1,153 @@
+import template from './change-review-modal.html.twig';
+import './change-review-modal.scss';
+
+const { Component, Data: { Criteria } } = Shopware;
+
+// Detail page labels of the tracked wishlist fields
+const FIELD_LABELS = {
+    name: 'advanced-wishlist-main.detail.labelName',
+    type: 'advanced-wishlist-main.detail.labelType',
+    customerId: 'advanced-wishlist-main.detail.labelCustomer',
+    isActive: 'advanced-wishlist-main.detail.labelActive',
+    description: 'advanced-wishlist-main.detail.labelDescription'
+};
+
+/**
+ * Lists the pending changes of a wishlist before they are saved.
+ * In `leave` mode it is the unsaved-changes dialog of the detail page and can also discard the changes.
+ */
+Component.register('advanced-wishlist-change-review-modal', {
+    template,
+
+    inject: [
+        'repositoryFactory'
+    ],
+
+    props: {
+        // `review` before saving, `leave` when navigating away with unsaved changes
+        mode: {
+            type: String,
+            required: false,
+            default: 'review',
+            validator: value => ['review', 'leave'].includes(value)
+        },
+
+        fieldChanges: {
+            type: Array,
+            required: true
+        },
+
+        itemChanges: {
+            type: Array,
+            required: true
+        },
+
+        shareChanges: {
+            type: Array,
+            required: false,
+            default: () => []
+        },
+
+        isSaving: {
+            type: Boolean,
+            required: false,
+            default: false
+        }
+    },
+
+    data() {
+        return {
+            customerNames: {}
+        };
+    },
+
+    computed: {
+        isLeaveMode() {
+            return this.mode === 'leave';
+        },
+
+        title() {
+            return this.isLeaveMode
+                ? this.$tc('advanced-wishlist-main.changeReview.titleLeave')
+                : this.$tc('advanced-wishlist-main.changeReview.titleReview');
+        },
+
+        hasPendingChanges() {
+            return this.fieldChanges.length > 0 || this.itemChanges.length > 0;
+        },
+
+        customerIds() {
+            return [...new Set(this.fieldChanges
+                .filter(change => change.field === 'customerId')
+                .flatMap(change => [change.from, change.to])
+                .filter(Boolean))];
+        }
+    },
+
+    created() {
+        this.loadCustomerNames();
+    },
+
+    methods: {
+        async loadCustomerNames() {
+            if (this.customerIds.length === 0) {
+                return;
+            }
+
+            const criteria = new Criteria(1, this.customerIds.length);
+            criteria.setIds(this.customerIds);
+
+            const customers = await this.repositoryFactory.create('customer').search(criteria, Shopware.Context.api);
+            const names = {};
+
+            customers.forEach((customer) => {
+                names[customer.id] = `${customer.firstName} ${customer.lastName} (${customer.customerNumber})`;
+            });
+
+            this.customerNames = names;
+        },
+
+        getFieldLabel(field) {
+            return this.$tc(FIELD_LABELS[field]);
+        },
+
+        formatFieldValue(field, value) {
+            if (value === null || value === undefined) {
+                return this.$tc('advanced-wishlist-main.changeReview.valueEmpty');
+            }
+
+            if (field === 'type') {
+                return this.$tc(`advanced-wishlist-main.list.type${value.charAt(0).toUpperCase() + value.slice(1)}`);
+            }
+
+            if (field === 'isActive') {
+                return this.$tc(value ? 'advanced-wishlist-main.changeReview.valueYes' : 'advanced-wishlist-main.changeReview.valueNo');
+            }
+
+            if (field === 'customerId') {
+                return this.customerNames[value] || value;
+            }
+
+            return value;
+        },
+
+        formatItemChange(change) {
+            return this.$tc(`advanced-wishlist-main.changeReview.item.${change.operation}`, 0, {
+                from: change.from,
+                to: change.to
+            });
+        },
+
+        onConfirm() {
+            this.$emit('confirm');
+        },
+
+        onDiscard() {
+            this.$emit('discard');
+        },
+
+        onClose() {
+            this.$emit('close');
+        }
+    }
+});
@@ -0,0 +1,86 @@
+import template from './customer-group-limits.html.twig';
+import './customer-group-limits.scss';
+
+const { Component, Data: { Criteria } } = Shopware;
+
+/**
+ * Customer group overrides of the wishlist limits in the plugin configuration.
+ * Stored as a list of { customerGroupId, maxWishlistsPerCustomer, maxItemsPerWishlist },
+ * an empty limit keeps the value of the sales channel.
+ */
+Component.register('advanced-wishlist-customer-group-limits', {
+    template,
+
+    emits: ['update:value'],
+
+    props: {
+        value: {
+            type: Array,
+            required: false,
+            default: null
+        },
+
+        label: {
+            type: String,
+            required: false,
+            default: null
+        },
+
+        helpText: {
+            type: String,
+            required: false,
+            default: null
+        },
+
+        disabled: {
+            type: Boolean,
+            required: false,
+            default: false
+        }
+    },
+
+    computed: {
+        limits() {
+            return Array.isArray(this.value) ? this.value : [];
+        },
+
+        usedCustomerGroupIds() {
+            return this.limits.map(limit => limit.customerGroupId).filter(Boolean);
+        }
+    },
+
+    methods: {
+        // A group can only have one entry, the groups of the other entries are excluded
+        customerGroupCriteria(limit) {
+            const criteria = new Criteria(1, 25);
+            const excludedIds = this.usedCustomerGroupIds.filter(id => id !== limit.customerGroupId);
+
+            if (excludedIds.length > 0) {
+                criteria.addFilter(Criteria.not('AND', [Criteria.equalsAny('id', excludedIds)]));
+            }
+
+            return criteria;
+        },
+
+        onAdd() {
+            this.emitLimits([
+                ...this.limits,
+                { customerGroupId: null, maxWishlistsPerCustomer: null, maxItemsPerWishlist: null }
+            ]);
+        },
+
+        onRemove(index) {
+            this.emitLimits(this.limits.filter((limit, limitIndex) => limitIndex !== index));
+        },
+
+        onChange(index, field, fieldValue) {
+            this.emitLimits(this.limits.map((limit, limitIndex) => {
+                return limitIndex === index ? { ...limit, [field]: fieldValue } : limit;
+            }));
+        },
+
+        emitLimits(limits) {
+            this.$emit('update:value', limits);
+        }
+    }
+});
@@ -0,0 +1,110 @@
+import template from './delete-modal.html.twig';
+import './delete-modal.scss';
+
+const { Component, Mixin, Data: { Criteria } } = Shopware;
+
+Component.register('advanced-wishlist-delete-modal', {
+    template,
+
+    inject: [
+        'wishlistAdminService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        // Wishlists to delete, each with id, name, customerId and itemCount
+        wishlists: {
+            type: Array,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            transferItems: false,
+            transferToId: null,
+            isDeleting: false
+        };
+    },
+
+    computed: {
+        wishlistIds() {
+            return this.wishlists.map(wishlist => wishlist.id);
+        },
+
+        // Items can only be moved when all wishlists belong to the same customer
+        customerId() {
+            const customerIds = new Set(this.wishlists.map(wishlist => wishlist.customerId));
+
+            return customerIds.size === 1 ? [...customerIds][0] : null;
+        },
+
+        itemCount() {
+            return this.wishlists.reduce((sum, wishlist) => sum + (wishlist.itemCount || 0), 0);
+        },
+
+        canTransfer() {
+            return !!this.customerId && this.itemCount > 0;
+        },
+
+        transferCriteria() {
+            const criteria = new Criteria(1, 25);
+
+            criteria.addFilter(Criteria.equals('customerId', this.customerId));
+            criteria.addFilter(Criteria.not('AND', [Criteria.equalsAny('id', this.wishlistIds)]));
+            criteria.addSorting(Criteria.sort('name', 'ASC'));
+
+            return criteria;
+        },
+
+        canDelete() {
+            return !this.isDeleting && (!this.transferItems || !!this.transferToId);
+        }
+    },
+
+    watch: {
+        transferItems(value) {
+            if (!value) {
+                this.transferToId = null;
+            }
+        }
+    },
+
+    methods: {
+        async onDelete() {
+            if (!this.canDelete) {
+                return;
+            }
+
+            this.isDeleting = true;
+
+            const transferToId = this.transferItems ? this.transferToId : null;
+
+            try {
+                const result = this.wishlistIds.length === 1
+                    ? await this.wishlistAdminService.deleteWishlist(this.wishlistIds[0], transferToId)
+                    : await this.wishlistAdminService.bulkDelete(this.wishlistIds, transferToId);
+
+                this.$emit('deleted', result);
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.deleteModal.deleteErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isDeleting = false;
+            }
+        },
+
+        onClose() {
+            this.$emit('close');
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
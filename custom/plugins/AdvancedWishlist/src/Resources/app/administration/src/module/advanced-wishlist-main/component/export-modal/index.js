@@ -0,0 +1,298 @@
+import template from './export-modal.html.twig';
+import './export-modal.scss';
+
+const { Component, Mixin } = Shopware;
+
+// Keys of WishlistExportService::COLUMNS, grouped for the column picker
+const COLUMN_GROUPS = {
+    wishlist: [
+        'id',
+        'name',
+        'type',
+        'description',
+        'isDefault',
+        'itemCount',
+        'totalValue',
+        'salesChannelId',
+        'createdAt',
+        'updatedAt'
+    ],
+    customer: [
+        'customerId',
+        'customerNumber',
+        'customerEmail',
+        'customerFirstName',
+        'customerLastName'
+    ],
+    items: [
+        'items'
+    ]
+};
+
+const DEFAULT_COLUMNS = ['name', 'type', 'itemCount', 'totalValue', 'customerEmail', 'createdAt'];
+
+Component.register('advanced-wishlist-export-modal', {
+    template,
+
+    inject: [
+        'wishlistAdminService',
+        'importExport'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        // Wishlists to export, all wishlists when empty
+        wishlistIds: {
+            type: Array,
+            required: false,
+            default: () => []
+        }
+    },
+
+    data() {
+        return {
+            activeTab: 'export',
+            format: 'csv',
+            columns: [...DEFAULT_COLUMNS],
+            isStarting: false,
+            exports: [],
+            historyPage: 1,
+            historyLimit: 10,
+            historyTotal: 0,
+            isLoadingHistory: false
+        };
+    },
+
+    computed: {
+        columnGroups() {
+            return Object.entries(COLUMN_GROUPS).map(([name, columns]) => ({ name, columns }));
+        },
+
+        formatOptions() {
+            return ['csv', 'xlsx', 'json'].map(format => ({
+                value: format,
+                label: this.$tc(`advanced-wishlist-main.exportModal.formats.${format}`)
+            }));
+        },
+
+        canStart() {
+            return this.columns.length > 0 && !this.isStarting;
+        },
+
+        historyColumns() {
+            return [
+                {
+                    property: 'createdAt',
+                    dataIndex: 'createdAt',
+                    label: this.$tc('advanced-wishlist-main.exportModal.columnCreatedAt'),
+                    primary: true
+                },
+                {
+                    property: 'format',
+                    dataIndex: 'format',
+                    label: this.$tc('advanced-wishlist-main.exportModal.columnFormat')
+                },
+                {
+                    property: 'records',
+                    dataIndex: 'records',
+                    label: this.$tc('advanced-wishlist-main.exportModal.columnRecords'),
+                    align: 'right'
+                },
+                {
+                    property: 'state',
+                    dataIndex: 'state',
+                    label: this.$tc('advanced-wishlist-main.exportModal.columnState')
+                },
+                {
+                    property: 'username',
+                    dataIndex: 'username',
+                    label: this.$tc('advanced-wishlist-main.exportModal.columnUser')
+                }
+            ];
+        }
+    },
+
+    methods: {
+        onTabChange(tab) {
+            this.activeTab = tab;
+
+            if (tab === 'history') {
+                this.loadHistory();
+            }
+        },
+
+        isColumnSelected(column) {
+            return this.columns.includes(column);
+        },
+
+        onToggleColumn(column, selected) {
+            if (selected && !this.isColumnSelected(column)) {
+                // Keep the file columns in the order of the picker
+                const order = Object.values(COLUMN_GROUPS).flat();
+                this.columns = order.filter(key => key === column || this.columns.includes(key));
+                return;
+            }
+
+            if (!selected) {
+                this.columns = this.columns.filter(key => key !== column);
+            }
+        },
+
+        onSelectAllColumns() {
+            this.columns = Object.values(COLUMN_GROUPS).flat();
+        },
+
+        onResetColumns() {
+            this.columns = [...DEFAULT_COLUMNS];
+        },
+
+        async onStartExport() {
+            if (!this.canStart) {
+                return;
+            }
+
+            this.isStarting = true;
+
+            try {
+                const exportData = await this.wishlistAdminService.startExport(
+                    this.wishlistIds,
+                    this.columns,
+                    this.format
+                );
+
+                this.trackProgress(exportData);
+                this.$emit('started', exportData);
+                this.onTabChange('history');
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.exportModal.startErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isStarting = false;
+            }
+        },
+
+        /**
+         * The export runs in the message queue, its progress is shown in the notification center
+         * and keeps updating after the modal was closed.
+         */
+        async trackProgress(exportData) {
+            const notificationId = await this.createNotificationInfo({
+                title: this.$tc('advanced-wishlist-main.exportModal.progressTitle'),
+                message: this.getProgressMessage(exportData),
+                variant: 'info',
+                growl: false,
+                isLoading: true
+            });
+
+            try {
+                const result = await this.wishlistAdminService.trackExport(exportData.id, (current) => {
+                    this.updateHistoryEntry(current);
+                    Shopware.State.dispatch('notification/updateNotification', {
+                        uuid: notificationId,
+                        message: this.getProgressMessage(current)
+                    });
+                });
+
+                const succeeded = result.state === 'succeeded';
+
+                Shopware.State.dispatch('notification/updateNotification', {
+                    uuid: notificationId,
+                    title: this.$tc(`advanced-wishlist-main.exportModal.${succeeded ? 'finishedTitle' : 'failedTitle'}`),
+                    message: this.$tc(
+                        `advanced-wishlist-main.exportModal.${succeeded ? 'finishedMessage' : 'failedMessage'}`,
+                        result.records,
+                        { count: result.records }
+                    ),
+                    variant: succeeded ? 'success' : 'error',
+                    growl: true,
+                    isLoading: false
+                });
+            } catch (error) {
+                Shopware.State.dispatch('notification/updateNotification', {
+                    uuid: notificationId,
+                    title: this.$tc('advanced-wishlist-main.exportModal.failedTitle'),
+                    message: this.getErrorMessage(error),
+                    variant: 'error',
+                    growl: true,
+                    isLoading: false
+                });
+            }
+        },
+
+        getProgressMessage(exportData) {
+            return this.$tc('advanced-wishlist-main.exportModal.progressMessage', 0, {
+                records: exportData.records,
+                total: exportData.total,
+                progress: exportData.progress
+            });
+        },
+
+        async loadHistory() {
+            this.isLoadingHistory = true;
+
+            try {
+                const response = await this.wishlistAdminService.getExports(this.historyPage, this.historyLimit);
+                this.exports = response.data;
+                this.historyTotal = response.total;
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.exportModal.historyErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoadingHistory = false;
+            }
+        },
+
+        onHistoryPageChange({ page, limit }) {
+            this.historyPage = page;
+            this.historyLimit = limit;
+            this.loadHistory();
+        },
+
+        updateHistoryEntry(exportData) {
+            const index = this.exports.findIndex(entry => entry.id === exportData.id);
+
+            if (index >= 0) {
+                this.exports.splice(index, 1, exportData);
+            }
+        },
+
+        async onDownload(exportData) {
+            if (!exportData.fileId) {
+                return;
+            }
+
+            try {
+                window.open(await this.importExport.getDownloadUrl(exportData.fileId), '_blank');
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.exportModal.downloadErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }
+        },
+
+        getStateVariant(state) {
+            const variants = {
+                succeeded: 'success',
+                failed: 'danger',
+                aborted: 'warning'
+            };
+            return variants[state] || 'info';
+        },
+
+        onClose() {
+            this.$emit('close');
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
@@ -7,22 +7,57 @@ Component.register('advanced-wishlist-item-manager', {
     template,
 
     inject: [
-        'repositoryFactory'
+        'repositoryFactory',
+        'acl'
     ],
 
     mixins: [
-        Mixin.getByName('notification')
+        Mixin.getByName('notification'),
+        Mixin.getByName('advanced-wishlist-price')
     ],
 
     props: {
-        wishlist: {
-            type: Object,
+        // Item rows of the `advanced-wishlist-item-queue` mixin
+        items: {
+            type: Array,
             required: true
         },
+        itemErrors: {
+            type: Object,
+            required: false,
+            default() {
+                return {};
+            }
+        },
+        pendingOperations: {
+            type: Object,
+            required: false,
+            default() {
+                return {};
+            }
+        },
         disabled: {
             type: Boolean,
             required: false,
             default: false
+        },
+        // Currency entity the prices are shown in, defaults to the system currency
+        currency: {
+            type: Object,
+            required: false,
+            default: null
+        },
+        // `displayGross` of the customer group of the wishlist owner
+        displayGross: {
+            type: Boolean,
+            required: false,
+            default: true
+        },
+        // Item limit of the wishlist, no capacity is shown without it
+        itemLimit: {
+            type: Number,
+            required: false,
+            default: null
         }
     },
 
@@ -40,18 +75,28 @@ Component.register('advanced-wishlist-item-manager', {
     },
 
     computed: {
-        items() {
-            if (!this.wishlist?.items) return [];
-            
-            return this.wishlist.items.map(item => ({
-                ...item,
-                productName: item.product?.name || 'Unknown Product',
-                productNumber: item.product?.productNumber || '-',
-                unitPrice: item.product?.price?.[0]?.gross || 0,
-                totalPrice: (item.product?.price?.[0]?.gross || 0) * item.quantity,
-                stock: item.product?.stock || 0,
-                available: item.product?.available || false
-            }));
+        gridItems() {
+            return this.items.map((item) => {
+                const price = this.resolveProductPrice(item.product, item.quantity, this.currency, this.displayGross);
+                const priceAtAddition = this.resolvePriceAtAddition(item.priceAtAddition, item.product, this.currency, this.displayGross);
+
+                return {
+                    ...item,
+                    productName: item.product?.name || 'Unknown Product',
+                    productNumber: item.product?.productNumber || '-',
+                    unitPrice: price.unitPrice,
+                    totalPrice: price.totalPrice,
+                    isInheritedPrice: price.isInherited,
+                    isTierPrice: price.isTierPrice,
+                    priceAtAddition,
+                    priceChange: this.getPriceChangePercentage(price.unitPrice, priceAtAddition),
+                    stock: item.product?.stock || 0,
+                    available: item.product?.available || false,
+                    hasPendingStockAlert: !!item.stockAlertActive && !item.stockAlertNotifiedAt,
+                    isPending: !!this.pendingOperations[item.reference],
+                    error: this.itemErrors[item.reference] || null
+                };
+            });
         },
 
         itemColumns() {
@@ -85,6 +130,13 @@ Component.register('advanced-wishlist-item-manager', {
                     allowResize: true,
                     align: 'right'
                 },
+                {
+                    property: 'priceAtAddition',
+                    dataIndex: 'priceAtAddition',
+                    label: this.$tc('advanced-wishlist-main.itemManager.columnPriceAtAddition'),
+                    allowResize: true,
+                    align: 'right'
+                },
                 {
                     property: 'totalPrice',
                     dataIndex: 'totalPrice',
@@ -132,20 +184,64 @@ Component.register('advanced-wishlist-item-manager', {
             return Object.keys(this.selection).length;
         },
 
+        // Items of new and existing wishlists are edited with the editor privilege, `creator` includes it
+        canEditItems() {
+            return !this.disabled && this.acl.can('advanced_wishlist.editor');
+        },
+
         canRemoveSelected() {
-            return this.selectedItemsCount > 0 && !this.disabled;
+            return this.selectedItemsCount > 0 && this.canEditItems;
+        },
+
+        pendingCount() {
+            return Object.keys(this.pendingOperations).length;
+        },
+
+        // Back-in-stock subscriptions of the shopper, not to be confused with unsaved item changes
+        pendingStockAlertCount() {
+            return this.gridItems.filter(item => item.hasPendingStockAlert).length;
+        },
+
+        dateFilter() {
+            return Shopware.Filter.getByName('date');
         },
 
         totalValue() {
-            return this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+            return this.gridItems.reduce((sum, item) => sum + item.totalPrice, 0);
         },
 
         totalItems() {
-            return this.items.reduce((sum, item) => sum + item.quantity, 0);
+            return this.gridItems.reduce((sum, item) => sum + item.quantity, 0);
         },
 
         hasItems() {
             return this.items.length > 0;
+        },
+
+        // Queued rows count as well, the limit is checked again when the changes are saved
+        remainingCapacity() {
+            if (this.itemLimit === null) {
+                return null;
+            }
+
+            return Math.max(0, this.itemLimit - this.items.length);
+        },
+
+        // Selected products already on the wishlist only raise a quantity
+        newSelectedProductCount() {
+            const productIds = new Set(this.items.map(item => item.productId));
+
+            return this.selectedProducts.filter(productId => !productIds.has(productId)).length;
+        },
+
+        exceedsCapacity() {
+            return this.remainingCapacity !== null && this.newSelectedProductCount > this.remainingCapacity;
+        },
+
+        priceModeLabel() {
+            return this.displayGross
+                ? this.$tc('advanced-wishlist-main.itemManager.labelGross')
+                : this.$tc('advanced-wishlist-main.itemManager.labelNet');
         }
     },
 
@@ -161,21 +257,33 @@ Component.register('advanced-wishlist-item-manager', {
         async onAddProducts() {
             if (!this.selectedProducts.length) return;
 
-            for (const product of this.selectedProducts) {
-                this.$emit('add-item', product.id, 1);
+            if (this.exceedsCapacity) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.itemManager.limitReachedTitle'),
+                    message: this.$tc('advanced-wishlist-main.itemManager.limitReachedMessage', this.remainingCapacity, {
+                        remaining: this.remainingCapacity,
+                        limit: this.itemLimit
+                    })
+                });
+                return;
             }
 
+            const productIds = [...this.selectedProducts];
+            productIds.forEach((productId) => {
+                this.$emit('add-item', productId, 1);
+            });
+
             this.selectedProducts = [];
             this.showAddProductModal = false;
-            
-            this.createNotificationSuccess({
+
+            this.createNotificationInfo({
                 title: this.$tc('advanced-wishlist-main.itemManager.addSuccessTitle'),
-                message: this.$tc('advanced-wishlist-main.itemManager.addSuccessMessage', this.selectedProducts.length)
+                message: this.$tc('advanced-wishlist-main.itemManager.addSuccessMessage', productIds.length, { count: productIds.length })
             });
         },
 
         onRemoveItem(item) {
-            this.$emit('remove-item', item.id);
+            this.$emit('remove-item', item.reference);
         },
 
         onRemoveSelectedItems() {
@@ -186,19 +294,19 @@ Component.register('advanced-wishlist-item-manager', {
             
             this.selection = {};
             
-            this.createNotificationSuccess({
+            this.createNotificationInfo({
                 title: this.$tc('advanced-wishlist-main.itemManager.removeSuccessTitle'),
-                message: this.$tc('advanced-wishlist-main.itemManager.removeSuccessMessage', selectedIds.length)
+                message: this.$tc('advanced-wishlist-main.itemManager.removeSuccessMessage', selectedIds.length, { count: selectedIds.length })
             });
         },
 
         onInlineEditSave(item) {
-            this.$emit('update-quantity', item.id, item.quantity);
+            this.$emit('update-quantity', item.reference, item.quantity);
         },
 
         onInlineEditCancel(item) {
             // Reset quantity to original value
-            const originalItem = this.wishlist.items.find(original => original.id === item.id);
+            const originalItem = this.items.find(original => original.reference === item.reference);
             if (originalItem) {
                 item.quantity = originalItem.quantity;
             }
@@ -232,8 +340,22 @@ Component.register('advanced-wishlist-item-manager', {
             return 'danger';
         },
 
+        onCurrencyChange(currencyId, currency) {
+            this.$emit('currency-change', currency || null);
+        },
+
+        getPriceChangeVariant(priceChange) {
+            if (priceChange < 0) return 'success';
+            if (priceChange > 0) return 'danger';
+            return 'neutral';
+        },
+
+        formatPriceChange(priceChange) {
+            return `${priceChange > 0 ? '+' : ''}${priceChange} %`;
+        },
+
         formatPrice(price) {
-            return this.$options.filters.currency(price);
+            return this.formatPriceValue(price, this.currency);
         }
     }
 });
\ No newline at end of file
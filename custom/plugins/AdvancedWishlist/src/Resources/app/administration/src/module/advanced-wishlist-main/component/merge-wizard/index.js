@@ -0,0 +1,208 @@
+import template from './merge-wizard.html.twig';
+import './merge-wizard.scss';
+
+const { Component, Mixin } = Shopware;
+
+Component.register('advanced-wishlist-merge-wizard', {
+    template,
+
+    inject: [
+        'wishlistAdminService',
+        'acl'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    props: {
+        // Selected rows of the wishlist list
+        wishlists: {
+            type: Array,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            step: 'configure',
+            targetId: null,
+            strategy: 'sum',
+            deleteSources: false,
+            allowCrossCustomer: false,
+            preview: null,
+            isLoading: false,
+            isMerging: false
+        };
+    },
+
+    computed: {
+        targetOptions() {
+            return this.wishlists.map(wishlist => ({
+                value: wishlist.id,
+                label: `${wishlist.name} (${wishlist.customerName})`
+            }));
+        },
+
+        strategyOptions() {
+            return ['sum', 'max', 'keep_target'].map(strategy => ({
+                value: strategy,
+                label: this.$tc(`advanced-wishlist-main.mergeWizard.strategies.${strategy}`)
+            }));
+        },
+
+        sourceWishlists() {
+            return this.wishlists.filter(wishlist => wishlist.id !== this.targetId);
+        },
+
+        isCrossCustomer() {
+            return new Set(this.wishlists.map(wishlist => wishlist.customerId)).size > 1;
+        },
+
+        canPreview() {
+            return !!this.targetId &&
+                   this.sourceWishlists.length > 0 &&
+                   (!this.isCrossCustomer || this.allowCrossCustomer);
+        },
+
+        canMerge() {
+            return this.canPreview && !!this.preview && !this.preview.exceedsLimit && !this.isMerging;
+        },
+
+        previewColumns() {
+            return [
+                {
+                    property: 'productName',
+                    dataIndex: 'productName',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnProduct'),
+                    primary: true
+                },
+                {
+                    property: 'productNumber',
+                    dataIndex: 'productNumber',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnProductNumber')
+                },
+                {
+                    property: 'targetQuantity',
+                    dataIndex: 'targetQuantity',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnTargetQuantity'),
+                    align: 'right'
+                },
+                {
+                    property: 'sourceQuantities',
+                    dataIndex: 'sourceQuantities',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnSourceQuantities'),
+                    align: 'right'
+                },
+                {
+                    property: 'quantity',
+                    dataIndex: 'quantity',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnQuantity'),
+                    align: 'right'
+                },
+                {
+                    property: 'status',
+                    dataIndex: 'status',
+                    label: this.$tc('advanced-wishlist-main.mergeWizard.columnStatus')
+                }
+            ];
+        }
+    },
+
+    watch: {
+        // A preview is only valid for the options it was made with
+        targetId() {
+            this.preview = null;
+        },
+
+        strategy() {
+            this.preview = null;
+        }
+    },
+
+    created() {
+        // The wishlist with the most items is the most likely target
+        const [largest] = [...this.wishlists].sort((a, b) => b.itemCount - a.itemCount);
+        this.targetId = largest?.id || null;
+    },
+
+    methods: {
+        async onPreview() {
+            if (!this.canPreview) {
+                return;
+            }
+
+            this.isLoading = true;
+
+            try {
+                this.preview = await this.wishlistAdminService.previewBulkMerge(
+                    this.sourceWishlists.map(wishlist => wishlist.id),
+                    this.targetId,
+                    this.strategy
+                );
+                this.step = 'preview';
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.mergeWizard.previewErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onBack() {
+            this.step = 'configure';
+        },
+
+        async onMerge() {
+            if (!this.canMerge) {
+                return;
+            }
+
+            this.isMerging = true;
+
+            try {
+                const result = await this.wishlistAdminService.bulkMerge(
+                    this.sourceWishlists.map(wishlist => wishlist.id),
+                    this.targetId,
+                    {
+                        strategy: this.strategy,
+                        deleteSources: this.deleteSources,
+                        allowCrossCustomer: this.isCrossCustomer && this.allowCrossCustomer
+                    }
+                );
+
+                this.$emit('merged', result);
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.mergeWizard.mergeErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isMerging = false;
+            }
+        },
+
+        onClose() {
+            this.$emit('close');
+        },
+
+        getWishlistName(wishlistId) {
+            return this.wishlists.find(wishlist => wishlist.id === wishlistId)?.name || wishlistId;
+        },
+
+        getStatusVariant(status) {
+            const variants = {
+                added: 'success',
+                updated: 'warning',
+                unchanged: 'neutral'
+            };
+            return variants[status] || 'neutral';
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
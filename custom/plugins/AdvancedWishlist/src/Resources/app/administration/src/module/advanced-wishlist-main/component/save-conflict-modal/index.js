@@ -0,0 +1,231 @@
+import template from './save-conflict-modal.html.twig';
+import './save-conflict-modal.scss';
+
+const { Component, Data: { Criteria } } = Shopware;
+
+// Detail page labels of the tracked wishlist fields
+const FIELD_LABELS = {
+    name: 'advanced-wishlist-main.detail.labelName',
+    type: 'advanced-wishlist-main.detail.labelType',
+    customerId: 'advanced-wishlist-main.detail.labelCustomer',
+    isActive: 'advanced-wishlist-main.detail.labelActive',
+    description: 'advanced-wishlist-main.detail.labelDescription'
+};
+
+/**
+ * Three-way merge of a save that was rejected because the wishlist has been saved by someone else.
+ * `base` is the state the page has loaded, `mine` the unsaved state of the page and `theirs` the state saved since.
+ * Each state has normalized `fields` and `items` by product ID (`{quantity, productName}`, missing when not in the wishlist).
+ * Every field and item changed on either side is listed; changes made on one side only are taken over,
+ * for changes made on both sides the admin picks a side. `resolve` emits the chosen values.
+ */
+Component.register('advanced-wishlist-save-conflict-modal', {
+    template,
+
+    inject: [
+        'repositoryFactory'
+    ],
+
+    props: {
+        base: {
+            type: Object,
+            required: true
+        },
+
+        mine: {
+            type: Object,
+            required: true
+        },
+
+        theirs: {
+            type: Object,
+            required: true
+        }
+    },
+
+    data() {
+        return {
+            choices: {},
+            customerNames: {}
+        };
+    },
+
+    computed: {
+        fieldRows() {
+            return Object.keys(FIELD_LABELS)
+                .map(field => this.createRow(
+                    `field.${field}`,
+                    this.base.fields[field] ?? null,
+                    this.mine.fields[field] ?? null,
+                    this.theirs.fields[field] ?? null,
+                    { field }
+                ))
+                .filter(Boolean);
+        },
+
+        itemRows() {
+            const productIds = new Set([
+                ...Object.keys(this.base.items),
+                ...Object.keys(this.mine.items),
+                ...Object.keys(this.theirs.items)
+            ]);
+
+            return [...productIds]
+                .map((productId) => {
+                    const item = this.mine.items[productId] || this.theirs.items[productId] || this.base.items[productId];
+
+                    return this.createRow(
+                        `item.${productId}`,
+                        this.base.items[productId]?.quantity ?? null,
+                        this.mine.items[productId]?.quantity ?? null,
+                        this.theirs.items[productId]?.quantity ?? null,
+                        { productId, productName: item.productName }
+                    );
+                })
+                .filter(Boolean);
+        },
+
+        conflictCount() {
+            return [...this.fieldRows, ...this.itemRows].filter(row => row.isConflict).length;
+        },
+
+        customerIds() {
+            const row = this.fieldRows.find(fieldRow => fieldRow.field === 'customerId');
+
+            return row ? [...new Set([row.base, row.mine, row.theirs].filter(Boolean))] : [];
+        }
+    },
+
+    created() {
+        this.initChoices();
+        this.loadCustomerNames();
+    },
+
+    methods: {
+        /**
+         * @returns {Object|null} - Row of a value changed on at least one side, `null` otherwise
+         */
+        createRow(key, base, mine, theirs, extra) {
+            const mineChanged = mine !== base;
+            const theirsChanged = theirs !== base;
+
+            if (!mineChanged && !theirsChanged) {
+                return null;
+            }
+
+            return {
+                key,
+                base,
+                mine,
+                theirs,
+                mineChanged,
+                theirsChanged,
+                isConflict: mineChanged && theirsChanged && mine !== theirs,
+                ...extra
+            };
+        },
+
+        initChoices() {
+            const choices = {};
+
+            // One-sided changes are taken over, on a conflict the own change is kept until the admin decides otherwise
+            [...this.fieldRows, ...this.itemRows].forEach((row) => {
+                choices[row.key] = row.mineChanged ? 'mine' : 'theirs';
+            });
+
+            this.choices = choices;
+        },
+
+        async loadCustomerNames() {
+            if (this.customerIds.length === 0) {
+                return;
+            }
+
+            const criteria = new Criteria(1, this.customerIds.length);
+            criteria.setIds(this.customerIds);
+
+            const customers = await this.repositoryFactory.create('customer').search(criteria, Shopware.Context.api);
+            const names = {};
+
+            customers.forEach((customer) => {
+                names[customer.id] = `${customer.firstName} ${customer.lastName} (${customer.customerNumber})`;
+            });
+
+            this.customerNames = names;
+        },
+
+        /**
+         * @param {string} key - Row key
+         * @param {string} side - `mine` or `theirs`
+         */
+        onChoose(key, side) {
+            this.choices = { ...this.choices, [key]: side };
+        },
+
+        /**
+         * @param {string} side - `mine` or `theirs`
+         */
+        onChooseAll(side) {
+            const choices = { ...this.choices };
+
+            [...this.fieldRows, ...this.itemRows]
+                .filter(row => row.isConflict)
+                .forEach((row) => {
+                    choices[row.key] = side;
+                });
+
+            this.choices = choices;
+        },
+
+        getFieldLabel(field) {
+            return this.$tc(FIELD_LABELS[field]);
+        },
+
+        formatFieldValue(field, value) {
+            if (value === null || value === undefined) {
+                return this.$tc('advanced-wishlist-main.changeReview.valueEmpty');
+            }
+
+            if (field === 'type') {
+                return this.$tc(`advanced-wishlist-main.list.type${value.charAt(0).toUpperCase() + value.slice(1)}`);
+            }
+
+            if (field === 'isActive') {
+                return this.$tc(value ? 'advanced-wishlist-main.changeReview.valueYes' : 'advanced-wishlist-main.changeReview.valueNo');
+            }
+
+            if (field === 'customerId') {
+                return this.customerNames[value] || value;
+            }
+
+            return value;
+        },
+
+        formatQuantity(quantity) {
+            if (quantity === null) {
+                return this.$tc('advanced-wishlist-main.saveConflict.valueNotInWishlist');
+            }
+
+            return this.$tc('advanced-wishlist-main.saveConflict.valueQuantity', 0, { quantity });
+        },
+
+        onResolve() {
+            const fields = {};
+            const items = {};
+
+            this.fieldRows.forEach((row) => {
+                fields[row.field] = row[this.choices[row.key]];
+            });
+
+            this.itemRows.forEach((row) => {
+                items[row.productId] = row[this.choices[row.key]];
+            });
+
+            this.$emit('resolve', { fields, items });
+        },
+
+        onClose() {
+            this.$emit('close');
+        }
+    }
+});
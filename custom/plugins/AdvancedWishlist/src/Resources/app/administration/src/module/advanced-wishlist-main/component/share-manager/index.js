@@ -1,13 +1,15 @@
 import template from './share-manager.html.twig';
 import './share-manager.scss';
 
-const { Component, Mixin, Utils } = Shopware;
+const { Component, Mixin } = Shopware;
 
 Component.register('advanced-wishlist-share-manager', {
     template,
 
     inject: [
-        'repositoryFactory'
+        'repositoryFactory',
+        'wishlistAdminService',
+        'acl'
     ],
 
     mixins: [
@@ -29,7 +31,9 @@ Component.register('advanced-wishlist-share-manager', {
     data() {
         return {
             customerRepository: null,
+            shareList: [],
             isLoading: false,
+            isCreating: false,
             selection: {},
             sortBy: 'createdAt',
             sortDirection: 'DESC',
@@ -42,22 +46,27 @@ Component.register('advanced-wishlist-share-manager', {
                 permissions: ['view'],
                 message: '',
                 expiresAt: null,
-                isActive: true
+                isActive: true,
+                password: '',
+                maxViews: null,
+                singleUse: false
             }
         };
     },
 
     computed: {
         shares() {
-            if (!this.wishlist?.shares) return [];
-            
-            return this.wishlist.shares.map(share => ({
+            return this.shareList.map(share => ({
                 ...share,
                 isExpired: share.expiresAt && new Date(share.expiresAt) < new Date(),
                 formattedExpiresAt: share.expiresAt ? 
                     this.$options.filters.date(share.expiresAt) : 
                     this.$tc('advanced-wishlist-main.shareManager.neverExpires'),
                 permissionsList: this.formatPermissions(share.permissions || []),
+                isUsedUp: share.remainingViews === 0,
+                formattedRemainingViews: share.remainingViews === null || share.remainingViews === undefined ?
+                    this.$tc('advanced-wishlist-main.shareManager.unlimitedViews') :
+                    share.remainingViews,
                 statusVariant: this.getShareStatusVariant(share)
             }));
         },
@@ -96,6 +105,20 @@ Component.register('advanced-wishlist-share-manager', {
                     allowResize: true,
                     align: 'center'
                 },
+                {
+                    property: 'remainingViews',
+                    dataIndex: 'formattedRemainingViews',
+                    label: this.$tc('advanced-wishlist-main.shareManager.columnRemainingViews'),
+                    allowResize: true,
+                    align: 'center'
+                },
+                {
+                    property: 'isProtected',
+                    dataIndex: 'isProtected',
+                    label: this.$tc('advanced-wishlist-main.shareManager.columnProtected'),
+                    allowResize: true,
+                    align: 'center'
+                },
                 {
                     property: 'expiresAt',
                     dataIndex: 'formattedExpiresAt',
@@ -115,8 +138,13 @@ Component.register('advanced-wishlist-share-manager', {
             return Object.keys(this.selection).length;
         },
 
+        // Shares are written right away, so they need the editor privilege on new wishlists as well
+        canManageShares() {
+            return !this.disabled && this.acl.can('advanced_wishlist.editor');
+        },
+
         canRevokeSelected() {
-            return this.selectedSharesCount > 0 && !this.disabled;
+            return this.selectedSharesCount > 0 && this.canManageShares;
         },
 
         hasShares() {
@@ -144,6 +172,8 @@ Component.register('advanced-wishlist-share-manager', {
             
             if (!share.type) return false;
             
+            if (!share.singleUse && share.maxViews !== null && share.maxViews !== '' && share.maxViews < 1) return false;
+
             if (share.type === 'email' || share.type === 'link') {
                 return share.recipientEmail && 
                        share.recipientName && 
@@ -158,8 +188,15 @@ Component.register('advanced-wishlist-share-manager', {
         }
     },
 
+    watch: {
+        'wishlist.id'() {
+            this.loadShares();
+        }
+    },
+
     created() {
         this.customerRepository = this.repositoryFactory.create('customer');
+        this.loadShares();
     },
 
     methods: {
@@ -168,66 +205,151 @@ Component.register('advanced-wishlist-share-manager', {
             this.showCreateShareModal = true;
         },
 
+        loadShares() {
+            if (!this.wishlist?.id || this.wishlist._isNew) {
+                this.shareList = [];
+                return Promise.resolve();
+            }
+
+            this.isLoading = true;
+
+            return this.wishlistAdminService.getShares(this.wishlist.id).then((shares) => {
+                this.shareList = shares;
+                this.$emit('shares-changed', shares);
+            }).catch((error) => {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.shareManager.loadErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }).finally(() => {
+                this.isLoading = false;
+            });
+        },
+
         onCreateShareConfirm() {
             if (!this.canCreateShare) {
                 this.createNotificationError({
                     title: this.$tc('advanced-wishlist-main.shareManager.createErrorTitle'),
                     message: this.$tc('advanced-wishlist-main.shareManager.createErrorValidation')
                 });
-                return;
+                return Promise.resolve();
             }
 
-            const shareData = {
-                ...this.newShare,
-                id: this.createId(),
-                wishlistId: this.wishlist.id,
-                shareToken: this.generateShareToken(),
-                createdAt: new Date().toISOString()
-            };
+            this.isCreating = true;
 
-            this.$emit('create-share', shareData);
-            this.showCreateShareModal = false;
-            this.resetNewShare();
+            // The share token is issued by the server
+            return this.wishlistAdminService.createShare(this.wishlist.id, { ...this.newShare }).then(() => {
+                this.showCreateShareModal = false;
+                this.resetNewShare();
 
-            this.createNotificationSuccess({
-                title: this.$tc('advanced-wishlist-main.shareManager.createSuccessTitle'),
-                message: this.$tc('advanced-wishlist-main.shareManager.createSuccessMessage')
+                this.createNotificationSuccess({
+                    title: this.$tc('advanced-wishlist-main.shareManager.createSuccessTitle'),
+                    message: this.$tc('advanced-wishlist-main.shareManager.createSuccessMessage')
+                });
+
+                return this.loadShares();
+            }).catch((error) => {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.shareManager.createErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }).finally(() => {
+                this.isCreating = false;
             });
         },
 
         onRevokeShare(share) {
-            this.$emit('revoke-share', share.id);
-            
-            this.createNotificationSuccess({
-                title: this.$tc('advanced-wishlist-main.shareManager.revokeSuccessTitle'),
-                message: this.$tc('advanced-wishlist-main.shareManager.revokeSuccessMessage')
+            const index = this.shareList.findIndex(entry => entry.id === share.id);
+            if (index === -1) {
+                return Promise.resolve();
+            }
+
+            const [revoked] = this.shareList.splice(index, 1);
+
+            return this.wishlistAdminService.revokeShare(this.wishlist.id, share.id).then(() => {
+                this.createNotificationSuccess({
+                    title: this.$tc('advanced-wishlist-main.shareManager.revokeSuccessTitle'),
+                    message: this.$tc('advanced-wishlist-main.shareManager.revokeSuccessMessage')
+                });
+            }).catch((error) => {
+                this.shareList.splice(index, 0, revoked);
+
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.shareManager.revokeErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }).finally(() => {
+                this.loadShares();
             });
         },
 
         onRevokeSelectedShares() {
             const selectedIds = Object.keys(this.selection);
-            selectedIds.forEach(id => {
-                this.$emit('revoke-share', id);
-            });
-            
+            const previousShares = [...this.shareList];
+
+            this.shareList = this.shareList.filter(share => !selectedIds.includes(share.id));
             this.selection = {};
-            
-            this.createNotificationSuccess({
-                title: this.$tc('advanced-wishlist-main.shareManager.revokeSelectedSuccessTitle'),
-                message: this.$tc('advanced-wishlist-main.shareManager.revokeSelectedSuccessMessage', selectedIds.length)
+
+            return Promise.allSettled(
+                selectedIds.map(id => this.wishlistAdminService.revokeShare(this.wishlist.id, id))
+            ).then((results) => {
+                const failedIds = selectedIds.filter((id, index) => results[index].status === 'rejected');
+                const revokedCount = selectedIds.length - failedIds.length;
+
+                if (failedIds.length > 0) {
+                    // Bring back the rows the server did not revoke
+                    this.shareList = previousShares.filter(share => {
+                        return !selectedIds.includes(share.id) || failedIds.includes(share.id);
+                    });
+
+                    this.createNotificationError({
+                        title: this.$tc('advanced-wishlist-main.shareManager.revokeErrorTitle'),
+                        message: this.$tc('advanced-wishlist-main.shareManager.revokeSelectedErrorMessage', failedIds.length, {
+                            count: failedIds.length
+                        })
+                    });
+                }
+
+                if (revokedCount > 0) {
+                    this.createNotificationSuccess({
+                        title: this.$tc('advanced-wishlist-main.shareManager.revokeSelectedSuccessTitle'),
+                        message: this.$tc('advanced-wishlist-main.shareManager.revokeSelectedSuccessMessage', revokedCount, {
+                            count: revokedCount
+                        })
+                    });
+                }
+
+                return this.loadShares();
             });
         },
 
         onToggleShareStatus(share) {
-            share.isActive = !share.isActive;
-            
-            this.createNotificationInfo({
-                title: share.isActive ? 
-                    this.$tc('advanced-wishlist-main.shareManager.activateSuccessTitle') :
-                    this.$tc('advanced-wishlist-main.shareManager.deactivateSuccessTitle'),
-                message: share.isActive ?
-                    this.$tc('advanced-wishlist-main.shareManager.activateSuccessMessage') :
-                    this.$tc('advanced-wishlist-main.shareManager.deactivateSuccessMessage')
+            const entry = this.shareList.find(item => item.id === share.id);
+            if (!entry) {
+                return Promise.resolve();
+            }
+
+            const isActive = !entry.isActive;
+            entry.isActive = isActive;
+
+            return this.wishlistAdminService.updateShare(this.wishlist.id, share.id, { isActive }).then(() => {
+                this.createNotificationInfo({
+                    title: isActive ?
+                        this.$tc('advanced-wishlist-main.shareManager.activateSuccessTitle') :
+                        this.$tc('advanced-wishlist-main.shareManager.deactivateSuccessTitle'),
+                    message: isActive ?
+                        this.$tc('advanced-wishlist-main.shareManager.activateSuccessMessage') :
+                        this.$tc('advanced-wishlist-main.shareManager.deactivateSuccessMessage')
+                });
+            }).catch((error) => {
+                entry.isActive = !isActive;
+
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.shareManager.updateErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }).finally(() => {
+                this.loadShares();
             });
         },
 
@@ -285,7 +407,10 @@ Component.register('advanced-wishlist-share-manager', {
                 permissions: ['view'],
                 message: '',
                 expiresAt: null,
-                isActive: true
+                isActive: true,
+                password: '',
+                maxViews: null,
+                singleUse: false
             };
         },
 
@@ -296,7 +421,7 @@ Component.register('advanced-wishlist-share-manager', {
         },
 
         getShareStatusVariant(share) {
-            if (!share.isActive) return 'danger';
+            if (!share.isActive || share.remainingViews === 0) return 'danger';
             if (share.isExpired) return 'warning';
             return 'success';
         },
@@ -310,17 +435,13 @@ Component.register('advanced-wishlist-share-manager', {
             return labels[type] || type;
         },
 
-        generateShareToken() {
-            return Utils.createId();
-        },
-
         generateShareUrl(share) {
             const baseUrl = window.location.origin;
             return `${baseUrl}/wishlist/shared/${share.shareToken}`;
         },
 
-        createId() {
-            return Utils.createId();
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
         }
     }
 });
\ No newline at end of file
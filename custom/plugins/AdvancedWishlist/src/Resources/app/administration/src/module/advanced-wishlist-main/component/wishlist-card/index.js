@@ -6,8 +6,13 @@ const { Component, Mixin } = Shopware;
 Component.register('advanced-wishlist-card', {
     template,
 
+    inject: [
+        'acl'
+    ],
+
     mixins: [
-        Mixin.getByName('notification')
+        Mixin.getByName('notification'),
+        Mixin.getByName('advanced-wishlist-price')
     ],
 
     props: {
@@ -34,6 +39,12 @@ Component.register('advanced-wishlist-card', {
             type: Boolean,
             required: false,
             default: false
+        },
+        // Currency entity for the total value, defaults to the currency of the sales channel of the wishlist
+        currency: {
+            type: Object,
+            required: false,
+            default: null
         }
     },
 
@@ -53,12 +64,19 @@ Component.register('advanced-wishlist-card', {
             return this.wishlist.shares?.length || 0;
         },
 
+        priceCurrency() {
+            return this.currency || this.wishlist.salesChannel?.currency || null;
+        },
+
+        displayGross() {
+            return this.wishlist.customer?.group?.displayGross ?? true;
+        },
+
         totalValue() {
             if (!this.wishlist.items) return 0;
             
             return this.wishlist.items.reduce((total, item) => {
-                const price = item.product?.price?.[0]?.gross || 0;
-                return total + (price * item.quantity);
+                return total + this.resolveProductPrice(item.product, item.quantity, this.priceCurrency, this.displayGross).totalPrice;
             }, 0);
         },
 
@@ -162,7 +180,7 @@ Component.register('advanced-wishlist-card', {
         },
 
         formatPrice(price) {
-            return this.$options.filters.currency(price);
+            return this.formatPriceValue(price, this.priceCurrency);
         }
     }
 });
\ No newline at end of file
@@ -1,9 +1,24 @@
+import './acl';
+import './mixin/wishlist-item-queue.mixin';
+import './mixin/wishlist-change-tracking.mixin';
+import './mixin/wishlist-price.mixin';
 import './page/wishlist-list';
 import './page/wishlist-detail';
 import './page/wishlist-create';
+import './page/wishlist-import';
+import './page/wishlist-price-alerts';
 import './component/wishlist-card';
 import './component/item-manager';
 import './component/share-manager';
+import './component/merge-wizard';
+import './component/delete-modal';
+import './component/activity-timeline';
+import './component/export-modal';
+import './component/change-review-modal';
+import './component/save-conflict-modal';
+import './component/customer-group-limits';
+import './view/customer-wishlists';
+import './extension/sw-customer-detail';
 
 const { Module } = Shopware;
 
@@ -39,6 +54,22 @@ Module.register('advanced-wishlist-main', {
                 parentPath: 'advanced.wishlist.main.overview',
                 privilege: 'advanced_wishlist.creator'
             }
+        },
+        import: {
+            component: 'advanced-wishlist-import',
+            path: 'import',
+            meta: {
+                parentPath: 'advanced.wishlist.main.overview',
+                privilege: 'advanced_wishlist.creator'
+            }
+        },
+        priceAlerts: {
+            component: 'advanced-wishlist-price-alerts',
+            path: 'price-alerts',
+            meta: {
+                parentPath: 'advanced.wishlist.main.overview',
+                privilege: 'advanced_wishlist.viewer'
+            }
         }
     },
 
@@ -53,6 +84,26 @@ Module.register('advanced-wishlist-main', {
         privilege: 'advanced_wishlist.viewer'
     }],
 
+    // Adds the wishlists tab to the customer detail page
+    routeMiddleware(next, currentRoute) {
+        const customerTabRoute = 'sw.customer.detail.advanced-wishlist';
+
+        if (currentRoute.name === 'sw.customer.detail' &&
+            currentRoute.children.every(route => route.name !== customerTabRoute)) {
+            currentRoute.children.push({
+                name: customerTabRoute,
+                path: '/sw/customer/detail/:id/advanced-wishlist',
+                component: 'advanced-wishlist-customer-wishlists',
+                meta: {
+                    parentPath: 'sw.customer.index',
+                    privilege: 'advanced_wishlist.viewer'
+                }
+            });
+        }
+
+        next(currentRoute);
+    },
+
     settingsItem: {
         group: 'plugins',
         to: 'advanced.wishlist.main.overview',
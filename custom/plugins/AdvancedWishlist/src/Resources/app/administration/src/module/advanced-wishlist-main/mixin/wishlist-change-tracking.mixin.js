@@ -0,0 +1,186 @@
+const { Mixin } = Shopware;
+
+// Wishlist fields that are written when the page is saved
+const TRACKED_FIELDS = ['name', 'type', 'customerId', 'isActive', 'description'];
+
+/**
+ * Tracks what a wishlist page will write on save, compared to a snapshot of the persisted state.
+ * Field changes come from `wishlist`, item changes from the queue of the `advanced-wishlist-item-queue` mixin.
+ * Shares are written by the share manager right away, their changes are only listed for the review.
+ */
+Mixin.register('advanced-wishlist-change-tracking', {
+    data() {
+        return {
+            changeSnapshot: null,
+            initialShares: null,
+            currentShares: []
+        };
+    },
+
+    computed: {
+        /**
+         * @returns {{field: string, from: *, to: *}[]}
+         */
+        fieldChanges() {
+            if (!this.changeSnapshot || !this.wishlist) {
+                return [];
+            }
+
+            return TRACKED_FIELDS
+                .map(field => ({
+                    field,
+                    from: this.changeSnapshot.fields[field],
+                    to: this.normalizeTrackedValue(this.wishlist[field])
+                }))
+                .filter(change => change.from !== change.to);
+        },
+
+        /**
+         * @returns {{reference: string, operation: string, productName: string, from: ?number, to: ?number}[]}
+         */
+        itemChanges() {
+            if (!this.changeSnapshot) {
+                return [];
+            }
+
+            return Object.keys(this.itemOperations)
+                .map((reference) => {
+                    const operation = this.itemOperations[reference];
+                    const row = operation === 'remove' ? this.removedItemRows[reference] : this.findItemRow(reference);
+                    const persistedQuantity = this.changeSnapshot.quantities[row?.id] ?? null;
+
+                    return {
+                        reference,
+                        operation,
+                        productName: this.getTrackedProductName(row),
+                        from: operation === 'add' ? null : persistedQuantity,
+                        to: operation === 'remove' ? null : row?.quantity ?? null
+                    };
+                })
+                // An update back to the saved quantity writes nothing new
+                .filter(change => change.operation !== 'update' || change.from !== change.to);
+        },
+
+        /**
+         * Share changes made since the page was loaded, they are already saved
+         * @returns {{id: string, change: string, label: string}[]}
+         */
+        shareChanges() {
+            if (this.initialShares === null) {
+                return [];
+            }
+
+            const initial = new Map(this.initialShares.map(share => [share.id, share]));
+            const current = new Map(this.currentShares.map(share => [share.id, share]));
+            const changes = [];
+
+            current.forEach((share, id) => {
+                const before = initial.get(id);
+
+                if (!before) {
+                    changes.push({ id, change: 'created', label: this.getTrackedShareLabel(share) });
+                } else if (before.isActive !== share.isActive) {
+                    changes.push({ id, change: share.isActive ? 'activated' : 'deactivated', label: this.getTrackedShareLabel(share) });
+                }
+            });
+
+            // Revoked shares are no longer listed
+            initial.forEach((share, id) => {
+                if (!current.has(id)) {
+                    changes.push({ id, change: 'revoked', label: this.getTrackedShareLabel(share) });
+                }
+            });
+
+            return changes;
+        },
+
+        hasChanges() {
+            return this.fieldChanges.length > 0 || this.itemChanges.length > 0;
+        },
+
+        changeCount() {
+            return this.fieldChanges.length + this.itemChanges.length;
+        }
+    },
+
+    methods: {
+        /**
+         * Remember the current wishlist fields and persisted item quantities as the saved state
+         */
+        takeChangeSnapshot() {
+            const fields = this.getTrackedFieldValues(this.wishlist);
+            const quantities = {};
+            this.itemRows
+                .filter(row => !row.isNew)
+                .forEach((row) => {
+                    quantities[row.id] = row.quantity;
+                });
+
+            // Items whose queued operation failed keep the quantity that is still saved
+            Object.keys(this.itemOperations).forEach((reference) => {
+                const row = this.removedItemRows[reference] || this.findItemRow(reference);
+                if (row?.id && this.changeSnapshot?.quantities[row.id] !== undefined) {
+                    quantities[row.id] = this.changeSnapshot.quantities[row.id];
+                }
+            });
+
+            this.changeSnapshot = { fields, quantities };
+        },
+
+        /**
+         * Remember the current wishlist fields as saved, queued item changes stay pending
+         */
+        takeFieldSnapshot() {
+            this.changeSnapshot = {
+                ...this.changeSnapshot,
+                fields: this.getTrackedFieldValues(this.wishlist)
+            };
+        },
+
+        /**
+         * @param {Object|null} wishlist - Wishlist entity
+         * @returns {Object} - Normalized values of the tracked fields
+         */
+        getTrackedFieldValues(wishlist) {
+            const fields = {};
+            TRACKED_FIELDS.forEach((field) => {
+                fields[field] = this.normalizeTrackedValue(wishlist?.[field]);
+            });
+
+            return fields;
+        },
+
+        /**
+         * @param {Object[]} shares - Current shares as loaded by the share manager
+         */
+        trackShares(shares) {
+            if (this.initialShares === null) {
+                this.initialShares = shares.map(share => ({ ...share }));
+            }
+
+            this.currentShares = shares.map(share => ({ ...share }));
+        },
+
+        resetShareTracking() {
+            this.initialShares = null;
+            this.currentShares = [];
+        },
+
+        normalizeTrackedValue(value) {
+            if (typeof value === 'string') {
+                const trimmed = value.trim();
+                return trimmed === '' ? null : trimmed;
+            }
+
+            return value ?? null;
+        },
+
+        getTrackedProductName(row) {
+            return row?.product?.translated?.name || row?.product?.name || row?.productId || '';
+        },
+
+        getTrackedShareLabel(share) {
+            return share.recipientName || share.recipientEmail || share.shareToken || share.id;
+        }
+    }
+});
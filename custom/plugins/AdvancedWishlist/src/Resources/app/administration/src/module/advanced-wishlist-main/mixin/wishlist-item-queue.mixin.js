@@ -0,0 +1,257 @@
+const { Mixin, Utils } = Shopware;
+
+// Removals first, so they free capacity for the additions of the same batch
+const OPERATION_ORDER = ['remove', 'update', 'add'];
+
+/**
+ * Queues item edits of a wishlist page as add/update/remove operations.
+ * Nothing is written until `flushItemOperations` sends the queue as one `manageItems` batch;
+ * the per-operation results are mapped back to the rows by their `reference`.
+ */
+Mixin.register('advanced-wishlist-item-queue', {
+    inject: [
+        'wishlistAdminService'
+    ],
+
+    data() {
+        return {
+            itemRows: [],
+            itemOperations: {},
+            removedItemRows: {},
+            itemErrors: {},
+            isFlushingItems: false
+        };
+    },
+
+    computed: {
+        hasPendingItemOperations() {
+            return Object.keys(this.itemOperations).length > 0;
+        },
+
+        pendingItemOperationCount() {
+            return Object.keys(this.itemOperations).length;
+        }
+    },
+
+    methods: {
+        /**
+         * Start over from the persisted items, dropping everything queued
+         * @param {Object[]} items - Wishlist item entities
+         */
+        initItemRows(items = []) {
+            this.itemRows = Array.from(items).map(item => ({
+                reference: item.id,
+                id: item.id,
+                productId: item.productId,
+                product: item.product || null,
+                quantity: item.quantity,
+                priceAtAddition: item.priceAtAddition ?? null,
+                createdAt: item.createdAt || item.addedAt || null,
+                isNew: false
+            }));
+
+            this.itemOperations = {};
+            this.removedItemRows = {};
+            this.itemErrors = {};
+        },
+
+        /**
+         * Queue a product, an existing row of the same product gets its quantity raised instead
+         * @param {Object} product - Product entity
+         * @param {number} quantity
+         * @returns {Object} - The new or updated row
+         */
+        queueAddItem(product, quantity = 1) {
+            const existingRow = this.itemRows.find(row => row.productId === product.id);
+
+            if (existingRow) {
+                this.queueUpdateItemQuantity(existingRow.reference, existingRow.quantity + quantity);
+                return existingRow;
+            }
+
+            const row = {
+                reference: Utils.createId(),
+                id: null,
+                productId: product.id,
+                product,
+                quantity,
+                priceAtAddition: null,
+                createdAt: new Date().toISOString(),
+                isNew: true
+            };
+
+            this.itemRows.push(row);
+            this.itemOperations = { ...this.itemOperations, [row.reference]: 'add' };
+
+            return row;
+        },
+
+        /**
+         * @param {string} reference - Row reference
+         */
+        queueRemoveItem(reference) {
+            const row = this.findItemRow(reference);
+            if (!row) {
+                return;
+            }
+
+            this.itemRows = this.itemRows.filter(itemRow => itemRow !== row);
+            this.clearItemError(reference);
+
+            const operations = { ...this.itemOperations };
+
+            // Rows that were never saved simply disappear
+            if (row.isNew) {
+                delete operations[reference];
+            } else {
+                operations[reference] = 'remove';
+                this.removedItemRows = { ...this.removedItemRows, [reference]: row };
+            }
+
+            this.itemOperations = operations;
+        },
+
+        /**
+         * @param {string} reference - Row reference
+         * @param {number} quantity - A quantity below 1 removes the row
+         */
+        queueUpdateItemQuantity(reference, quantity) {
+            const row = this.findItemRow(reference);
+            if (!row) {
+                return;
+            }
+
+            if (!quantity || quantity < 1) {
+                this.queueRemoveItem(reference);
+                return;
+            }
+
+            row.quantity = quantity;
+            this.clearItemError(reference);
+
+            // A queued addition picks up the new quantity when it is sent
+            if (!row.isNew) {
+                this.itemOperations = { ...this.itemOperations, [reference]: 'update' };
+            }
+        },
+
+        /**
+         * @param {string} reference - Row reference
+         * @returns {Object|undefined}
+         */
+        findItemRow(reference) {
+            return this.itemRows.find(row => row.reference === reference);
+        },
+
+        /**
+         * @returns {Object[]} - Queued operations in the shape expected by `manageItems`
+         */
+        buildItemOperations() {
+            return Object.keys(this.itemOperations)
+                .map((reference) => {
+                    const operation = this.itemOperations[reference];
+                    const row = operation === 'remove' ? this.removedItemRows[reference] : this.findItemRow(reference);
+
+                    return {
+                        reference,
+                        operation,
+                        itemId: row.id,
+                        productId: row.productId,
+                        quantity: row.quantity
+                    };
+                })
+                .sort((a, b) => OPERATION_ORDER.indexOf(a.operation) - OPERATION_ORDER.indexOf(b.operation));
+        },
+
+        /**
+         * Send all queued operations in one batch. Failed operations stay queued with an inline error,
+         * so the next save retries them; a request error leaves the whole queue untouched.
+         * @param {string} wishlistId
+         * @param {number|null} version - Wishlist version the queue is based on, a newer one rejects the batch
+         * @returns {Promise<{total: number, failed: number, version: number|null}>}
+         */
+        async flushItemOperations(wishlistId, version = null) {
+            const operations = this.buildItemOperations();
+            if (operations.length === 0) {
+                return { total: 0, failed: 0, version };
+            }
+
+            this.isFlushingItems = true;
+
+            try {
+                const response = await this.wishlistAdminService.manageItems(wishlistId, operations, version);
+                this.applyItemOperationResults(response.results || []);
+
+                return { total: operations.length, failed: response.failed || 0, version: response.version ?? version };
+            } finally {
+                this.isFlushingItems = false;
+            }
+        },
+
+        /**
+         * @param {Object[]} results - Per-operation results of `manageItems`
+         */
+        applyItemOperationResults(results) {
+            const operations = { ...this.itemOperations };
+            const removedRows = { ...this.removedItemRows };
+            const errors = { ...this.itemErrors };
+
+            results.forEach((result) => {
+                const { reference } = result;
+
+                if (result.success) {
+                    const row = this.findItemRow(reference);
+                    if (result.operation === 'add' && row) {
+                        row.id = result.itemId;
+                        row.isNew = false;
+                    }
+
+                    delete operations[reference];
+                    delete removedRows[reference];
+                    delete errors[reference];
+                    return;
+                }
+
+                errors[reference] = this.getItemOperationErrorMessage(result.error);
+
+                // The item still exists, bring its row back to show the error
+                if (result.operation === 'remove' && removedRows[reference]) {
+                    this.itemRows.push(removedRows[reference]);
+                    delete operations[reference];
+                    delete removedRows[reference];
+                }
+            });
+
+            this.itemOperations = operations;
+            this.removedItemRows = removedRows;
+            this.itemErrors = errors;
+        },
+
+        /**
+         * @param {{code: string, message: string}|null} error
+         * @returns {string}
+         */
+        getItemOperationErrorMessage(error) {
+            const key = `advanced-wishlist-main.itemManager.operationErrors.${error?.code}`;
+
+            if (error?.code && this.$te(key)) {
+                return this.$tc(key);
+            }
+
+            return error?.message || this.$tc('advanced-wishlist-main.itemManager.operationErrors.UNKNOWN');
+        },
+
+        /**
+         * @param {string} reference - Row reference
+         */
+        clearItemError(reference) {
+            if (!this.itemErrors[reference]) {
+                return;
+            }
+
+            const errors = { ...this.itemErrors };
+            delete errors[reference];
+            this.itemErrors = errors;
+        }
+    }
+});
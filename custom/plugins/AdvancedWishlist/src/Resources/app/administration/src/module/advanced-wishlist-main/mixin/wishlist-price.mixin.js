@@ -0,0 +1,161 @@
+const { Mixin, Data: { Criteria } } = Shopware;
+
+/**
+ * Resolves product prices of wishlist items the way the storefront shows them to the wishlist owner:
+ * variants without an own price inherit the one of their parent, advanced prices are picked by quantity
+ * and currencies without an own price are converted from the default currency by their factor.
+ * Whether net or gross is shown follows the `displayGross` flag of the customer group.
+ *
+ * The rules of advanced prices can not be evaluated in the administration,
+ * the tier of the rule with the highest priority is used and marked as `isTierPrice`.
+ */
+Mixin.register('advanced-wishlist-price', {
+    inject: [
+        'repositoryFactory'
+    ],
+
+    methods: {
+        /**
+         * @param {string|null} currencyId - Defaults to the system currency
+         * @returns {Promise<Object|null>} - Currency entity
+         */
+        fetchPriceCurrency(currencyId = null) {
+            return this.repositoryFactory.create('currency').get(
+                currencyId || Shopware.Context.app.systemCurrencyId,
+                Shopware.Context.api,
+                new Criteria()
+            );
+        },
+
+        /**
+         * @param {Object|null} product - Product entity, `parent` and `prices.rule` should be loaded for variants and advanced prices
+         * @param {number} quantity - Quantity the advanced price tier is picked by
+         * @param {Object|null} currency - Currency entity, defaults to the system currency
+         * @param {boolean} displayGross
+         * @returns {{unitPrice: number, totalPrice: number, hasPrice: boolean, isInherited: boolean, isTierPrice: boolean}}
+         */
+        resolveProductPrice(product, quantity = 1, currency = null, displayGross = true) {
+            const parent = product?.parent || null;
+            const ownTiers = product?.prices?.length ? Array.from(product.prices) : [];
+            const tiers = ownTiers.length ? ownTiers : Array.from(parent?.prices || []);
+            const tier = this.findTierPrice(tiers, quantity);
+            const price = tier?.price || product?.price || parent?.price || null;
+            const unitPrice = this.getCurrencyPriceValue(price, currency, displayGross);
+
+            return {
+                unitPrice: unitPrice ?? 0,
+                totalPrice: (unitPrice ?? 0) * quantity,
+                hasPrice: unitPrice !== null,
+                isInherited: tier ? !ownTiers.length : !product?.price && !!parent?.price,
+                isTierPrice: !!tier
+            };
+        },
+
+        /**
+         * `priceAtAddition` is stored as gross in the default currency,
+         * net is derived with the net/gross ratio of the current default price of the product.
+         *
+         * @param {number|null} priceAtAddition
+         * @param {Object|null} product - Product entity
+         * @param {Object|null} currency - Currency entity, defaults to the system currency
+         * @param {boolean} displayGross
+         * @returns {number|null}
+         */
+        resolvePriceAtAddition(priceAtAddition, product, currency = null, displayGross = true) {
+            if (priceAtAddition === null || priceAtAddition === undefined) {
+                return null;
+            }
+
+            let value = priceAtAddition * (this.isSystemCurrency(currency) ? 1 : currency.factor || 1);
+
+            if (!displayGross) {
+                const basePrice = this.getSystemCurrencyPrice(product?.price || product?.parent?.price);
+                if (basePrice?.gross) {
+                    value *= basePrice.net / basePrice.gross;
+                }
+            }
+
+            return value;
+        },
+
+        /**
+         * @param {number} currentPrice
+         * @param {number|null} priceAtAddition
+         * @returns {number|null} - Change in percent, negative when the price dropped
+         */
+        getPriceChangePercentage(currentPrice, priceAtAddition) {
+            if (!priceAtAddition || !currentPrice) {
+                return null;
+            }
+
+            return Math.round(((currentPrice - priceAtAddition) / priceAtAddition) * 10000) / 100;
+        },
+
+        /**
+         * @param {number} value
+         * @param {Object|null} currency - Currency entity, defaults to the system currency
+         * @returns {string}
+         */
+        formatPriceValue(value, currency = null) {
+            return Shopware.Filter.getByName('currency')(
+                value,
+                currency?.isoCode || Shopware.Context.app.systemCurrencyISOCode
+            );
+        },
+
+        /**
+         * @param {Object[]|null} price - Price collection of a product or advanced price
+         * @param {Object|null} currency
+         * @param {boolean} displayGross
+         * @returns {number|null}
+         */
+        getCurrencyPriceValue(price, currency, displayGross) {
+            if (!price?.length) {
+                return null;
+            }
+
+            const currencyPrice = !this.isSystemCurrency(currency)
+                ? price.find(entry => entry.currencyId === currency.id)
+                : null;
+
+            if (currencyPrice) {
+                return displayGross ? currencyPrice.gross : currencyPrice.net;
+            }
+
+            const basePrice = this.getSystemCurrencyPrice(price);
+            const value = displayGross ? basePrice.gross : basePrice.net;
+
+            return this.isSystemCurrency(currency) ? value : value * (currency.factor || 1);
+        },
+
+        getSystemCurrencyPrice(price) {
+            if (!price?.length) {
+                return null;
+            }
+
+            return price.find(entry => entry.currencyId === Shopware.Context.app.systemCurrencyId) || price[0];
+        },
+
+        /**
+         * @param {Object[]} tiers - Advanced price entities
+         * @param {number} quantity
+         * @returns {Object|null}
+         */
+        findTierPrice(tiers, quantity) {
+            const matching = tiers.filter(tier => tier.quantityStart <= quantity
+                && (tier.quantityEnd === null || tier.quantityEnd === undefined || quantity <= tier.quantityEnd));
+
+            if (!matching.length) {
+                return null;
+            }
+
+            return matching.reduce((best, tier) => {
+                return (tier.rule?.priority ?? 0) > (best.rule?.priority ?? 0) ? tier : best;
+            });
+        },
+
+        isSystemCurrency(currency) {
+            return !currency || currency.id === Shopware.Context.app.systemCurrencyId;
+        }
+    }
+});
@@ -8,14 +8,26 @@ Component.register('advanced-wishlist-create', {
 
     inject: [
         'wishlistAdminService',
-        'repositoryFactory'
+        'repositoryFactory',
+        'acl'
     ],
 
     mixins: [
         Mixin.getByName('notification'),
-        Mixin.getByName('placeholder')
+        Mixin.getByName('placeholder'),
+        Mixin.getByName('advanced-wishlist-item-queue')
     ],
 
+    shortcuts: {
+        'SYSTEMKEY+S': {
+            active() {
+                return this.acl.can('advanced_wishlist.creator');
+            },
+            method: 'onSave'
+        },
+        ESCAPE: 'onCancel'
+    },
+
     data() {
         return {
             wishlist: null,
@@ -26,7 +38,10 @@ Component.register('advanced-wishlist-create', {
             isLoading: false,
             isSaveLoading: false,
             processSuccess: false,
-            isDuplicating: false
+            isDuplicating: false,
+            includeShares: false,
+            savedWishlistId: null,
+            customerCapacity: null
         };
     },
 
@@ -58,6 +73,10 @@ Component.register('advanced-wishlist-create', {
             return `${systemKey} + S`;
         },
 
+        tooltipCancel() {
+            return 'ESC';
+        },
+
         customerCriteria() {
             const criteria = new Criteria();
             criteria.addAssociation('defaultBillingAddress.country');
@@ -78,7 +97,21 @@ Component.register('advanced-wishlist-create', {
                    this.wishlist.name && 
                    this.wishlist.name.trim().length > 0 &&
                    this.wishlist.customerId &&
-                   this.wishlist.type;
+                   this.wishlist.type &&
+                   !this.isCustomerAtLimit;
+        },
+
+        isCustomerAtLimit() {
+            return !!this.customerCapacity && this.customerCapacity.remaining <= 0;
+        },
+
+        // Items the new wishlist can still take with the item limit of the selected customer
+        remainingItemCapacity() {
+            if (!this.customerCapacity) {
+                return null;
+            }
+
+            return Math.max(0, this.customerCapacity.maxItemsPerWishlist - this.itemRows.length);
         },
 
         pageTitle() {
@@ -88,6 +121,14 @@ Component.register('advanced-wishlist-create', {
             return this.$tc('advanced-wishlist-main.create.textTitle');
         },
 
+        duplicateItems() {
+            return this.duplicateWishlist?.items || [];
+        },
+
+        duplicateShareCount() {
+            return (this.duplicateWishlist?.shares || []).filter(share => !share.revokedAt).length;
+        },
+
         saveButtonText() {
             if (this.isDuplicating) {
                 return this.$tc('advanced-wishlist-main.create.saveActionDuplicate');
@@ -114,6 +155,11 @@ Component.register('advanced-wishlist-create', {
             if (!this.wishlist?.customerId) {
                 validation.isValid = false;
                 validation.errors.customerId = this.$tc('advanced-wishlist-main.create.errorCustomerRequired');
+            } else if (this.isCustomerAtLimit) {
+                validation.isValid = false;
+                validation.errors.customerId = this.$tc('advanced-wishlist-main.create.errorCustomerLimitReached', 0, {
+                    limit: this.customerCapacity.limit
+                });
             }
 
             if (!this.wishlist?.type) {
@@ -125,6 +171,12 @@ Component.register('advanced-wishlist-create', {
         }
     },
 
+    watch: {
+        'wishlist.customerId'(customerId) {
+            this.loadCustomerCapacity(customerId);
+        }
+    },
+
     async created() {
         this.wishlistRepository = this.repositoryFactory.create('advanced_wishlist');
         this.customerRepository = this.repositoryFactory.create('customer');
@@ -144,12 +196,17 @@ Component.register('advanced-wishlist-create', {
                 // Set defaults
                 this.wishlist.type = 'private';
                 this.wishlist.isActive = true;
-                this.wishlist.items = [];
                 this.wishlist.shares = [];
+                this.initItemRows([]);
+
+                // Preselected when coming from the wishlists tab of a customer
+                if (this.$route.query.customerId) {
+                    this.wishlist.customerId = this.$route.query.customerId;
+                }
 
                 // Handle duplication
                 if (this.isDuplicateMode) {
-                    await this.loadAndDuplicateWishlist();
+                    await this.loadDuplicateSource();
                 }
 
                 this.isLoading = false;
@@ -165,15 +222,20 @@ Component.register('advanced-wishlist-create', {
             }
         },
 
-        async loadAndDuplicateWishlist() {
+        /**
+         * The copy itself is made by the server, this page only confirms its name, customer and shares
+         */
+        async loadDuplicateSource() {
             try {
                 this.isDuplicating = true;
-                
-                // Load original wishlist with all associations
+
                 const criteria = new Criteria();
                 criteria.addAssociation('customer');
                 criteria.addAssociation('items.product');
                 criteria.addAssociation('shares');
+                criteria.getAssociation('items')
+                    .addSorting(Criteria.sort('priority', 'DESC'))
+                    .addSorting(Criteria.sort('addedAt', 'ASC'));
 
                 this.duplicateWishlist = await this.wishlistRepository.get(
                     this.duplicateId,
@@ -181,26 +243,13 @@ Component.register('advanced-wishlist-create', {
                     criteria
                 );
 
-                // Copy data from original wishlist
-                this.wishlist.name = `${this.duplicateWishlist.name} (Copy)`;
+                this.wishlist.name = this.$tc('advanced-wishlist-main.create.duplicateDefaultName', 0, {
+                    name: this.duplicateWishlist.name
+                });
                 this.wishlist.description = this.duplicateWishlist.description;
                 this.wishlist.type = this.duplicateWishlist.type;
                 this.wishlist.customerId = this.duplicateWishlist.customerId;
                 this.wishlist.customer = this.duplicateWishlist.customer;
-                this.wishlist.isActive = this.duplicateWishlist.isActive;
-
-                // Duplicate items (without IDs)
-                if (this.duplicateWishlist.items && this.duplicateWishlist.items.length > 0) {
-                    this.wishlist.items = this.duplicateWishlist.items.map(item => ({
-                        id: this.createId(),
-                        productId: item.productId,
-                        quantity: item.quantity,
-                        product: item.product,
-                        createdAt: new Date().toISOString()
-                    }));
-                }
-
-                // Note: Shares are not duplicated for security reasons
 
                 this.createNotificationInfo({
                     title: this.$tc('advanced-wishlist-main.create.duplicateInfoTitle'),
@@ -215,6 +264,10 @@ Component.register('advanced-wishlist-create', {
         },
 
         async onSave() {
+            if (this.isSaveLoading) {
+                return;
+            }
+
             const validation = this.formValidation;
             
             if (!validation.isValid) {
@@ -233,19 +286,40 @@ Component.register('advanced-wishlist-create', {
                 return;
             }
 
+            if (this.isDuplicating) {
+                await this.saveDuplicate();
+                return;
+            }
+
             this.isSaveLoading = true;
 
             try {
-                // Set created timestamp
-                this.wishlist.createdAt = new Date().toISOString();
-                
-                await this.wishlistRepository.save(this.wishlist, Shopware.Context.api);
-                
+                // A wishlist saved by an earlier attempt only needs its remaining items
+                if (!this.savedWishlistId) {
+                    // Set created timestamp
+                    this.wishlist.createdAt = new Date().toISOString();
+
+                    await this.wishlistRepository.save(this.wishlist, Shopware.Context.api);
+                    this.savedWishlistId = this.wishlist.id;
+                }
+
+                const itemResult = await this.flushItemOperations(this.savedWishlistId);
+
+                if (itemResult.failed > 0) {
+                    this.isSaveLoading = false;
+                    this.createNotificationWarning({
+                        title: this.$tc('advanced-wishlist-main.itemManager.saveWarningTitle'),
+                        message: this.$tc('advanced-wishlist-main.itemManager.saveWarningMessage', itemResult.failed, {
+                            failed: itemResult.failed,
+                            total: itemResult.total
+                        })
+                    });
+                    return;
+                }
+
                 this.createNotificationSuccess({
                     title: this.$tc('advanced-wishlist-main.create.saveSuccessTitle'),
-                    message: this.isDuplicating ? 
-                        this.$tc('advanced-wishlist-main.create.duplicateSuccessMessage') :
-                        this.$tc('advanced-wishlist-main.create.saveSuccessMessage')
+                    message: this.$tc('advanced-wishlist-main.create.saveSuccessMessage')
                 });
 
                 // Navigate to detail view
@@ -265,6 +339,41 @@ Component.register('advanced-wishlist-create', {
             }
         },
 
+        async saveDuplicate() {
+            this.isSaveLoading = true;
+
+            try {
+                const duplicate = await this.wishlistAdminService.duplicateWishlist(this.duplicateId, {
+                    name: this.wishlist.name.trim(),
+                    customerId: this.wishlist.customerId,
+                    includeShares: this.includeShares
+                });
+
+                this.createNotificationSuccess({
+                    title: this.$tc('advanced-wishlist-main.create.saveSuccessTitle'),
+                    message: this.$tc('advanced-wishlist-main.create.duplicateSuccessMessage', duplicate.itemCount, {
+                        items: duplicate.itemCount,
+                        shares: duplicate.shareCount
+                    })
+                });
+
+                this.isSaveLoading = false;
+                this.processSuccess = true;
+
+                // Further changes are made on the copy itself
+                this.$router.push({
+                    name: 'advanced.wishlist.main.detail',
+                    params: { id: duplicate.id }
+                });
+            } catch (error) {
+                this.isSaveLoading = false;
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.create.duplicateErrorTitle'),
+                    message: error.response?.data?.message || error.message
+                });
+            }
+        },
+
         onCancel() {
             this.$router.push({ name: 'advanced.wishlist.main.overview' });
         },
@@ -286,29 +395,64 @@ Component.register('advanced-wishlist-create', {
             this.wishlist.customerId = customerId;
         },
 
-        onAddProduct(productId) {
+        async loadCustomerCapacity(customerId) {
+            this.customerCapacity = null;
+
+            if (!customerId) {
+                return;
+            }
+
+            try {
+                const capacity = await this.wishlistAdminService.getCustomerCapacity(customerId);
+
+                // Another customer may have been selected in the meantime
+                if (this.wishlist?.customerId === customerId) {
+                    this.customerCapacity = capacity;
+                }
+            } catch {
+                // Without the capacity the server still enforces the limits on save
+                this.customerCapacity = null;
+            }
+        },
+
+        async onAddProduct(productId) {
             if (!productId) return;
 
             // Check if product already exists
-            const existingItem = this.wishlist.items.find(item => item.productId === productId);
-            
-            if (existingItem) {
-                existingItem.quantity += 1;
+            const exists = this.itemRows.some(item => item.productId === productId);
+
+            if (!exists && this.remainingItemCapacity === 0) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.create.productAddErrorTitle'),
+                    message: this.$tc('advanced-wishlist-main.create.errorItemLimitReached', 0, {
+                        limit: this.customerCapacity.maxItemsPerWishlist
+                    })
+                });
+                return;
+            }
+
+            try {
+                const product = await this.productRepository.get(
+                    productId,
+                    Shopware.Context.api,
+                    this.productCriteria
+                );
+
+                this.queueAddItem(product, 1);
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.create.productAddErrorTitle'),
+                    message: error.message
+                });
+                return;
+            }
+
+            if (exists) {
                 this.createNotificationInfo({
                     title: this.$tc('advanced-wishlist-main.create.productExistsTitle'),
                     message: this.$tc('advanced-wishlist-main.create.productExistsMessage')
                 });
             } else {
-                // Add new item
-                const newItem = {
-                    id: this.createId(),
-                    productId: productId,
-                    quantity: 1,
-                    createdAt: new Date().toISOString()
-                };
-                
-                this.wishlist.items.push(newItem);
-                
                 this.createNotificationSuccess({
                     title: this.$tc('advanced-wishlist-main.create.productAddSuccessTitle'),
                     message: this.$tc('advanced-wishlist-main.create.productAddSuccessMessage')
@@ -316,30 +460,12 @@ Component.register('advanced-wishlist-create', {
             }
         },
 
-        onRemoveItem(itemId) {
-            const index = this.wishlist.items.findIndex(item => item.id === itemId);
-            if (index !== -1) {
-                this.wishlist.items.splice(index, 1);
-            }
-        },
-
-        onUpdateItemQuantity(itemId, quantity) {
-            const item = this.wishlist.items.find(item => item.id === itemId);
-            if (item) {
-                if (quantity > 0) {
-                    item.quantity = quantity;
-                } else {
-                    this.onRemoveItem(itemId);
-                }
-            }
+        onRemoveItem(reference) {
+            this.queueRemoveItem(reference);
         },
 
-        createId() {
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
-            });
+        onUpdateItemQuantity(reference, quantity) {
+            this.queueUpdateItemQuantity(reference, quantity);
         }
     }
 });
\ No newline at end of file
@@ -3,24 +3,45 @@ import './wishlist-detail.scss';
 
 const { Component, Mixin, Data: { Criteria } } = Shopware;
 
+// Tracked fields that are stored on the wishlist entity
+const PERSISTED_FIELDS = ['name', 'type', 'customerId', 'description'];
+
 Component.register('advanced-wishlist-detail', {
     template,
 
     inject: [
         'wishlistAdminService',
-        'repositoryFactory'
+        'repositoryFactory',
+        'acl'
     ],
 
     mixins: [
         Mixin.getByName('notification'),
         Mixin.getByName('salutation'),
-        Mixin.getByName('placeholder')
+        Mixin.getByName('placeholder'),
+        Mixin.getByName('advanced-wishlist-item-queue'),
+        Mixin.getByName('advanced-wishlist-change-tracking'),
+        Mixin.getByName('advanced-wishlist-price')
     ],
 
+    shortcuts: {
+        'SYSTEMKEY+S': {
+            active() {
+                return this.canEdit && !this.hasOpenModal;
+            },
+            method: 'onSave'
+        },
+        ESCAPE: {
+            active() {
+                return !this.hasOpenModal;
+            },
+            method: 'onCancel'
+        }
+    },
+
     data() {
         return {
             wishlist: null,
-            originalWishlist: null,
             wishlistRepository: null,
             customerRepository: null,
             productRepository: null,
@@ -30,7 +51,14 @@ Component.register('advanced-wishlist-detail', {
             showItemModal: false,
             showShareModal: false,
             showDeleteModal: false,
+            showChangeReview: false,
+            changeReviewMode: 'review',
+            pendingRouteLeave: null,
+            saveConflict: null,
             selectedItems: {},
+            shareTotal: null,
+            priceCurrency: null,
+            itemLimit: null,
             activeTab: 'general'
         };
     },
@@ -52,8 +80,18 @@ Component.register('advanced-wishlist-detail', {
             return this.wishlistId === 'new';
         },
 
+        // A new wishlist is created, an existing one edited
+        canEdit() {
+            return this.acl.can(this.isNew ? 'advanced_wishlist.creator' : 'advanced_wishlist.editor');
+        },
+
+        // Modals handle their own keys, the page shortcuts wait until they are closed
+        hasOpenModal() {
+            return this.showDeleteModal || this.showChangeReview || !!this.saveConflict;
+        },
+
         tooltipSave() {
-            if (!this.acl.can('advanced_wishlist.editor')) {
+            if (!this.canEdit) {
                 return this.$tc('sw-privileges.tooltip.warning');
             }
 
@@ -68,9 +106,12 @@ Component.register('advanced-wishlist-detail', {
         wishlistCriteria() {
             const criteria = new Criteria();
             
-            criteria.addAssociation('customer');
+            criteria.addAssociation('customer.group');
+            criteria.addAssociation('salesChannel.currency');
             criteria.addAssociation('items.product.media');
             criteria.addAssociation('items.product.options.group');
+            criteria.addAssociation('items.product.prices.rule');
+            criteria.addAssociation('items.product.parent.prices.rule');
             criteria.addAssociation('shares');
             
             return criteria;
@@ -88,37 +129,56 @@ Component.register('advanced-wishlist-detail', {
             criteria.addAssociation('media');
             criteria.addAssociation('options.group');
             criteria.addAssociation('categories');
+            criteria.addAssociation('prices.rule');
+            criteria.addAssociation('parent.prices.rule');
             return criteria;
         },
 
         itemCount() {
-            return this.wishlist?.items?.length || 0;
+            return this.itemRows.length;
         },
 
         shareCount() {
+            if (this.shareTotal !== null) {
+                return this.shareTotal;
+            }
+
             return this.wishlist?.shares?.length || 0;
         },
 
+        // Customer groups showing net prices get net totals, like in the storefront
+        displayGross() {
+            return this.wishlist?.customer?.group?.displayGross ?? true;
+        },
+
         totalValue() {
-            if (!this.wishlist?.items) return 0;
-            
-            return this.wishlist.items.reduce((total, item) => {
-                const price = item.product?.price?.[0]?.gross || 0;
-                return total + (price * item.quantity);
+            return this.itemRows.reduce((total, item) => {
+                return total + this.resolveProductPrice(item.product, item.quantity, this.priceCurrency, this.displayGross).totalPrice;
+            }, 0);
+        },
+
+        totalValueAtAddition() {
+            return this.itemRows.reduce((total, item) => {
+                const price = this.resolvePriceAtAddition(item.priceAtAddition, item.product, this.priceCurrency, this.displayGross);
+                return total + ((price ?? 0) * item.quantity);
             }, 0);
         },
 
+        // The persisted state counts, queued item edits are discarded with the wishlist
+        wishlistsToDelete() {
+            return [{
+                id: this.wishlist.id,
+                name: this.wishlist.name,
+                customerId: this.wishlist.customerId,
+                itemCount: this.wishlist.items?.length || 0
+            }];
+        },
+
         canSave() {
             return this.wishlist && 
                    this.wishlist.name && 
                    this.wishlist.name.trim().length > 0 &&
                    this.wishlist.customerId;
-        },
-
-        hasChanges() {
-            if (!this.originalWishlist || !this.wishlist) return false;
-            
-            return JSON.stringify(this.originalWishlist) !== JSON.stringify(this.wishlist);
         }
     },
 
@@ -131,11 +191,15 @@ Component.register('advanced-wishlist-detail', {
     },
 
     beforeRouteLeave(to, from, next) {
-        if (this.hasChanges) {
-            this.$refs.router.openUnsavedDataModal(next);
-        } else {
+        if (this.isNew || !this.hasChanges) {
             next();
+            return;
         }
+
+        // The navigation waits for the choice made in the unsaved-changes dialog
+        this.pendingRouteLeave = next;
+        this.changeReviewMode = 'leave';
+        this.showChangeReview = true;
     },
 
     methods: {
@@ -153,10 +217,12 @@ Component.register('advanced-wishlist-detail', {
                     Shopware.Context.api, 
                     this.wishlistCriteria
                 );
-                
-                this.originalWishlist = this.wishlistRepository.create(Shopware.Context.api);
-                Object.assign(this.originalWishlist, this.wishlist);
-                
+
+                this.initItemRows(this.wishlist.items);
+                this.takeChangeSnapshot();
+                this.loadPriceCurrency();
+                this.loadItemLimit();
+
                 this.isLoading = false;
             } catch (error) {
                 this.isLoading = false;
@@ -176,11 +242,55 @@ Component.register('advanced-wishlist-detail', {
             this.wishlist.isActive = true;
             this.wishlist.items = [];
             this.wishlist.shares = [];
-            
-            this.originalWishlist = null;
+
+            this.initItemRows([]);
+            this.takeChangeSnapshot();
+            this.loadPriceCurrency();
+        },
+
+        /**
+         * Prices are shown in the currency of the sales channel of the wishlist until another one is chosen
+         */
+        async loadPriceCurrency() {
+            if (this.priceCurrency) {
+                return;
+            }
+
+            if (this.wishlist?.salesChannel?.currency) {
+                this.priceCurrency = this.wishlist.salesChannel.currency;
+                return;
+            }
+
+            try {
+                this.priceCurrency = await this.fetchPriceCurrency();
+            } catch (error) {
+                // Prices fall back to the system currency
+                this.priceCurrency = null;
+            }
+        },
+
+        /**
+         * Item limit of the sales channel and customer group of the wishlist, configured in the plugin settings
+         */
+        async loadItemLimit() {
+            try {
+                const capacity = await this.wishlistAdminService.getWishlistCapacity(this.wishlistId);
+                this.itemLimit = capacity.limit;
+            } catch (error) {
+                // The item manager works without a limit, the server still enforces it on save
+                this.itemLimit = null;
+            }
+        },
+
+        onPriceCurrencyChange(currency) {
+            this.priceCurrency = currency;
         },
 
-        async onSave() {
+        onSave() {
+            if (!this.canEdit || this.isSaveLoading) {
+                return;
+            }
+
             if (!this.canSave) {
                 this.createNotificationError({
                     title: this.$tc('advanced-wishlist-main.detail.saveErrorTitle'),
@@ -189,35 +299,272 @@ Component.register('advanced-wishlist-detail', {
                 return;
             }
 
+            // Changes of an existing wishlist are reviewed before they are written
+            if (!this.isNew && this.hasChanges) {
+                this.onOpenChangeReview();
+                return;
+            }
+
+            this.saveWishlist();
+        },
+
+        /**
+         * Write the wishlist and its queued item changes
+         * @returns {Promise<boolean>} - Whether everything has been saved
+         */
+        async saveWishlist() {
             this.isSaveLoading = true;
 
             try {
-                await this.wishlistRepository.save(this.wishlist, Shopware.Context.api);
-                
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.saveSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.saveSuccessMessage')
-                });
+                const itemResult = this.isNew
+                    ? await this.saveNewWishlist()
+                    : await this.saveWishlistChanges();
+
+                if (itemResult.failed > 0) {
+                    this.createNotificationWarning({
+                        title: this.$tc('advanced-wishlist-main.itemManager.saveWarningTitle'),
+                        message: this.$tc('advanced-wishlist-main.itemManager.saveWarningMessage', itemResult.failed, {
+                            failed: itemResult.failed,
+                            total: itemResult.total
+                        })
+                    });
+                } else {
+                    this.createNotificationSuccess({
+                        title: this.$tc('advanced-wishlist-main.detail.saveSuccessTitle'),
+                        message: this.$tc('advanced-wishlist-main.detail.saveSuccessMessage')
+                    });
+                }
 
                 if (this.isNew) {
+                    this.takeChangeSnapshot();
                     this.$router.push({
                         name: 'advanced.wishlist.main.detail',
                         params: { id: this.wishlist.id }
                     });
+                } else if (itemResult.total > 0 && itemResult.failed === 0) {
+                    // Pick up the IDs and product data of the written items
+                    await this.loadWishlist();
                 } else {
-                    // Update original data to reflect saved state
-                    this.originalWishlist = this.wishlistRepository.create(Shopware.Context.api);
-                    Object.assign(this.originalWishlist, this.wishlist);
+                    // Failed item operations stay queued and are still listed as changes
+                    this.takeChangeSnapshot();
                 }
 
                 this.isSaveLoading = false;
                 this.processSuccess = true;
+
+                return itemResult.failed === 0;
             } catch (error) {
                 this.isSaveLoading = false;
+
+                if (error.response?.status === 409) {
+                    await this.openSaveConflict();
+                    return false;
+                }
+
                 this.createNotificationError({
                     title: this.$tc('advanced-wishlist-main.detail.saveErrorTitle'),
                     message: error.message
                 });
+
+                return false;
+            }
+        },
+
+        /**
+         * @returns {Promise<{total: number, failed: number}>} - Result of the queued item operations
+         */
+        async saveNewWishlist() {
+            await this.wishlistRepository.save(this.wishlist, Shopware.Context.api);
+
+            // Item edits are queued and written in one batch after the wishlist itself
+            return this.flushItemOperations(this.wishlist.id);
+        },
+
+        /**
+         * Both writes are based on the loaded version and rejected with status 409 when someone else has saved since
+         * @returns {Promise<{total: number, failed: number}>} - Result of the queued item operations
+         */
+        async saveWishlistChanges() {
+            const fieldUpdate = this.buildFieldUpdate();
+
+            if (Object.keys(fieldUpdate).length > 0) {
+                const result = await this.wishlistAdminService.updateWishlist(this.wishlist.id, fieldUpdate, this.wishlist.version);
+
+                this.wishlist.version = result.version;
+            }
+
+            this.takeFieldSnapshot();
+
+            const itemResult = await this.flushItemOperations(this.wishlist.id, this.wishlist.version);
+            this.wishlist.version = itemResult.version;
+
+            return itemResult;
+        },
+
+        /**
+         * @returns {Object} - Changed fields that are stored on the wishlist
+         */
+        buildFieldUpdate() {
+            const update = {};
+
+            this.fieldChanges
+                .filter(change => PERSISTED_FIELDS.includes(change.field))
+                .forEach((change) => {
+                    update[change.field] = change.to ?? '';
+                });
+
+            return update;
+        },
+
+        /**
+         * Load what has been saved in the meantime and let the admin merge it with the unsaved changes
+         */
+        async openSaveConflict() {
+            this.showChangeReview = false;
+            this.resolveRouteLeave(false);
+
+            try {
+                const theirs = await this.wishlistRepository.get(
+                    this.wishlist.id,
+                    Shopware.Context.api,
+                    this.wishlistCriteria
+                );
+
+                this.saveConflict = {
+                    theirsEntity: theirs,
+                    base: this.buildConflictState(this.changeSnapshot.fields, this.getPersistedItemRows(), this.changeSnapshot.quantities),
+                    mine: this.buildConflictState(this.getTrackedFieldValues(this.wishlist), this.itemRows),
+                    theirs: this.buildConflictState(this.getTrackedFieldValues(theirs), Array.from(theirs.items || []))
+                };
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.detail.saveErrorTitle'),
+                    message: error.message
+                });
+            }
+        },
+
+        /**
+         * Rows of all items the page has loaded, including the ones queued for removal
+         * @returns {Object[]}
+         */
+        getPersistedItemRows() {
+            return [
+                ...this.itemRows.filter(row => !row.isNew),
+                ...Object.values(this.removedItemRows)
+            ];
+        },
+
+        /**
+         * @param {Object} fields - Normalized tracked fields
+         * @param {Object[]} rows - Item rows or item entities
+         * @param {Object|null} quantities - Quantities by item ID overriding the ones of the rows
+         * @returns {{fields: Object, items: Object}}
+         */
+        buildConflictState(fields, rows, quantities = null) {
+            const items = {};
+
+            rows.forEach((row) => {
+                const quantity = quantities ? quantities[row.id] : row.quantity;
+                if (quantity === undefined) {
+                    return;
+                }
+
+                items[row.productId] = {
+                    quantity,
+                    product: row.product || null,
+                    productName: this.getTrackedProductName(row)
+                };
+            });
+
+            return { fields, items };
+        },
+
+        /**
+         * Start over from the saved state and queue the merged values on top of it, they are reviewed before saving
+         * @param {{fields: Object, items: Object}} resolution - Chosen field values and item quantities by product ID
+         */
+        onResolveSaveConflict(resolution) {
+            const { theirsEntity, base, mine } = this.saveConflict;
+
+            this.wishlist = theirsEntity;
+            this.initItemRows(theirsEntity.items);
+            this.takeChangeSnapshot();
+
+            Object.keys(resolution.fields).forEach((field) => {
+                this.wishlist[field] = resolution.fields[field];
+            });
+
+            Object.keys(resolution.items).forEach((productId) => {
+                const quantity = resolution.items[productId];
+                const row = this.itemRows.find(itemRow => itemRow.productId === productId);
+
+                if (row) {
+                    this.queueUpdateItemQuantity(row.reference, quantity);
+                    return;
+                }
+
+                const product = (mine.items[productId] || base.items[productId])?.product;
+                if (quantity && product) {
+                    this.queueAddItem(product, quantity);
+                }
+            });
+
+            this.saveConflict = null;
+
+            if (this.hasChanges) {
+                this.onOpenChangeReview();
+                return;
+            }
+
+            this.createNotificationInfo({
+                title: this.$tc('advanced-wishlist-main.saveConflict.title'),
+                message: this.$tc('advanced-wishlist-main.saveConflict.textNothingLeft')
+            });
+        },
+
+        onCloseSaveConflict() {
+            this.saveConflict = null;
+        },
+
+        onOpenChangeReview() {
+            this.changeReviewMode = 'review';
+            this.showChangeReview = true;
+        },
+
+        async onConfirmChangeReview() {
+            const saved = await this.saveWishlist();
+
+            if (!saved) {
+                return;
+            }
+
+            this.showChangeReview = false;
+
+            if (this.pendingRouteLeave) {
+                this.resolveRouteLeave(true);
+            }
+        },
+
+        onDiscardChanges() {
+            this.showChangeReview = false;
+            this.resolveRouteLeave(true);
+        },
+
+        onCloseChangeReview() {
+            this.showChangeReview = false;
+            this.resolveRouteLeave(false);
+        },
+
+        /**
+         * @param {boolean} proceed - Continue the navigation that opened the unsaved-changes dialog
+         */
+        resolveRouteLeave(proceed) {
+            const next = this.pendingRouteLeave;
+            this.pendingRouteLeave = null;
+
+            if (next) {
+                next(proceed);
             }
         },
 
@@ -227,6 +574,7 @@ Component.register('advanced-wishlist-detail', {
 
         onChangeLanguage(languageId) {
             Shopware.State.commit('context/setApiLanguageId', languageId);
+            this.resetShareTracking();
             this.loadWishlist();
         },
 
@@ -234,7 +582,7 @@ Component.register('advanced-wishlist-detail', {
             this.activeTab = activeTab;
         },
 
-        // Item management methods
+        // Item management methods, nothing is written before the wishlist is saved
         async onAddItem(productId, quantity = 1) {
             try {
                 const product = await this.productRepository.get(
@@ -243,27 +591,7 @@ Component.register('advanced-wishlist-detail', {
                     this.productCriteria
                 );
 
-                // Check if item already exists
-                const existingItem = this.wishlist.items.find(item => item.productId === productId);
-                
-                if (existingItem) {
-                    existingItem.quantity += quantity;
-                } else {
-                    const newItem = {
-                        id: this.createId(),
-                        productId: productId,
-                        quantity: quantity,
-                        product: product,
-                        createdAt: new Date().toISOString()
-                    };
-                    
-                    this.wishlist.items.push(newItem);
-                }
-
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.itemAddSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.itemAddSuccessMessage')
-                });
+                this.queueAddItem(product, quantity);
             } catch (error) {
                 this.createNotificationError({
                     title: this.$tc('advanced-wishlist-main.detail.itemAddErrorTitle'),
@@ -272,27 +600,12 @@ Component.register('advanced-wishlist-detail', {
             }
         },
 
-        onRemoveItem(itemId) {
-            const index = this.wishlist.items.findIndex(item => item.id === itemId);
-            if (index !== -1) {
-                this.wishlist.items.splice(index, 1);
-                
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.itemRemoveSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.itemRemoveSuccessMessage')
-                });
-            }
+        onRemoveItem(reference) {
+            this.queueRemoveItem(reference);
         },
 
-        onUpdateItemQuantity(itemId, quantity) {
-            const item = this.wishlist.items.find(item => item.id === itemId);
-            if (item) {
-                if (quantity > 0) {
-                    item.quantity = quantity;
-                } else {
-                    this.onRemoveItem(itemId);
-                }
-            }
+        onUpdateItemQuantity(reference, quantity) {
+            this.queueUpdateItemQuantity(reference, quantity);
         },
 
         onItemSelectionChanged(selection) {
@@ -306,69 +619,27 @@ Component.register('advanced-wishlist-detail', {
         },
 
         // Share management methods
-        async onCreateShare(shareData) {
-            try {
-                const newShare = {
-                    id: this.createId(),
-                    ...shareData,
-                    wishlistId: this.wishlist.id,
-                    createdAt: new Date().toISOString()
-                };
-                
-                this.wishlist.shares.push(newShare);
-                
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.shareCreateSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.shareCreateSuccessMessage')
-                });
-            } catch (error) {
-                this.createNotificationError({
-                    title: this.$tc('advanced-wishlist-main.detail.shareCreateErrorTitle'),
-                    message: error.message
-                });
-            }
-        },
-
-        onRevokeShare(shareId) {
-            const index = this.wishlist.shares.findIndex(share => share.id === shareId);
-            if (index !== -1) {
-                this.wishlist.shares.splice(index, 1);
-                
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.shareRevokeSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.shareRevokeSuccessMessage')
-                });
-            }
+        onSharesChanged(shares) {
+            // Shares are persisted by the share manager, only the counter and the review list are kept in sync here
+            this.shareTotal = shares.length;
+            this.trackShares(shares);
         },
 
         // Delete wishlist
-        async onDelete() {
-            try {
-                await this.wishlistRepository.delete(this.wishlist.id, Shopware.Context.api);
-                
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.detail.deleteSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.detail.deleteSuccessMessage')
-                });
+        onDeleted(result) {
+            this.showDeleteModal = false;
+
+            this.createNotificationSuccess({
+                title: this.$tc('advanced-wishlist-main.detail.deleteSuccessTitle'),
+                message: result?.transferToId
+                    ? this.$tc('advanced-wishlist-main.detail.deleteTransferSuccessMessage', result.itemsTransferred, { count: result.itemsTransferred })
+                    : this.$tc('advanced-wishlist-main.detail.deleteSuccessMessage')
+            });
 
-                this.$router.push({ name: 'advanced.wishlist.main.overview' });
-            } catch (error) {
-                this.createNotificationError({
-                    title: this.$tc('advanced-wishlist-main.detail.deleteErrorTitle'),
-                    message: error.message
-                });
-            }
+            this.$router.push({ name: 'advanced.wishlist.main.overview' });
         },
 
         // Utility methods
-        createId() {
-            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                const r = Math.random() * 16 | 0;
-                const v = c === 'x' ? r : (r & 0x3 | 0x8);
-                return v.toString(16);
-            });
-        },
-
         getVariantFromWishlistType(type) {
             const variants = {
                 private: 'info',
@@ -0,0 +1,293 @@
+import template from './wishlist-import.html.twig';
+import './wishlist-import.scss';
+
+const { Component, Mixin } = Shopware;
+
+// Keys of WishlistImportService::FIELDS
+const IMPORT_FIELDS = [
+    'customerEmail',
+    'customerNumber',
+    'wishlistName',
+    'type',
+    'productNumber',
+    'quantity',
+    'items'
+];
+
+Component.register('advanced-wishlist-import', {
+    template,
+
+    inject: [
+        'wishlistAdminService'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification')
+    ],
+
+    data() {
+        return {
+            step: 'upload',
+            file: null,
+            content: null,
+            delimiter: null,
+            analysis: null,
+            mapping: {},
+            quantityStrategy: 'max',
+            preview: null,
+            result: null,
+            showOnlyErrors: false,
+            isLoading: false
+        };
+    },
+
+    metaInfo() {
+        return {
+            title: this.$createTitle('advanced-wishlist-main.import.textTitle')
+        };
+    },
+
+    computed: {
+        steps() {
+            return ['upload', 'mapping', 'preview', 'result'];
+        },
+
+        importFields() {
+            return IMPORT_FIELDS;
+        },
+
+        delimiterOptions() {
+            return [
+                { value: null, label: this.$tc('advanced-wishlist-main.import.delimiters.auto') },
+                { value: ',', label: this.$tc('advanced-wishlist-main.import.delimiters.comma') },
+                { value: ';', label: this.$tc('advanced-wishlist-main.import.delimiters.semicolon') },
+                { value: '\t', label: this.$tc('advanced-wishlist-main.import.delimiters.tab') }
+            ];
+        },
+
+        columnOptions() {
+            return [
+                { value: null, label: this.$tc('advanced-wishlist-main.import.optionNotMapped') },
+                ...(this.analysis?.headers || []).map(header => ({ value: header, label: header }))
+            ];
+        },
+
+        quantityStrategyOptions() {
+            return ['max', 'sum', 'keep_target'].map(strategy => ({
+                value: strategy,
+                label: this.$tc(`advanced-wishlist-main.import.quantityStrategies.${strategy}`)
+            }));
+        },
+
+        mappingErrors() {
+            const errors = [];
+
+            if (!this.mapping.customerEmail && !this.mapping.customerNumber) {
+                errors.push(this.$tc('advanced-wishlist-main.import.mappingErrorCustomer'));
+            }
+
+            if (!this.mapping.wishlistName) {
+                errors.push(this.$tc('advanced-wishlist-main.import.mappingErrorWishlistName'));
+            }
+
+            if (!this.mapping.productNumber && !this.mapping.items) {
+                errors.push(this.$tc('advanced-wishlist-main.import.mappingErrorProduct'));
+            }
+
+            return errors;
+        },
+
+        canPreview() {
+            return !!this.content && this.mappingErrors.length === 0 && !this.isLoading;
+        },
+
+        canImport() {
+            return !!this.preview && this.preview.summary.validRows > 0 && !this.isLoading;
+        },
+
+        sampleColumns() {
+            return (this.analysis?.headers || []).map(header => ({
+                property: header,
+                dataIndex: header,
+                label: header,
+                sortable: false
+            }));
+        },
+
+        reportColumns() {
+            return [
+                {
+                    property: 'row',
+                    dataIndex: 'row',
+                    label: this.$tc('advanced-wishlist-main.import.columnRow'),
+                    width: '80px'
+                },
+                {
+                    property: 'customer',
+                    dataIndex: 'customer',
+                    label: this.$tc('advanced-wishlist-main.import.columnCustomer'),
+                    primary: true
+                },
+                {
+                    property: 'wishlistName',
+                    dataIndex: 'wishlistName',
+                    label: this.$tc('advanced-wishlist-main.import.columnWishlist')
+                },
+                {
+                    property: 'items',
+                    dataIndex: 'items',
+                    label: this.$tc('advanced-wishlist-main.import.columnItems')
+                },
+                {
+                    property: 'valid',
+                    dataIndex: 'valid',
+                    label: this.$tc('advanced-wishlist-main.import.columnStatus')
+                }
+            ];
+        },
+
+        previewRows() {
+            const rows = this.preview?.rows || [];
+
+            return this.showOnlyErrors ? rows.filter(row => !row.valid) : rows;
+        },
+
+        skippedRows() {
+            return (this.result?.rows || []).filter(row => !row.valid);
+        }
+    },
+
+    methods: {
+        isStepDone(step) {
+            return this.steps.indexOf(step) < this.steps.indexOf(this.step);
+        },
+
+        async onFileChange(file) {
+            this.file = file;
+            this.content = null;
+            this.analysis = null;
+            this.preview = null;
+
+            if (!file) {
+                return;
+            }
+
+            this.content = await file.text();
+            await this.analyze();
+        },
+
+        async analyze() {
+            this.isLoading = true;
+
+            try {
+                this.analysis = await this.wishlistAdminService.analyzeImport(this.content, this.delimiter);
+                this.mapping = { ...this.analysis.mapping };
+                this.step = 'mapping';
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.import.analyzeErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onDelimiterChange(delimiter) {
+            this.delimiter = delimiter;
+            this.analyze();
+        },
+
+        onMappingChange(field, column) {
+            this.mapping = { ...this.mapping, [field]: column };
+            this.preview = null;
+        },
+
+        async onPreview() {
+            if (!this.canPreview) {
+                return;
+            }
+
+            this.isLoading = true;
+
+            try {
+                this.preview = await this.wishlistAdminService.importWishlists(this.content, {
+                    ...this.getImportOptions(),
+                    dryRun: true
+                });
+                this.showOnlyErrors = this.preview.summary.invalidRows > 0;
+                this.step = 'preview';
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.import.previewErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        async onImport() {
+            if (!this.canImport) {
+                return;
+            }
+
+            this.isLoading = true;
+
+            try {
+                this.result = await this.wishlistAdminService.importWishlists(this.content, {
+                    ...this.getImportOptions(),
+                    dryRun: false
+                });
+                this.step = 'result';
+
+                this.createNotificationSuccess({
+                    title: this.$tc('advanced-wishlist-main.import.importSuccessTitle'),
+                    message: this.$tc('advanced-wishlist-main.import.importSuccessMessage', 0, {
+                        created: this.result.summary.wishlistsCreated,
+                        updated: this.result.summary.wishlistsUpdated,
+                        items: this.result.summary.itemsAdded + this.result.summary.itemsUpdated
+                    })
+                });
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.import.importErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        getImportOptions() {
+            return {
+                delimiter: this.analysis?.delimiter || this.delimiter,
+                mapping: this.mapping,
+                quantityStrategy: this.quantityStrategy
+            };
+        },
+
+        onBack() {
+            this.step = this.steps[Math.max(0, this.steps.indexOf(this.step) - 1)];
+        },
+
+        onRestart() {
+            this.step = 'upload';
+            this.file = null;
+            this.content = null;
+            this.delimiter = null;
+            this.analysis = null;
+            this.mapping = {};
+            this.preview = null;
+            this.result = null;
+        },
+
+        getErrorLabel(error) {
+            return this.$tc(`advanced-wishlist-main.import.errors.${error.code}`, 0, { value: error.value });
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
@@ -8,7 +8,10 @@ Component.register('advanced-wishlist-list', {
 
     inject: [
         'wishlistAdminService',
-        'repositoryFactory'
+        'repositoryFactory',
+        'filterFactory',
+        'filterService',
+        'acl'
     ],
 
     mixins: [
@@ -24,16 +27,37 @@ Component.register('advanced-wishlist-list', {
             selection: {},
             showBulkEditModal: false,
             showDeleteModal: false,
+            wishlistsToDelete: [],
+            showMergeModal: false,
+            showExportModal: false,
             sortBy: 'createdAt',
             sortDirection: 'DESC',
             naturalSorting: false,
             searchTerm: '',
-            filterCriteria: {
-                type: null,
-                customerId: null,
-                dateFrom: null,
-                dateTo: null
-            },
+            filterCriteria: [],
+            defaultFilters: [
+                'type-filter',
+                'customer-filter',
+                'active-filter',
+                'item-count-filter',
+                'shares-filter',
+                'product-filter',
+                'total-value-filter',
+                'created-at-filter',
+                'updated-at-filter',
+                'sales-channel-filter'
+            ],
+            // The filter service keeps the values per admin user and mirrors them into this route query key
+            storeKey: 'grid.filter.advanced_wishlist',
+            activeFilterNumber: 0,
+            filterPanelKey: 0,
+            // Set by the wishlists tab of the customer detail page
+            scopedCustomerId: this.$route.query.customerId || null,
+            filterPresets: [],
+            activePresetId: null,
+            presetName: '',
+            presetShared: false,
+            isPresetSaving: false,
             total: 0,
             page: 1,
             limit: 25
@@ -115,36 +139,123 @@ Component.register('advanced-wishlist-list', {
                 criteria.setTerm(this.searchTerm);
             }
 
-            // Filters
-            if (this.filterCriteria.type) {
-                criteria.addFilter(Criteria.equals('type', this.filterCriteria.type));
-            }
+            // Filters of the sidebar panel
+            this.filterCriteria.forEach(filter => {
+                criteria.addFilter(filter);
+            });
 
-            if (this.filterCriteria.customerId) {
-                criteria.addFilter(Criteria.equals('customerId', this.filterCriteria.customerId));
-            }
+            return criteria;
+        },
 
-            if (this.filterCriteria.dateFrom) {
-                criteria.addFilter(Criteria.range('createdAt', {
-                    gte: this.filterCriteria.dateFrom
-                }));
-            }
+        listFilterOptions() {
+            return {
+                'type-filter': {
+                    property: 'type',
+                    type: 'multi-select-filter',
+                    label: this.$tc('advanced-wishlist-main.list.filterType'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterTypePlaceholder'),
+                    valueProperty: 'value',
+                    labelProperty: 'label',
+                    options: ['private', 'public', 'shared'].map(type => ({
+                        value: type,
+                        label: this.getTypeLabel(type)
+                    }))
+                },
+                'customer-filter': {
+                    property: 'customer',
+                    label: this.$tc('advanced-wishlist-main.list.filterCustomer'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterCustomerPlaceholder'),
+                    labelProperty: 'email'
+                },
+                'active-filter': {
+                    property: 'isActive',
+                    label: this.$tc('advanced-wishlist-main.list.filterActive'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterActivePlaceholder')
+                },
+                'item-count-filter': {
+                    property: 'itemCount',
+                    type: 'number-filter',
+                    label: this.$tc('advanced-wishlist-main.list.filterItemCount'),
+                    fromFieldLabel: null,
+                    toFieldLabel: null,
+                    fromPlaceholder: this.$tc('advanced-wishlist-main.list.filterFromPlaceholder'),
+                    toPlaceholder: this.$tc('advanced-wishlist-main.list.filterToPlaceholder')
+                },
+                // The DAL cannot count associations, so shares are filtered by existence
+                'shares-filter': {
+                    property: 'shares',
+                    type: 'existence-filter',
+                    label: this.$tc('advanced-wishlist-main.list.filterShares'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterSharesPlaceholder'),
+                    schema: {
+                        localField: 'id',
+                        referenceField: 'id'
+                    },
+                    optionHasCriteria: this.$tc('advanced-wishlist-main.list.filterSharesHas'),
+                    optionNoCriteria: this.$tc('advanced-wishlist-main.list.filterSharesNone')
+                },
+                'product-filter': {
+                    property: 'items.product',
+                    label: this.$tc('advanced-wishlist-main.list.filterProduct'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterProductPlaceholder'),
+                    labelProperty: 'name'
+                },
+                'total-value-filter': {
+                    property: 'totalValue',
+                    type: 'number-filter',
+                    label: this.$tc('advanced-wishlist-main.list.filterTotalValue'),
+                    numberType: 'float',
+                    fromFieldLabel: null,
+                    toFieldLabel: null,
+                    fromPlaceholder: this.$tc('advanced-wishlist-main.list.filterFromPlaceholder'),
+                    toPlaceholder: this.$tc('advanced-wishlist-main.list.filterToPlaceholder')
+                },
+                'created-at-filter': {
+                    property: 'createdAt',
+                    label: this.$tc('advanced-wishlist-main.list.filterCreatedAt'),
+                    dateType: 'date',
+                    fromFieldLabel: null,
+                    toFieldLabel: null,
+                    showTimeframe: true
+                },
+                'updated-at-filter': {
+                    property: 'updatedAt',
+                    label: this.$tc('advanced-wishlist-main.list.filterUpdatedAt'),
+                    dateType: 'date',
+                    fromFieldLabel: null,
+                    toFieldLabel: null,
+                    showTimeframe: true
+                },
+                'sales-channel-filter': {
+                    property: 'salesChannel',
+                    label: this.$tc('advanced-wishlist-main.list.filterSalesChannel'),
+                    placeholder: this.$tc('advanced-wishlist-main.list.filterSalesChannelPlaceholder')
+                }
+            };
+        },
 
-            if (this.filterCriteria.dateTo) {
-                criteria.addFilter(Criteria.range('createdAt', {
-                    lte: this.filterCriteria.dateTo
-                }));
-            }
+        listFilters() {
+            return this.filterFactory.create('advanced_wishlist', this.listFilterOptions);
+        },
 
-            return criteria;
+        canSavePreset() {
+            return this.presetName.trim().length > 0 && this.activeFilterNumber > 0 && !this.isPresetSaving;
         },
 
         selectedWishlistsCount() {
             return Object.keys(this.selection).length;
         },
 
+        selectedWishlists() {
+            return Object.values(this.selection);
+        },
+
         canDelete() {
-            return this.selectedWishlistsCount > 0;
+            return this.selectedWishlistsCount > 0 && this.acl.can('advanced_wishlist.deleter');
+        },
+
+        canMerge() {
+            return this.selectedWishlistsCount >= 2 && this.acl.can('advanced_wishlist.editor');
         },
 
         canExport() {
@@ -155,6 +266,7 @@ Component.register('advanced-wishlist-list', {
     created() {
         this.wishlistRepository = this.repositoryFactory.create('advanced_wishlist');
         this.getList();
+        this.loadFilterPresets();
     },
 
     methods: {
@@ -162,7 +274,14 @@ Component.register('advanced-wishlist-list', {
             this.isLoading = true;
 
             try {
-                const result = await this.wishlistRepository.search(this.wishlistCriteria);
+                const criteria = await this.filterService.mergeWithStoredFilters(this.storeKey, this.wishlistCriteria);
+                this.activeFilterNumber = criteria.filters.length;
+
+                if (this.scopedCustomerId) {
+                    criteria.addFilter(Criteria.equals('customerId', this.scopedCustomerId));
+                }
+
+                const result = await this.wishlistRepository.search(criteria);
                 
                 this.wishlists = result.map(wishlist => ({
                     ...wishlist,
@@ -220,11 +339,109 @@ Component.register('advanced-wishlist-list', {
             this.selection = selection;
         },
 
-        onFilterChanged(filterCriteria) {
-            this.filterCriteria = { ...filterCriteria };
+        updateCriteria(criteria) {
+            this.page = 1;
+            this.filterCriteria = criteria;
+            this.activePresetId = null;
+            this.getList();
+        },
+
+        onClearCustomerScope() {
+            this.scopedCustomerId = null;
+
+            const query = { ...this.$route.query };
+            delete query.customerId;
+            this.$router.replace({ query });
+
             this.onRefresh();
         },
 
+        // Filter presets
+        async loadFilterPresets() {
+            try {
+                this.filterPresets = await this.wishlistAdminService.getFilterPresets();
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.list.presetErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }
+        },
+
+        async onApplyPreset(preset) {
+            // Written like a change in the panel, so the values end up in the user config and the route query
+            await this.filterService.saveFilters(this.storeKey, preset.filters);
+
+            this.filterCriteria = await this.filterService.getStoredCriteria(this.storeKey);
+            this.activePresetId = preset.id;
+            this.filterPanelKey += 1;
+            this.page = 1;
+            this.getList();
+        },
+
+        async onSavePreset() {
+            if (!this.canSavePreset) {
+                return;
+            }
+
+            this.isPresetSaving = true;
+
+            try {
+                const preset = await this.wishlistAdminService.createFilterPreset({
+                    name: this.presetName.trim(),
+                    filters: await this.filterService.getStoredFilters(this.storeKey),
+                    shared: this.presetShared
+                });
+
+                this.presetName = '';
+                this.presetShared = false;
+                this.activePresetId = preset.id;
+
+                this.createNotificationSuccess({
+                    title: this.$tc('advanced-wishlist-main.list.presetSaveSuccessTitle'),
+                    message: this.$tc('advanced-wishlist-main.list.presetSaveSuccessMessage', 0, { name: preset.name })
+                });
+
+                await this.loadFilterPresets();
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.list.presetErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isPresetSaving = false;
+            }
+        },
+
+        async onTogglePresetShared(preset) {
+            try {
+                await this.wishlistAdminService.updateFilterPreset(preset.id, { shared: !preset.shared });
+                await this.loadFilterPresets();
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.list.presetErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }
+        },
+
+        async onDeletePreset(preset) {
+            try {
+                await this.wishlistAdminService.deleteFilterPreset(preset.id);
+
+                if (this.activePresetId === preset.id) {
+                    this.activePresetId = null;
+                }
+
+                await this.loadFilterPresets();
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.list.presetErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            }
+        },
+
         onInlineEditSave(wishlist) {
             this.wishlistRepository.save(wishlist).then(() => {
                 this.createNotificationSuccess({
@@ -255,63 +472,62 @@ Component.register('advanced-wishlist-list', {
             });
         },
 
-        onDeleteWishlist(wishlistId) {
-            this.wishlistRepository.delete(wishlistId).then(() => {
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.list.deleteSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.list.deleteSuccessMessage')
-                });
-                this.getList();
-            }).catch((error) => {
-                this.createNotificationError({
-                    title: this.$tc('advanced-wishlist-main.list.deleteErrorTitle'),
-                    message: error.message
-                });
-            });
+        onDeleteWishlist(wishlist) {
+            this.wishlistsToDelete = [wishlist];
+            this.showDeleteModal = true;
         },
 
         onBulkDelete() {
-            const selectedIds = Object.keys(this.selection);
-            
-            this.wishlistAdminService.bulkDelete(selectedIds).then(() => {
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.list.bulkDeleteSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.list.bulkDeleteSuccessMessage', selectedIds.length)
-                });
-                this.selection = {};
-                this.getList();
-            }).catch((error) => {
-                this.createNotificationError({
-                    title: this.$tc('advanced-wishlist-main.list.bulkDeleteErrorTitle'),
-                    message: error.message
+            this.wishlistsToDelete = this.selectedWishlists;
+            this.showDeleteModal = true;
+        },
+
+        onDeleteCompleted(result) {
+            const deletedIds = this.wishlistsToDelete.map(wishlist => wishlist.id);
+            const isBulk = deletedIds.length > 1;
+
+            this.showDeleteModal = false;
+            this.wishlistsToDelete = [];
+
+            let message = isBulk
+                ? this.$tc('advanced-wishlist-main.list.bulkDeleteSuccessMessage', deletedIds.length)
+                : this.$tc('advanced-wishlist-main.list.deleteSuccessMessage');
+
+            if (result?.transferToId) {
+                message = this.$tc('advanced-wishlist-main.list.deleteTransferSuccessMessage', deletedIds.length, {
+                    count: deletedIds.length,
+                    items: result.itemsTransferred
                 });
+            }
+
+            this.createNotificationSuccess({
+                title: this.$tc(`advanced-wishlist-main.list.${isBulk ? 'bulkDeleteSuccessTitle' : 'deleteSuccessTitle'}`),
+                message
             });
 
-            this.showDeleteModal = false;
-        },
+            const selection = { ...this.selection };
+            deletedIds.forEach((id) => {
+                delete selection[id];
+            });
+            this.selection = selection;
 
-        onExport(format = 'csv') {
-            const selectedIds = Object.keys(this.selection);
-            const exportIds = selectedIds.length > 0 ? selectedIds : [];
+            this.getList();
+        },
 
-            this.wishlistAdminService.bulkExport(exportIds, format).then((blob) => {
-                const url = window.URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = `wishlists-export-${new Date().toISOString().split('T')[0]}.${format}`;
-                link.click();
-                window.URL.revokeObjectURL(url);
+        onMergeCompleted(result) {
+            this.showMergeModal = false;
 
-                this.createNotificationSuccess({
-                    title: this.$tc('advanced-wishlist-main.list.exportSuccessTitle'),
-                    message: this.$tc('advanced-wishlist-main.list.exportSuccessMessage')
-                });
-            }).catch((error) => {
-                this.createNotificationError({
-                    title: this.$tc('advanced-wishlist-main.list.exportErrorTitle'),
-                    message: error.message
-                });
+            this.createNotificationSuccess({
+                title: this.$tc('advanced-wishlist-main.list.mergeSuccessTitle'),
+                message: this.$tc('advanced-wishlist-main.list.mergeSuccessMessage', 0, {
+                    added: result.itemsAdded,
+                    updated: result.itemsUpdated,
+                    deleted: result.sourcesDeleted
+                })
             });
+
+            this.selection = {};
+            this.getList();
         },
 
         getTypeLabel(type) {
@@ -330,6 +546,10 @@ Component.register('advanced-wishlist-list', {
                 shared: 'warning'
             };
             return variants[type] || 'neutral';
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
         }
     }
 });
\ No newline at end of file
@@ -0,0 +1,218 @@
+import template from './wishlist-price-alerts.html.twig';
+import './wishlist-price-alerts.scss';
+
+const { Component, Mixin } = Shopware;
+
+Component.register('advanced-wishlist-price-alerts', {
+    template,
+
+    inject: [
+        'wishlistAdminService',
+        'acl'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification'),
+        Mixin.getByName('advanced-wishlist-price')
+    ],
+
+    data() {
+        return {
+            activeTab: 'active',
+            entries: [],
+            total: 0,
+            page: 1,
+            limit: 25,
+            sendingItemIds: [],
+            isLoading: false
+        };
+    },
+
+    metaInfo() {
+        return {
+            title: this.$createTitle('advanced-wishlist-main.priceAlerts.textTitle')
+        };
+    },
+
+    computed: {
+        isHistory() {
+            return this.activeTab === 'history';
+        },
+
+        alertColumns() {
+            return [
+                {
+                    property: 'productName',
+                    dataIndex: 'productName',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnProduct'),
+                    primary: true
+                },
+                {
+                    property: 'customerName',
+                    dataIndex: 'customerName',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnCustomer')
+                },
+                {
+                    property: 'wishlistName',
+                    dataIndex: 'wishlistName',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnWishlist')
+                },
+                {
+                    property: 'threshold',
+                    dataIndex: 'threshold',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnThreshold'),
+                    align: 'right'
+                },
+                {
+                    property: 'priceAtAlert',
+                    dataIndex: 'priceAtAlert',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnPriceAtAlert'),
+                    align: 'right'
+                },
+                {
+                    property: 'currentPrice',
+                    dataIndex: 'currentPrice',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnCurrentPrice'),
+                    align: 'right'
+                },
+                {
+                    property: 'triggeredAt',
+                    dataIndex: 'triggeredAt',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnTriggeredAt'),
+                    visible: this.activeTab === 'triggered'
+                }
+            ];
+        },
+
+        historyColumns() {
+            return [
+                {
+                    property: 'sentAt',
+                    dataIndex: 'sentAt',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnSentAt')
+                },
+                {
+                    property: 'productName',
+                    dataIndex: 'productName',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnProduct'),
+                    primary: true
+                },
+                {
+                    property: 'recipient',
+                    dataIndex: 'recipient',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnRecipient')
+                },
+                {
+                    property: 'oldPrice',
+                    dataIndex: 'oldPrice',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnOldPrice'),
+                    align: 'right'
+                },
+                {
+                    property: 'newPrice',
+                    dataIndex: 'newPrice',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnNewPrice'),
+                    align: 'right'
+                },
+                {
+                    property: 'status',
+                    dataIndex: 'status',
+                    label: this.$tc('advanced-wishlist-main.priceAlerts.columnStatus')
+                }
+            ];
+        },
+
+        columns() {
+            return this.isHistory ? this.historyColumns : this.alertColumns;
+        }
+    },
+
+    created() {
+        this.getList();
+    },
+
+    methods: {
+        async getList() {
+            this.isLoading = true;
+
+            try {
+                const result = this.isHistory
+                    ? await this.wishlistAdminService.getPriceAlertHistory(this.page, this.limit)
+                    : await this.wishlistAdminService.getPriceAlerts(this.activeTab, this.page, this.limit);
+
+                this.entries = result.entries;
+                this.total = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.priceAlerts.loadErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        onTabChange(tab) {
+            this.activeTab = tab;
+            this.entries = [];
+            this.total = 0;
+            this.page = 1;
+            this.getList();
+        },
+
+        onPageChange({ page, limit }) {
+            this.page = page;
+            this.limit = limit;
+            this.getList();
+        },
+
+        isSending(itemId) {
+            return this.sendingItemIds.includes(itemId);
+        },
+
+        async onSendTest(entry) {
+            if (!this.acl.can('advanced_wishlist.editor') || !entry.itemId || this.isSending(entry.itemId)) {
+                return;
+            }
+
+            this.sendingItemIds.push(entry.itemId);
+
+            try {
+                const result = await this.wishlistAdminService.sendPriceAlertTest(entry.itemId);
+
+                if (result.success) {
+                    this.createNotificationSuccess({
+                        title: this.$tc('advanced-wishlist-main.priceAlerts.testSuccessTitle'),
+                        message: this.$tc('advanced-wishlist-main.priceAlerts.testSuccessMessage', 0, {
+                            recipient: entry.customerEmail || entry.recipient
+                        })
+                    });
+                } else {
+                    this.createNotificationError({
+                        title: this.$tc('advanced-wishlist-main.priceAlerts.testErrorTitle'),
+                        message: this.$tc('advanced-wishlist-main.priceAlerts.testFailedMessage')
+                    });
+                }
+
+                if (this.isHistory) {
+                    this.getList();
+                }
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.priceAlerts.testErrorTitle'),
+                    message: this.getErrorMessage(error)
+                });
+            } finally {
+                this.sendingItemIds = this.sendingItemIds.filter(id => id !== entry.itemId);
+            }
+        },
+
+        formatPrice(value) {
+            return value === null || value === undefined ? '-' : this.formatPriceValue(value);
+        },
+
+        getErrorMessage(error) {
+            return error.response?.data?.message || error.message;
+        }
+    }
+});
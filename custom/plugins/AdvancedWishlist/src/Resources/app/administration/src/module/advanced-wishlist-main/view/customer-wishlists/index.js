@@ -0,0 +1,222 @@
+import template from './customer-wishlists.html.twig';
+import './customer-wishlists.scss';
+
+const { Component, Mixin, Data: { Criteria } } = Shopware;
+
+Component.register('advanced-wishlist-customer-wishlists', {
+    template,
+
+    inject: [
+        'repositoryFactory',
+        'acl'
+    ],
+
+    mixins: [
+        Mixin.getByName('notification'),
+        Mixin.getByName('advanced-wishlist-price')
+    ],
+
+    props: {
+        // Passed in by the router view of sw-customer-detail
+        customer: {
+            type: Object,
+            required: false,
+            default: null
+        }
+    },
+
+    data() {
+        return {
+            wishlists: [],
+            wishlistRepository: null,
+            total: 0,
+            selection: {},
+            isLoading: false,
+            showMergeModal: false,
+            showDeleteModal: false,
+            wishlistsToDelete: []
+        };
+    },
+
+    computed: {
+        customerId() {
+            return this.customer?.id || this.$route.params.id;
+        },
+
+        customerName() {
+            if (!this.customer) {
+                return '';
+            }
+
+            return `${this.customer.firstName} ${this.customer.lastName}`;
+        },
+
+        wishlistCriteria() {
+            const criteria = new Criteria(1, 100);
+
+            criteria.addFilter(Criteria.equals('customerId', this.customerId));
+            criteria.addAssociation('customer.group');
+            criteria.addAssociation('salesChannel.currency');
+            criteria.addAssociation('items.product.prices.rule');
+            criteria.addAssociation('items.product.parent.prices.rule');
+            criteria.addAssociation('shares');
+            criteria.addSorting(Criteria.sort('createdAt', 'DESC'));
+
+            return criteria;
+        },
+
+        totals() {
+            return this.wishlists.reduce((totals, wishlist) => {
+                const items = wishlist.items || [];
+
+                totals.items += items.length;
+                totals.quantity += items.reduce((sum, item) => sum + item.quantity, 0);
+                // Wishlists of different sales channels are summed up in the system currency
+                totals.value += items.reduce((sum, item) => {
+                    const displayGross = wishlist.customer?.group?.displayGross ?? true;
+                    return sum + this.resolveProductPrice(item.product, item.quantity, null, displayGross).totalPrice;
+                }, 0);
+                totals.shares += wishlist.shares?.length || 0;
+
+                return totals;
+            }, { items: 0, quantity: 0, value: 0, shares: 0 });
+        },
+
+        totalTiles() {
+            return [
+                { key: 'wishlists', value: this.total },
+                { key: 'items', value: this.totals.items },
+                { key: 'quantity', value: this.totals.quantity },
+                { key: 'value', value: this.formatPriceValue(this.totals.value) },
+                { key: 'shares', value: this.totals.shares }
+            ];
+        },
+
+        // Rows in the shape the merge wizard and delete modal expect
+        selectedWishlists() {
+            return Object.values(this.selection).map(wishlist => this.toRow(wishlist));
+        },
+
+        canMerge() {
+            return this.acl.can('advanced_wishlist.editor') && this.selectedWishlists.length >= 2;
+        }
+    },
+
+    watch: {
+        customerId() {
+            this.selection = {};
+            this.loadWishlists();
+        }
+    },
+
+    created() {
+        this.wishlistRepository = this.repositoryFactory.create('wishlist');
+        this.loadWishlists();
+    },
+
+    methods: {
+        async loadWishlists() {
+            if (!this.customerId) {
+                return;
+            }
+
+            this.isLoading = true;
+
+            try {
+                const result = await this.wishlistRepository.search(this.wishlistCriteria, Shopware.Context.api);
+
+                this.wishlists = result;
+                this.total = result.total;
+            } catch (error) {
+                this.createNotificationError({
+                    title: this.$tc('advanced-wishlist-main.customerWishlists.loadErrorTitle'),
+                    message: error.message
+                });
+            } finally {
+                this.isLoading = false;
+            }
+        },
+
+        toRow(wishlist) {
+            return {
+                id: wishlist.id,
+                name: wishlist.name,
+                customerId: wishlist.customerId,
+                customerName: this.customerName,
+                itemCount: wishlist.items?.length || 0
+            };
+        },
+
+        isSelected(wishlist) {
+            return !!this.selection[wishlist.id];
+        },
+
+        onSelectionChange(wishlist, selected) {
+            const selection = { ...this.selection };
+
+            if (selected) {
+                selection[wishlist.id] = wishlist;
+            } else {
+                delete selection[wishlist.id];
+            }
+
+            this.selection = selection;
+        },
+
+        onCreateWishlist() {
+            this.$router.push({
+                name: 'advanced.wishlist.main.create',
+                query: { customerId: this.customerId }
+            });
+        },
+
+        onOpenInModule() {
+            this.$router.push({
+                name: 'advanced.wishlist.main.overview',
+                query: { customerId: this.customerId }
+            });
+        },
+
+        onDeleteWishlist(wishlistId) {
+            const wishlist = this.wishlists.find(entry => entry.id === wishlistId);
+
+            if (!wishlist) {
+                return;
+            }
+
+            this.wishlistsToDelete = [this.toRow(wishlist)];
+            this.showDeleteModal = true;
+        },
+
+        onDeleteCompleted(result) {
+            this.showDeleteModal = false;
+            this.wishlistsToDelete = [];
+
+            this.createNotificationSuccess({
+                title: this.$tc('advanced-wishlist-main.list.deleteSuccessTitle'),
+                message: result?.transferToId
+                    ? this.$tc('advanced-wishlist-main.list.deleteTransferSuccessMessage', 1, { count: 1, items: result.itemsTransferred })
+                    : this.$tc('advanced-wishlist-main.list.deleteSuccessMessage')
+            });
+
+            this.selection = {};
+            this.loadWishlists();
+        },
+
+        onMergeCompleted(result) {
+            this.showMergeModal = false;
+
+            this.createNotificationSuccess({
+                title: this.$tc('advanced-wishlist-main.list.mergeSuccessTitle'),
+                message: this.$tc('advanced-wishlist-main.list.mergeSuccessMessage', 0, {
+                    added: result.itemsAdded,
+                    updated: result.itemsUpdated,
+                    deleted: result.sourcesDeleted
+                })
+            });
+
+            this.selection = {};
+            this.loadWishlists();
+        }
+    }
+});
@@ -0,0 +1,117 @@
+const { Application } = Shopware;
+
+/**
+ * Analytics Service
+ * Client for the wishlist analytics dashboard endpoints
+ */
+class AnalyticsService {
+    constructor(httpClient, loginService) {
+        this.httpClient = httpClient;
+        this.loginService = loginService;
+        this.name = 'AnalyticsService';
+    }
+
+    getApiBasePath() {
+        return '/_action/advanced-wishlist/analytics';
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${this.loginService.getToken()}`
+        };
+    }
+
+    /**
+     * Get the dashboard totals
+     * @param {Object} range - Date range (from, to as Date or Y-m-d string)
+     * @returns {Promise<Object>} - Wishlist, item, share and conversion totals
+     */
+    getAnalyticsSummary(range = {}) {
+        return this.get('summary', this.buildRangeParams(range));
+    }
+
+    /**
+     * Get wishlists, items, shares and conversions per period
+     * @param {Object} range - Date range (from, to as Date or Y-m-d string)
+     * @param {string} interval - 'day', 'week' or 'month'
+     * @returns {Promise<Object>} - Interval and series of `{ date, wishlists, items, shares, conversions }`
+     */
+    getTimeSeries(range = {}, interval = 'day') {
+        return this.get('time-series', { ...this.buildRangeParams(range), interval });
+    }
+
+    /**
+     * Get the products added to the most wishlists
+     * @param {Object} range - Date range (from, to as Date or Y-m-d string)
+     * @param {number} limit - Number of products
+     * @returns {Promise<Object>} - Products with their wishlist count
+     */
+    getTopProducts(range = {}, limit = 10) {
+        return this.get('top-products', { ...this.buildRangeParams(range), limit });
+    }
+
+    /**
+     * Get the wishlist-to-order conversion funnel
+     * @param {Object} range - Date range (from, to as Date or Y-m-d string)
+     * @returns {Promise<Object>} - Funnel steps with count and rate relative to the created wishlists
+     */
+    getConversionFunnel(range = {}) {
+        return this.get('conversion-funnel', this.buildRangeParams(range));
+    }
+
+    // === Utility Methods ===
+
+    get(path, params) {
+        return this.httpClient.get(`${this.getApiBasePath()}/${path}`, {
+            params,
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Convert a date range into query parameters
+     * @param {Object} range - Date range (from, to as Date or Y-m-d string)
+     * @returns {Object} - Query parameters
+     */
+    buildRangeParams({ from = null, to = null } = {}) {
+        const params = {};
+
+        if (from) {
+            params.from = this.formatDate(from);
+        }
+
+        if (to) {
+            params.to = this.formatDate(to);
+        }
+
+        return params;
+    }
+
+    /**
+     * @param {Date|string} date
+     * @returns {string} - Date in Y-m-d format, local time
+     */
+    formatDate(date) {
+        if (!(date instanceof Date)) {
+            return String(date).substring(0, 10);
+        }
+
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Register service
+Application.addServiceProvider('AnalyticsService', (container) => {
+    const initContainer = Application.getContainer('init');
+    return new AnalyticsService(
+        initContainer.httpClient,
+        container.loginService
+    );
+});
+
+export default AnalyticsService;
@@ -12,7 +12,7 @@ class WishlistAdminService {
     }
 
     getApiBasePath() {
-        return '/api/admin/wishlists';
+        return '/_action/advanced-wishlist/wishlists';
     }
 
     getHeaders() {
@@ -26,81 +26,17 @@ class WishlistAdminService {
     // === CRUD Operations ===
 
     /**
-     * Get paginated list of wishlists with filtering and sorting
-     * @param {Object} criteria - Search criteria object
-     * @returns {Promise<Object>} - Search result with data and meta information
-     */
-    getWishlists(criteria = {}) {
-        const params = this.buildSearchParams(criteria);
-        
-        return this.httpClient.get(this.getApiBasePath(), {
-            params,
-            headers: this.getHeaders()
-        }).then(response => {
-            return {
-                data: response.data.data || [],
-                total: response.data.total || 0,
-                page: params.page || 1,
-                limit: params.limit || 25
-            };
-        });
-    }
-
-    /**
-     * Get detailed wishlist information including items and shares
+     * Update existing wishlist, rejected with status 409 when it has been saved since `version`
      * @param {string} wishlistId - Wishlist ID
-     * @returns {Promise<Object>} - Detailed wishlist data
-     */
-    getWishlist(wishlistId) {
-        return this.httpClient.get(`${this.getApiBasePath()}/${wishlistId}`, {
-            headers: this.getHeaders(),
-            params: {
-                associations: {
-                    'items': {
-                        'associations': {
-                            'product': {
-                                'associations': {
-                                    'media': {}
-                                }
-                            }
-                        }
-                    },
-                    'shares': {},
-                    'customer': {}
-                }
-            }
-        }).then(response => response.data);
-    }
-
-    /**
-     * Create new wishlist for a customer
-     * @param {Object} wishlistData - Wishlist creation data
-     * @returns {Promise<Object>} - Created wishlist
+     * @param {Object} updateData - Fields to update (name, description, type, customerId)
+     * @param {number} version - Wishlist version the changes are based on
+     * @returns {Promise<Object>} - ID and new version of the wishlist
      */
-    createWishlist(wishlistData) {
-        const data = {
-            ...wishlistData,
-            _csrf_token: window.csrf.token
-        };
-
-        return this.httpClient.post(this.getApiBasePath(), data, {
-            headers: this.getHeaders()
-        }).then(response => response.data);
-    }
-
-    /**
-     * Update existing wishlist
-     * @param {string} wishlistId - Wishlist ID
-     * @param {Object} updateData - Data to update
-     * @returns {Promise<Object>} - Updated wishlist
-     */
-    updateWishlist(wishlistId, updateData) {
-        const data = {
+    updateWishlist(wishlistId, updateData, version) {
+        return this.httpClient.patch(`${this.getApiBasePath()}/${wishlistId}`, {
             ...updateData,
-            _csrf_token: window.csrf.token
-        };
-
-        return this.httpClient.patch(`${this.getApiBasePath()}/${wishlistId}`, data, {
+            version
+        }, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
@@ -108,19 +44,32 @@ class WishlistAdminService {
     /**
      * Delete wishlist
      * @param {string} wishlistId - Wishlist ID
-     * @param {string} transferToId - Optional wishlist ID to transfer items to
-     * @returns {Promise<void>}
+     * @param {string} transferToId - Optional wishlist ID of the same customer to transfer items to
+     * @returns {Promise<Object>} - Deleted count and number of transferred items
      */
     deleteWishlist(wishlistId, transferToId = null) {
         const params = transferToId ? { transferTo: transferToId } : {};
         
         return this.httpClient.delete(`${this.getApiBasePath()}/${wishlistId}`, {
             headers: this.getHeaders(),
-            params,
-            data: {
-                _csrf_token: window.csrf.token
-            }
-        });
+            params
+        }).then(response => response.data);
+    }
+
+    /**
+     * Copy a wishlist with its items on the server
+     * @param {string} wishlistId - Wishlist ID
+     * @param {Object} options - Name and customer of the copy, includeShares to copy the share links
+     * @returns {Promise<Object>} - ID, name, customer, item and share count of the copy
+     */
+    duplicateWishlist(wishlistId, options = {}) {
+        return this.httpClient.post(`${this.getApiBasePath()}/${wishlistId}/duplicate`, {
+            name: options.name || null,
+            customerId: options.customerId || null,
+            includeShares: !!options.includeShares
+        }, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
     }
 
     // === Bulk Operations ===
@@ -128,45 +77,51 @@ class WishlistAdminService {
     /**
      * Delete multiple wishlists
      * @param {string[]} wishlistIds - Array of wishlist IDs
+     * @param {string} transferToId - Optional wishlist ID of the same customer to transfer items to
      * @returns {Promise<Object>} - Operation result
      */
-    bulkDelete(wishlistIds) {
+    bulkDelete(wishlistIds, transferToId = null) {
         return this.httpClient.post(`${this.getApiBasePath()}/bulk/delete`, {
             ids: wishlistIds,
-            _csrf_token: window.csrf.token
+            transferTo: transferToId
         }, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
 
     /**
-     * Export wishlists to CSV/Excel
-     * @param {string[]} wishlistIds - Array of wishlist IDs (empty for all)
-     * @param {string} format - Export format ('csv' or 'excel')
-     * @returns {Promise<Blob>} - Export file blob
+     * Merge multiple wishlists into target wishlist
+     * @param {string[]} sourceIds - Source wishlist IDs
+     * @param {string} targetId - Target wishlist ID
+     * @param {Object} options - `strategy` ('sum', 'max' or 'keep_target'), `deleteSources` and
+     *                           `allowCrossCustomer` to merge wishlists of different customers
+     * @returns {Promise<Object>} - Merge operation result
      */
-    bulkExport(wishlistIds = [], format = 'csv') {
-        return this.httpClient.post(`${this.getApiBasePath()}/bulk/export`, {
-            ids: wishlistIds,
-            format: format,
-            _csrf_token: window.csrf.token
+    bulkMerge(sourceIds, targetId, options = {}) {
+        return this.httpClient.post(`${this.getApiBasePath()}/bulk/merge`, {
+            sourceIds: sourceIds,
+            targetId: targetId,
+            strategy: options.strategy || 'sum',
+            deleteSources: !!options.deleteSources,
+            allowCrossCustomer: !!options.allowCrossCustomer
         }, {
-            headers: this.getHeaders(),
-            responseType: 'blob'
+            headers: this.getHeaders()
         }).then(response => response.data);
     }
 
     /**
-     * Merge multiple wishlists into target wishlist
+     * Preview a merge without writing anything
      * @param {string[]} sourceIds - Source wishlist IDs
      * @param {string} targetId - Target wishlist ID
-     * @returns {Promise<Object>} - Merge operation result
+     * @param {string} strategy - Quantity conflict strategy ('sum', 'max' or 'keep_target')
+     * @returns {Promise<Object>} - Combined items, summary and whether the customers differ
      */
-    bulkMerge(sourceIds, targetId) {
+    previewBulkMerge(sourceIds, targetId, strategy = 'sum') {
         return this.httpClient.post(`${this.getApiBasePath()}/bulk/merge`, {
             sourceIds: sourceIds,
             targetId: targetId,
-            _csrf_token: window.csrf.token
+            strategy: strategy,
+            dryRun: true
         }, {
             headers: this.getHeaders()
         }).then(response => response.data);
@@ -175,81 +130,43 @@ class WishlistAdminService {
     // === Item Management ===
 
     /**
-     * Manage wishlist items (add, remove, update)
+     * Apply queued item operations in one batch, each operation succeeds or fails on its own
      * @param {string} wishlistId - Wishlist ID
-     * @param {Object[]} operations - Array of operations
-     * @returns {Promise<Object>} - Operation results
+     * @param {Object[]} operations - Operations with `reference`, `operation` ('add', 'update' or 'remove'),
+     *                                `itemId`, `productId` and `quantity`
+     * @param {number|null} version - Wishlist version the operations are based on, a newer one rejects the batch with status 409
+     * @returns {Promise<Object>} - Per-operation results in `results`, matched by `reference`, and the new `version`
      */
-    manageItems(wishlistId, operations) {
+    manageItems(wishlistId, operations, version = null) {
         return this.httpClient.post(`${this.getApiBasePath()}/${wishlistId}/items/manage`, {
             operations: operations,
-            _csrf_token: window.csrf.token
+            version
         }, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
 
-    /**
-     * Add product to wishlist
-     * @param {string} wishlistId - Wishlist ID
-     * @param {string} productId - Product ID
-     * @param {number} quantity - Quantity to add
-     * @returns {Promise<Object>} - Added item
-     */
-    addItem(wishlistId, productId, quantity = 1) {
-        return this.httpClient.post(`${this.getApiBasePath()}/${wishlistId}/items`, {
-            productId: productId,
-            quantity: quantity,
-            _csrf_token: window.csrf.token
-        }, {
-            headers: this.getHeaders()
-        }).then(response => response.data);
-    }
+    // === Share Management ===
 
     /**
-     * Remove item from wishlist
+     * Get the active and deactivated shares of a wishlist, revoked shares are not included
      * @param {string} wishlistId - Wishlist ID
-     * @param {string} itemId - Item ID
-     * @returns {Promise<void>}
+     * @returns {Promise<Object[]>} - Shares including their server issued token
      */
-    removeItem(wishlistId, itemId) {
-        return this.httpClient.delete(`${this.getApiBasePath()}/${wishlistId}/items/${itemId}`, {
-            headers: this.getHeaders(),
-            data: {
-                _csrf_token: window.csrf.token
-            }
-        });
-    }
-
-    /**
-     * Update item quantity
-     * @param {string} wishlistId - Wishlist ID
-     * @param {string} itemId - Item ID
-     * @param {number} quantity - New quantity
-     * @returns {Promise<Object>} - Updated item
-     */
-    updateItemQuantity(wishlistId, itemId, quantity) {
-        return this.httpClient.patch(`${this.getApiBasePath()}/${wishlistId}/items/${itemId}`, {
-            quantity: quantity,
-            _csrf_token: window.csrf.token
-        }, {
+    getShares(wishlistId) {
+        return this.httpClient.get(`${this.getApiBasePath()}/${wishlistId}/shares`, {
             headers: this.getHeaders()
-        }).then(response => response.data);
+        }).then(response => response.data.data || []);
     }
 
-    // === Share Management ===
-
     /**
-     * Create wishlist share
+     * Create wishlist share, the share token is generated by the server
      * @param {string} wishlistId - Wishlist ID
      * @param {Object} shareData - Share configuration
      * @returns {Promise<Object>} - Created share
      */
     createShare(wishlistId, shareData) {
-        return this.httpClient.post(`${this.getApiBasePath()}/${wishlistId}/shares`, {
-            ...shareData,
-            _csrf_token: window.csrf.token
-        }, {
+        return this.httpClient.post(`${this.getApiBasePath()}/${wishlistId}/shares`, shareData, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
@@ -262,26 +179,20 @@ class WishlistAdminService {
      * @returns {Promise<Object>} - Updated share
      */
     updateShare(wishlistId, shareId, updateData) {
-        return this.httpClient.patch(`${this.getApiBasePath()}/${wishlistId}/shares/${shareId}`, {
-            ...updateData,
-            _csrf_token: window.csrf.token
-        }, {
+        return this.httpClient.patch(`${this.getApiBasePath()}/${wishlistId}/shares/${shareId}`, updateData, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
 
     /**
-     * Revoke wishlist share
+     * Revoke wishlist share, its link stops working immediately
      * @param {string} wishlistId - Wishlist ID
      * @param {string} shareId - Share ID
      * @returns {Promise<void>}
      */
     revokeShare(wishlistId, shareId) {
         return this.httpClient.delete(`${this.getApiBasePath()}/${wishlistId}/shares/${shareId}`, {
-            headers: this.getHeaders(),
-            data: {
-                _csrf_token: window.csrf.token
-            }
+            headers: this.getHeaders()
         });
     }
 
@@ -314,22 +225,19 @@ class WishlistAdminService {
     // === Customer Management ===
 
     /**
-     * Get customer's wishlists
+     * Get customer's wishlists from the search API of the `wishlist` entity
      * @param {string} customerId - Customer ID
-     * @param {Object} criteria - Search criteria
+     * @param {Object} criteria - Search criteria in the format of the search API
      * @returns {Promise<Object>} - Customer's wishlists
      */
     getCustomerWishlists(customerId, criteria = {}) {
-        const params = this.buildSearchParams({
+        return this.httpClient.post('/search/wishlist', {
             ...criteria,
-            filter: {
-                ...criteria.filter,
-                customerId: customerId
-            }
-        });
-
-        return this.httpClient.get(this.getApiBasePath(), {
-            params,
+            filter: [
+                ...(criteria.filter || []),
+                { type: 'equals', field: 'customerId', value: customerId }
+            ]
+        }, {
             headers: this.getHeaders()
         }).then(response => response.data);
     }
@@ -351,48 +259,230 @@ class WishlistAdminService {
         }).then(response => response.data);
     }
 
-    // === Utility Methods ===
+    // === Filter Presets ===
 
     /**
-     * Build search parameters from criteria object
-     * @param {Object} criteria - Search criteria
-     * @returns {Object} - URL parameters
+     * Get the filter presets of the current admin user and those shared by other users
+     * @returns {Promise<Object[]>} - Presets, `owned` marks the ones the user may change
      */
-    buildSearchParams(criteria) {
-        const params = {};
+    getFilterPresets() {
+        return this.httpClient.get('/_action/advanced-wishlist/filter-presets', {
+            headers: this.getHeaders()
+        }).then(response => response.data.data || []);
+    }
 
-        // Pagination
-        if (criteria.page) params.page = criteria.page;
-        if (criteria.limit) params.limit = criteria.limit;
+    /**
+     * Save the given filter values as a named preset of the current admin user
+     * @param {Object} presetData - Preset data with name, filters and shared
+     * @returns {Promise<Object>} - Created preset
+     */
+    createFilterPreset(presetData) {
+        return this.httpClient.post('/_action/advanced-wishlist/filter-presets', presetData, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
 
-        // Sorting
-        if (criteria.sort) {
-            params.sort = criteria.sort;
-        }
+    /**
+     * Rename, share or overwrite an own filter preset
+     * @param {string} presetId - Preset ID
+     * @param {Object} updateData - Changed name, filters or shared flag
+     * @returns {Promise<Object>} - Updated preset
+     */
+    updateFilterPreset(presetId, updateData) {
+        return this.httpClient.patch(`/_action/advanced-wishlist/filter-presets/${presetId}`, updateData, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
 
-        // Filtering
-        if (criteria.filter) {
-            Object.keys(criteria.filter).forEach(field => {
-                const value = criteria.filter[field];
-                if (value !== null && value !== undefined && value !== '') {
-                    params[`filter[${field}]`] = value;
-                }
-            });
-        }
+    /**
+     * Delete an own filter preset
+     * @param {string} presetId - Preset ID
+     * @returns {Promise<void>}
+     */
+    deleteFilterPreset(presetId) {
+        return this.httpClient.delete(`/_action/advanced-wishlist/filter-presets/${presetId}`, {
+            headers: this.getHeaders()
+        });
+    }
 
-        // Search
-        if (criteria.search) {
-            params.search = criteria.search;
-        }
+    // === Exports ===
+
+    /**
+     * Start a background export of wishlists, the file is built by the Shopware import/export
+     * @param {string[]} wishlistIds - Array of wishlist IDs (empty for all)
+     * @param {string[]} columns - Columns in the order of the file
+     * @param {string} format - Export format ('csv', 'xlsx' or 'json')
+     * @returns {Promise<Object>} - Started export with its id and state
+     */
+    startExport(wishlistIds = [], columns = [], format = 'csv') {
+        return this.httpClient.post('/_action/advanced-wishlist/exports', {
+            wishlistIds: wishlistIds,
+            columns: columns,
+            format: format
+        }, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
 
-        // Associations
-        if (criteria.associations) {
-            params.associations = criteria.associations;
+    /**
+     * Get the history of wishlist exports, newest first
+     * @param {number} page - Page number
+     * @param {number} limit - Exports per page
+     * @returns {Promise<Object>} - Exports with total, page and limit
+     */
+    getExports(page = 1, limit = 10) {
+        return this.httpClient.get('/_action/advanced-wishlist/exports', {
+            params: { page, limit },
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Get state and progress of a single export
+     * @param {string} exportId - Export ID
+     * @returns {Promise<Object>} - Export, `fileId` is set once the file can be downloaded
+     */
+    getExport(exportId) {
+        return this.httpClient.get(`/_action/advanced-wishlist/exports/${exportId}`, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Poll an export until it is no longer running
+     * @param {string} exportId - Export ID
+     * @param {Function} onProgress - Called with the export after every poll
+     * @param {number} interval - Poll interval in milliseconds
+     * @returns {Promise<Object>} - Export in its final state ('succeeded', 'failed' or 'aborted')
+     */
+    trackExport(exportId, onProgress = () => {}, interval = 2000) {
+        const runningStates = ['pending', 'progress', 'merging_files'];
+
+        return new Promise((resolve, reject) => {
+            const poll = () => {
+                this.getExport(exportId).then((exportData) => {
+                    onProgress(exportData);
+
+                    if (!runningStates.includes(exportData.state)) {
+                        resolve(exportData);
+                        return;
+                    }
+
+                    setTimeout(poll, interval);
+                }).catch(reject);
+            };
+
+            poll();
+        });
+    }
+
+    // === Import ===
+
+    /**
+     * Read the columns of a CSV file and suggest which import field each of them holds
+     * @param {string} content - File content
+     * @param {string|null} delimiter - Column delimiter, detected from the header line when empty
+     * @returns {Promise<Object>} - Headers, sample rows, detected delimiter and suggested mapping
+     */
+    analyzeImport(content, delimiter = null) {
+        return this.httpClient.post('/_action/advanced-wishlist/import/analyze', {
+            content: content,
+            delimiter: delimiter
+        }, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Import wishlists and items from a CSV file, nothing is written unless `dryRun` is false
+     * @param {string} content - File content
+     * @param {Object} options - `mapping` (field => column), `delimiter`, `quantityStrategy` and `dryRun`
+     * @returns {Promise<Object>} - Report with summary and the resolved rows
+     */
+    importWishlists(content, options = {}) {
+        return this.httpClient.post('/_action/advanced-wishlist/import', {
+            content: content,
+            delimiter: options.delimiter || null,
+            mapping: options.mapping || {},
+            quantityStrategy: options.quantityStrategy || 'max',
+            dryRun: options.dryRun !== false
+        }, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    // === Price Alerts ===
+
+    /**
+     * Get wishlist items with a price alert
+     * @param {string} status - 'active' (waiting for a drop) or 'triggered'
+     * @param {number} page - Page number
+     * @param {number} limit - Alerts per page
+     * @returns {Promise<Object>} - Alerts in `entries` with total, page and limit
+     */
+    getPriceAlerts(status = 'active', page = 1, limit = 25) {
+        return this.httpClient.get('/_action/advanced-wishlist/price-alerts', {
+            params: { status, page, limit },
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Get the send history of price alert mails, newest first
+     * @param {number} page - Page number
+     * @param {number} limit - Entries per page
+     * @param {string|null} itemId - Only the mails of this wishlist item
+     * @returns {Promise<Object>} - Mails in `entries` with total, page and limit
+     */
+    getPriceAlertHistory(page = 1, limit = 25, itemId = null) {
+        const params = { page, limit };
+        if (itemId) {
+            params.itemId = itemId;
         }
 
-        return params;
+        return this.httpClient.get('/_action/advanced-wishlist/price-alerts/history', {
+            params,
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Send the price alert mail of an item with its current price, the mail is marked as test
+     * @param {string} itemId - Wishlist item ID
+     * @returns {Promise<Object>} - `success` with the prices used in the mail
+     */
+    sendPriceAlertTest(itemId) {
+        return this.httpClient.post(`/_action/advanced-wishlist/price-alerts/${itemId}/test`, {}, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
     }
 
+    // === Limits ===
+
+    /**
+     * Get the wishlist limit of a customer and how many wishlists they can still create
+     * @param {string} customerId - Customer ID
+     * @returns {Promise<Object>} - limit, count, remaining and the item limit of new wishlists
+     */
+    getCustomerCapacity(customerId) {
+        return this.httpClient.get(`/_action/advanced-wishlist/limits/customers/${customerId}`, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    /**
+     * Get the item limit of a wishlist and how many items it can still take
+     * @param {string} wishlistId - Wishlist ID
+     * @returns {Promise<Object>} - limit, count and remaining
+     */
+    getWishlistCapacity(wishlistId) {
+        return this.httpClient.get(`/_action/advanced-wishlist/limits/wishlists/${wishlistId}`, {
+            headers: this.getHeaders()
+        }).then(response => response.data);
+    }
+
+    // === Utility Methods ===
+
     /**
      * Validate wishlist data
      * @param {Object} wishlistData - Wishlist data to validate
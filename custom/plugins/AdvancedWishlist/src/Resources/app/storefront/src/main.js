@@ -1,7 +1,21 @@
 // Import all necessary Storefront plugins
-import ExamplePlugin from './example-plugin/example-plugin.plugin';
+import WishlistOverviewPlugin from './wishlist-overview/wishlist-overview.plugin';
+import WishlistDetailPlugin from './wishlist-detail/wishlist-detail.plugin';
+import WishlistAddToCartPlugin from './wishlist-add-to-cart/wishlist-add-to-cart.plugin';
+import WishlistButtonPlugin from './wishlist-button/wishlist-button.plugin';
+import WishlistGuestMergePlugin from './wishlist-guest-merge/wishlist-guest-merge.plugin';
+import WishlistPriceAlertPlugin from './wishlist-price-alert/wishlist-price-alert.plugin';
+import WishlistStockAlertPlugin from './wishlist-stock-alert/wishlist-stock-alert.plugin';
+import WishlistSharedPlugin from './wishlist-shared/wishlist-shared.plugin';
 
 // Register your plugin via the existing PluginManager
 const PluginManager = window.PluginManager;
 
-PluginManager.register('ExamplePlugin', ExamplePlugin, '[data-example-plugin]');
+PluginManager.register('AdvancedWishlistOverview', WishlistOverviewPlugin, '[data-advanced-wishlist-overview]');
+PluginManager.register('AdvancedWishlistDetail', WishlistDetailPlugin, '[data-advanced-wishlist-detail]');
+PluginManager.register('AdvancedWishlistAddToCart', WishlistAddToCartPlugin, '[data-advanced-wishlist-add-to-cart]');
+PluginManager.register('AdvancedWishlistButton', WishlistButtonPlugin, '[data-advanced-wishlist-button]');
+PluginManager.register('AdvancedWishlistGuestMerge', WishlistGuestMergePlugin, '[data-advanced-wishlist-guest-merge]');
+PluginManager.register('AdvancedWishlistPriceAlert', WishlistPriceAlertPlugin, '[data-advanced-wishlist-price-alert]');
+PluginManager.register('AdvancedWishlistStockAlert', WishlistStockAlertPlugin, '[data-advanced-wishlist-stock-alert]');
+PluginManager.register('AdvancedWishlistShared', WishlistSharedPlugin, '[data-advanced-wishlist-shared]');
@@ -0,0 +1,304 @@
+/**
+ * Wishlist API Client
+ * Thin fetch wrapper around the /store-api/v2/wishlist endpoints used by the storefront plugins
+ */
+export default class WishlistApiClient {
+    /**
+     * @param {string} basePath - Base path of the wishlist API
+     * @param {string} guestBasePath - Base path of the guest wishlist API
+     */
+    constructor(basePath = '/store-api/v2/wishlist', guestBasePath = '/store-api/v2/guest-wishlist') {
+        this.basePath = basePath;
+        this.guestBasePath = guestBasePath;
+    }
+
+    // === Wishlists ===
+
+    /**
+     * Get a single wishlist
+     * @param {string} wishlistId - Wishlist ID
+     * @returns {Promise<Object>} - Wishlist data
+     */
+    getWishlist(wishlistId) {
+        return this.request('GET', `/${wishlistId}`);
+    }
+
+    /**
+     * Create a wishlist for the logged in customer
+     * @param {Object} data - Wishlist data (name, type, ...)
+     * @param {string} csrfToken - CSRF token for the 'wishlist_create' intention
+     * @returns {Promise<Object>} - Created wishlist
+     */
+    createWishlist(data, csrfToken) {
+        return this.request('POST', '', { body: data, csrfToken });
+    }
+
+    /**
+     * Delete a wishlist
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string} csrfToken - CSRF token for the 'wishlist_delete' intention
+     * @returns {Promise<null>}
+     */
+    deleteWishlist(wishlistId, csrfToken) {
+        return this.request('DELETE', `/${wishlistId}`, { csrfToken });
+    }
+
+    /**
+     * Copy a wishlist of the logged in customer with its items
+     * @param {string} wishlistId - Wishlist ID
+     * @param {Object} data - Name of the copy and whether the share links are copied (includeShares)
+     * @param {string} csrfToken - CSRF token for the 'wishlist_duplicate' intention
+     * @returns {Promise<Object>} - Created copy
+     */
+    duplicateWishlist(wishlistId, data, csrfToken) {
+        return this.request('POST', `/${wishlistId}/duplicate`, { body: data, csrfToken });
+    }
+
+    /**
+     * Get the wishlist state of products, plus the customer's wishlists for the picker
+     * @param {string[]} productIds - Product IDs
+     * @returns {Promise<Object>} - `data.wishlists`, `data.products` and guest flags in `meta`
+     */
+    getProductState(productIds) {
+        return this.request('GET', '/product-state', { query: { productIds: productIds.join(',') } });
+    }
+
+    // === Items ===
+
+    /**
+     * Add a product to a wishlist
+     * @param {string} wishlistId - Wishlist ID
+     * @param {Object} data - Product ID and quantity
+     * @param {string} csrfToken - CSRF token for the 'wishlist_item_add' intention
+     * @returns {Promise<Object>} - Created item
+     */
+    addItem(wishlistId, data, csrfToken) {
+        return this.request('POST', `/${wishlistId}/items`, { body: data, csrfToken });
+    }
+
+    /**
+     * Update a wishlist item (quantity, note, priority)
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string} itemId - Item ID
+     * @param {Object} data - Fields to update
+     * @param {string} csrfToken - CSRF token for the 'wishlist_item_update' intention
+     * @returns {Promise<Object>} - Updated item
+     */
+    updateItem(wishlistId, itemId, data, csrfToken) {
+        return this.request('PATCH', `/${wishlistId}/items/${itemId}`, { body: data, csrfToken });
+    }
+
+    /**
+     * Remove an item from a wishlist
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string} itemId - Item ID
+     * @param {string} csrfToken - CSRF token for the 'wishlist_item_remove' intention
+     * @returns {Promise<null>}
+     */
+    removeItem(wishlistId, itemId, csrfToken) {
+        return this.request('DELETE', `/${wishlistId}/items/${itemId}`, { csrfToken });
+    }
+
+    /**
+     * Switch the price drop alert of a wishlist item on or off
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string} itemId - Item ID
+     * @param {Object} data - `active` and an optional `targetPrice`, without one any price drop notifies
+     * @param {string} csrfToken - CSRF token for the 'wishlist_price_alert' intention
+     * @returns {Promise<Object>} - Alert state (active, targetPrice, priceAtAlert)
+     */
+    updatePriceAlert(wishlistId, itemId, data, csrfToken) {
+        return this.request('PUT', `/${wishlistId}/items/${itemId}/price-alert`, { body: data, csrfToken });
+    }
+
+    /**
+     * Subscribe to or cancel the back-in-stock mail of an out-of-stock wishlist item
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string} itemId - Item ID
+     * @param {boolean} active - Subscribe (true) or cancel (false)
+     * @param {string} csrfToken - CSRF token for the 'wishlist_stock_alert' intention
+     * @returns {Promise<Object>} - Subscription state (active, pending, subscribedAt)
+     */
+    updateStockAlert(wishlistId, itemId, active, csrfToken) {
+        return this.request('PUT', `/${wishlistId}/items/${itemId}/stock-alert`, { body: { active }, csrfToken });
+    }
+
+    // === Shared Wishlists ===
+
+    /**
+     * Reserve an item of a shared wishlist or mark it as purchased
+     * @param {string} token - Share token of the link
+     * @param {string} itemId - Item ID
+     * @param {Object} data - `status` ('reserved' or 'purchased') and `quantity`
+     * @param {string} csrfToken - CSRF token for the 'wishlist_reservation' intention
+     * @returns {Promise<Object>} - Item state (reserved, purchased, own)
+     */
+    saveReservation(token, itemId, data, csrfToken) {
+        return this.request('PUT', `/shared/${token}/items/${itemId}/reservation`, { body: data, csrfToken });
+    }
+
+    /**
+     * Withdraw the own reservation of an item of a shared wishlist
+     * @param {string} token - Share token of the link
+     * @param {string} itemId - Item ID
+     * @param {string} csrfToken - CSRF token for the 'wishlist_reservation' intention
+     * @returns {Promise<Object>} - Item state (reserved, purchased, own)
+     */
+    cancelReservation(token, itemId, csrfToken) {
+        return this.request('DELETE', `/shared/${token}/items/${itemId}/reservation`, { csrfToken });
+    }
+
+    /**
+     * Reserved and purchased quantities per item of the customer's own wishlist
+     * @param {string} wishlistId - Wishlist ID
+     * @returns {Promise<Object>} - Counts by item ID in `data`
+     */
+    getReservations(wishlistId) {
+        return this.request('GET', `/${wishlistId}/reservations`);
+    }
+
+    // === Cart ===
+
+    /**
+     * Add wishlist items to the cart in one request
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string[]|null} itemIds - Item IDs to add, null for all items
+     * @param {string} csrfToken - CSRF token for the 'wishlist_add_to_cart' intention
+     * @returns {Promise<Object>} - Per-item results in `data`, counts in `meta`
+     */
+    addItemsToCart(wishlistId, itemIds, csrfToken) {
+        return this.request('POST', `/${wishlistId}/add-to-cart`, {
+            body: itemIds ? { itemIds } : {},
+            csrfToken,
+        });
+    }
+
+    // === Guest Wishlist ===
+
+    /**
+     * Create the guest wishlist, the response sets the guest-wishlist-token cookie
+     * @param {string} csrfToken - CSRF token for the 'guest_wishlist' intention
+     * @returns {Promise<Object>} - Guest wishlist
+     */
+    createGuestWishlist(csrfToken) {
+        return this.request('POST', '', { body: {}, csrfToken, basePath: this.guestBasePath });
+    }
+
+    /**
+     * Add a product to the guest wishlist
+     * @param {Object} data - Product ID and quantity
+     * @param {string} csrfToken - CSRF token for the 'guest_wishlist' intention
+     * @returns {Promise<Object>} - Wishlist, item and product ID
+     */
+    addGuestItem(data, csrfToken) {
+        return this.request('POST', '/items', { body: data, csrfToken, basePath: this.guestBasePath });
+    }
+
+    /**
+     * Preview merging the guest wishlist into the logged in customer's wishlists
+     * @returns {Promise<Object>} - Guest items and customer wishlists with existing quantities
+     */
+    getGuestMergePreview() {
+        return this.request('GET', '/merge-preview', { basePath: this.guestBasePath });
+    }
+
+    /**
+     * Merge the guest wishlist into an existing or a new customer wishlist
+     * @param {Object} data - Merge mode ('existing' or 'new'), target wishlist ID or new wishlist name
+     * @param {string} csrfToken - CSRF token for the 'guest_wishlist_merge' intention
+     * @returns {Promise<Object>} - Target wishlist ID and item counts
+     */
+    mergeGuestWishlist(data, csrfToken) {
+        return this.request('POST', '/merge', { body: data, csrfToken, basePath: this.guestBasePath });
+    }
+
+    /**
+     * Discard the guest wishlist
+     * @param {string} csrfToken - CSRF token for the 'guest_wishlist_merge' intention
+     * @returns {Promise<null>}
+     */
+    discardGuestWishlist(csrfToken) {
+        return this.request('DELETE', '', { csrfToken, basePath: this.guestBasePath });
+    }
+
+    // === Utility Methods ===
+
+    /**
+     * Send a JSON request and unwrap the `errors` envelope of failed responses
+     * @param {string} method - HTTP method
+     * @param {string} path - Path relative to the base path
+     * @param {Object} options - Request body, query parameters, CSRF token and optional base path
+     * @returns {Promise<Object|null>} - Decoded response body
+     */
+    request(method, path = '', { body = null, query = null, csrfToken = null, basePath = this.basePath } = {}) {
+        const headers = {
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+        };
+
+        if (body !== null) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        if (csrfToken) {
+            headers['X-CSRF-Token'] = csrfToken;
+        }
+
+        return fetch(this.buildUrl(`${basePath}${path}`, query), {
+            method,
+            headers,
+            body: body !== null ? JSON.stringify(body) : null,
+            credentials: 'same-origin',
+        }).then((response) => {
+            return response.text().then((text) => {
+                const data = text ? JSON.parse(text) : null;
+
+                if (!response.ok) {
+                    throw WishlistApiClient.createError(response.status, data);
+                }
+
+                return data;
+            });
+        });
+    }
+
+    /**
+     * @param {string} url - Absolute path of the endpoint
+     * @param {Object|null} query - Query parameters
+     * @returns {string}
+     */
+    buildUrl(url, query) {
+        if (!query) {
+            return url;
+        }
+
+        const params = new URLSearchParams();
+        Object.keys(query).forEach((key) => {
+            const value = query[key];
+            if (value !== null && value !== undefined && value !== '') {
+                params.append(key, value);
+            }
+        });
+
+        const queryString = params.toString();
+
+        return queryString ? `${url}?${queryString}` : url;
+    }
+
+    /**
+     * Build an Error from the first entry of an API error envelope
+     * @param {number} status - HTTP status
+     * @param {Object|null} data - Decoded response body
+     * @returns {Error}
+     */
+    static createError(status, data) {
+        const apiError = data?.errors?.[0] || {};
+        const error = new Error(apiError.detail || `Request failed with status ${status}`);
+
+        error.status = status;
+        error.code = apiError.code || null;
+        error.meta = apiError.meta || {};
+
+        return error;
+    }
+}
@@ -0,0 +1,127 @@
+export const PRODUCT_STATE_CHANGED_EVENT = 'AdvancedWishlist/onProductStateChanged';
+
+/**
+ * Wishlist state shared by all "Add to wishlist" buttons of a page
+ * Products registered during the same tick are fetched with one request. Every change is published
+ * on document.$emitter, so all product boxes showing the same product stay in sync.
+ */
+class WishlistProductStateService {
+    constructor() {
+        this._products = {};
+        this._wishlists = [];
+        // Nobody is treated as a guest before the state has loaded
+        this._guest = false;
+        this._hasGuestWishlist = false;
+        this._pendingProductIds = new Set();
+        this._pendingRequest = null;
+    }
+
+    /**
+     * Queue a product for the next state request
+     * @param {string} productId - Product ID
+     * @param {WishlistApiClient} client - Client used for the request
+     * @returns {Promise} - Resolves once the state of the product is known
+     */
+    load(productId, client) {
+        this._pendingProductIds.add(productId);
+
+        if (!this._pendingRequest) {
+            this._pendingRequest = Promise.resolve().then(() => {
+                const productIds = Array.from(this._pendingProductIds);
+                this._pendingProductIds.clear();
+                this._pendingRequest = null;
+
+                return client.getProductState(productIds);
+            }).then((response) => {
+                const { wishlists = [], products = {} } = response.data || {};
+
+                this._wishlists = wishlists;
+                this._guest = !!response.meta?.guest;
+                this._hasGuestWishlist = !!response.meta?.hasGuestWishlist;
+
+                Object.keys(products).forEach((id) => {
+                    this._products[id] = products[id];
+                    this._publish(id);
+                });
+            });
+        }
+
+        return this._pendingRequest;
+    }
+
+    /**
+     * @param {string} productId - Product ID
+     * @returns {Array<{wishlistId: string, itemId: string|null}>}
+     */
+    getEntries(productId) {
+        return this._products[productId] || [];
+    }
+
+    /**
+     * @param {string} productId - Product ID
+     * @param {string|null} wishlistId - Limit the check to one wishlist
+     * @returns {boolean}
+     */
+    isInWishlist(productId, wishlistId = null) {
+        return this.getEntries(productId).some(entry => !wishlistId || entry.wishlistId === wishlistId);
+    }
+
+    /**
+     * Record that a product has been added to a wishlist and notify all buttons
+     * @param {string} productId - Product ID
+     * @param {string} wishlistId - Wishlist ID
+     * @param {string|null} itemId - Item ID, if known
+     */
+    markAdded(productId, wishlistId, itemId = null) {
+        if (!this.isInWishlist(productId, wishlistId)) {
+            this._products[productId] = [...this.getEntries(productId), { wishlistId, itemId }];
+        }
+
+        this._publish(productId);
+    }
+
+    /**
+     * @returns {Array<{id: string, name: string, isDefault: boolean}>}
+     */
+    getWishlists() {
+        return this._wishlists;
+    }
+
+    /**
+     * Make a wishlist created inline available to all pickers
+     * @param {{id: string, name: string, isDefault: boolean}} wishlist
+     */
+    addWishlist(wishlist) {
+        this._wishlists = [...this._wishlists, wishlist];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isGuest() {
+        return this._guest;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    hasGuestWishlist() {
+        return this._hasGuestWishlist;
+    }
+
+    /**
+     * @param {boolean} hasGuestWishlist
+     */
+    setHasGuestWishlist(hasGuestWishlist) {
+        this._hasGuestWishlist = hasGuestWishlist;
+    }
+
+    _publish(productId) {
+        document.$emitter.publish(PRODUCT_STATE_CHANGED_EVENT, {
+            productId,
+            entries: this.getEntries(productId),
+        });
+    }
+}
+
+export default new WishlistProductStateService();
@@ -0,0 +1,50 @@
+const ICONS = {
+    success: 'fa-check-circle',
+    danger: 'fa-exclamation-triangle',
+    warning: 'fa-exclamation-circle',
+    info: 'fa-info-circle',
+};
+
+/**
+ * Renders dismissible alerts with the same markup as the flash messages in wishlist.html.twig
+ */
+export default class WishlistAlertUtil {
+    /**
+     * @param {HTMLElement} container - Element the alert is prepended to
+     * @param {string} type - Bootstrap alert type (success, danger, warning, info)
+     * @param {string} message - Plain text message
+     * @returns {HTMLElement} - The alert element
+     */
+    static show(container, type, message) {
+        const alert = document.createElement('div');
+        alert.className = `alert alert-${type} alert-dismissible fade show`;
+        alert.setAttribute('role', 'alert');
+
+        const icon = document.createElement('i');
+        icon.className = `fas ${ICONS[type] || ICONS.info}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'close';
+        close.setAttribute('data-dismiss', 'alert');
+        close.innerHTML = '<span aria-hidden="true">&times;</span>';
+        close.addEventListener('click', () => alert.remove());
+
+        alert.appendChild(icon);
+        alert.appendChild(document.createTextNode(` ${message}`));
+        alert.appendChild(close);
+
+        container.prepend(alert);
+
+        return alert;
+    }
+
+    /**
+     * Remove all alerts previously rendered into the container
+     * @param {HTMLElement} container
+     */
+    static clear(container) {
+        container.querySelectorAll(':scope > .alert').forEach(alert => alert.remove());
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Helpers for pushing wishlist items into the Shopware cart
+ */
+export default class WishlistCartUtil {
+    /**
+     * Build the form payload understood by the frontend.checkout.line-item.add route
+     * @param {Array<{productId: string, quantity: number}>} items - Products to add
+     * @param {string|null} redirectTo - Route to render after adding, e.g. 'frontend.cart.offcanvas'
+     * @returns {FormData}
+     */
+    static createLineItemFormData(items, redirectTo = 'frontend.cart.offcanvas') {
+        const formData = new FormData();
+
+        items.forEach(({ productId, quantity }) => {
+            const prefix = `lineItems[${productId}]`;
+
+            formData.append(`${prefix}[id]`, productId);
+            formData.append(`${prefix}[type]`, 'product');
+            formData.append(`${prefix}[referencedId]`, productId);
+            formData.append(`${prefix}[quantity]`, String(quantity));
+            formData.append(`${prefix}[stackable]`, '1');
+            formData.append(`${prefix}[removable]`, '1');
+        });
+
+        if (redirectTo) {
+            formData.append('redirectTo', redirectTo);
+        }
+
+        return formData;
+    }
+
+    /**
+     * Get the OffCanvasCart plugin instance of the page, if the theme renders one
+     * @returns {Object|null}
+     */
+    static getOffCanvasCart() {
+        const instances = window.PluginManager.getPluginInstances('OffCanvasCart');
+
+        return instances && instances.length > 0 ? instances[0] : null;
+    }
+}
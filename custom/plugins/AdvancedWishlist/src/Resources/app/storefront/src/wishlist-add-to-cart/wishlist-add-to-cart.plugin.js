@@ -0,0 +1,188 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+import WishlistCartUtil from '../utility/wishlist-cart.util';
+
+/**
+ * "Add all" / "add selected" to cart for the wishlist detail page
+ * The server answers with one result per item, which is rendered next to the item.
+ */
+export default class WishlistAddToCartPlugin extends Plugin {
+    static options = {
+        wishlistId: null,
+        apiBasePath: '/store-api/v2/wishlist',
+        offCanvasCartUrl: '/checkout/offcanvas',
+        csrfToken: null,
+        itemSelector: '.advanced-wishlist-item',
+        checkboxSelector: '.advanced-wishlist-item-select',
+        selectAllSelector: '[data-select-all-items]',
+        selectedCountSelector: '[data-selected-count]',
+        addAllSelector: '[data-add-all-to-cart]',
+        addSelectedSelector: '[data-add-selected-to-cart]',
+        itemDetailsSelector: '.advanced-wishlist-item-details',
+        statusClass: 'advanced-wishlist-item-cart-status',
+        alertContainerSelector: '.advanced-wishlist-body',
+        disabledClass: 'disabled',
+        messages: {
+            summary: '%added% of %total% items have been added to the cart.',
+            nothingSelected: 'Please select at least one item.',
+            error: 'The items could not be added to the cart.',
+            status: {
+                added: 'Added to cart',
+                reduced: 'Only %quantity% available, quantity reduced',
+                out_of_stock: 'Out of stock',
+                inactive: 'No longer available',
+                not_found: 'Product not found',
+            },
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        this._registerEvents();
+        this._updateSelectionState();
+    }
+
+    _registerEvents() {
+        this.el.addEventListener('click', this._onClick.bind(this));
+        this.el.addEventListener('change', this._onChange.bind(this));
+    }
+
+    _onClick(event) {
+        if (event.target.closest(this.options.addAllSelector)) {
+            event.preventDefault();
+            this.addToCart(null);
+            return;
+        }
+
+        const addSelected = event.target.closest(this.options.addSelectedSelector);
+        if (addSelected) {
+            event.preventDefault();
+
+            const itemIds = this.getSelectedItemIds();
+            if (itemIds.length === 0) {
+                WishlistAlertUtil.show(this._alertContainer, 'warning', this.options.messages.nothingSelected);
+                return;
+            }
+
+            this.addToCart(itemIds);
+        }
+    }
+
+    _onChange(event) {
+        const selectAll = event.target.closest(this.options.selectAllSelector);
+        if (selectAll) {
+            this._getCheckboxes().forEach((checkbox) => {
+                checkbox.checked = selectAll.checked;
+            });
+        }
+
+        if (selectAll || event.target.closest(this.options.checkboxSelector)) {
+            this._updateSelectionState();
+        }
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    getSelectedItemIds() {
+        return this._getCheckboxes()
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+    }
+
+    /**
+     * Push items into the cart and report the outcome per item
+     * @param {string[]|null} itemIds - Selected item IDs, null for all items
+     * @returns {Promise}
+     */
+    addToCart(itemIds) {
+        this._clearItemStatuses();
+        ElementLoadingIndicatorUtil.create(this.el);
+
+        return this._client.addItemsToCart(
+            this.options.wishlistId,
+            itemIds,
+            this.options.csrfToken
+        ).then((response) => {
+            const results = response.data || [];
+            const { added = 0, total = results.length } = response.meta || {};
+
+            results.forEach(result => this._renderItemStatus(result));
+
+            const summary = this.options.messages.summary
+                .replace('%added%', added)
+                .replace('%total%', total);
+            WishlistAlertUtil.show(this._alertContainer, added === total ? 'success' : 'warning', summary);
+
+            if (added > 0) {
+                this._refreshOffCanvasCart();
+            }
+
+            this.$emitter.publish('onAddedToCart', { results });
+        }).catch(() => {
+            WishlistAlertUtil.show(this._alertContainer, 'danger', this.options.messages.error);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(this.el);
+        });
+    }
+
+    _renderItemStatus(result) {
+        const item = this.el.querySelector(`${this.options.itemSelector}[data-item-id="${result.itemId}"]`);
+        if (!item) {
+            return;
+        }
+
+        const container = item.querySelector(this.options.itemDetailsSelector) || item;
+        const template = this.options.messages.status[result.status] || result.status;
+        const succeeded = result.quantity !== null;
+
+        const status = document.createElement('p');
+        status.className = `${this.options.statusClass} small ${succeeded ? 'text-success' : 'text-danger'}`;
+        status.dataset.cartStatus = result.status;
+        status.textContent = template.replace('%quantity%', result.quantity);
+
+        container.appendChild(status);
+    }
+
+    _clearItemStatuses() {
+        this.el.querySelectorAll(`.${this.options.statusClass}`).forEach(status => status.remove());
+    }
+
+    _refreshOffCanvasCart() {
+        const offCanvasCart = WishlistCartUtil.getOffCanvasCart();
+        if (offCanvasCart) {
+            offCanvasCart.openOffCanvas(this.options.offCanvasCartUrl, false);
+        }
+    }
+
+    _updateSelectionState() {
+        const checkboxes = this._getCheckboxes();
+        const selectedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+
+        const selectAll = this.el.querySelector(this.options.selectAllSelector);
+        if (selectAll) {
+            selectAll.checked = checkboxes.length > 0 && selectedCount === checkboxes.length;
+            selectAll.indeterminate = selectedCount > 0 && selectedCount < checkboxes.length;
+        }
+
+        const counter = this.el.querySelector(this.options.selectedCountSelector);
+        if (counter) {
+            counter.textContent = selectedCount;
+        }
+
+        const addSelected = this.el.querySelector(this.options.addSelectedSelector);
+        if (addSelected) {
+            addSelected.classList.toggle(this.options.disabledClass, selectedCount === 0);
+            addSelected.setAttribute('aria-disabled', String(selectedCount === 0));
+        }
+    }
+
+    _getCheckboxes() {
+        return Array.from(this.el.querySelectorAll(this.options.checkboxSelector))
+            .filter(checkbox => !checkbox.closest(this.options.itemSelector)?.hidden);
+    }
+}
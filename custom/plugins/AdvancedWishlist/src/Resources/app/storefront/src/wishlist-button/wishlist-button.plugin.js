@@ -0,0 +1,400 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import PseudoModalUtil from 'src/utility/modal-extension/pseudo-modal.util';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistProductState, { PRODUCT_STATE_CHANGED_EVENT } from '../service/wishlist-product-state.service';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+
+/**
+ * "Add to wishlist" button for the product detail page and listing boxes
+ * Customers pick a target wishlist (or create one inline), guests are offered a guest wishlist.
+ */
+export default class WishlistButtonPlugin extends Plugin {
+    static options = {
+        productId: null,
+        quantity: 1,
+        apiBasePath: '/store-api/v2/wishlist',
+        guestApiBasePath: '/store-api/v2/guest-wishlist',
+        csrfTokens: {
+            createWishlist: null,
+            addItem: null,
+            guestWishlist: null,
+        },
+        toggleSelector: '[data-wishlist-toggle]',
+        iconSelector: '[data-wishlist-icon]',
+        pickerSelector: '[data-wishlist-picker]',
+        selectSelector: '[data-wishlist-select]',
+        newWishlistSelector: '[data-wishlist-new]',
+        newNameSelector: '[data-wishlist-new-name]',
+        addSelector: '[data-wishlist-add]',
+        alertContainerSelector: '[data-wishlist-alerts]',
+        activeClass: 'is--active',
+        openClass: 'show',
+        iconClasses: {
+            active: 'fas',
+            inactive: 'far',
+        },
+        newWishlistValue: '__new__',
+        messages: {
+            newWishlist: 'Create new wishlist…',
+            nameRequired: 'Please enter a name for the new wishlist.',
+            added: 'The product has been added to your wishlist.',
+            alreadyAdded: 'The product is already in this wishlist.',
+            limitReached: 'The maximum number of items for this wishlist has been reached.',
+            itemLimitReached: 'This wishlist already holds the maximum of %limit% products.',
+            wishlistLimitReached: 'You have reached the maximum of %limit% wishlists.',
+            createError: 'The wishlist could not be created.',
+            error: 'The product could not be added to the wishlist.',
+            stateError: 'Your wishlists could not be loaded. Please try again.',
+            guestModal: {
+                title: 'Save your favourites',
+                text: 'Create a guest wishlist to keep this product without an account. You can move it to your account later.',
+                confirm: 'Create Guest Wishlist',
+            },
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath, this.options.guestApiBasePath);
+        this._toggle = this.el.querySelector(this.options.toggleSelector);
+        this._picker = this.el.querySelector(this.options.pickerSelector);
+        this._alertContainer = this.el.querySelector(this.options.alertContainerSelector) || this.el;
+        this._modal = null;
+        this._stateFailed = false;
+
+        this._registerEvents();
+        this._renderState(WishlistProductState.getEntries(this.options.productId));
+
+        this._loadState();
+    }
+
+    /**
+     * Request the wishlist state of the product, a failed request is retried on the next click
+     * @returns {Promise}
+     */
+    _loadState() {
+        this._stateLoaded = WishlistProductState.load(this.options.productId, this._client);
+        this._stateLoaded.catch(() => {
+            this._stateFailed = true;
+        });
+
+        return this._stateLoaded;
+    }
+
+    _registerEvents() {
+        this.el.addEventListener('click', this._onClick.bind(this));
+        this.el.addEventListener('change', this._onChange.bind(this));
+        document.addEventListener('click', this._onDocumentClick.bind(this));
+        document.$emitter.subscribe(PRODUCT_STATE_CHANGED_EVENT, this._onStateChanged.bind(this));
+    }
+
+    _onClick(event) {
+        if (event.target.closest(this.options.toggleSelector)) {
+            event.preventDefault();
+            const stateLoaded = this._stateFailed ? this._loadState() : this._stateLoaded;
+            this._stateFailed = false;
+
+            stateLoaded
+                .then(() => this.open())
+                .catch(() => this._showAlert('danger', this.options.messages.stateError));
+            return;
+        }
+
+        if (event.target.closest(this.options.addSelector)) {
+            event.preventDefault();
+            this._addFromPicker();
+        }
+    }
+
+    _onChange(event) {
+        if (event.target.closest(this.options.selectSelector)) {
+            this._updateNewWishlistField();
+        }
+    }
+
+    _onDocumentClick(event) {
+        if (this._picker && !this.el.contains(event.target)) {
+            this.closePicker();
+        }
+    }
+
+    _onStateChanged({ detail }) {
+        if (detail.productId === this.options.productId) {
+            this._renderState(detail.entries);
+        }
+    }
+
+    /**
+     * Start the add flow matching the visitor: the picker for customers,
+     * the guest wishlist (or the offer to create one) for guests
+     */
+    open() {
+        if (!WishlistProductState.isGuest()) {
+            this.togglePicker();
+            return;
+        }
+
+        if (WishlistProductState.hasGuestWishlist()) {
+            this.addToGuestWishlist();
+            return;
+        }
+
+        this._openGuestModal();
+    }
+
+    togglePicker() {
+        if (!this._picker) {
+            return;
+        }
+
+        if (this._picker.classList.contains(this.options.openClass)) {
+            this.closePicker();
+            return;
+        }
+
+        this._renderPickerOptions();
+        this._picker.classList.add(this.options.openClass);
+        this._toggle.setAttribute('aria-expanded', 'true');
+    }
+
+    closePicker() {
+        if (!this._picker || !this._picker.classList.contains(this.options.openClass)) {
+            return;
+        }
+
+        this._picker.classList.remove(this.options.openClass);
+        this._toggle.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Add the product to a wishlist of the logged in customer
+     * @param {string} wishlistId
+     * @returns {Promise}
+     */
+    addToWishlist(wishlistId) {
+        const { productId, quantity } = this.options;
+
+        return this._client.addItem(
+            wishlistId,
+            { productId, quantity },
+            this.options.csrfTokens.addItem
+        ).then((response) => {
+            WishlistProductState.markAdded(productId, wishlistId, response?.data?.id || null);
+            this._showAlert('success', this.options.messages.added);
+            this.closePicker();
+
+            this.$emitter.publish('onAddedToWishlist', { productId, wishlistId });
+        }).catch((error) => {
+            if (error.code === 'DUPLICATE_ITEM') {
+                WishlistProductState.markAdded(productId, wishlistId);
+                this._showAlert('info', this.options.messages.alreadyAdded);
+                return;
+            }
+
+            this._showAlert('danger', this._getErrorMessage(error));
+        });
+    }
+
+    /**
+     * Add the product to the guest wishlist of the visitor
+     * @returns {Promise}
+     */
+    addToGuestWishlist() {
+        const { productId, quantity } = this.options;
+
+        ElementLoadingIndicatorUtil.create(this.el);
+
+        return this._client.addGuestItem(
+            { productId, quantity },
+            this.options.csrfTokens.guestWishlist
+        ).then((response) => {
+            const { wishlistId, itemId } = response.data || {};
+
+            WishlistProductState.markAdded(productId, wishlistId, itemId);
+            this._showAlert('success', this.options.messages.added);
+
+            this.$emitter.publish('onAddedToWishlist', { productId, wishlistId, guest: true });
+        }).catch((error) => {
+            // The guest wishlist has expired in the meantime
+            if (error.code === 'GUEST_WISHLIST_NOT_FOUND') {
+                WishlistProductState.setHasGuestWishlist(false);
+                this._openGuestModal();
+                return;
+            }
+
+            this._showAlert('danger', this._getErrorMessage(error));
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(this.el);
+        });
+    }
+
+    _addFromPicker() {
+        const select = this.el.querySelector(this.options.selectSelector);
+        if (!select) {
+            return Promise.resolve();
+        }
+
+        WishlistAlertUtil.clear(this._alertContainer);
+        ElementLoadingIndicatorUtil.create(this._picker);
+
+        const wishlistId = select.value === this.options.newWishlistValue
+            ? this._createWishlist()
+            : Promise.resolve(select.value);
+
+        return wishlistId
+            .then(id => (id ? this.addToWishlist(id) : null))
+            .finally(() => ElementLoadingIndicatorUtil.remove(this._picker));
+    }
+
+    /**
+     * @returns {Promise<string|null>} - ID of the new wishlist, null if it could not be created
+     */
+    _createWishlist() {
+        const input = this.el.querySelector(this.options.newNameSelector);
+        const name = input ? input.value.trim() : '';
+
+        if (!name) {
+            this._showAlert('warning', this.options.messages.nameRequired);
+            return Promise.resolve(null);
+        }
+
+        return this._client.createWishlist(
+            { name },
+            this.options.csrfTokens.createWishlist
+        ).then((response) => {
+            const wishlist = {
+                id: response.data.id,
+                name: response.data.name || name,
+                isDefault: !!response.data.isDefault,
+            };
+
+            WishlistProductState.addWishlist(wishlist);
+            input.value = '';
+
+            return wishlist.id;
+        }).catch((error) => {
+            this._showAlert('danger', error.code === 'LIMIT_REACHED'
+                ? this._getErrorMessage(error)
+                : this.options.messages.createError);
+
+            return null;
+        });
+    }
+
+    _openGuestModal() {
+        const { guestModal } = this.options.messages;
+
+        const content = document.createElement('div');
+
+        const title = document.createElement('h5');
+        title.textContent = guestModal.title;
+
+        const text = document.createElement('p');
+        text.textContent = guestModal.text;
+
+        const confirm = document.createElement('button');
+        confirm.type = 'button';
+        confirm.className = 'btn btn-primary btn-block';
+        confirm.setAttribute('data-guest-wishlist-create', '');
+        confirm.textContent = guestModal.confirm;
+
+        content.append(title, text, confirm);
+
+        this._modal = new PseudoModalUtil(content.innerHTML);
+        this._modal.open(() => {
+            this._modal.getModal()
+                .querySelector('[data-guest-wishlist-create]')
+                .addEventListener('click', this._onCreateGuestWishlist.bind(this));
+        });
+    }
+
+    _onCreateGuestWishlist(event) {
+        const button = event.currentTarget;
+        button.disabled = true;
+
+        return this._client.createGuestWishlist(this.options.csrfTokens.guestWishlist).then(() => {
+            WishlistProductState.setHasGuestWishlist(true);
+            this._modal.close();
+
+            return this.addToGuestWishlist();
+        }).catch(() => {
+            button.disabled = false;
+            this._modal.close();
+            this._showAlert('danger', this.options.messages.createError);
+        });
+    }
+
+    _renderPickerOptions() {
+        const select = this.el.querySelector(this.options.selectSelector);
+        if (!select) {
+            return;
+        }
+
+        const previous = select.value;
+        const wishlists = WishlistProductState.getWishlists();
+
+        select.innerHTML = '';
+
+        wishlists.forEach((wishlist) => {
+            const option = new Option(wishlist.name, wishlist.id);
+            option.selected = previous ? previous === wishlist.id : wishlist.isDefault;
+            select.appendChild(option);
+        });
+
+        const newOption = new Option(this.options.messages.newWishlist, this.options.newWishlistValue);
+        newOption.selected = wishlists.length === 0 || previous === this.options.newWishlistValue;
+        select.appendChild(newOption);
+
+        this._updateNewWishlistField();
+    }
+
+    _updateNewWishlistField() {
+        const select = this.el.querySelector(this.options.selectSelector);
+        const newWishlist = this.el.querySelector(this.options.newWishlistSelector);
+        if (!select || !newWishlist) {
+            return;
+        }
+
+        newWishlist.hidden = select.value !== this.options.newWishlistValue;
+    }
+
+    _renderState(entries) {
+        const active = entries.length > 0;
+        const { iconClasses } = this.options;
+
+        this.el.classList.toggle(this.options.activeClass, active);
+
+        if (this._toggle) {
+            this._toggle.setAttribute('aria-pressed', String(active));
+        }
+
+        const icon = this.el.querySelector(this.options.iconSelector);
+        if (icon) {
+            icon.classList.toggle(iconClasses.active, active);
+            icon.classList.toggle(iconClasses.inactive, !active);
+        }
+    }
+
+    _showAlert(type, message) {
+        WishlistAlertUtil.clear(this._alertContainer);
+        WishlistAlertUtil.show(this._alertContainer, type, message);
+    }
+
+    _getErrorMessage(error) {
+        if (error.code !== 'LIMIT_REACHED') {
+            return this.options.messages.error;
+        }
+
+        const { type, limit } = error.meta || {};
+        const { messages } = this.options;
+
+        // Guest wishlist limits come without details
+        if (!limit) {
+            return messages.limitReached;
+        }
+
+        const message = type === 'wishlists' ? messages.wishlistLimitReached : messages.itemLimitReached;
+
+        return message.replace('%limit%', limit);
+    }
+}
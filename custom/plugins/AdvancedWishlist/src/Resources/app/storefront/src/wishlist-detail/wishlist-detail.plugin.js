@@ -0,0 +1,351 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import Debouncer from 'src/helper/debouncer.helper';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+import WishlistCartUtil from '../utility/wishlist-cart.util';
+
+/**
+ * Wishlist detail page: quantity changes, item removal, single add-to-cart, duplicating the wishlist
+ * and how many of each item recipients of share links have reserved
+ * Quantity and removal are applied to the DOM first and rolled back when the API call fails.
+ */
+export default class WishlistDetailPlugin extends Plugin {
+    static options = {
+        wishlistId: null,
+        apiBasePath: '/store-api/v2/wishlist',
+        addToCartUrl: '/checkout/line-item/add',
+        // Detail page URL of this wishlist, the copy is opened by swapping the wishlist ID
+        detailUrl: null,
+        duplicateName: '',
+        csrfTokens: {
+            updateItem: null,
+            removeItem: null,
+            duplicate: null,
+        },
+        quantityDebounceDelay: 500,
+        minQuantity: 1,
+        maxQuantity: 999,
+        itemSelector: '.advanced-wishlist-item',
+        itemCountSelector: '.advanced-wishlist-items-title .badge',
+        alertContainerSelector: '.advanced-wishlist-body',
+        removingClass: 'is--removing',
+        messages: {
+            updateError: 'The quantity could not be updated.',
+            removeSuccess: 'The item has been removed from your wishlist.',
+            removeError: 'The item could not be removed.',
+            addToCartError: 'The item could not be added to the cart.',
+            duplicatePrompt: 'Name of the copy',
+            duplicateError: 'The wishlist could not be duplicated.',
+            duplicateLimitReached: 'You have reached the maximum number of wishlists.',
+            reservationCount: '%count% of %quantity% reserved by your guests',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        // Last quantity the server confirmed per item, used for rollback
+        this._confirmedQuantities = {};
+        this._quantityWriters = {};
+
+        this.el.querySelectorAll('[data-item-quantity]').forEach((input) => {
+            this._confirmedQuantities[input.dataset.itemQuantity] = parseInt(input.value, 10);
+        });
+
+        this._registerEvents();
+        this.loadReservationCounts();
+    }
+
+    _registerEvents() {
+        this.el.addEventListener('click', this._onClick.bind(this));
+        this.el.addEventListener('change', this._onChange.bind(this));
+    }
+
+    _onClick(event) {
+        const decrease = event.target.closest('[data-quantity-decrease]');
+        if (decrease) {
+            this._stepQuantity(decrease.dataset.quantityDecrease, -1);
+            return;
+        }
+
+        const increase = event.target.closest('[data-quantity-increase]');
+        if (increase) {
+            this._stepQuantity(increase.dataset.quantityIncrease, 1);
+            return;
+        }
+
+        const remove = event.target.closest('[data-remove-item]');
+        if (remove) {
+            event.preventDefault();
+
+            if (window.confirm(remove.dataset.confirmRemove)) {
+                this.removeItem(remove.dataset.removeItem);
+            }
+            return;
+        }
+
+        const addToCart = event.target.closest('[data-add-to-cart]');
+        if (addToCart) {
+            event.preventDefault();
+            this.addItemToCart(addToCart.dataset.addToCart);
+            return;
+        }
+
+        const duplicate = event.target.closest('[data-wishlist-duplicate]');
+        if (duplicate) {
+            event.preventDefault();
+
+            const name = window.prompt(this.options.messages.duplicatePrompt, this.options.duplicateName);
+            if (name !== null) {
+                this.duplicateWishlist(name.trim());
+            }
+        }
+    }
+
+    _onChange(event) {
+        const input = event.target.closest('[data-item-quantity]');
+        if (!input) {
+            return;
+        }
+
+        this.setQuantity(input.dataset.itemQuantity, parseInt(input.value, 10));
+    }
+
+    _stepQuantity(itemId, step) {
+        const input = this._getQuantityInput(itemId);
+        if (!input) {
+            return;
+        }
+
+        this.setQuantity(itemId, parseInt(input.value, 10) + step);
+    }
+
+    /**
+     * Update the quantity input immediately and schedule a debounced write
+     * @param {string} itemId
+     * @param {number} quantity
+     */
+    setQuantity(itemId, quantity) {
+        const input = this._getQuantityInput(itemId);
+        if (!input) {
+            return;
+        }
+
+        const clamped = this._clampQuantity(quantity, this._confirmedQuantities[itemId]);
+        input.value = clamped;
+
+        if (clamped === this._confirmedQuantities[itemId]) {
+            return;
+        }
+
+        this._getQuantityWriter(itemId)();
+    }
+
+    _getQuantityWriter(itemId) {
+        if (!this._quantityWriters[itemId]) {
+            this._quantityWriters[itemId] = Debouncer.debounce(
+                () => this._writeQuantity(itemId),
+                this.options.quantityDebounceDelay
+            );
+        }
+
+        return this._quantityWriters[itemId];
+    }
+
+    _writeQuantity(itemId) {
+        const input = this._getQuantityInput(itemId);
+        if (!input) {
+            return Promise.resolve();
+        }
+
+        const quantity = parseInt(input.value, 10);
+        if (quantity === this._confirmedQuantities[itemId]) {
+            return Promise.resolve();
+        }
+
+        return this._client.updateItem(
+            this.options.wishlistId,
+            itemId,
+            { quantity },
+            this.options.csrfTokens.updateItem
+        ).then(() => {
+            this._confirmedQuantities[itemId] = quantity;
+            this.$emitter.publish('onQuantityUpdated', { itemId, quantity });
+        }).catch(() => {
+            // Only roll back if the shopper has not typed a newer value meanwhile
+            if (parseInt(input.value, 10) === quantity) {
+                input.value = this._confirmedQuantities[itemId];
+            }
+
+            this._showError(this.options.messages.updateError);
+        });
+    }
+
+    /**
+     * Hide the item right away and delete it, restoring the row on failure
+     * @param {string} itemId
+     * @returns {Promise}
+     */
+    removeItem(itemId) {
+        const item = this._getItem(itemId);
+        if (!item) {
+            return Promise.resolve();
+        }
+
+        item.classList.add(this.options.removingClass);
+        item.hidden = true;
+
+        return this._client.removeItem(
+            this.options.wishlistId,
+            itemId,
+            this.options.csrfTokens.removeItem
+        ).then(() => {
+            item.remove();
+            delete this._confirmedQuantities[itemId];
+            delete this._quantityWriters[itemId];
+
+            this._updateItemCount();
+            WishlistAlertUtil.show(this._alertContainer, 'success', this.options.messages.removeSuccess);
+            this.$emitter.publish('onItemRemoved', { itemId });
+
+            // The empty state is rendered server side
+            if (this._getItems().length === 0) {
+                window.location.reload();
+            }
+        }).catch(() => {
+            item.hidden = false;
+            item.classList.remove(this.options.removingClass);
+
+            this._showError(this.options.messages.removeError);
+        });
+    }
+
+    /**
+     * Put a single wishlist item into the cart and open the off-canvas cart
+     * @param {string} itemId
+     */
+    addItemToCart(itemId) {
+        const item = this._getItem(itemId);
+        if (!item) {
+            return;
+        }
+
+        const input = this._getQuantityInput(itemId);
+        const formData = WishlistCartUtil.createLineItemFormData([{
+            productId: item.dataset.productId,
+            quantity: input ? parseInt(input.value, 10) : 1,
+        }]);
+
+        const offCanvasCart = WishlistCartUtil.getOffCanvasCart();
+        if (offCanvasCart) {
+            offCanvasCart.openOffCanvas(this.options.addToCartUrl, formData);
+            this.$emitter.publish('onAddedToCart', { itemIds: [itemId] });
+            return;
+        }
+
+        ElementLoadingIndicatorUtil.create(item);
+
+        fetch(this.options.addToCartUrl, {
+            method: 'POST',
+            body: formData,
+            credentials: 'same-origin',
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            this.$emitter.publish('onAddedToCart', { itemIds: [itemId] });
+        }).catch(() => {
+            this._showError(this.options.messages.addToCartError);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(item);
+        });
+    }
+
+    /**
+     * Copy the wishlist on the server and open the copy
+     * @param {string} name - Name of the copy, the server keeps the original name when empty
+     * @returns {Promise}
+     */
+    duplicateWishlist(name) {
+        ElementLoadingIndicatorUtil.create(this.el);
+
+        return this._client.duplicateWishlist(
+            this.options.wishlistId,
+            { name },
+            this.options.csrfTokens.duplicate
+        ).then((response) => {
+            const duplicateId = response.data.id;
+            this.$emitter.publish('onDuplicated', { wishlistId: this.options.wishlistId, duplicateId });
+
+            if (this.options.detailUrl) {
+                window.location.assign(this.options.detailUrl.replace(this.options.wishlistId, duplicateId));
+            }
+        }).catch((error) => {
+            ElementLoadingIndicatorUtil.remove(this.el);
+
+            this._showError(error.code === 'LIMIT_REACHED'
+                ? this.options.messages.duplicateLimitReached
+                : this.options.messages.duplicateError);
+        });
+    }
+
+    /**
+     * Show how many of each item are reserved or purchased through share links, without who did it
+     * @returns {Promise}
+     */
+    loadReservationCounts() {
+        if (!this.el.querySelector('[data-reservation-count]')) {
+            return Promise.resolve();
+        }
+
+        return this._client.getReservations(this.options.wishlistId).then((response) => {
+            const counts = response.data || {};
+
+            this.el.querySelectorAll('[data-reservation-count]').forEach((element) => {
+                const itemId = element.dataset.reservationCount;
+                const count = counts[itemId] ? counts[itemId].reserved + counts[itemId].purchased : 0;
+
+                element.hidden = count === 0;
+                element.textContent = this.options.messages.reservationCount
+                    .replace('%count%', count)
+                    .replace('%quantity%', this._confirmedQuantities[itemId] ?? count);
+            });
+        }).catch(() => {
+            // Counts are informational, the page works without them
+        });
+    }
+
+    _clampQuantity(quantity, fallback) {
+        if (Number.isNaN(quantity)) {
+            return fallback;
+        }
+
+        return Math.min(Math.max(quantity, this.options.minQuantity), this.options.maxQuantity);
+    }
+
+    _updateItemCount() {
+        const badge = this.el.querySelector(this.options.itemCountSelector);
+        if (badge) {
+            badge.textContent = this._getItems().length;
+        }
+    }
+
+    _showError(message) {
+        WishlistAlertUtil.show(this._alertContainer, 'danger', message);
+    }
+
+    _getItems() {
+        return this.el.querySelectorAll(`${this.options.itemSelector}:not(.${this.options.removingClass})`);
+    }
+
+    _getItem(itemId) {
+        return this.el.querySelector(`${this.options.itemSelector}[data-item-id="${itemId}"]`);
+    }
+
+    _getQuantityInput(itemId) {
+        return this.el.querySelector(`[data-item-quantity="${itemId}"]`);
+    }
+}
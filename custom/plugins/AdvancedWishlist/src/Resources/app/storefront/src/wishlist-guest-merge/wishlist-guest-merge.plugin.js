@@ -0,0 +1,271 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import PseudoModalUtil from 'src/utility/modal-extension/pseudo-modal.util';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+
+const DISMISSED_STORAGE_KEY = 'advanced-wishlist-guest-merge-dismissed';
+
+/**
+ * Offers logged in customers to take over the wishlist they collected as a guest
+ * The element is only rendered while the guest-wishlist-token (or legacy guest_id) cookie is still present.
+ */
+export default class WishlistGuestMergePlugin extends Plugin {
+    static options = {
+        apiBasePath: '/store-api/v2/wishlist',
+        guestApiBasePath: '/store-api/v2/guest-wishlist',
+        csrfToken: null,
+        templateSelector: '[data-guest-merge-template]',
+        itemsSelector: '[data-guest-merge-items]',
+        modeSelector: '[data-guest-merge-mode]',
+        targetSelector: '[data-guest-merge-target]',
+        nameSelector: '[data-guest-merge-name]',
+        submitSelector: '[data-guest-merge-submit]',
+        discardSelector: '[data-guest-merge-discard]',
+        alertContainerSelector: '.flashbags',
+        messages: {
+            duplicate: 'Already on this wishlist (%quantity%), the quantities will be added up',
+            merged: 'Your guest wishlist has been transferred to your account.',
+            discarded: 'Your guest wishlist has been discarded.',
+            nameRequired: 'Please enter a name for the new wishlist.',
+            itemLimitReached: 'The wishlist cannot hold more than %limit% products.',
+            wishlistLimitReached: 'You have reached the maximum of %limit% wishlists.',
+            error: 'Your guest wishlist could not be transferred.',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath, this.options.guestApiBasePath);
+        this._preview = null;
+        this._modal = null;
+        this._decided = false;
+
+        if (this._wasDismissed()) {
+            return;
+        }
+
+        this._client.getGuestMergePreview().then((response) => {
+            this._preview = response.data;
+
+            // Nothing worth asking about, just get rid of the empty guest wishlist
+            if (this._preview.guestWishlist.items.length === 0) {
+                return this._client.discardGuestWishlist(this.options.csrfToken);
+            }
+
+            this.open();
+        }).catch(() => {});
+    }
+
+    open() {
+        const template = this.el.querySelector(this.options.templateSelector);
+        if (!template) {
+            return;
+        }
+
+        this._modal = new PseudoModalUtil(template.innerHTML);
+        this._modal.open(() => {
+            const modal = this._modal.getModal();
+
+            this._renderTargets(modal);
+            this._renderItems(modal);
+            this._registerModalEvents(modal);
+        });
+    }
+
+    _registerModalEvents(modal) {
+        modal.addEventListener('change', (event) => {
+            if (event.target.closest(this.options.modeSelector) || event.target.closest(this.options.targetSelector)) {
+                this._renderItems(modal);
+            }
+        });
+
+        modal.addEventListener('focusin', (event) => {
+            if (event.target.closest(this.options.nameSelector)) {
+                this._selectMode(modal, 'new');
+            } else if (event.target.closest(this.options.targetSelector)) {
+                this._selectMode(modal, 'existing');
+            }
+        });
+
+        modal.querySelector(this.options.submitSelector).addEventListener('click', () => this.merge(modal));
+        modal.querySelector(this.options.discardSelector).addEventListener('click', () => this.discard(modal));
+
+        // Closing the dialog without a decision only postpones it to the next session
+        modal.addEventListener('hidden.bs.modal', () => {
+            if (!this._decided) {
+                this._rememberDismissal();
+            }
+        });
+    }
+
+    /**
+     * @param {HTMLElement} modal
+     * @returns {Promise}
+     */
+    merge(modal) {
+        const mode = this._getMode(modal);
+        const data = { mode };
+
+        if (mode === 'new') {
+            data.name = modal.querySelector(this.options.nameSelector).value.trim();
+
+            if (!data.name) {
+                this._showModalAlert(modal, 'warning', this.options.messages.nameRequired);
+                return Promise.resolve();
+            }
+        } else {
+            data.wishlistId = modal.querySelector(this.options.targetSelector).value;
+        }
+
+        ElementLoadingIndicatorUtil.create(modal.querySelector('.modal-body') || modal);
+
+        return this._client.mergeGuestWishlist(data, this.options.csrfToken).then((response) => {
+            this._decided = true;
+            this._modal.close();
+            this._showPageAlert('success', this.options.messages.merged);
+
+            this.$emitter.publish('onGuestWishlistMerged', response.data);
+        }).catch((error) => {
+            this._showModalAlert(modal, 'danger', this._getErrorMessage(error));
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(modal.querySelector('.modal-body') || modal);
+        });
+    }
+
+    /**
+     * @param {HTMLElement} modal
+     * @returns {Promise}
+     */
+    discard(modal) {
+        return this._client.discardGuestWishlist(this.options.csrfToken).then(() => {
+            this._decided = true;
+            this._modal.close();
+            this._showPageAlert('info', this.options.messages.discarded);
+
+            this.$emitter.publish('onGuestWishlistDiscarded');
+        }).catch(() => {
+            this._showModalAlert(modal, 'danger', this.options.messages.error);
+        });
+    }
+
+    _renderTargets(modal) {
+        const select = modal.querySelector(this.options.targetSelector);
+        const { wishlists } = this._preview;
+
+        wishlists.forEach((wishlist) => {
+            const option = new Option(wishlist.name, wishlist.id);
+            option.selected = wishlist.isDefault;
+            select.appendChild(option);
+        });
+
+        if (wishlists.length === 0) {
+            select.disabled = true;
+            modal.querySelector(`${this.options.modeSelector}[value="existing"]`).disabled = true;
+            this._selectMode(modal, 'new');
+        }
+
+        const name = modal.querySelector(this.options.nameSelector);
+        if (!name.value && this._preview.guestWishlist.name) {
+            name.value = this._preview.guestWishlist.name;
+        }
+    }
+
+    /**
+     * List the guest items and flag the ones whose quantity is merged into the chosen target
+     * @param {HTMLElement} modal
+     */
+    _renderItems(modal) {
+        const list = modal.querySelector(this.options.itemsSelector);
+        const existingQuantities = this._getMode(modal) === 'existing'
+            ? this._getTargetWishlist(modal)?.existingQuantities || {}
+            : {};
+
+        list.innerHTML = '';
+
+        this._preview.guestWishlist.items.forEach((item) => {
+            const row = document.createElement('li');
+            row.className = 'list-group-item d-flex justify-content-between align-items-start';
+
+            const name = document.createElement('div');
+            name.textContent = item.productName || item.productId;
+
+            const existing = existingQuantities[item.productId];
+            if (existing) {
+                const hint = document.createElement('small');
+                hint.className = 'd-block text-muted';
+                hint.textContent = this.options.messages.duplicate.replace('%quantity%', existing);
+                name.appendChild(hint);
+            }
+
+            const quantity = document.createElement('span');
+            quantity.className = 'badge badge-secondary';
+            quantity.textContent = `× ${item.quantity}`;
+
+            row.append(name, quantity);
+            list.appendChild(row);
+        });
+    }
+
+    _getMode(modal) {
+        const checked = modal.querySelector(`${this.options.modeSelector}:checked`);
+
+        return checked ? checked.value : 'existing';
+    }
+
+    _selectMode(modal, mode) {
+        const radio = modal.querySelector(`${this.options.modeSelector}[value="${mode}"]`);
+        if (radio && !radio.disabled && !radio.checked) {
+            radio.checked = true;
+            this._renderItems(modal);
+        }
+    }
+
+    _getTargetWishlist(modal) {
+        const wishlistId = modal.querySelector(this.options.targetSelector).value;
+
+        return this._preview.wishlists.find(wishlist => wishlist.id === wishlistId);
+    }
+
+    _getErrorMessage(error) {
+        const { messages } = this.options;
+        const { type, limit } = error.meta || {};
+
+        if (error.code !== 'LIMIT_REACHED' || !limit) {
+            return messages.error;
+        }
+
+        const message = type === 'wishlists' ? messages.wishlistLimitReached : messages.itemLimitReached;
+
+        return message.replace('%limit%', limit);
+    }
+
+    _showModalAlert(modal, type, message) {
+        const container = modal.querySelector('.modal-body') || modal;
+
+        WishlistAlertUtil.clear(container);
+        WishlistAlertUtil.show(container, type, message);
+    }
+
+    _showPageAlert(type, message) {
+        const container = document.querySelector(this.options.alertContainerSelector);
+        if (container) {
+            WishlistAlertUtil.show(container, type, message);
+        }
+    }
+
+    _wasDismissed() {
+        try {
+            return window.sessionStorage.getItem(DISMISSED_STORAGE_KEY) === '1';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _rememberDismissal() {
+        try {
+            window.sessionStorage.setItem(DISMISSED_STORAGE_KEY, '1');
+        } catch (e) {
+            // Storage not available, the dialog is simply offered again
+        }
+    }
+}
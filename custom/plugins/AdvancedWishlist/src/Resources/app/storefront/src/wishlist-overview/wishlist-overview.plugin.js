@@ -0,0 +1,244 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import Debouncer from 'src/helper/debouncer.helper';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+
+const COMPARATORS = {
+    name: (a, b) => a.dataset.wishlistName.localeCompare(b.dataset.wishlistName, undefined, { sensitivity: 'base' }),
+    updated: (a, b) => Date.parse(a.dataset.wishlistUpdated) - Date.parse(b.dataset.wishlistUpdated),
+    items: (a, b) => parseInt(a.dataset.wishlistItemCount, 10) - parseInt(b.dataset.wishlistItemCount, 10),
+    value: (a, b) => parseFloat(a.dataset.wishlistTotalValue) - parseFloat(b.dataset.wishlistTotalValue),
+};
+
+/**
+ * Wishlist overview: type filter, name search and sorting of the wishlist cards, plus deletion
+ * The current view is mirrored into the query string, so filtered views can be bookmarked.
+ */
+export default class WishlistOverviewPlugin extends Plugin {
+    static options = {
+        apiBasePath: '/store-api/v2/wishlist',
+        csrfToken: null,
+        cardSelector: '.advanced-wishlist-card',
+        gridSelector: '[data-wishlist-grid]',
+        filterSelector: '[data-filter]',
+        searchSelector: '[data-wishlist-search]',
+        sortSelector: '[data-wishlist-sort]',
+        countSelector: '.advanced-wishlist-list-title .badge',
+        noResultsSelector: '[data-wishlist-no-results]',
+        alertContainerSelector: '.advanced-wishlist-body',
+        activeClass: 'active',
+        removingClass: 'is--removing',
+        searchDebounceDelay: 250,
+        queryParams: {
+            type: 'type',
+            search: 'search',
+            sort: 'sort',
+        },
+        messages: {
+            deleteSuccess: 'The wishlist has been deleted.',
+            deleteError: 'The wishlist could not be deleted.',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._grid = this.el.querySelector(this.options.gridSelector);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        if (!this._grid) {
+            return;
+        }
+
+        // Server order, restored when no sorting is selected
+        this._getCards().forEach((card, index) => {
+            card.dataset.wishlistPosition = index;
+        });
+
+        this._state = this._readQueryState();
+        this._syncControls();
+        this.apply();
+
+        this._registerEvents();
+    }
+
+    _registerEvents() {
+        this.el.addEventListener('click', this._onClick.bind(this));
+        this.el.addEventListener('change', this._onChange.bind(this));
+
+        const search = this.el.querySelector(this.options.searchSelector);
+        if (search) {
+            search.addEventListener('input', Debouncer.debounce(
+                () => this.setState({ search: search.value.trim() }),
+                this.options.searchDebounceDelay
+            ));
+        }
+
+        window.addEventListener('popstate', () => {
+            this._state = this._readQueryState();
+            this._syncControls();
+            this.apply();
+        });
+    }
+
+    _onClick(event) {
+        const filter = event.target.closest(this.options.filterSelector);
+        if (filter) {
+            event.preventDefault();
+            this.setState({ type: filter.dataset.filter });
+            return;
+        }
+
+        const remove = event.target.closest('[data-wishlist-delete]');
+        if (remove) {
+            event.preventDefault();
+
+            if (window.confirm(remove.dataset.confirmDelete)) {
+                this.deleteWishlist(remove.dataset.wishlistDelete);
+            }
+        }
+    }
+
+    _onChange(event) {
+        const sort = event.target.closest(this.options.sortSelector);
+        if (sort) {
+            this.setState({ sort: sort.value });
+        }
+    }
+
+    /**
+     * Merge a partial view state, write it to the URL and re-render the grid
+     * @param {{type?: string, search?: string, sort?: string}} changes
+     */
+    setState(changes) {
+        this._state = { ...this._state, ...changes };
+
+        this._writeQueryState();
+        this._syncControls();
+        this.apply();
+
+        this.$emitter.publish('onViewChanged', { ...this._state });
+    }
+
+    /**
+     * Show the cards matching type and search, in the selected order
+     */
+    apply() {
+        const { type, search, sort } = this._state;
+        const term = search.toLowerCase();
+        const cards = this._getCards();
+
+        let visibleCount = 0;
+        cards.forEach((card) => {
+            const matchesType = type === 'all' || card.dataset.wishlistType === type;
+            const matchesSearch = !term || card.dataset.wishlistName.toLowerCase().includes(term);
+
+            card.hidden = !(matchesType && matchesSearch);
+            visibleCount += card.hidden ? 0 : 1;
+        });
+
+        this._sortCards(cards, sort).forEach(card => this._grid.appendChild(card));
+
+        const noResults = this.el.querySelector(this.options.noResultsSelector);
+        if (noResults) {
+            noResults.hidden = visibleCount > 0;
+        }
+    }
+
+    /**
+     * Delete a wishlist and drop its card without reloading the page
+     * @param {string} wishlistId
+     * @returns {Promise}
+     */
+    deleteWishlist(wishlistId) {
+        const card = this._grid.querySelector(`${this.options.cardSelector}[data-wishlist-id="${wishlistId}"]`);
+        if (!card) {
+            return Promise.resolve();
+        }
+
+        card.classList.add(this.options.removingClass);
+
+        return this._client.deleteWishlist(wishlistId, this.options.csrfToken).then(() => {
+            card.remove();
+
+            this._updateCount();
+            this.apply();
+            WishlistAlertUtil.show(this._alertContainer, 'success', this.options.messages.deleteSuccess);
+            this.$emitter.publish('onWishlistDeleted', { wishlistId });
+
+            // The empty state is rendered server side
+            if (this._getCards().length === 0) {
+                window.location.reload();
+            }
+        }).catch(() => {
+            card.classList.remove(this.options.removingClass);
+            WishlistAlertUtil.show(this._alertContainer, 'danger', this.options.messages.deleteError);
+        });
+    }
+
+    _sortCards(cards, sort) {
+        const [field, direction] = (sort || '').split('-');
+        const comparator = COMPARATORS[field];
+
+        if (!comparator) {
+            return cards.sort((a, b) => a.dataset.wishlistPosition - b.dataset.wishlistPosition);
+        }
+
+        const factor = direction === 'desc' ? -1 : 1;
+
+        return cards.sort((a, b) => comparator(a, b) * factor);
+    }
+
+    _syncControls() {
+        this.el.querySelectorAll(this.options.filterSelector).forEach((filter) => {
+            filter.classList.toggle(this.options.activeClass, filter.dataset.filter === this._state.type);
+        });
+
+        const search = this.el.querySelector(this.options.searchSelector);
+        if (search && search.value.trim() !== this._state.search) {
+            search.value = this._state.search;
+        }
+
+        const sort = this.el.querySelector(this.options.sortSelector);
+        if (sort) {
+            sort.value = this._state.sort;
+        }
+    }
+
+    _readQueryState() {
+        const params = new URLSearchParams(window.location.search);
+        const { queryParams } = this.options;
+
+        return {
+            type: params.get(queryParams.type) || 'all',
+            search: params.get(queryParams.search) || '',
+            sort: params.get(queryParams.sort) || '',
+        };
+    }
+
+    _writeQueryState() {
+        const url = new URL(window.location.href);
+        const { queryParams } = this.options;
+        const defaults = { type: 'all', search: '', sort: '' };
+
+        Object.keys(queryParams).forEach((key) => {
+            if (this._state[key] === defaults[key]) {
+                url.searchParams.delete(queryParams[key]);
+            } else {
+                url.searchParams.set(queryParams[key], this._state[key]);
+            }
+        });
+
+        window.history.replaceState(window.history.state, '', url.toString());
+    }
+
+    _updateCount() {
+        const badge = this.el.querySelector(this.options.countSelector);
+        if (badge) {
+            badge.textContent = this._getCards().length;
+        }
+    }
+
+    _getCards() {
+        return Array.from(this._grid.querySelectorAll(`${this.options.cardSelector}:not(.${this.options.removingClass})`));
+    }
+}
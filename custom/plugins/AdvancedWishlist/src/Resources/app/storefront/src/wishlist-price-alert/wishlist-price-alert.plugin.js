@@ -0,0 +1,153 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+
+/**
+ * "Notify me on price drop" toggle of a single wishlist detail item
+ * The optional target price is sent along when the alert is switched on or the price is applied,
+ * without one any drop below the current price notifies the customer.
+ */
+export default class WishlistPriceAlertPlugin extends Plugin {
+    static options = {
+        wishlistId: null,
+        itemId: null,
+        apiBasePath: '/store-api/v2/wishlist',
+        csrfToken: null,
+        toggleSelector: '[data-price-alert-toggle]',
+        targetSelector: '[data-price-alert-target]',
+        priceSelector: '[data-price-alert-price]',
+        applySelector: '[data-price-alert-apply]',
+        statusSelector: '[data-price-alert-status]',
+        alertContainerSelector: '.advanced-wishlist-body',
+        messages: {
+            active: 'We will notify you as soon as the price drops.',
+            activeTarget: 'We will notify you as soon as the price drops to your target price.',
+            inactive: 'Price alert switched off.',
+            invalidTargetPrice: 'The target price must be above 0 and must not exceed the current price.',
+            error: 'The price alert could not be saved.',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        this._toggle = this.el.querySelector(this.options.toggleSelector);
+        this._target = this.el.querySelector(this.options.targetSelector);
+        this._price = this.el.querySelector(this.options.priceSelector);
+        this._status = this.el.querySelector(this.options.statusSelector);
+
+        this._registerEvents();
+        this._updateTargetVisibility();
+    }
+
+    _registerEvents() {
+        if (this._toggle) {
+            this._toggle.addEventListener('change', this._onToggle.bind(this));
+        }
+
+        this.el.addEventListener('click', this._onClick.bind(this));
+
+        if (this._price) {
+            this._price.addEventListener('keydown', this._onPriceKeydown.bind(this));
+        }
+    }
+
+    _onToggle() {
+        this._updateTargetVisibility();
+        this.save();
+    }
+
+    _onClick(event) {
+        if (event.target.closest(this.options.applySelector)) {
+            event.preventDefault();
+            this.save();
+        }
+    }
+
+    _onPriceKeydown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.save();
+        }
+    }
+
+    /**
+     * Send the current toggle state and target price, the toggle is reverted when the server refuses
+     * @returns {Promise}
+     */
+    save() {
+        const active = this._toggle.checked;
+        const targetPrice = this._getTargetPrice();
+
+        if (active && Number.isNaN(targetPrice)) {
+            this._renderStatus(this.options.messages.invalidTargetPrice, 'text-danger');
+            return Promise.resolve();
+        }
+
+        ElementLoadingIndicatorUtil.create(this.el);
+
+        return this._client.updatePriceAlert(
+            this.options.wishlistId,
+            this.options.itemId,
+            active ? { active, targetPrice } : { active },
+            this.options.csrfToken
+        ).then((response) => {
+            const alert = response.data || {};
+
+            if (!alert.active) {
+                this._renderStatus(this.options.messages.inactive, 'text-muted');
+            } else if (alert.targetPrice !== null && alert.targetPrice !== undefined) {
+                this._renderStatus(this.options.messages.activeTarget, 'text-success');
+            } else {
+                this._renderStatus(this.options.messages.active, 'text-success');
+            }
+
+            this.$emitter.publish('onPriceAlertSaved', { itemId: this.options.itemId, alert });
+        }).catch((error) => {
+            if (active) {
+                this._toggle.checked = false;
+                this._updateTargetVisibility();
+            }
+
+            if (error.code === 'INVALID_TARGET_PRICE') {
+                this._renderStatus(this.options.messages.invalidTargetPrice, 'text-danger');
+                return;
+            }
+
+            WishlistAlertUtil.show(this._alertContainer, 'danger', this.options.messages.error);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(this.el);
+        });
+    }
+
+    /**
+     * @returns {number|null} - Entered target price, null when empty, NaN when not a positive number
+     */
+    _getTargetPrice() {
+        const value = this._price ? this._price.value.trim().replace(',', '.') : '';
+        if (value === '') {
+            return null;
+        }
+
+        const price = Number(value);
+
+        return price > 0 ? price : NaN;
+    }
+
+    _updateTargetVisibility() {
+        if (this._target) {
+            this._target.hidden = !this._toggle.checked;
+        }
+    }
+
+    _renderStatus(message, className) {
+        if (!this._status) {
+            return;
+        }
+
+        this._status.className = `small ${className}`;
+        this._status.textContent = message;
+    }
+}
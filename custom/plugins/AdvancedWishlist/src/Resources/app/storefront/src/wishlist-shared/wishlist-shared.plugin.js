@@ -0,0 +1,220 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+import WishlistCartUtil from '../utility/wishlist-cart.util';
+
+/**
+ * Public page of a shared wishlist: "I'll buy this" reservations and adding items to the own cart
+ * Reservations are only offered when the share has the `edit` permission and the visitor is not the owner.
+ */
+export default class WishlistSharedPlugin extends Plugin {
+    static options = {
+        shareToken: null,
+        canReserve: false,
+        apiBasePath: '/store-api/v2/wishlist',
+        addToCartUrl: '/checkout/line-item/add',
+        csrfToken: null,
+        itemSelector: '.advanced-wishlist-item',
+        statusSelector: '[data-reservation-status]',
+        idleSelector: '[data-reservation-idle]',
+        ownSelector: '[data-reservation-own]',
+        quantitySelector: '[data-reservation-quantity]',
+        alertContainerSelector: '.advanced-wishlist-body',
+        messages: {
+            available: '%quantity% still open',
+            allTaken: 'Already taken care of',
+            ownReserved: 'You are buying %quantity%',
+            ownPurchased: 'You bought %quantity%',
+            notAvailable: 'Someone else was faster, only %quantity% are still open.',
+            reservationError: 'Your reservation could not be saved.',
+            addToCartError: 'The item could not be added to the cart.',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        this.el.addEventListener('click', this._onClick.bind(this));
+    }
+
+    _onClick(event) {
+        const item = event.target.closest(this.options.itemSelector);
+        if (!item) {
+            return;
+        }
+
+        const reserve = event.target.closest('[data-reserve]');
+        if (reserve && this.options.canReserve) {
+            event.preventDefault();
+            this.reserve(item.dataset.itemId, reserve.dataset.reserve, this._getRequestedQuantity(item, reserve));
+            return;
+        }
+
+        if (event.target.closest('[data-reservation-cancel]') && this.options.canReserve) {
+            event.preventDefault();
+            this.cancel(item.dataset.itemId);
+            return;
+        }
+
+        if (event.target.closest('[data-add-to-cart]')) {
+            event.preventDefault();
+            this.addItemToCart(item.dataset.itemId);
+        }
+    }
+
+    /**
+     * Reserve an item or mark it as purchased, replacing an earlier mark of this visitor
+     * @param {string} itemId
+     * @param {string} status - 'reserved' or 'purchased'
+     * @param {number} quantity
+     * @returns {Promise}
+     */
+    reserve(itemId, status, quantity) {
+        return this._save(itemId, () => this._client.saveReservation(
+            this.options.shareToken,
+            itemId,
+            { status, quantity },
+            this.options.csrfToken
+        ));
+    }
+
+    /**
+     * Withdraw this visitor's reservation of an item
+     * @param {string} itemId
+     * @returns {Promise}
+     */
+    cancel(itemId) {
+        return this._save(itemId, () => this._client.cancelReservation(
+            this.options.shareToken,
+            itemId,
+            this.options.csrfToken
+        ));
+    }
+
+    _save(itemId, request) {
+        const item = this._getItem(itemId);
+        if (!item) {
+            return Promise.resolve();
+        }
+
+        ElementLoadingIndicatorUtil.create(item);
+
+        return request().then((response) => {
+            this._renderState(item, response.data);
+            this.$emitter.publish('onReservationSaved', { itemId, state: response.data });
+        }).catch((error) => {
+            const message = error.code === 'NOT_RESERVABLE'
+                ? this.options.messages.notAvailable.replace('%quantity%', error.meta?.available ?? 0)
+                : this.options.messages.reservationError;
+
+            WishlistAlertUtil.show(this._alertContainer, 'danger', message);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(item);
+        });
+    }
+
+    /**
+     * Put a single item with its wished quantity into the visitor's own cart
+     * @param {string} itemId
+     */
+    addItemToCart(itemId) {
+        const item = this._getItem(itemId);
+        if (!item) {
+            return;
+        }
+
+        const formData = WishlistCartUtil.createLineItemFormData([{
+            productId: item.dataset.productId,
+            quantity: this._getRequestedQuantity(item, null),
+        }]);
+
+        const offCanvasCart = WishlistCartUtil.getOffCanvasCart();
+        if (offCanvasCart) {
+            offCanvasCart.openOffCanvas(this.options.addToCartUrl, formData);
+            this.$emitter.publish('onAddedToCart', { itemIds: [itemId] });
+            return;
+        }
+
+        ElementLoadingIndicatorUtil.create(item);
+
+        fetch(this.options.addToCartUrl, {
+            method: 'POST',
+            body: formData,
+            credentials: 'same-origin',
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error(`Request failed with status ${response.status}`);
+            }
+
+            this.$emitter.publish('onAddedToCart', { itemIds: [itemId] });
+        }).catch(() => {
+            WishlistAlertUtil.show(this._alertContainer, 'danger', this.options.messages.addToCartError);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(item);
+        });
+    }
+
+    /**
+     * Quantity to reserve or buy: the own reservation when upgrading it, otherwise the quantity input
+     */
+    _getRequestedQuantity(item, trigger) {
+        if (trigger && trigger.closest(this.options.ownSelector) && item.dataset.ownQuantity) {
+            return parseInt(item.dataset.ownQuantity, 10);
+        }
+
+        const input = item.querySelector(this.options.quantitySelector);
+        const quantity = input ? parseInt(input.value, 10) : 1;
+
+        return Number.isNaN(quantity) || quantity < 1 ? 1 : quantity;
+    }
+
+    _renderState(item, state) {
+        const own = state.own;
+        const open = Math.max(0, parseInt(item.dataset.wishedQuantity, 10) - state.reserved - state.purchased);
+
+        if (own) {
+            item.dataset.ownQuantity = own.quantity;
+        } else {
+            delete item.dataset.ownQuantity;
+        }
+
+        const status = item.querySelector(this.options.statusSelector);
+        if (status) {
+            if (own) {
+                const message = own.status === 'purchased' ? this.options.messages.ownPurchased : this.options.messages.ownReserved;
+                status.textContent = message.replace('%quantity%', own.quantity);
+            } else {
+                status.textContent = open > 0
+                    ? this.options.messages.available.replace('%quantity%', open)
+                    : this.options.messages.allTaken;
+            }
+        }
+
+        const idle = item.querySelector(this.options.idleSelector);
+        if (idle) {
+            idle.hidden = !!own || open === 0;
+        }
+
+        const input = item.querySelector(this.options.quantitySelector);
+        if (input) {
+            input.max = Math.max(1, open);
+            input.value = 1;
+        }
+
+        const ownActions = item.querySelector(this.options.ownSelector);
+        if (ownActions) {
+            ownActions.hidden = !own;
+
+            const markPurchased = ownActions.querySelector('[data-reserve="purchased"]');
+            if (markPurchased) {
+                markPurchased.hidden = !own || own.status === 'purchased';
+            }
+        }
+    }
+
+    _getItem(itemId) {
+        return this.el.querySelector(`${this.options.itemSelector}[data-item-id="${itemId}"]`);
+    }
+}
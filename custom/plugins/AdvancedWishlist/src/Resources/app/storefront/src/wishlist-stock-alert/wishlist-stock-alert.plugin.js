@@ -0,0 +1,84 @@
+import Plugin from 'src/plugin-system/plugin.class';
+import ElementLoadingIndicatorUtil from 'src/utility/loading-indicator/element-loading-indicator.util';
+import WishlistApiClient from '../service/wishlist-api.client';
+import WishlistAlertUtil from '../utility/wishlist-alert.util';
+
+/**
+ * "Notify me" action of an out-of-stock wishlist detail item
+ * Switches between the subscribe button and the pending note with its cancel link.
+ */
+export default class WishlistStockAlertPlugin extends Plugin {
+    static options = {
+        wishlistId: null,
+        itemId: null,
+        apiBasePath: '/store-api/v2/wishlist',
+        csrfToken: null,
+        subscribeSelector: '[data-stock-alert-subscribe]',
+        cancelSelector: '[data-stock-alert-cancel]',
+        idleSelector: '[data-stock-alert-idle]',
+        pendingSelector: '[data-stock-alert-pending]',
+        alertContainerSelector: '.advanced-wishlist-body',
+        messages: {
+            inStock: 'The product is available again, you can order it right away.',
+            error: 'The notification could not be saved.',
+        },
+    };
+
+    init() {
+        this._client = new WishlistApiClient(this.options.apiBasePath);
+        this._alertContainer = this.el.closest(this.options.alertContainerSelector) || this.el;
+
+        this.el.addEventListener('click', this._onClick.bind(this));
+    }
+
+    _onClick(event) {
+        if (event.target.closest(this.options.subscribeSelector)) {
+            event.preventDefault();
+            this.save(true);
+            return;
+        }
+
+        if (event.target.closest(this.options.cancelSelector)) {
+            event.preventDefault();
+            this.save(false);
+        }
+    }
+
+    /**
+     * @param {boolean} active - Subscribe (true) or cancel (false)
+     * @returns {Promise}
+     */
+    save(active) {
+        ElementLoadingIndicatorUtil.create(this.el);
+
+        return this._client.updateStockAlert(
+            this.options.wishlistId,
+            this.options.itemId,
+            active,
+            this.options.csrfToken
+        ).then((response) => {
+            const subscription = response.data || {};
+
+            this._renderState(!!subscription.pending);
+            this.$emitter.publish('onStockAlertSaved', { itemId: this.options.itemId, subscription });
+        }).catch((error) => {
+            const message = error.code === 'IN_STOCK' ? this.options.messages.inStock : this.options.messages.error;
+            WishlistAlertUtil.show(this._alertContainer, error.code === 'IN_STOCK' ? 'info' : 'danger', message);
+        }).finally(() => {
+            ElementLoadingIndicatorUtil.remove(this.el);
+        });
+    }
+
+    _renderState(pending) {
+        const idle = this.el.querySelector(this.options.idleSelector);
+        const pendingNote = this.el.querySelector(this.options.pendingSelector);
+
+        if (idle) {
+            idle.hidden = pending;
+        }
+
+        if (pendingNote) {
+            pendingNote.hidden = !pending;
+        }
+    }
+}
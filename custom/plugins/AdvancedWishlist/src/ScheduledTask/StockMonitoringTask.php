@@ -0,0 +1,20 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\ScheduledTask;
+
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTask;
+
+class StockMonitoringTask extends ScheduledTask
+{
+    public static function getTaskName(): string
+    {
+        return 'advanced_wishlist.stock_monitoring_task';
+    }
+
+    public static function getDefaultInterval(): int
+    {
+        return 900; // Every 15 minutes
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\ScheduledTask;
+
+use AdvancedWishlist\Core\Service\StockMonitorService;
+use Psr\Log\LoggerInterface;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\MessageQueue\ScheduledTask\ScheduledTaskHandler;
+use Symfony\Component\Messenger\Attribute\AsMessageHandler;
+
+#[AsMessageHandler(handles: StockMonitoringTask::class)]
+class StockMonitoringTaskHandler extends ScheduledTaskHandler
+{
+    private StockMonitorService $stockMonitorService;
+
+    public function __construct(
+        EntityRepository $scheduledTaskRepository,
+        StockMonitorService $stockMonitorService,
+        LoggerInterface $logger,
+    ) {
+        parent::__construct($scheduledTaskRepository, $logger);
+        $this->stockMonitorService = $stockMonitorService;
+    }
+
+    public function run(): void
+    {
+        // Mails the owners of subscribed items whose product is back in stock
+        $this->stockMonitorService->checkStockAlerts(Context::createDefaultContext());
+    }
+}
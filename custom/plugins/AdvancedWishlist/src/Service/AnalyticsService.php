@@ -4,66 +4,393 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Service;
 
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Defaults;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\AggregationResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\Bucket\DateHistogramResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\Bucket\TermsResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\AggregationResult\Metric\SumResult;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Aggregation\Bucket\DateHistogramAggregation;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Aggregation\Bucket\TermsAggregation;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Aggregation\Metric\SumAggregation;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
-use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\CountSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
 
+/**
+ * Wishlist analytics for the administration, computed from the wishlists, their items and shares
+ * and from the orders of wishlist owners.
+ * A conversion is an order containing a product the customer had put on one of their wishlists before ordering.
+ */
 class AnalyticsService
 {
+    public const string INTERVAL_DAY = 'day';
+    public const string INTERVAL_WEEK = 'week';
+    public const string INTERVAL_MONTH = 'month';
+    public const array INTERVALS = [self::INTERVAL_DAY, self::INTERVAL_WEEK, self::INTERVAL_MONTH];
+
     private EntityRepository $wishlistRepository;
     private EntityRepository $wishlistShareViewRepository;
-    private EntityRepository $wishlistAnalyticsRepository;
+    private EntityRepository $wishlistShareRepository;
+    private EntityRepository $wishlistItemRepository;
+    private EntityRepository $productRepository;
+    private Connection $connection;
 
     public function __construct(
         EntityRepository $wishlistRepository,
         EntityRepository $wishlistShareViewRepository,
-        EntityRepository $wishlistAnalyticsRepository,
+        EntityRepository $wishlistShareRepository,
+        EntityRepository $wishlistItemRepository,
+        EntityRepository $productRepository,
+        Connection $connection,
     ) {
         $this->wishlistRepository = $wishlistRepository;
         $this->wishlistShareViewRepository = $wishlistShareViewRepository;
-        $this->wishlistAnalyticsRepository = $wishlistAnalyticsRepository;
+        $this->wishlistShareRepository = $wishlistShareRepository;
+        $this->wishlistItemRepository = $wishlistItemRepository;
+        $this->productRepository = $productRepository;
+        $this->connection = $connection;
     }
 
     /**
-     * Track wishlist creation for analytics
-     * This method is called asynchronously via Symfony Messenger.
+     * Totals for the dashboard header, limited to the given date range if one is passed.
      */
-    public function trackWishlistCreation(string $wishlistId, string $customerId, Context $context): void
+    public function getAnalyticsSummary(Context $context, ?\DateTimeInterface $from = null, ?\DateTimeInterface $to = null): array
     {
-        // Create an analytics entry for the new wishlist
-        $this->wishlistAnalyticsRepository->create([
-            [
-                'id' => \Shopware\Core\Framework\Uuid\Uuid::randomHex(),
-                'wishlistId' => $wishlistId,
-                'customerId' => $customerId,
-                'eventType' => 'creation',
-                'eventDate' => (new \DateTime())->format(\DateTimeInterface::ATOM),
-                'data' => json_encode([
-                    'source' => 'api',
-                    'timestamp' => time(),
-                ]),
-            ],
-        ], $context);
-    }
+        $wishlistCriteria = $this->createRangeCriteria('createdAt', $from, $to);
+        $wishlistCriteria->setLimit(1);
+        $wishlistCriteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+        $totalWishlists = $this->wishlistRepository->searchIds($wishlistCriteria, $context)->getTotal();
 
-    public function getSummary(Context $context): array
-    {
-        $totalWishlists = $this->wishlistRepository->search(new Criteria(), $context)->getTotal();
-        $totalShares = $this->wishlistShareViewRepository->search(new Criteria(), $context)->getTotal();
+        $itemCriteria = $this->createRangeCriteria('addedAt', $from, $to);
+        $itemCriteria->setLimit(1);
+        $itemCriteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+        $itemCriteria->addAggregation(new SumAggregation('quantity', 'quantity'));
+        $itemResult = $this->wishlistItemRepository->search($itemCriteria, $context);
 
-        $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('conversions', 1)); // Assuming a conversion is marked by conversions = 1
-        $totalConversions = $this->wishlistAnalyticsRepository->search($criteria, $context)->getTotal();
+        $shareCriteria = $this->createRangeCriteria('createdAt', $from, $to);
+        $shareCriteria->setLimit(1);
+        $shareCriteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        // A line item whose product is on several wishlists of the customer counts once
+        [$conversionSql, $parameters] = $this->buildConversionQuery($from, $to);
+        $conversions = $this->connection->fetchAssociative(
+            'SELECT COUNT(DISTINCT conversion.`order_id`) AS `orders`, COALESCE(SUM(conversion.`total_price`), 0) AS `value` '
+            .'FROM (SELECT DISTINCT line_item.`id`, line_item.`order_id`, line_item.`total_price` '.$conversionSql.') conversion',
+            $parameters
+        ) ?: [];
 
-        // This is a placeholder. A proper implementation would sum item counts from wishlists.
-        $totalItems = 0;
+        $shareViewCriteria = $this->createRangeCriteria('viewedAt', $from, $to);
+        $shareViewCriteria->setLimit(1);
+        $shareViewCriteria->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
 
         return [
             'totalWishlists' => $totalWishlists,
-            'totalItems' => $totalItems,
-            'totalShares' => $totalShares,
-            'totalConversions' => $totalConversions,
+            'totalItems' => $itemResult->getTotal(),
+            'totalQuantity' => (int) $this->getSum($itemResult->getAggregations()->get('quantity')),
+            'totalShareViews' => $this->wishlistShareViewRepository->searchIds($shareViewCriteria, $context)->getTotal(),
+            'totalShares' => $this->wishlistShareRepository->searchIds($shareCriteria, $context)->getTotal(),
+            'totalConversions' => (int) ($conversions['orders'] ?? 0),
+            'conversionValue' => round((float) ($conversions['value'] ?? 0), 2),
+        ];
+    }
+
+    /**
+     * Wishlists created, items added, shares and conversions per day, week or month.
+     * Periods without activity are returned with zero values so the chart has no gaps.
+     *
+     * @return list<array{date: string, wishlists: int, items: int, shares: int, conversions: int}>
+     */
+    public function getTimeSeries(Context $context, \DateTimeInterface $from, \DateTimeInterface $to, string $interval = self::INTERVAL_DAY): array
+    {
+        if (!\in_array($interval, self::INTERVALS, true)) {
+            throw new \InvalidArgumentException(\sprintf('Unsupported interval "%s"', $interval));
+        }
+
+        $wishlistCriteria = $this->createRangeCriteria('createdAt', $from, $to);
+        $wishlistCriteria->addAggregation(new DateHistogramAggregation('wishlists', 'createdAt', $interval));
+        $wishlists = $this->wishlistRepository->aggregate($wishlistCriteria, $context);
+
+        $itemCriteria = $this->createRangeCriteria('addedAt', $from, $to);
+        $itemCriteria->addAggregation(new DateHistogramAggregation('items', 'addedAt', $interval));
+        $items = $this->wishlistItemRepository->aggregate($itemCriteria, $context);
+
+        $shareCriteria = $this->createRangeCriteria('createdAt', $from, $to);
+        $shareCriteria->addAggregation(new DateHistogramAggregation('shares', 'createdAt', $interval));
+        $shares = $this->wishlistShareRepository->aggregate($shareCriteria, $context);
+
+        [$conversionSql, $parameters] = $this->buildConversionQuery($from, $to);
+        $conversions = $this->connection->fetchAllKeyValue(
+            'SELECT DATE(ord.`order_date_time`) AS `date`, COUNT(DISTINCT ord.`id`) '.$conversionSql.' GROUP BY `date`',
+            $parameters
+        );
+
+        $series = [];
+        foreach ($this->createPeriods($from, $to, $interval) as $date) {
+            $series[$date] = ['date' => $date, 'wishlists' => 0, 'items' => 0, 'shares' => 0, 'conversions' => 0];
+        }
+
+        $this->mergeHistogram($series, 'wishlists', $wishlists->get('wishlists'));
+        $this->mergeHistogram($series, 'items', $items->get('items'));
+        $this->mergeHistogram($series, 'shares', $shares->get('shares'));
+
+        // Orders have one date each, so the daily counts add up to the count of a week or month
+        foreach ($conversions as $date => $count) {
+            $period = $this->getPeriodStart(new \DateTimeImmutable($date), $interval)->format('Y-m-d');
+            if (isset($series[$period])) {
+                $series[$period]['conversions'] += (int) $count;
+            }
+        }
+
+        return array_values($series);
+    }
+
+    /**
+     * Products that were added to the most wishlists within the date range.
+     *
+     * @return list<array{productId: string, productNumber: ?string, name: ?string, wishlistCount: int}>
+     */
+    public function getTopProducts(Context $context, ?\DateTimeInterface $from = null, ?\DateTimeInterface $to = null, int $limit = 10): array
+    {
+        $criteria = $this->createRangeCriteria('addedAt', $from, $to);
+        $criteria->addAggregation(new TermsAggregation(
+            'products',
+            'productId',
+            max(1, $limit),
+            new CountSorting('productId', CountSorting::DESCENDING)
+        ));
+
+        $aggregation = $this->wishlistItemRepository->aggregate($criteria, $context)->get('products');
+        if (!$aggregation instanceof TermsResult) {
+            return [];
+        }
+
+        $counts = [];
+        foreach ($aggregation->getBuckets() as $bucket) {
+            $counts[$bucket->getKey()] = $bucket->getCount();
+        }
+
+        if ($counts === []) {
+            return [];
+        }
+
+        $products = $this->productRepository->search(new Criteria(array_keys($counts)), $context)->getEntities();
+
+        $topProducts = [];
+        foreach ($counts as $productId => $count) {
+            $product = $products->get($productId);
+
+            $topProducts[] = [
+                'productId' => $productId,
+                'productNumber' => $product?->getProductNumber(),
+                'name' => $product?->getTranslation('name') ?? $product?->getName(),
+                'wishlistCount' => $count,
+            ];
+        }
+
+        return $topProducts;
+    }
+
+    /**
+     * Wishlist-to-order funnel for wishlists created within the date range:
+     * created, filled with at least one item, shared and converted into an order.
+     *
+     * @return list<array{step: string, count: int, rate: float}>
+     */
+    public function getConversionFunnel(Context $context, ?\DateTimeInterface $from = null, ?\DateTimeInterface $to = null): array
+    {
+        $created = $this->createRangeCriteria('createdAt', $from, $to);
+        $created->setLimit(1);
+        $created->setTotalCountMode(Criteria::TOTAL_COUNT_MODE_EXACT);
+
+        $withItems = clone $created;
+        $withItems->addFilter(new RangeFilter('itemCount', [RangeFilter::GT => 0]));
+
+        $counts = [
+            'created' => $this->wishlistRepository->searchIds($created, $context)->getTotal(),
+            'withItems' => $this->wishlistRepository->searchIds($withItems, $context)->getTotal(),
+            'shared' => $this->countSharedWishlists($context, $from, $to),
+            'converted' => $this->countConvertedWishlists($from, $to),
         ];
+
+        $funnel = [];
+        foreach ($counts as $step => $count) {
+            $funnel[] = [
+                'step' => $step,
+                'count' => $count,
+                'rate' => $counts['created'] > 0 ? round($count / $counts['created'] * 100, 2) : 0.0,
+            ];
+        }
+
+        return $funnel;
+    }
+
+    private function countSharedWishlists(Context $context, ?\DateTimeInterface $from, ?\DateTimeInterface $to): int
+    {
+        $criteria = $this->createRangeCriteria('createdAt', $from, $to);
+
+        // Only wishlists of the funnel's first step count, activity on older wishlists is ignored
+        $createdRange = $this->createRange($from, $to, Defaults::STORAGE_DATE_TIME_FORMAT);
+        if ($createdRange !== []) {
+            $criteria->addFilter(new RangeFilter('wishlist.createdAt', $createdRange));
+        }
+
+        $criteria->addAggregation(new TermsAggregation('wishlists', 'wishlistId'));
+
+        $aggregation = $this->wishlistShareRepository->aggregate($criteria, $context)->get('wishlists');
+
+        return $aggregation instanceof TermsResult ? \count($aggregation->getBuckets()) : 0;
+    }
+
+    private function countConvertedWishlists(?\DateTimeInterface $from, ?\DateTimeInterface $to): int
+    {
+        [$conversionSql, $parameters] = $this->buildConversionQuery($from, $to);
+
+        // Same restriction to the funnel's first step as for shared wishlists
+        $createdRange = $this->createRange($from, $to, Defaults::STORAGE_DATE_TIME_FORMAT);
+        if (isset($createdRange[RangeFilter::GTE])) {
+            $conversionSql .= ' AND wishlist.`created_at` >= :createdFrom';
+            $parameters['createdFrom'] = $createdRange[RangeFilter::GTE];
+        }
+        if (isset($createdRange[RangeFilter::LTE])) {
+            $conversionSql .= ' AND wishlist.`created_at` <= :createdTo';
+            $parameters['createdTo'] = $createdRange[RangeFilter::LTE];
+        }
+
+        return (int) $this->connection->fetchOne('SELECT COUNT(DISTINCT wishlist.`id`) '.$conversionSql, $parameters);
+    }
+
+    /**
+     * FROM and WHERE part for conversions: line items of live orders placed within the date range
+     * whose product was on a wishlist of the ordering customer before the order.
+     *
+     * @return array{0: string, 1: array<string, string>} SQL and its parameters
+     */
+    private function buildConversionQuery(?\DateTimeInterface $from, ?\DateTimeInterface $to): array
+    {
+        $sql = <<<'SQL'
+            FROM `order_line_item` line_item
+            INNER JOIN `order` ord
+                ON ord.`id` = line_item.`order_id` AND ord.`version_id` = line_item.`order_version_id`
+            INNER JOIN `order_customer` order_customer
+                ON order_customer.`order_id` = ord.`id` AND order_customer.`order_version_id` = ord.`version_id`
+            INNER JOIN `wishlist` wishlist
+                ON wishlist.`customer_id` = order_customer.`customer_id`
+            INNER JOIN `wishlist_item` item
+                ON item.`wishlist_id` = wishlist.`id`
+                AND item.`product_id` = line_item.`product_id`
+                AND item.`added_at` <= ord.`order_date_time`
+            WHERE ord.`version_id` = :versionId
+            SQL;
+
+        $parameters = ['versionId' => Uuid::fromHexToBytes(Defaults::LIVE_VERSION)];
+
+        $range = $this->createRange($from, $to, Defaults::STORAGE_DATE_TIME_FORMAT);
+        if (isset($range[RangeFilter::GTE])) {
+            $sql .= ' AND ord.`order_date_time` >= :from';
+            $parameters['from'] = $range[RangeFilter::GTE];
+        }
+        if (isset($range[RangeFilter::LTE])) {
+            $sql .= ' AND ord.`order_date_time` <= :to';
+            $parameters['to'] = $range[RangeFilter::LTE];
+        }
+
+        return [$sql, $parameters];
+    }
+
+    private function createRangeCriteria(
+        string $field,
+        ?\DateTimeInterface $from,
+        ?\DateTimeInterface $to,
+        string $format = Defaults::STORAGE_DATE_TIME_FORMAT,
+    ): Criteria {
+        $criteria = new Criteria();
+
+        $range = $this->createRange($from, $to, $format);
+        if ($range !== []) {
+            $criteria->addFilter(new RangeFilter($field, $range));
+        }
+
+        return $criteria;
+    }
+
+    /**
+     * @return array<string, string>
+     */
+    private function createRange(?\DateTimeInterface $from, ?\DateTimeInterface $to, string $format): array
+    {
+        $range = [];
+
+        if ($from !== null) {
+            $range[RangeFilter::GTE] = \DateTimeImmutable::createFromInterface($from)->setTime(0, 0)->format($format);
+        }
+
+        if ($to !== null) {
+            $range[RangeFilter::LTE] = \DateTimeImmutable::createFromInterface($to)->setTime(23, 59, 59)->format($format);
+        }
+
+        return $range;
+    }
+
+    /**
+     * @return list<string>
+     */
+    private function createPeriods(\DateTimeInterface $from, \DateTimeInterface $to, string $interval): array
+    {
+        $start = $this->getPeriodStart(\DateTimeImmutable::createFromInterface($from), $interval);
+
+        $step = match ($interval) {
+            self::INTERVAL_WEEK => new \DateInterval('P1W'),
+            self::INTERVAL_MONTH => new \DateInterval('P1M'),
+            default => new \DateInterval('P1D'),
+        };
+
+        $end = \DateTimeImmutable::createFromInterface($to)->setTime(23, 59, 59);
+
+        $periods = [];
+        foreach (new \DatePeriod($start, $step, $end) as $date) {
+            $periods[] = $date->format('Y-m-d');
+        }
+
+        return $periods;
+    }
+
+    private function getPeriodStart(\DateTimeImmutable $date, string $interval): \DateTimeImmutable
+    {
+        $date = $date->setTime(0, 0);
+
+        return match ($interval) {
+            self::INTERVAL_WEEK => $date->modify('monday this week'),
+            self::INTERVAL_MONTH => $date->modify('first day of this month'),
+            default => $date,
+        };
+    }
+
+    /**
+     * @param array<string, array<string, int|string>> $series
+     */
+    private function mergeHistogram(array &$series, string $name, ?AggregationResult $histogram): void
+    {
+        if (!$histogram instanceof DateHistogramResult) {
+            return;
+        }
+
+        foreach ($histogram->getBuckets() as $bucket) {
+            $date = (new \DateTimeImmutable($bucket->getKey()))->format('Y-m-d');
+            if (!isset($series[$date])) {
+                continue;
+            }
+
+            $result = $bucket->getResult();
+            $series[$date][$name] += $result instanceof SumResult ? (int) $result->getSum() : $bucket->getCount();
+        }
+    }
+
+    private function getSum(?AggregationResult $result): float
+    {
+        return $result instanceof SumResult ? (float) $result->getSum() : 0.0;
     }
 }
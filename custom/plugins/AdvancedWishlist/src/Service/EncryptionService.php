@@ -73,4 +73,16 @@ class EncryptionService
     {
         return \Shopware\Core\Framework\Uuid\Uuid::randomHex();
     }
+
+    /**
+     * Hashes a share token for lookups, encrypted tokens cannot be searched.
+     *
+     * @param string $token The plain token
+     *
+     * @return string The SHA-256 hash as hex string
+     */
+    public function hashToken(string $token): string
+    {
+        return hash('sha256', $token);
+    }
 }
@@ -4,28 +4,177 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Service;
 
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\Content\WishlistPriceAlertNotification\WishlistPriceAlertNotificationEntity;
 use Psr\Log\LoggerInterface;
+use Shopware\Core\Checkout\Customer\CustomerEntity;
+use Shopware\Core\Content\Mail\Service\AbstractMailService;
+use Shopware\Core\Content\MailTemplate\MailTemplateEntity;
 use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Uuid\Uuid;
 
 class NotificationService
 {
+    public const PRICE_ALERT_MAIL_TYPE = 'advanced_wishlist.price_alert';
+    public const BACK_IN_STOCK_MAIL_TYPE = 'advanced_wishlist.back_in_stock';
+
     private LoggerInterface $logger;
+    private AbstractMailService $mailService;
+    private EntityRepository $mailTemplateRepository;
+    private EntityRepository $priceAlertNotificationRepository;
 
-    public function __construct(LoggerInterface $logger)
-    {
+    public function __construct(
+        LoggerInterface $logger,
+        AbstractMailService $mailService,
+        EntityRepository $mailTemplateRepository,
+        EntityRepository $priceAlertNotificationRepository,
+    ) {
         $this->logger = $logger;
+        $this->mailService = $mailService;
+        $this->mailTemplateRepository = $mailTemplateRepository;
+        $this->priceAlertNotificationRepository = $priceAlertNotificationRepository;
     }
 
-    public function sendPriceAlertNotification(string $productId, float $oldPrice, float $newPrice, Context $context): void
+    /**
+     * Mail the wishlist owner about a price drop and record the attempt in the send history.
+     * The item needs `product` and `wishlist.customer` loaded.
+     *
+     * @return bool Whether the mail was sent
+     */
+    public function sendPriceAlertNotification(
+        WishlistItemEntity $item,
+        float $oldPrice,
+        float $newPrice,
+        Context $context,
+        bool $isTest = false,
+    ): bool {
+        $wishlist = $item->getWishlist();
+        $customer = $wishlist?->getCustomer();
+        $error = null;
+
+        try {
+            $this->sendItemMail(self::PRICE_ALERT_MAIL_TYPE, $item, $customer, [
+                'oldPrice' => $oldPrice,
+                'newPrice' => $newPrice,
+                'isTest' => $isTest,
+            ], $context);
+        } catch (\Exception $e) {
+            $error = $e->getMessage();
+
+            $this->logger->error('Failed to send price alert notification', [
+                'itemId' => $item->getUniqueIdentifier(),
+                'productId' => $item->productId,
+                'error' => $error,
+            ]);
+        }
+
+        $this->priceAlertNotificationRepository->create([[
+            'id' => Uuid::randomHex(),
+            'wishlistItemId' => $item->getUniqueIdentifier(),
+            'wishlistId' => $item->wishlistId,
+            'customerId' => $customer?->getId(),
+            'productId' => $item->productId,
+            'recipient' => $customer?->getEmail(),
+            'threshold' => $item->getPriceAlertThreshold(),
+            'oldPrice' => $oldPrice,
+            'newPrice' => $newPrice,
+            'isTest' => $isTest,
+            'status' => null === $error
+                ? WishlistPriceAlertNotificationEntity::STATUS_SENT
+                : WishlistPriceAlertNotificationEntity::STATUS_FAILED,
+            'error' => null !== $error ? mb_substr($error, 0, 500) : null,
+            // Names are kept for the history, the item, product or wishlist may be gone later
+            'payload' => [
+                'productName' => $item->getProduct()?->getTranslation('name') ?? $item->getProduct()?->getName(),
+                'productNumber' => $item->getProduct()?->getProductNumber(),
+                'wishlistName' => $wishlist?->name,
+                'customerName' => $customer ? $customer->getFirstName().' '.$customer->getLastName() : null,
+            ],
+        ]], $context);
+
+        return null === $error;
+    }
+
+    /**
+     * Mail the wishlist owner that an item is back in stock.
+     * The item needs `product` and `wishlist.customer` loaded.
+     *
+     * @return bool Whether the mail was sent
+     */
+    public function sendBackInStockNotification(WishlistItemEntity $item, int $stock, Context $context): bool
     {
-        // TODO: Implement actual notification logic (e.g., email, in-app notification)
-        $this->logger->info(
-            sprintf(
-                'Price alert for product %s: Price changed from %f to %f',
-                $productId,
-                $oldPrice,
-                $newPrice
-            )
-        );
+        try {
+            $this->sendItemMail(self::BACK_IN_STOCK_MAIL_TYPE, $item, $item->getWishlist()?->getCustomer(), [
+                'stock' => $stock,
+            ], $context);
+        } catch (\Exception $e) {
+            $this->logger->error('Failed to send back-in-stock notification', [
+                'itemId' => $item->getUniqueIdentifier(),
+                'productId' => $item->productId,
+                'error' => $e->getMessage(),
+            ]);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Render and send a mail template about a wishlist item to the wishlist owner.
+     *
+     * @param array<string, mixed> $templateData Variables on top of customer, wishlist, wishlistItem and product
+     *
+     * @throws \RuntimeException When there is nobody to notify, the template is missing or the mail was not sent
+     */
+    private function sendItemMail(
+        string $technicalName,
+        WishlistItemEntity $item,
+        ?CustomerEntity $customer,
+        array $templateData,
+        Context $context,
+    ): void {
+        if (!$customer) {
+            throw new \RuntimeException('The wishlist has no customer to notify');
+        }
+
+        $template = $this->getMailTemplate($technicalName, $context);
+        if (!$template) {
+            throw new \RuntimeException(\sprintf('Mail template "%s" not found', $technicalName));
+        }
+
+        $wishlist = $item->getWishlist();
+
+        $data = [
+            'recipients' => [$customer->getEmail() => $customer->getFirstName().' '.$customer->getLastName()],
+            'senderName' => $template->getTranslation('senderName'),
+            'salesChannelId' => $wishlist?->salesChannelId ?? $customer->getSalesChannelId(),
+            'subject' => $template->getTranslation('subject'),
+            'contentHtml' => $template->getTranslation('contentHtml'),
+            'contentPlain' => $template->getTranslation('contentPlain'),
+        ];
+
+        $message = $this->mailService->send($data, $context, [
+            'customer' => $customer,
+            'wishlist' => $wishlist,
+            'wishlistItem' => $item,
+            'product' => $item->getProduct(),
+        ] + $templateData);
+
+        if (null === $message) {
+            throw new \RuntimeException('The mail was not sent');
+        }
+    }
+
+    private function getMailTemplate(string $technicalName, Context $context): ?MailTemplateEntity
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('mailTemplateType.technicalName', $technicalName));
+        $criteria->setLimit(1);
+
+        return $this->mailTemplateRepository->search($criteria, $context)->first();
     }
 }
@@ -4,64 +4,273 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Service;
 
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareCollection;
 use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Core\Exception\SharePasswordRequiredException;
+use Doctrine\DBAL\Connection;
+use Shopware\Core\Defaults;
 use Shopware\Core\Framework\Context;
 use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\MultiFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\RangeFilter;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
 
 class ShareService
 {
     private EntityRepository $wishlistShareRepository;
     private EncryptionService $encryptionService;
+    private Connection $connection;
 
     public function __construct(
         EntityRepository $wishlistShareRepository,
         EncryptionService $encryptionService,
+        Connection $connection,
     ) {
         $this->wishlistShareRepository = $wishlistShareRepository;
         $this->encryptionService = $encryptionService;
+        $this->connection = $connection;
     }
 
-    public function createShare(string $wishlistId, Context $context): WishlistShareEntity
+    /**
+     * Create a share with a server generated token.
+     *
+     * @param array<string, mixed> $options Optional type, active, expiresAt, settings, maxViews and plain password of the share
+     */
+    public function createShare(string $wishlistId, Context $context, array $options = []): WishlistShareEntity
     {
+        $shareId = Uuid::randomHex();
         $token = $this->encryptionService->generateToken();
-        $encryptedToken = $this->encryptionService->encrypt($token);
 
         $data = [
+            'id' => $shareId,
             'wishlistId' => $wishlistId,
-            'token' => $encryptedToken,
-            'type' => 'link',
-            'active' => true,
+            'token' => $this->encryptionService->encrypt($token),
+            'tokenHash' => $this->encryptionService->hashToken($token),
+            'type' => $options['type'] ?? 'link',
+            'active' => $options['active'] ?? true,
+            'expiresAt' => $options['expiresAt'] ?? null,
+            'settings' => $options['settings'] ?? null,
+            'password' => $this->hashPassword($options['password'] ?? null),
+            'maxViews' => $options['maxViews'] ?? null,
             'views' => 0,
             'uniqueViews' => 0,
             'conversions' => 0,
+            'createdAt' => (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT),
         ];
 
         $this->wishlistShareRepository->create([$data], $context);
 
-        return $this->getShareByToken($token, $context);
+        return $this->getShare($shareId, $context);
     }
 
-    public function getShareByToken(string $token, Context $context): ?WishlistShareEntity
+    /**
+     * Write payload of a copy of the share for another wishlist. The copy gets its own token and starts without statistics.
+     *
+     * @return array<string, mixed>
+     */
+    public function buildShareCopy(WishlistShareEntity $share, string $wishlistId): array
+    {
+        $token = $this->encryptionService->generateToken();
+
+        return [
+            'id' => Uuid::randomHex(),
+            'wishlistId' => $wishlistId,
+            'token' => $this->encryptionService->encrypt($token),
+            'tokenHash' => $this->encryptionService->hashToken($token),
+            'type' => $share->getType(),
+            'platform' => $share->getPlatform(),
+            'active' => $share->isActive(),
+            'password' => $share->getPassword(),
+            'expiresAt' => $share->getExpiresAt()?->format(Defaults::STORAGE_DATE_TIME_FORMAT),
+            'settings' => $share->getSettings(),
+            'maxViews' => $share->getMaxViews(),
+            'views' => 0,
+            'uniqueViews' => 0,
+            'conversions' => 0,
+            'createdAt' => (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT),
+        ];
+    }
+
+    public function getShare(string $shareId, Context $context): ?WishlistShareEntity
+    {
+        return $this->wishlistShareRepository->search(new Criteria([$shareId]), $context)->first();
+    }
+
+    /**
+     * All shares of a wishlist that have not been revoked, newest first.
+     */
+    public function getSharesForWishlist(string $wishlistId, Context $context): WishlistShareCollection
     {
         $criteria = new Criteria();
-        $criteria->addFilter(new EqualsFilter('token', $this->encryptionService->encrypt($token)));
+        $criteria->addFilter(new EqualsFilter('wishlistId', $wishlistId));
+        $criteria->addFilter(new EqualsFilter('revokedAt', null));
+        $criteria->addSorting(new FieldSorting('createdAt', FieldSorting::DESCENDING));
 
-        return $this->wishlistShareRepository->search($criteria, $context)->first();
+        /** @var WishlistShareCollection $shares */
+        $shares = $this->wishlistShareRepository->search($criteria, $context)->getEntities();
+
+        return $shares;
+    }
+
+    /**
+     * Resolve a share link token. Deactivated, revoked and expired shares no longer resolve.
+     *
+     * An access to a share the visitor was not granted yet needs the password of protected shares and uses up a view.
+     * The wishlist owner opening their own link needs neither, and their access is not counted.
+     * Once a limited share is out of views it only resolves for visitors granted before.
+     * Single-use shares are revoked by their first access instead, so they no longer resolve at all.
+     *
+     * @param string[]                                                                                                        $grantedShareIds Shares the visitor already opened, e.g. earlier in the same session
+     * @param array{visitorId?: ?string, customerId?: ?string, ipAddress?: ?string, userAgent?: ?string, referrer?: ?string} $viewer          Visitor a counted view is logged for
+     *
+     * @throws SharePasswordRequiredException When the share is protected and the password is missing or wrong
+     */
+    public function getShareByToken(
+        string $token,
+        Context $context,
+        ?string $password = null,
+        array $grantedShareIds = [],
+        array $viewer = [],
+    ): ?WishlistShareEntity {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('tokenHash', $this->encryptionService->hashToken($token)));
+        $criteria->addAssociation('wishlist');
+        $criteria->addFilter(new EqualsFilter('active', true));
+        $criteria->addFilter(new EqualsFilter('revokedAt', null));
+        $criteria->addFilter(new MultiFilter(MultiFilter::CONNECTION_OR, [
+            new EqualsFilter('expiresAt', null),
+            new RangeFilter('expiresAt', [
+                RangeFilter::GT => (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT),
+            ]),
+        ]));
+
+        /** @var WishlistShareEntity|null $share */
+        $share = $this->wishlistShareRepository->search($criteria, $context)->first();
+
+        if (!$share || \in_array($share->getUniqueIdentifier(), $grantedShareIds, true)) {
+            return $share;
+        }
+
+        if (null !== ($viewer['customerId'] ?? null) && $share->getWishlist()?->getCustomerId() === $viewer['customerId']) {
+            return $share;
+        }
+
+        if ($share->isProtected() && (null === $password || !password_verify($password, $share->getPassword()))) {
+            throw new SharePasswordRequiredException('This shared wishlist is password protected', [
+                'invalid' => null !== $password,
+            ]);
+        }
+
+        return $this->registerView($share, $viewer) ? $share : null;
+    }
+
+    /**
+     * The plain token of a share, as used in the share link.
+     */
+    public function getPlainToken(WishlistShareEntity $share): string
+    {
+        return $this->encryptionService->decrypt($share->getToken());
     }
 
     public function updateShare(string $shareId, array $data, Context $context): void
     {
+        if (\array_key_exists('password', $data)) {
+            $data['password'] = $this->hashPassword($data['password']);
+        }
+
         if (isset($data['token'])) {
+            $data['tokenHash'] = $this->encryptionService->hashToken($data['token']);
             $data['token'] = $this->encryptionService->encrypt($data['token']);
         }
 
         $this->wishlistShareRepository->update([array_merge(['id' => $shareId], $data)], $context);
     }
 
+    /**
+     * Deactivate a share for good. The share is kept for its view and conversion statistics.
+     */
+    public function revokeShare(string $shareId, Context $context): void
+    {
+        $this->wishlistShareRepository->update([[
+            'id' => $shareId,
+            'active' => false,
+            'revokedAt' => (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT),
+        ]], $context);
+    }
+
     public function deleteShare(string $shareId, Context $context): void
     {
         $this->wishlistShareRepository->delete([['id' => $shareId]], $context);
     }
+
+    /**
+     * Count a view unless the share is out of views. Check and increment are one statement,
+     * so concurrent requests cannot open a single-use link twice. The view of a single-use share also revokes it.
+     * Views of a known visitor are also logged in `wishlist_share_view`.
+     */
+    private function registerView(WishlistShareEntity $share, array $viewer): bool
+    {
+        $now = (new \DateTimeImmutable())->format(Defaults::STORAGE_DATE_TIME_FORMAT);
+
+        $affected = $this->connection->executeStatement(
+            'UPDATE `wishlist_share`
+             SET `views` = `views` + 1, `last_viewed_at` = :now,
+                 `active` = IF(`max_views` = 1, 0, `active`),
+                 `revoked_at` = IF(`max_views` = 1, :now, `revoked_at`)
+             WHERE `id` = :id AND (`max_views` IS NULL OR `views` < `max_views`)',
+            [
+                'id' => Uuid::fromHexToBytes($share->getUniqueIdentifier()),
+                'now' => $now,
+            ]
+        );
+
+        if (0 === $affected) {
+            return false;
+        }
+
+        if (null !== ($viewer['visitorId'] ?? null)) {
+            $this->logView($share, $viewer, $now);
+        }
+
+        return true;
+    }
+
+    /**
+     * Keep the first view of every visitor, which makes it a unique view of the share.
+     */
+    private function logView(WishlistShareEntity $share, array $viewer, string $viewedAt): void
+    {
+        $shareId = Uuid::fromHexToBytes($share->getUniqueIdentifier());
+
+        $inserted = $this->connection->executeStatement(
+            'INSERT IGNORE INTO `wishlist_share_view`
+                (`id`, `share_id`, `visitor_id`, `customer_id`, `ip_address`, `user_agent`, `referrer`, `purchased`, `viewed_at`)
+             VALUES (:id, :shareId, :visitorId, :customerId, :ipAddress, :userAgent, :referrer, 0, :viewedAt)',
+            [
+                'id' => Uuid::randomBytes(),
+                'shareId' => $shareId,
+                'visitorId' => $viewer['visitorId'],
+                'customerId' => isset($viewer['customerId']) ? Uuid::fromHexToBytes($viewer['customerId']) : null,
+                'ipAddress' => $viewer['ipAddress'] ?? null,
+                'userAgent' => isset($viewer['userAgent']) ? mb_substr($viewer['userAgent'], 0, 500) : null,
+                'referrer' => isset($viewer['referrer']) ? mb_substr($viewer['referrer'], 0, 500) : null,
+                'viewedAt' => $viewedAt,
+            ]
+        );
+
+        if ($inserted > 0) {
+            $this->connection->executeStatement(
+                'UPDATE `wishlist_share` SET `unique_views` = `unique_views` + 1 WHERE `id` = :id',
+                ['id' => $shareId]
+            );
+        }
+    }
+
+    private function hashPassword(?string $password): ?string
+    {
+        return null !== $password && '' !== $password ? password_hash($password, \PASSWORD_DEFAULT) : null;
+    }
 }
@@ -0,0 +1,159 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Storefront\Controller;
+
+use AdvancedWishlist\Core\Exception\SharePasswordRequiredException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Exception\WishlistShareNotFoundException;
+use AdvancedWishlist\Core\Security\RateLimitService;
+use AdvancedWishlist\Core\Service\GuestIdentifierService;
+use AdvancedWishlist\Core\Service\WishlistReservationService;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\System\SalesChannel\Entity\SalesChannelRepository;
+use Shopware\Core\System\SalesChannel\SalesChannelContext;
+use Shopware\Storefront\Controller\StorefrontController;
+use Shopware\Storefront\Page\GenericPageLoaderInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\Routing\Attribute\Route;
+
+/**
+ * Public page behind the share links, recipients see the items and reserve gifts if the share allows `edit`.
+ * The owner opening their own link gets the page without any reservations.
+ * Protected shares ask for the password first, the session keeps access once the link was opened.
+ * Password attempts are limited per share and IP address.
+ */
+#[Route(defaults: ['_routeScope' => ['storefront']])]
+class SharedWishlistController extends StorefrontController
+{
+    public function __construct(
+        private WishlistReservationService $reservationService,
+        private GuestIdentifierService $guestIdentifierService,
+        private SalesChannelRepository $salesChannelProductRepository,
+        private GenericPageLoaderInterface $genericPageLoader,
+        private RateLimitService $rateLimitService,
+    ) {
+    }
+
+    #[Route(
+        path: '/wishlist/shared/{token}',
+        name: 'frontend.wishlist.shared',
+        methods: ['GET']
+    )]
+    public function show(string $token, Request $request, SalesChannelContext $context): Response
+    {
+        try {
+            $share = $this->reservationService->resolveShare(
+                $token,
+                $context->getContext(),
+                $request->getSession(),
+                null,
+                $this->createViewer($request, $context)
+            );
+            $wishlist = $this->reservationService->loadSharedWishlist($share, $context->getContext());
+        } catch (SharePasswordRequiredException) {
+            return $this->renderPasswordForm($token, false, $request, $context);
+        } catch (WishlistShareNotFoundException|WishlistNotFoundException) {
+            throw $this->createNotFoundException('Shared wishlist not found');
+        }
+
+        $customerId = $context->getCustomer()?->getId();
+        $isOwner = null !== $customerId && $wishlist->getCustomerId() === $customerId;
+        $canReserve = !$isOwner && $this->reservationService->hasPermission($share, WishlistReservationService::PERMISSION_EDIT);
+
+        // Guests only get an ID once they can reserve something
+        $visitorId = $customerId ?? ($canReserve
+            ? $this->guestIdentifierService->getOrCreateGuestId($context)
+            : $this->guestIdentifierService->getGuestIdFromCookie());
+
+        $productIds = array_values(array_unique($wishlist->getItems()?->map(fn ($item) => $item->getProductId()) ?? []));
+        $products = [] !== $productIds
+            ? $this->salesChannelProductRepository->search((new Criteria($productIds))->addAssociation('cover'), $context)->getEntities()
+            : null;
+
+        $response = $this->renderStorefront('@AdvancedWishlist/storefront/page/wishlist/shared.html.twig', [
+            'page' => $this->genericPageLoader->load($request, $context),
+            'wishlist' => $wishlist,
+            'products' => $products,
+            'shareToken' => $token,
+            'permissions' => $this->reservationService->getPermissions($share),
+            'isOwner' => $isOwner,
+            'canReserve' => $canReserve,
+            'reservations' => $isOwner ? [] : $this->reservationService->getItemStates($wishlist->getId(), $visitorId ?? '', $context->getContext()),
+        ]);
+
+        if (null === $customerId && $canReserve) {
+            $response->headers->setCookie($this->guestIdentifierService->createGuestIdCookie($visitorId));
+        }
+
+        return $response;
+    }
+
+    #[Route(
+        path: '/wishlist/shared/{token}',
+        name: 'frontend.wishlist.shared.unlock',
+        methods: ['POST']
+    )]
+    public function unlock(string $token, Request $request, SalesChannelContext $context): Response
+    {
+        if (!$this->rateLimitService->isAllowedForKey('share_password', $token.'|'.$request->getClientIp())) {
+            return $this->renderPasswordForm($token, false, $request, $context, true);
+        }
+
+        try {
+            $this->reservationService->resolveShare(
+                $token,
+                $context->getContext(),
+                $request->getSession(),
+                (string) $request->request->get('password', ''),
+                $this->createViewer($request, $context)
+            );
+        } catch (SharePasswordRequiredException) {
+            return $this->renderPasswordForm($token, true, $request, $context);
+        } catch (WishlistShareNotFoundException) {
+            throw $this->createNotFoundException('Shared wishlist not found');
+        }
+
+        return $this->redirectToRoute('frontend.wishlist.shared', ['token' => $token]);
+    }
+
+    /**
+     * Visitor logged with the share view, guests without an ID cookie are told apart by their session.
+     */
+    private function createViewer(Request $request, SalesChannelContext $context): array
+    {
+        $customerId = $context->getCustomer()?->getId();
+        $visitorId = $customerId ?? $this->guestIdentifierService->getGuestIdFromCookie();
+
+        if (null === $visitorId && $request->hasSession()) {
+            $visitorId = '' !== $request->getSession()->getId() ? hash('sha256', $request->getSession()->getId()) : null;
+        }
+
+        return $this->reservationService->createViewer($request, $customerId, $visitorId);
+    }
+
+    private function renderPasswordForm(
+        string $token,
+        bool $invalid,
+        Request $request,
+        SalesChannelContext $context,
+        bool $tooManyAttempts = false,
+    ): Response {
+        $response = $this->renderStorefront('@AdvancedWishlist/storefront/page/wishlist/shared-password.html.twig', [
+            'page' => $this->genericPageLoader->load($request, $context),
+            'shareToken' => $token,
+            'passwordInvalid' => $invalid,
+            'tooManyAttempts' => $tooManyAttempts,
+        ]);
+
+        if ($tooManyAttempts) {
+            $response->setStatusCode(Response::HTTP_TOO_MANY_REQUESTS);
+        } elseif ($invalid) {
+            $response->setStatusCode(Response::HTTP_FORBIDDEN);
+        }
+
+        return $response;
+    }
+}
@@ -4,15 +4,39 @@ declare(strict_types=1);
 
 namespace AdvancedWishlist\Storefront\Controller\V2;
 
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
 use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\DTO\Request\UpdateItemRequest;
 use AdvancedWishlist\Core\DTO\Request\UpdateWishlistRequest;
+use AdvancedWishlist\Core\Exception\DuplicateWishlistItemException;
+use AdvancedWishlist\Core\Exception\GuestWishlistLimitException;
+use AdvancedWishlist\Core\Exception\ItemNotReservableException;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\SharePasswordRequiredException;
+use AdvancedWishlist\Core\Exception\SharePermissionDeniedException;
+use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistShareNotFoundException;
 use AdvancedWishlist\Core\Performance\LazyObjectService;
 use AdvancedWishlist\Core\Routing\ApiVersionResolver;
+use AdvancedWishlist\Core\Service\GuestIdentifierService;
+use AdvancedWishlist\Core\Service\GuestWishlistService;
+use AdvancedWishlist\Core\Service\PriceMonitorService;
+use AdvancedWishlist\Core\Service\StockMonitorService;
 use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistDuplicateService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistReservationService;
+use Shopware\Core\Checkout\Cart\LineItem\LineItem;
+use Shopware\Core\Checkout\Cart\SalesChannel\CartService;
+use Shopware\Core\Content\Product\SalesChannel\SalesChannelProductEntity;
 use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
 use Shopware\Core\Framework\DataAbstractionLayer\Search\Sorting\FieldSorting;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SalesChannel\Entity\SalesChannelRepository;
 use Shopware\Core\System\SalesChannel\SalesChannelContext;
 use Shopware\Storefront\Controller\StorefrontController;
 use Symfony\Component\HttpFoundation\JsonResponse;
@@ -33,6 +57,16 @@ class WishlistControllerV2 extends StorefrontController
         private ApiVersionResolver $apiVersionResolver,
         private LazyObjectService $lazyObjectService,
         private CsrfTokenManagerInterface $csrfTokenManager,
+        private WishlistItemService $wishlistItemService,
+        private CartService $cartService,
+        private SalesChannelRepository $salesChannelProductRepository,
+        private EntityRepository $wishlistRepository,
+        private GuestWishlistService $guestWishlistService,
+        private GuestIdentifierService $guestIdentifierService,
+        private WishlistDuplicateService $duplicateService,
+        private PriceMonitorService $priceMonitorService,
+        private StockMonitorService $stockMonitorService,
+        private WishlistReservationService $reservationService,
     ) {
     }
 
@@ -73,6 +107,73 @@ class WishlistControllerV2 extends StorefrontController
         return $response;
     }
 
+    /**
+     * Wishlist state of the given products for the "Add to wishlist" buttons.
+     * Customers also get their wishlists for the picker, guests get the items of their guest wishlist.
+     */
+    #[Route('/store-api/v2/wishlist/product-state', name: 'store-api.v2.wishlist.product-state', methods: ['GET'], priority: 10)]
+    public function productState(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $productIds = array_filter(
+            explode(',', (string) $request->query->get('productIds', '')),
+            fn ($productId) => Uuid::isValid($productId)
+        );
+
+        $products = [];
+        foreach ($productIds as $productId) {
+            $products[$productId] = [];
+        }
+
+        $wishlists = [];
+        $guestWishlist = null;
+        $customerId = $context->getCustomer()?->getId();
+
+        if ($customerId) {
+            $criteria = new Criteria();
+            $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+            $criteria->addAssociation('items');
+            $criteria->addSorting(new FieldSorting('isDefault', FieldSorting::DESCENDING));
+            $criteria->addSorting(new FieldSorting('name', FieldSorting::ASCENDING));
+
+            foreach ($this->wishlistRepository->search($criteria, $context->getContext()) as $wishlist) {
+                $wishlists[] = [
+                    'id' => $wishlist->getId(),
+                    'name' => $wishlist->name,
+                    'isDefault' => $wishlist->isDefault,
+                ];
+
+                foreach ($wishlist->getItems() ?? [] as $item) {
+                    if (isset($products[$item->getProductId()])) {
+                        $products[$item->getProductId()][] = ['wishlistId' => $wishlist->getId(), 'itemId' => $item->getId()];
+                    }
+                }
+            }
+        } else {
+            $guestWishlist = $this->guestWishlistService->findGuestWishlist($context);
+
+            foreach ($guestWishlist?->getItems() ?? [] as $item) {
+                if (isset($products[$item['productId']])) {
+                    $products[$item['productId']][] = ['wishlistId' => $guestWishlist->getId(), 'itemId' => $item['id']];
+                }
+            }
+        }
+
+        $response = new JsonResponse([
+            'data' => [
+                'wishlists' => $wishlists,
+                'products' => (object) $products,
+            ],
+            'meta' => [
+                'guest' => null === $customerId,
+                'hasGuestWishlist' => null !== $guestWishlist,
+            ],
+        ]);
+
+        $this->addVersionHeaders($response, 'v2');
+
+        return $response;
+    }
+
     /**
      * Enhanced detail endpoint with lazy loading and computed properties.
      */
@@ -150,6 +251,8 @@ class WishlistControllerV2 extends StorefrontController
             $response->headers->set('Location', "/store-api/v2/wishlist/{$wishlist->getId()}");
 
             return $response;
+        } catch (WishlistLimitExceededException $e) {
+            return $this->createLimitErrorResponse($e);
         } catch (\Exception $e) {
             return $this->createErrorResponse('CREATE_FAILED', $e->getMessage(), 400);
         }
@@ -187,6 +290,11 @@ class WishlistControllerV2 extends StorefrontController
             }
 
             $updateRequest = $this->buildUpdateRequest($requestData, $id);
+            if (isset($requestData['meta']['version'])) {
+                // Checked again when writing, another save may have happened in the meantime
+                $updateRequest->setVersion((int) $requestData['meta']['version']);
+            }
+
             $updatedWishlist = $this->wishlistCrudService->updateWishlist($updateRequest, $context->getContext());
 
             $response = new JsonResponse([
@@ -197,6 +305,8 @@ class WishlistControllerV2 extends StorefrontController
             $this->addVersionHeaders($response, 'v2');
 
             return $response;
+        } catch (OptimisticLockException $e) {
+            return $this->createErrorResponse('CONFLICT', 'Wishlist was modified by another process', 409);
         } catch (\Exception $e) {
             return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
         }
@@ -250,6 +360,711 @@ class WishlistControllerV2 extends StorefrontController
         }
     }
 
+    /**
+     * Copy one of the customer's wishlists with its items, optionally with its share links.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/duplicate', name: 'store-api.v2.wishlist.duplicate', methods: ['POST'])]
+    public function duplicate(string $id, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_duplicate')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to duplicate this wishlist', 403);
+            }
+
+            $requestData = json_decode($request->getContent(), true) ?? [];
+
+            // The copy always belongs to the customer duplicating it
+            $duplicate = $this->duplicateService->duplicate($id, [
+                'name' => isset($requestData['name']) ? (string) $requestData['name'] : null,
+                'customerId' => $customerId,
+                'includeShares' => (bool) ($requestData['includeShares'] ?? false),
+            ], $context->getContext());
+
+            $response = new JsonResponse([
+                'data' => $duplicate,
+                'meta' => ['created_at' => time()],
+            ], 201);
+
+            $this->addVersionHeaders($response, 'v2');
+            $response->headers->set('Location', "/store-api/v2/wishlist/{$duplicate['id']}");
+
+            return $response;
+        } catch (WishlistLimitExceededException $e) {
+            return $this->createLimitErrorResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('DUPLICATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Add a product to one of the customer's wishlists.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/items', name: 'store-api.v2.wishlist.item.add', methods: ['POST'])]
+    public function addItem(string $id, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_item_add')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        $requestData = json_decode($request->getContent(), true) ?? [];
+
+        $productId = (string) ($requestData['productId'] ?? '');
+        if (!Uuid::isValid($productId)) {
+            return $this->createErrorResponse('INVALID_PRODUCT', 'A valid product ID is required', 400);
+        }
+
+        $quantity = filter_var($requestData['quantity'] ?? 1, FILTER_VALIDATE_INT);
+        if (false === $quantity || $quantity < 1 || $quantity > 999) {
+            return $this->createErrorResponse('INVALID_QUANTITY', 'Quantity must be between 1 and 999', 400);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to update this wishlist', 403);
+            }
+
+            $addRequest = new AddItemRequest();
+            $addRequest->setWishlistId($id);
+            $addRequest->setProductId($productId);
+            $addRequest->setQuantity($quantity);
+
+            $item = $this->wishlistItemService->addItem($addRequest, $context->getContext(), $customerId);
+
+            $response = new JsonResponse([
+                'data' => $item,
+                'meta' => ['created_at' => time()],
+            ], 201);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (DuplicateWishlistItemException $e) {
+            return $this->createErrorResponse('DUPLICATE_ITEM', 'Product already in wishlist', 409);
+        } catch (WishlistLimitExceededException $e) {
+            return $this->createLimitErrorResponse($e);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('ADD_ITEM_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Update a single wishlist item (quantity, note, priority).
+     */
+    #[Route('/store-api/v2/wishlist/{id}/items/{itemId}', name: 'store-api.v2.wishlist.item.update', methods: ['PATCH'])]
+    public function updateItem(string $id, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_item_update')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to update this wishlist', 403);
+            }
+
+            $requestData = json_decode($request->getContent(), true) ?? [];
+
+            $updateRequest = new UpdateItemRequest();
+            $updateRequest->setWishlistId($id);
+            $updateRequest->setItemId($itemId);
+
+            if (isset($requestData['quantity'])) {
+                $quantity = filter_var($requestData['quantity'], FILTER_VALIDATE_INT);
+                if (false === $quantity || $quantity < 1 || $quantity > 999) {
+                    return $this->createErrorResponse('INVALID_QUANTITY', 'Quantity must be between 1 and 999', 400);
+                }
+                $updateRequest->setQuantity($quantity);
+            }
+
+            if (array_key_exists('note', $requestData)) {
+                $updateRequest->setNote(null !== $requestData['note'] ? (string) $requestData['note'] : null);
+            }
+
+            if (isset($requestData['priority'])) {
+                $updateRequest->setPriority((int) $requestData['priority']);
+            }
+
+            $item = $this->wishlistItemService->updateItem($updateRequest, $context->getContext(), $customerId);
+
+            $response = new JsonResponse([
+                'data' => $item,
+                'meta' => ['updated_at' => time()],
+            ]);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (WishlistItemNotFoundException $e) {
+            return $this->createErrorResponse('ITEM_NOT_FOUND', $e->getMessage(), 404);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Remove a single item from a wishlist.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/items/{itemId}', name: 'store-api.v2.wishlist.item.remove', methods: ['DELETE'])]
+    public function removeItem(string $id, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_item_remove')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to update this wishlist', 403);
+            }
+
+            $this->wishlistItemService->removeItem($id, $itemId, $context->getContext(), $customerId);
+
+            $response = new JsonResponse(null, 204);
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (WishlistItemNotFoundException $e) {
+            return $this->createErrorResponse('ITEM_NOT_FOUND', $e->getMessage(), 404);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('DELETE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Switch the price drop alert of a wishlist item on or off.
+     * Without a target price any drop below the current price notifies the customer.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/items/{itemId}/price-alert', name: 'store-api.v2.wishlist.item.price-alert', methods: ['PUT'])]
+    public function updatePriceAlert(string $id, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_price_alert')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to update this wishlist', 403);
+            }
+
+            $item = $wishlist->getItems()?->get($itemId);
+            if (!$item) {
+                return $this->createErrorResponse('ITEM_NOT_FOUND', 'Wishlist item not found', 404);
+            }
+
+            $requestData = json_decode($request->getContent(), true) ?? [];
+
+            if (empty($requestData['active'])) {
+                $alert = $this->priceMonitorService->disableAlert($item, $context->getContext());
+            } else {
+                $targetPrice = null;
+                if (isset($requestData['targetPrice']) && '' !== $requestData['targetPrice']) {
+                    $targetPrice = filter_var($requestData['targetPrice'], FILTER_VALIDATE_FLOAT);
+                    if (false === $targetPrice) {
+                        return $this->createErrorResponse('INVALID_TARGET_PRICE', 'Target price must be a number', 400);
+                    }
+                }
+
+                $alert = $this->priceMonitorService->setupAlert($item, $targetPrice, $context->getContext());
+            }
+
+            $response = new JsonResponse([
+                'data' => $alert,
+                'meta' => ['updated_at' => time()],
+            ]);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\InvalidArgumentException $e) {
+            return $this->createErrorResponse('INVALID_TARGET_PRICE', $e->getMessage(), 400);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Subscribe to or cancel the back-in-stock mail of an out-of-stock wishlist item.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/items/{itemId}/stock-alert', name: 'store-api.v2.wishlist.item.stock-alert', methods: ['PUT'])]
+    public function updateStockAlert(string $id, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_stock_alert')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to update this wishlist', 403);
+            }
+
+            $item = $wishlist->getItems()?->get($itemId);
+            if (!$item) {
+                return $this->createErrorResponse('ITEM_NOT_FOUND', 'Wishlist item not found', 404);
+            }
+
+            $item->setWishlist($wishlist);
+            $requestData = json_decode($request->getContent(), true) ?? [];
+
+            $subscription = empty($requestData['active'])
+                ? $this->stockMonitorService->unsubscribe($item, $context->getContext())
+                : $this->stockMonitorService->subscribe($item, $context->getContext());
+
+            $response = new JsonResponse([
+                'data' => $subscription,
+                'meta' => ['updated_at' => time()],
+            ]);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\InvalidArgumentException $e) {
+            return $this->createErrorResponse('IN_STOCK', $e->getMessage(), 400);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Add all or selected wishlist items to the cart in one request.
+     * Every requested item gets its own result line, so partial failures can be shown per item.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/add-to-cart', name: 'store-api.v2.wishlist.add-to-cart', methods: ['POST'])]
+    public function addToCart(string $id, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'wishlist_add_to_cart')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canAccessWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to view this wishlist', 403);
+            }
+
+            $requestData = json_decode($request->getContent(), true) ?? [];
+            $itemIds = $requestData['itemIds'] ?? null;
+
+            // No itemIds means "add all"
+            $items = $wishlist->getItems()->filter(
+                fn ($item) => null === $itemIds || in_array($item->getId(), (array) $itemIds, true)
+            );
+
+            if (0 === $items->count()) {
+                return $this->createErrorResponse('NO_ITEMS', 'No wishlist items selected', 400);
+            }
+
+            $productIds = array_values(array_unique($items->map(fn ($item) => $item->getProductId())));
+            $products = $this->salesChannelProductRepository->search(new Criteria($productIds), $context)->getEntities();
+
+            $results = [];
+            $lineItems = [];
+
+            foreach ($items as $item) {
+                $product = $products->get($item->getProductId());
+                $result = $this->resolveCartLine($item->getId(), $item->getProductId(), $item->getQuantity(), $product);
+
+                if (null !== $result['quantity']) {
+                    $lineItem = new LineItem($item->getProductId(), LineItem::PRODUCT_LINE_ITEM_TYPE, $item->getProductId(), $result['quantity']);
+                    $lineItem->setStackable(true);
+                    $lineItem->setRemovable(true);
+                    $lineItems[] = $lineItem;
+                }
+
+                $results[] = $result;
+            }
+
+            if (!empty($lineItems)) {
+                $cart = $this->cartService->getCart($context->getToken(), $context);
+                $this->cartService->add($cart, $lineItems, $context);
+            }
+
+            $added = count(array_filter($results, fn ($r) => null !== $r['quantity']));
+
+            $response = new JsonResponse([
+                'data' => $results,
+                'meta' => [
+                    'total' => count($results),
+                    'added' => $added,
+                    'failed' => count($results) - $added,
+                ],
+            ]);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('ADD_TO_CART_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Reserve an item of a shared wishlist or mark it as purchased, needs a share with the `edit` permission.
+     * Recipients are told apart by customer or guest ID, the wishlist owner never learns who reserved what.
+     */
+    #[Route('/store-api/v2/wishlist/shared/{token}/items/{itemId}/reservation', name: 'store-api.v2.wishlist.shared.reservation.save', methods: ['PUT'])]
+    public function saveReservation(string $token, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        if (!$this->validateCsrfToken($request, 'wishlist_reservation')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $visitorId = $this->resolveVisitorId($context);
+            $share = $this->reservationService->resolveShare(
+                $token,
+                $context->getContext(),
+                $request->hasSession() ? $request->getSession() : null,
+                null,
+                $this->reservationService->createViewer($request, $context->getCustomer()?->getId(), $visitorId)
+            );
+            $requestData = json_decode($request->getContent(), true) ?? [];
+
+            $state = $this->reservationService->reserve(
+                $share,
+                $itemId,
+                (string) ($requestData['status'] ?? ''),
+                (int) ($requestData['quantity'] ?? 1),
+                $visitorId,
+                $context->getCustomer()?->getId(),
+                $context->getContext()
+            );
+
+            return $this->createReservationResponse($itemId, $state, $visitorId, $context);
+        } catch (WishlistShareNotFoundException $e) {
+            return $this->createErrorResponse('SHARE_NOT_FOUND', $e->getMessage(), 404);
+        } catch (SharePasswordRequiredException $e) {
+            return $this->createErrorResponse('PASSWORD_REQUIRED', $e->getMessage(), 403);
+        } catch (WishlistItemNotFoundException $e) {
+            return $this->createErrorResponse('ITEM_NOT_FOUND', $e->getMessage(), 404);
+        } catch (SharePermissionDeniedException $e) {
+            return $this->createErrorResponse('ACCESS_DENIED', $e->getMessage(), 403);
+        } catch (ItemNotReservableException $e) {
+            return $this->createErrorResponse('NOT_RESERVABLE', $e->getMessage(), 409, [
+                'available' => $e->getParameters()['available'] ?? 0,
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createErrorResponse('INVALID_RESERVATION', $e->getMessage(), 400);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Withdraw the own reservation of an item of a shared wishlist.
+     */
+    #[Route('/store-api/v2/wishlist/shared/{token}/items/{itemId}/reservation', name: 'store-api.v2.wishlist.shared.reservation.cancel', methods: ['DELETE'])]
+    public function cancelReservation(string $token, string $itemId, Request $request, SalesChannelContext $context): JsonResponse
+    {
+        if (!$this->validateCsrfToken($request, 'wishlist_reservation')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $visitorId = $this->resolveVisitorId($context);
+            $share = $this->reservationService->resolveShare(
+                $token,
+                $context->getContext(),
+                $request->hasSession() ? $request->getSession() : null,
+                null,
+                $this->reservationService->createViewer($request, $context->getCustomer()?->getId(), $visitorId)
+            );
+
+            $state = $this->reservationService->cancel($share, $itemId, $visitorId, $context->getContext());
+
+            return $this->createReservationResponse($itemId, $state, $visitorId, $context);
+        } catch (WishlistShareNotFoundException $e) {
+            return $this->createErrorResponse('SHARE_NOT_FOUND', $e->getMessage(), 404);
+        } catch (SharePasswordRequiredException $e) {
+            return $this->createErrorResponse('PASSWORD_REQUIRED', $e->getMessage(), 403);
+        } catch (SharePermissionDeniedException $e) {
+            return $this->createErrorResponse('ACCESS_DENIED', $e->getMessage(), 403);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('UPDATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Reserved and purchased quantities per item for the owner, without the recipients behind them.
+     */
+    #[Route('/store-api/v2/wishlist/{id}/reservations', name: 'store-api.v2.wishlist.reservations', methods: ['GET'])]
+    public function reservations(string $id, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        try {
+            $wishlist = $this->wishlistCrudService->loadWishlist($id, $context->getContext());
+
+            if (!$this->canModifyWishlist($wishlist, $customerId)) {
+                return $this->createErrorResponse('ACCESS_DENIED', 'You do not have permission to view this wishlist', 403);
+            }
+
+            $response = new JsonResponse([
+                'data' => $this->reservationService->getReservationCounts($id, $context->getContext()),
+            ]);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('WISHLIST_NOT_FOUND', $e->getMessage(), 404);
+        }
+    }
+
+    /**
+     * Create the guest wishlist of the current visitor.
+     * The guest ID travels in the guest-wishlist-token cookie, which is set on this response.
+     */
+    #[Route('/store-api/v2/guest-wishlist', name: 'store-api.v2.guest-wishlist.create', methods: ['POST'])]
+    public function createGuestWishlist(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        if ($context->getCustomer()) {
+            return $this->createErrorResponse('GUEST_ONLY', 'Guest wishlists are not available for logged in customers', 400);
+        }
+
+        if (!$this->validateCsrfToken($request, 'guest_wishlist')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $guestWishlist = $this->guestWishlistService->getOrCreateGuestWishlist($context);
+
+            $response = new JsonResponse([
+                'data' => [
+                    'id' => $guestWishlist->getId(),
+                    'name' => $guestWishlist->getName(),
+                    'itemCount' => count($guestWishlist->getItems()),
+                ],
+                'meta' => ['created_at' => time()],
+            ], 201);
+
+            $response->headers->setCookie(
+                $this->guestIdentifierService->createGuestIdCookie($guestWishlist->getGuestId())
+            );
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('CREATE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Add a product to the guest wishlist of the current visitor.
+     */
+    #[Route('/store-api/v2/guest-wishlist/items', name: 'store-api.v2.guest-wishlist.item.add', methods: ['POST'])]
+    public function addGuestItem(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        if ($context->getCustomer()) {
+            return $this->createErrorResponse('GUEST_ONLY', 'Guest wishlists are not available for logged in customers', 400);
+        }
+
+        if (!$this->validateCsrfToken($request, 'guest_wishlist')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        // The guest wishlist has to be created explicitly first
+        if (!$this->guestWishlistService->findGuestWishlist($context)) {
+            return $this->createErrorResponse('GUEST_WISHLIST_NOT_FOUND', 'No guest wishlist found', 404);
+        }
+
+        $requestData = json_decode($request->getContent(), true) ?? [];
+
+        $productId = (string) ($requestData['productId'] ?? '');
+        if (!Uuid::isValid($productId)) {
+            return $this->createErrorResponse('INVALID_PRODUCT', 'A valid product ID is required', 400);
+        }
+
+        $quantity = filter_var($requestData['quantity'] ?? 1, FILTER_VALIDATE_INT);
+        if (false === $quantity || $quantity < 1 || $quantity > 999) {
+            return $this->createErrorResponse('INVALID_QUANTITY', 'Quantity must be between 1 and 999', 400);
+        }
+
+        try {
+            $this->guestWishlistService->addItemToGuestWishlist($productId, ['quantity' => $quantity], $context);
+
+            $guestWishlist = $this->guestWishlistService->findGuestWishlist($context);
+            $item = current(array_filter(
+                $guestWishlist->getItems(),
+                fn ($item) => $item['productId'] === $productId
+            ));
+
+            $response = new JsonResponse([
+                'data' => [
+                    'wishlistId' => $guestWishlist->getId(),
+                    'itemId' => $item['id'] ?? null,
+                    'productId' => $productId,
+                ],
+                'meta' => ['created_at' => time()],
+            ], 201);
+
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (GuestWishlistLimitException $e) {
+            return $this->createErrorResponse('LIMIT_REACHED', $e->getMessage(), 400);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('ADD_ITEM_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Preview the merge of the visitor's guest wishlist into the logged in customer's wishlists.
+     */
+    #[Route('/store-api/v2/guest-wishlist/merge-preview', name: 'store-api.v2.guest-wishlist.merge-preview', methods: ['GET'])]
+    public function guestMergePreview(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        $preview = $this->guestWishlistService->getMergePreview($customerId, $context);
+        if (null === $preview) {
+            return $this->createErrorResponse('GUEST_WISHLIST_NOT_FOUND', 'No guest wishlist found', 404);
+        }
+
+        $productIds = array_values(array_unique(array_column($preview['guestWishlist']['items'], 'productId')));
+        $products = empty($productIds)
+            ? null
+            : $this->salesChannelProductRepository->search(new Criteria($productIds), $context)->getEntities();
+
+        foreach ($preview['guestWishlist']['items'] as &$item) {
+            $item['productName'] = $products?->get($item['productId'])?->getTranslation('name');
+        }
+        unset($item);
+
+        $response = new JsonResponse(['data' => $preview]);
+        $this->addVersionHeaders($response, 'v2');
+
+        return $response;
+    }
+
+    /**
+     * Merge the visitor's guest wishlist into an existing or a new customer wishlist.
+     */
+    #[Route('/store-api/v2/guest-wishlist/merge', name: 'store-api.v2.guest-wishlist.merge', methods: ['POST'])]
+    public function mergeGuestWishlist(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        $customerId = $context->getCustomer()?->getId();
+        if (!$customerId) {
+            return $this->createErrorResponse('UNAUTHORIZED', 'Customer not logged in', 401);
+        }
+
+        if (!$this->validateCsrfToken($request, 'guest_wishlist_merge')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        $requestData = json_decode($request->getContent(), true) ?? [];
+        $mode = $requestData['mode'] ?? GuestWishlistService::MERGE_INTO_EXISTING;
+
+        if (!in_array($mode, [GuestWishlistService::MERGE_INTO_EXISTING, GuestWishlistService::MERGE_INTO_NEW], true)) {
+            return $this->createErrorResponse('INVALID_MERGE_MODE', 'Merge mode must be "existing" or "new"', 400);
+        }
+
+        try {
+            $result = $this->guestWishlistService->mergeGuestWishlist(
+                $customerId,
+                $mode,
+                $requestData['wishlistId'] ?? null,
+                isset($requestData['name']) ? trim((string) $requestData['name']) : null,
+                $context
+            );
+
+            $response = new JsonResponse([
+                'data' => $result,
+                'meta' => ['merged_at' => time()],
+            ]);
+
+            $this->guestIdentifierService->clearGuestIdCookies($response);
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (WishlistLimitExceededException $e) {
+            return $this->createLimitErrorResponse($e);
+        } catch (\InvalidArgumentException $e) {
+            return $this->createErrorResponse('MERGE_FAILED', $e->getMessage(), 404);
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('MERGE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
+    /**
+     * Discard the visitor's guest wishlist instead of merging it.
+     */
+    #[Route('/store-api/v2/guest-wishlist', name: 'store-api.v2.guest-wishlist.discard', methods: ['DELETE'])]
+    public function discardGuestWishlist(Request $request, SalesChannelContext $context): JsonResponse
+    {
+        if (!$this->validateCsrfToken($request, 'guest_wishlist_merge')) {
+            return $this->createErrorResponse('INVALID_CSRF_TOKEN', 'Invalid CSRF token provided', 403);
+        }
+
+        try {
+            $this->guestWishlistService->discardGuestWishlist($context);
+
+            $response = new JsonResponse(null, 204);
+            $this->guestIdentifierService->clearGuestIdCookies($response);
+            $this->addVersionHeaders($response, 'v2');
+
+            return $response;
+        } catch (\Exception $e) {
+            return $this->createErrorResponse('DELETE_FAILED', $e->getMessage(), 400);
+        }
+    }
+
     /**
      * New V2 bulk operations endpoint.
      */
@@ -348,18 +1163,62 @@ class WishlistControllerV2 extends StorefrontController
     }
 
     /**
-     * Create standardized error response.
+     * Create standardized error response, `meta` carries details the client needs for its message.
      */
-    private function createErrorResponse(string $code, string $message, int $status): JsonResponse
+    private function createErrorResponse(string $code, string $message, int $status, array $meta = []): JsonResponse
+    {
+        $error = [
+            'code' => $code,
+            'title' => $this->getErrorTitle($status),
+            'detail' => $message,
+            'status' => (string) $status,
+        ];
+
+        if ([] !== $meta) {
+            $error['meta'] = $meta;
+        }
+
+        $response = new JsonResponse(['errors' => [$error]], $status);
+
+        $this->addVersionHeaders($response, 'v2');
+
+        return $response;
+    }
+
+    /**
+     * LIMIT_REACHED error with the limit in `meta`, `type` tells wishlist and item limits apart for the storefront messages.
+     */
+    private function createLimitErrorResponse(WishlistLimitExceededException $e): JsonResponse
+    {
+        $parameters = $e->getParameters();
+
+        return $this->createErrorResponse('LIMIT_REACHED', $e->getMessage(), 400, [
+            'type' => $parameters['type'] ?? null,
+            'limit' => $parameters['limit'] ?? null,
+        ]);
+    }
+
+    /**
+     * Customers reserve under their customer ID, guests under their guest ID.
+     */
+    private function resolveVisitorId(SalesChannelContext $context): string
+    {
+        return $context->getCustomer()?->getId() ?? $this->guestIdentifierService->getOrCreateGuestId($context);
+    }
+
+    /**
+     * Reservation state of an item, guests get their ID cookie so they find their reservations again.
+     */
+    private function createReservationResponse(string $itemId, array $state, string $visitorId, SalesChannelContext $context): JsonResponse
     {
         $response = new JsonResponse([
-            'errors' => [[
-                'code' => $code,
-                'title' => $this->getErrorTitle($status),
-                'detail' => $message,
-                'status' => (string) $status,
-            ]],
-        ], $status);
+            'data' => ['itemId' => $itemId] + $state,
+            'meta' => ['updated_at' => time()],
+        ]);
+
+        if (!$context->getCustomer()) {
+            $response->headers->setCookie($this->guestIdentifierService->createGuestIdCookie($visitorId));
+        }
 
         $this->addVersionHeaders($response, 'v2');
 
@@ -391,6 +1250,7 @@ class WishlistControllerV2 extends StorefrontController
             'isDefault' => $wishlist->isDefault, // Using property hook
             'itemCount' => $wishlist->itemCount, // Computed property
             'totalValue' => $wishlist->totalValue, // Computed property
+            'version' => $wishlist->getVersion(),
             'createdAt' => $wishlist->getCreatedAt()?->format('c'),
             'updatedAt' => $wishlist->getUpdatedAt()?->format('c'),
         ];
@@ -444,6 +1304,48 @@ class WishlistControllerV2 extends StorefrontController
         return $wishlist->getCustomerId() === $customerId;
     }
 
+    /**
+     * Decide whether and with which quantity a wishlist item can go into the cart.
+     */
+    private function resolveCartLine(string $itemId, string $productId, int $quantity, ?SalesChannelProductEntity $product): array
+    {
+        $result = [
+            'itemId' => $itemId,
+            'productId' => $productId,
+            'requestedQuantity' => $quantity,
+            'quantity' => null,
+            'status' => 'added',
+        ];
+
+        if (!$product) {
+            $result['status'] = 'not_found';
+
+            return $result;
+        }
+
+        if (!$product->getActive()) {
+            $result['status'] = 'inactive';
+
+            return $result;
+        }
+
+        $availableStock = (int) $product->getAvailableStock();
+        if (!$product->getAvailable() || ($product->getIsCloseout() && $availableStock <= 0)) {
+            $result['status'] = 'out_of_stock';
+
+            return $result;
+        }
+
+        $result['quantity'] = $quantity;
+
+        if ($product->getIsCloseout() && $availableStock < $quantity) {
+            $result['quantity'] = $availableStock;
+            $result['status'] = 'reduced';
+        }
+
+        return $result;
+    }
+
     private function validateCsrfToken(Request $request, string $intention): bool
     {
         $token = $request->request->get('_csrf_token');
@@ -460,7 +1362,14 @@ class WishlistControllerV2 extends StorefrontController
 
     private function buildCreateRequest(array $data, string $customerId): CreateWishlistRequest
     {
-        return new CreateWishlistRequest();
+        $createRequest = new CreateWishlistRequest();
+        $createRequest->setCustomerId($customerId);
+        $createRequest->setName(trim((string) ($data['name'] ?? '')));
+        $createRequest->setDescription(isset($data['description']) ? (string) $data['description'] : null);
+        $createRequest->setType((string) ($data['type'] ?? 'private'));
+        $createRequest->setIsDefault((bool) ($data['isDefault'] ?? false));
+
+        return $createRequest;
     }
 
     private function buildUpdateRequest(array $data, string $id): UpdateWishlistRequest
@@ -475,7 +1384,7 @@ class WishlistControllerV2 extends StorefrontController
 
     private function validateOptimisticLock($wishlist, $version): bool
     {
-        return true;
+        return is_numeric($version) && (int) $version === $wishlist->getVersion();
     }
 
     private function softDeleteWishlist(string $id, Context $context): void
@@ -0,0 +1,88 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Subscriber;
+
+use AdvancedWishlist\Core\Event\WishlistItemAddedEvent;
+use AdvancedWishlist\Core\Event\WishlistItemRemovedEvent;
+use AdvancedWishlist\Core\Event\WishlistItemUpdatedEvent;
+use AdvancedWishlist\Core\Service\WishlistActivityService;
+use Shopware\Core\Content\Product\ProductEntity;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * Writes item changes to the wishlist activity log shown on the admin detail page.
+ */
+class WishlistActivitySubscriber implements EventSubscriberInterface
+{
+    public function __construct(
+        private readonly WishlistActivityService $activityService,
+    ) {
+    }
+
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            WishlistItemAddedEvent::class => 'onItemAdded',
+            WishlistItemRemovedEvent::class => 'onItemRemoved',
+            WishlistItemUpdatedEvent::class => 'onItemUpdated',
+        ];
+    }
+
+    public function onItemAdded(WishlistItemAddedEvent $event): void
+    {
+        $product = $event->getProduct();
+
+        $this->activityService->record($event->getWishlist()->getId(), WishlistActivityService::TYPE_ITEM_ADDED, [
+            'productId' => $product->getId(),
+            'payload' => $this->getProductPayload($product),
+        ], $event->getContext());
+    }
+
+    public function onItemRemoved(WishlistItemRemovedEvent $event): void
+    {
+        $item = $event->getWishlistItem();
+
+        $this->activityService->record($event->getWishlist()->getId(), WishlistActivityService::TYPE_ITEM_REMOVED, [
+            'productId' => $item->productId,
+            'previousQuantity' => $item->quantity,
+            'payload' => $this->getProductPayload($item->getProduct()),
+        ], $event->getContext());
+    }
+
+    public function onItemUpdated(WishlistItemUpdatedEvent $event): void
+    {
+        $item = $event->getWishlistItem();
+        $quantity = $event->getChanges()['quantity'] ?? null;
+
+        // Notes and priorities are not part of the timeline
+        if ($quantity === null || (int) $quantity === $item->quantity) {
+            return;
+        }
+
+        $this->activityService->record($event->getWishlist()->getId(), WishlistActivityService::TYPE_QUANTITY_CHANGED, [
+            'productId' => $item->productId,
+            'quantity' => (int) $quantity,
+            'previousQuantity' => $item->quantity,
+            'payload' => $this->getProductPayload($item->getProduct()),
+        ], $event->getContext());
+    }
+
+    /**
+     * Name and number are kept with the entry, so it stays readable after the product is deleted.
+     *
+     * @return array{productName: ?string, productNumber: ?string}|null
+     */
+    private function getProductPayload(?ProductEntity $product): ?array
+    {
+        if ($product === null) {
+            return null;
+        }
+
+        return [
+            'productName' => $product->getTranslation('name') ?? $product->getName(),
+            'productNumber' => $product->getProductNumber(),
+        ];
+    }
+}
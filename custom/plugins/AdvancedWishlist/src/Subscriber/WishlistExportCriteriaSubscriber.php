@@ -0,0 +1,41 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Subscriber;
+
+use AdvancedWishlist\Core\Content\Wishlist\WishlistDefinition;
+use AdvancedWishlist\Core\Service\WishlistExportService;
+use Shopware\Core\Content\ImportExport\Event\EnrichExportCriteriaEvent;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsAnyFilter;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * Restricts wishlist exports to the wishlists selected in the administration and loads what the columns need.
+ */
+class WishlistExportCriteriaSubscriber implements EventSubscriberInterface
+{
+    public static function getSubscribedEvents(): array
+    {
+        return [
+            EnrichExportCriteriaEvent::class => 'onEnrichExportCriteria',
+        ];
+    }
+
+    public function onEnrichExportCriteria(EnrichExportCriteriaEvent $event): void
+    {
+        $log = $event->getLogEntity();
+        if ($log->getProfile()?->getSourceEntity() !== WishlistDefinition::ENTITY_NAME) {
+            return;
+        }
+
+        $criteria = $event->getCriteria();
+        $criteria->addAssociation('customer');
+        $criteria->addAssociation('items.product');
+
+        $wishlistIds = $log->getConfig()['parameters'][WishlistExportService::PARAMETER_WISHLIST_IDS] ?? [];
+        if (\is_array($wishlistIds) && $wishlistIds !== []) {
+            $criteria->addFilter(new EqualsAnyFilter('id', array_values($wishlistIds)));
+        }
+    }
+}
@@ -0,0 +1,258 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Service\GuestIdentifierService;
+use AdvancedWishlist\Core\Service\GuestWishlistService;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistLimitService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SalesChannel\Context\SalesChannelContextFactory;
+use Shopware\Core\System\SalesChannel\SalesChannelContext;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+use Shopware\Core\Test\TestDefaults;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Integration tests for merging guest wishlists into customer wishlists.
+ */
+class GuestWishlistMergeTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private GuestWishlistService $guestWishlistService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $guestWishlistRepository;
+    private EntityRepository $productRepository;
+    private SalesChannelContext $salesChannelContext;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->guestWishlistService = $this->getContainer()->get(GuestWishlistService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->guestWishlistRepository = $this->getContainer()->get('guest_wishlist.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->salesChannelContext = $this->getContainer()->get(SalesChannelContextFactory::class)->create(
+            Uuid::randomHex(),
+            TestDefaults::SALES_CHANNEL
+        );
+        $this->context = $this->salesChannelContext->getContext();
+    }
+
+    protected function tearDown(): void
+    {
+        $this->getContainer()->get('request_stack')->pop();
+    }
+
+    public function testMergeIntoExistingWishlistAddsQuantitiesAndRaisesVersion(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Target Wishlist');
+        $sharedProductId = $this->createTestProduct('Shared Product');
+        $guestProductId = $this->createTestProduct('Guest Product');
+        $this->addTestItem($wishlistId, $sharedProductId, 1);
+        $versionBefore = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context)->getVersion();
+
+        $this->createGuestWishlist(GuestIdentifierService::COOKIE_NAME, [
+            ['productId' => $sharedProductId, 'quantity' => 2],
+            ['productId' => $guestProductId, 'quantity' => 1],
+        ]);
+
+        // Act
+        $result = $this->guestWishlistService->mergeGuestWishlist(
+            $customerId,
+            GuestWishlistService::MERGE_INTO_EXISTING,
+            $wishlistId,
+            null,
+            $this->salesChannelContext
+        );
+
+        // Assert
+        $this->assertEquals($wishlistId, $result['wishlistId']);
+        $this->assertEquals(1, $result['itemsAdded']);
+        $this->assertEquals(1, $result['itemsMerged']);
+
+        $wishlist = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context);
+        $this->assertCount(2, $wishlist->getItems());
+        $this->assertEquals($versionBefore + 1, $wishlist->getVersion());
+
+        foreach ($wishlist->getItems() as $item) {
+            if ($item->getProductId() === $sharedProductId) {
+                $this->assertEquals(3, $item->getQuantity());
+            }
+        }
+
+        $this->assertNull($this->guestWishlistService->findGuestWishlist($this->salesChannelContext));
+    }
+
+    public function testMergeExceedingItemLimitWritesNothing(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_ITEMS, 2);
+
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Target Wishlist');
+        $this->addTestItem($wishlistId, $this->createTestProduct('Existing Product'), 1);
+        $versionBefore = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context)->getVersion();
+
+        $this->createGuestWishlist(GuestIdentifierService::COOKIE_NAME, [
+            ['productId' => $this->createTestProduct('Guest Product 1'), 'quantity' => 1],
+            ['productId' => $this->createTestProduct('Guest Product 2'), 'quantity' => 1],
+        ]);
+
+        // Act
+        try {
+            $this->guestWishlistService->mergeGuestWishlist(
+                $customerId,
+                GuestWishlistService::MERGE_INTO_EXISTING,
+                $wishlistId,
+                null,
+                $this->salesChannelContext
+            );
+            $this->fail('The merge should exceed the item limit');
+        } catch (WishlistLimitExceededException $e) {
+            $this->assertEquals(2, $e->getParameters()['limit']);
+        }
+
+        // Assert
+        $wishlist = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context);
+        $this->assertCount(1, $wishlist->getItems());
+        $this->assertEquals($versionBefore, $wishlist->getVersion());
+        $this->assertNotNull($this->guestWishlistService->findGuestWishlist($this->salesChannelContext));
+    }
+
+    public function testMergeIntoNewWishlistRespectsWishlistLimit(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, 1);
+
+        $customerId = Uuid::randomHex();
+        $this->createTestWishlist($customerId, 'Only Wishlist');
+
+        $this->createGuestWishlist(GuestIdentifierService::COOKIE_NAME, [
+            ['productId' => $this->createTestProduct('Guest Product'), 'quantity' => 1],
+        ]);
+
+        // Act & Assert
+        $this->expectException(WishlistLimitExceededException::class);
+        $this->guestWishlistService->mergeGuestWishlist(
+            $customerId,
+            GuestWishlistService::MERGE_INTO_NEW,
+            null,
+            'From Guest',
+            $this->salesChannelContext
+        );
+    }
+
+    public function testMergeFindsGuestWishlistOfLegacyCookie(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+
+        $this->createGuestWishlist(GuestIdentifierService::LEGACY_COOKIE_NAME, [
+            ['productId' => $this->createTestProduct('Guest Product'), 'quantity' => 1],
+        ]);
+
+        // Act
+        $result = $this->guestWishlistService->mergeGuestWishlist(
+            $customerId,
+            GuestWishlistService::MERGE_INTO_NEW,
+            null,
+            'From Guest',
+            $this->salesChannelContext
+        );
+
+        // Assert
+        $wishlist = $this->wishlistCrudService->loadWishlist($result['wishlistId'], $this->context);
+        $this->assertEquals('From Guest', $wishlist->getName());
+        $this->assertEquals($customerId, $wishlist->getCustomerId());
+        $this->assertCount(1, $wishlist->getItems());
+    }
+
+    /**
+     * Helper method to create a guest wishlist and put its guest ID into the given cookie of the current request.
+     *
+     * @param array<int, array{productId: string, quantity: int}> $items
+     */
+    private function createGuestWishlist(string $cookieName, array $items): void
+    {
+        $guestId = substr(Uuid::randomHex(), 0, 32);
+
+        $this->guestWishlistRepository->create([[
+            'id' => Uuid::randomHex(),
+            'guestId' => $guestId,
+            'salesChannelId' => $this->salesChannelContext->getSalesChannelId(),
+            'languageId' => $this->salesChannelContext->getLanguageId(),
+            'currencyId' => $this->salesChannelContext->getCurrencyId(),
+            'items' => $items,
+            'itemCount' => count($items),
+            'expiresAt' => new \DateTime('+30 days'),
+            'createdAt' => new \DateTime(),
+        ]], $this->context);
+
+        $this->getContainer()->get('request_stack')->push(new Request([], [], [], [$cookieName => $guestId]));
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId, string $name): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName($name);
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+
+    /**
+     * Helper method to add a product to a wishlist.
+     */
+    private function addTestItem(string $wishlistId, string $productId, int $quantity): void
+    {
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $request->setQuantity($quantity);
+
+        $this->wishlistItemService->addItem($request, $this->context);
+    }
+
+    /**
+     * Helper method to create a test product.
+     */
+    private function createTestProduct(string $name): string
+    {
+        $productId = Uuid::randomHex();
+        $data = [
+            'id' => $productId,
+            'name' => $name,
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ];
+
+        $this->productRepository->create([$data], $this->context);
+
+        return $productId;
+    }
+}
@@ -0,0 +1,211 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Service\OptimizedPriceCalculationService;
+use AdvancedWishlist\Core\Service\PriceMonitorService;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Service\NotificationService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Integration tests for PriceMonitorService.
+ */
+class PriceMonitorServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private PriceMonitorService $priceMonitorService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $wishlistItemRepository;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->priceMonitorService = $this->getContainer()->get(PriceMonitorService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->wishlistItemRepository = $this->getContainer()->get('wishlist_item.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testSetupAlertStoresTargetAndCurrentPrice(): void
+    {
+        // Arrange
+        $item = $this->loadItem($this->addTestItem(15.0));
+
+        // Act
+        $state = $this->priceMonitorService->setupAlert($item, 12.0, $this->context);
+
+        // Assert
+        $this->assertTrue($state['active']);
+        $this->assertEquals(12.0, $state['targetPrice']);
+        $this->assertEquals(15.0, $state['priceAtAlert']);
+
+        $stored = $this->loadItem($item->getUniqueIdentifier());
+        $this->assertTrue($stored->getPriceAlertActive());
+        $this->assertEquals(12.0, $stored->getPriceAlertThreshold());
+        $this->assertNull($stored->getPriceAlertTriggeredAt());
+    }
+
+    public function testSetupAlertWithoutTargetUsesCurrentPrice(): void
+    {
+        // Arrange
+        $item = $this->loadItem($this->addTestItem(15.0));
+
+        // Act
+        $this->priceMonitorService->setupAlert($item, null, $this->context);
+
+        // Assert
+        $this->assertEquals(15.0, $this->loadItem($item->getUniqueIdentifier())->getPriceAlertThreshold());
+    }
+
+    public function testSetupAlertRejectsTargetAboveCurrentPrice(): void
+    {
+        // Arrange
+        $item = $this->loadItem($this->addTestItem(15.0));
+
+        // Act & Assert
+        $this->expectException(\InvalidArgumentException::class);
+        $this->priceMonitorService->setupAlert($item, 20.0, $this->context);
+    }
+
+    public function testCheckPriceAlertsTriggersAlertOnceMailIsSent(): void
+    {
+        // Arrange
+        $itemId = $this->addTestItem(10.0);
+        $this->activateAlert($itemId, 12.0, 15.0);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->expects($this->once())
+            ->method('sendPriceAlertNotification')
+            ->with($this->anything(), 15.0, 10.0, $this->anything())
+            ->willReturn(true);
+
+        $priceMonitorService = $this->createPriceMonitorService($notificationService);
+
+        // Act
+        $priceMonitorService->checkPriceAlerts($this->context);
+        $secondRun = $priceMonitorService->checkPriceAlerts($this->context);
+
+        // Assert
+        $this->assertNotNull($this->loadItem($itemId)->getPriceAlertTriggeredAt());
+        $this->assertEquals(0, $secondRun['triggered']);
+    }
+
+    public function testCheckPriceAlertsKeepsAlertActiveWhenMailFails(): void
+    {
+        // Arrange
+        $itemId = $this->addTestItem(10.0);
+        $this->activateAlert($itemId, 12.0, 15.0);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->method('sendPriceAlertNotification')->willReturn(false);
+
+        // Act
+        $this->createPriceMonitorService($notificationService)->checkPriceAlerts($this->context);
+
+        // Assert
+        $item = $this->loadItem($itemId);
+        $this->assertTrue($item->getPriceAlertActive());
+        $this->assertNull($item->getPriceAlertTriggeredAt());
+    }
+
+    public function testCheckPriceAlertsIgnoresPriceAboveTarget(): void
+    {
+        // Arrange
+        $itemId = $this->addTestItem(14.0);
+        $this->activateAlert($itemId, 12.0, 15.0);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->expects($this->never())->method('sendPriceAlertNotification');
+
+        // Act
+        $this->createPriceMonitorService($notificationService)->checkPriceAlerts($this->context);
+
+        // Assert
+        $this->assertNull($this->loadItem($itemId)->getPriceAlertTriggeredAt());
+    }
+
+    private function createPriceMonitorService(NotificationService $notificationService): PriceMonitorService
+    {
+        return new PriceMonitorService(
+            $this->wishlistItemRepository,
+            $this->productRepository,
+            $this->getContainer()->get('wishlist_price_alert_notification.repository'),
+            $notificationService,
+            $this->getContainer()->get('event_dispatcher'),
+            $this->getContainer()->get('logger'),
+            $this->getContainer()->get('cache.app'),
+            $this->getContainer()->get(OptimizedPriceCalculationService::class)
+        );
+    }
+
+    /**
+     * Helper method to set up an alert as if the price was $priceAtAlert back then.
+     */
+    private function activateAlert(string $itemId, float $threshold, float $priceAtAlert): void
+    {
+        $this->wishlistItemRepository->update([[
+            'id' => $itemId,
+            'priceAlertActive' => true,
+            'priceAlertThreshold' => $threshold,
+            'priceAtAlert' => $priceAtAlert,
+            'priceAlertTriggeredAt' => null,
+        ]], $this->context);
+    }
+
+    private function loadItem(string $itemId): WishlistItemEntity
+    {
+        $criteria = new Criteria([$itemId]);
+        $criteria->addAssociation('product');
+        $criteria->addAssociation('wishlist.customer');
+
+        return $this->wishlistItemRepository->search($criteria, $this->context)->first();
+    }
+
+    /**
+     * Helper method to add a new test product with the given gross price to a new wishlist, returns the item ID.
+     */
+    private function addTestItem(float $gross): string
+    {
+        $wishlistRequest = new CreateWishlistRequest();
+        $wishlistRequest->setCustomerId(Uuid::randomHex());
+        $wishlistRequest->setName('Price Alert Wishlist');
+        $wishlistRequest->setType('private');
+        $wishlistRequest->setIsDefault(false);
+        $wishlistId = $this->wishlistCrudService->createWishlist($wishlistRequest, $this->context)->getId();
+
+        $productId = Uuid::randomHex();
+        $this->productRepository->create([[
+            'id' => $productId,
+            'name' => 'Price Alert Product',
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => $gross, 'net' => round($gross / 1.19, 2), 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ]], $this->context);
+
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+
+        return $this->wishlistItemService->addItem($request, $this->context)->getId();
+    }
+}
@@ -0,0 +1,245 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\SharePasswordRequiredException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Migration\Migration1700000014BackfillShareTokenHash;
+use AdvancedWishlist\Service\EncryptionService;
+use AdvancedWishlist\Service\ShareService;
+use Doctrine\DBAL\Connection;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Integration tests for ShareService.
+ */
+class ShareServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private ShareService $shareService;
+    private EncryptionService $encryptionService;
+    private WishlistCrudService $wishlistCrudService;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->shareService = $this->getContainer()->get(ShareService::class);
+        $this->encryptionService = $this->getContainer()->get(EncryptionService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testCreateShareStoresEncryptedTokenAndHash(): void
+    {
+        // Arrange
+        $wishlistId = $this->createTestWishlist();
+
+        // Act
+        $share = $this->shareService->createShare($wishlistId, $this->context);
+
+        // Assert
+        $plainToken = $this->shareService->getPlainToken($share);
+        $this->assertNotEquals($plainToken, $share->getToken());
+        $this->assertEquals($this->encryptionService->hashToken($plainToken), $share->getTokenHash());
+        $this->assertEquals('link', $share->getType());
+        $this->assertTrue($share->isActive());
+        $this->assertEquals(0, $share->getViews());
+    }
+
+    public function testGetShareByTokenResolvesPlainTokenAndCountsView(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context);
+        $plainToken = $this->shareService->getPlainToken($share);
+
+        $this->assertNull($this->shareService->getShareByToken($plainToken, $this->context));
+
+        // Act
+        (new Migration1700000014BackfillShareTokenHash())->update($this->getContainer()->get(Connection::class));
+
+        // Assert
+        $resolved = $this->shareService->getShareByToken($plainToken, $this->context);
+        $this->assertNotNull($resolved);
+        $this->assertEquals($share->getUniqueIdentifier(), $resolved->getUniqueIdentifier());
+        $this->assertEquals(1, $this->shareService->getShare($share->getUniqueIdentifier(), $this->context)->getViews());
+    }
+
+    public function testGetShareByTokenLogsFirstViewOfEveryVisitor(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context);
+        $plainToken = $this->shareService->getPlainToken($share);
+        $viewer = [
+            'visitorId' => Uuid::randomHex(),
+            'ipAddress' => '192.168.1.0',
+            'userAgent' => 'Mozilla/5.0',
+        ];
+
+        // Act
+        $this->shareService->getShareByToken($plainToken, $this->context, null, [], $viewer);
+        $this->shareService->getShareByToken($plainToken, $this->context, null, [], $viewer);
+
+        // Assert
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('shareId', $share->getUniqueIdentifier()));
+        $views = $this->getContainer()->get('wishlist_share_view.repository')->search($criteria, $this->context);
+
+        $this->assertEquals(1, $views->getTotal());
+        $this->assertEquals($viewer['visitorId'], $views->first()->getVisitorId());
+        $this->assertEquals('192.168.1.0', $views->first()->getIpAddress());
+
+        $stored = $this->shareService->getShare($share->getUniqueIdentifier(), $this->context);
+        $this->assertEquals(2, $stored->getViews());
+        $this->assertEquals(1, $stored->getUniqueViews());
+    }
+
+    public function testBackfillMigrationHashesTokenOfLegacyShare(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context);
+        $plainToken = $this->shareService->getPlainToken($share);
+        $this->getContainer()->get(Connection::class)->executeStatement(
+            'UPDATE `wishlist_share` SET `token_hash` = NULL WHERE `id` = :id',
+            ['id' => Uuid::fromHexToBytes($share->getUniqueIdentifier())]
+        );
+
+        $this->assertNull($this->shareService->getShareByToken($plainToken, $this->context));
+
+        // Act
+        (new Migration1700000014BackfillShareTokenHash())->update($this->getContainer()->get(Connection::class));
+
+        // Assert
+        $resolved = $this->shareService->getShareByToken($plainToken, $this->context);
+        $this->assertNotNull($resolved);
+        $this->assertEquals($share->getUniqueIdentifier(), $resolved->getUniqueIdentifier());
+        $this->assertEquals(
+            $this->encryptionService->hashToken($plainToken),
+            $this->shareService->getShare($share->getUniqueIdentifier(), $this->context)->getTokenHash()
+        );
+    }
+
+    public function testGetShareByTokenRequiresPasswordOfProtectedShare(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context, ['password' => 'secret']);
+        $plainToken = $this->shareService->getPlainToken($share);
+
+        // Act & Assert
+        foreach ([[null, false], ['wrong', true]] as [$password, $invalid]) {
+            try {
+                $this->shareService->getShareByToken($plainToken, $this->context, $password);
+                $this->fail('The share should ask for its password');
+            } catch (SharePasswordRequiredException $e) {
+                $this->assertEquals($invalid, $e->getParameters()['invalid']);
+            }
+        }
+
+        $this->assertNotNull($this->shareService->getShareByToken($plainToken, $this->context, 'secret'));
+        $this->assertEquals(1, $this->shareService->getShare($share->getUniqueIdentifier(), $this->context)->getViews());
+    }
+
+    public function testGetShareByTokenStopsResolvingAfterMaxViews(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context, ['maxViews' => 2]);
+        $plainToken = $this->shareService->getPlainToken($share);
+
+        // Act
+        $first = $this->shareService->getShareByToken($plainToken, $this->context);
+        $second = $this->shareService->getShareByToken($plainToken, $this->context);
+        $third = $this->shareService->getShareByToken($plainToken, $this->context);
+        $granted = $this->shareService->getShareByToken($plainToken, $this->context, null, [$share->getUniqueIdentifier()]);
+
+        // Assert
+        $this->assertNotNull($first);
+        $this->assertNotNull($second);
+        $this->assertNull($third);
+        $this->assertNotNull($granted);
+
+        $stored = $this->shareService->getShare($share->getUniqueIdentifier(), $this->context);
+        $this->assertEquals(2, $stored->getViews());
+        $this->assertTrue($stored->isActive());
+        $this->assertNull($stored->getRevokedAt());
+    }
+
+    public function testGetShareByTokenRevokesSingleUseShareAfterFirstView(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context, ['maxViews' => 1]);
+        $plainToken = $this->shareService->getPlainToken($share);
+
+        // Act
+        $first = $this->shareService->getShareByToken($plainToken, $this->context);
+        $granted = $this->shareService->getShareByToken($plainToken, $this->context, null, [$share->getUniqueIdentifier()]);
+
+        // Assert
+        $this->assertNotNull($first);
+        $this->assertNull($granted);
+
+        $stored = $this->shareService->getShare($share->getUniqueIdentifier(), $this->context);
+        $this->assertEquals(1, $stored->getViews());
+        $this->assertFalse($stored->isActive());
+        $this->assertNotNull($stored->getRevokedAt());
+    }
+
+    public function testGetShareByTokenDoesNotCountViewsOfOwner(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $share = $this->shareService->createShare($this->createTestWishlist($customerId), $this->context, [
+            'password' => 'secret',
+            'maxViews' => 1,
+        ]);
+        $plainToken = $this->shareService->getPlainToken($share);
+        $owner = ['visitorId' => $customerId, 'customerId' => $customerId];
+
+        // Act
+        $first = $this->shareService->getShareByToken($plainToken, $this->context, null, [], $owner);
+        $second = $this->shareService->getShareByToken($plainToken, $this->context, null, [], $owner);
+
+        // Assert
+        $this->assertNotNull($first);
+        $this->assertNotNull($second);
+
+        $stored = $this->shareService->getShare($share->getUniqueIdentifier(), $this->context);
+        $this->assertEquals(0, $stored->getViews());
+        $this->assertEquals(0, $stored->getUniqueViews());
+    }
+
+    public function testGetShareByTokenIgnoresUnknownAndRevokedShares(): void
+    {
+        // Arrange
+        $share = $this->shareService->createShare($this->createTestWishlist(), $this->context);
+        $plainToken = $this->shareService->getPlainToken($share);
+
+        // Act
+        $this->shareService->revokeShare($share->getUniqueIdentifier(), $this->context);
+
+        // Assert
+        $this->assertNull($this->shareService->getShareByToken($this->encryptionService->generateToken(), $this->context));
+        $this->assertNull($this->shareService->getShareByToken($plainToken, $this->context));
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(?string $customerId = null): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId ?? Uuid::randomHex());
+        $request->setName('Shared Wishlist');
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+}
@@ -0,0 +1,182 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistItem\WishlistItemEntity;
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Service\StockMonitorService;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Service\NotificationService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Integration tests for StockMonitorService::checkStockAlerts().
+ */
+class StockMonitorServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private StockMonitorService $stockMonitorService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $wishlistItemRepository;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->stockMonitorService = $this->getContainer()->get(StockMonitorService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->wishlistItemRepository = $this->getContainer()->get('wishlist_item.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testCheckStockAlertsNotifiesOnceProductIsBackInStock(): void
+    {
+        // Arrange
+        [$itemId, $productId] = $this->addSubscribedItem();
+        $this->setStock($productId, 5);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->expects($this->once())
+            ->method('sendBackInStockNotification')
+            ->with($this->callback(fn (WishlistItemEntity $item) => $item->getUniqueIdentifier() === $itemId), 5, $this->anything())
+            ->willReturn(true);
+
+        $stockMonitorService = $this->createStockMonitorService($notificationService);
+
+        // Act
+        $stockMonitorService->checkStockAlerts($this->context);
+        $secondRun = $stockMonitorService->checkStockAlerts($this->context);
+
+        // Assert
+        $item = $this->loadItem($itemId);
+        $this->assertNotNull($item->getStockAlertNotifiedAt());
+        $this->assertFalse($item->hasPendingStockAlert());
+        $this->assertEquals(0, $secondRun['notified']);
+    }
+
+    public function testCheckStockAlertsKeepsSubscriptionPendingWhenMailFails(): void
+    {
+        // Arrange
+        [$itemId, $productId] = $this->addSubscribedItem();
+        $this->setStock($productId, 5);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->method('sendBackInStockNotification')->willReturn(false);
+
+        // Act
+        $result = $this->createStockMonitorService($notificationService)->checkStockAlerts($this->context);
+
+        // Assert
+        $this->assertEquals(0, $result['notified']);
+        $this->assertTrue($this->loadItem($itemId)->hasPendingStockAlert());
+    }
+
+    public function testCheckStockAlertsWaitsForConfiguredThreshold(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(StockMonitorService::THRESHOLD_CONFIG_KEY, 3);
+
+        [$itemId, $productId] = $this->addSubscribedItem();
+        $this->setStock($productId, 2);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->expects($this->never())->method('sendBackInStockNotification');
+
+        // Act
+        $this->createStockMonitorService($notificationService)->checkStockAlerts($this->context);
+
+        // Assert
+        $this->assertTrue($this->loadItem($itemId)->hasPendingStockAlert());
+    }
+
+    public function testCheckStockAlertsSkipsUnsubscribedItems(): void
+    {
+        // Arrange
+        [$itemId, $productId] = $this->addSubscribedItem();
+        $this->stockMonitorService->unsubscribe($this->loadItem($itemId), $this->context);
+        $this->setStock($productId, 5);
+
+        $notificationService = $this->createMock(NotificationService::class);
+        $notificationService->expects($this->never())->method('sendBackInStockNotification');
+
+        // Act
+        $this->createStockMonitorService($notificationService)->checkStockAlerts($this->context);
+
+        // Assert
+        $this->assertNull($this->loadItem($itemId)->getStockAlertNotifiedAt());
+    }
+
+    private function createStockMonitorService(NotificationService $notificationService): StockMonitorService
+    {
+        return new StockMonitorService(
+            $this->wishlistItemRepository,
+            $notificationService,
+            $this->getContainer()->get(SystemConfigService::class),
+            $this->getContainer()->get('logger')
+        );
+    }
+
+    private function setStock(string $productId, int $stock): void
+    {
+        $this->productRepository->update([['id' => $productId, 'stock' => $stock]], $this->context);
+    }
+
+    private function loadItem(string $itemId): WishlistItemEntity
+    {
+        $criteria = new Criteria([$itemId]);
+        $criteria->addAssociation('product');
+        $criteria->addAssociation('wishlist');
+
+        return $this->wishlistItemRepository->search($criteria, $this->context)->first();
+    }
+
+    /**
+     * Helper method to add a sold out test product to a new wishlist and subscribe to its back-in-stock mail.
+     *
+     * @return array{string, string} Item ID and product ID
+     */
+    private function addSubscribedItem(): array
+    {
+        $wishlistRequest = new CreateWishlistRequest();
+        $wishlistRequest->setCustomerId(Uuid::randomHex());
+        $wishlistRequest->setName('Back in Stock Wishlist');
+        $wishlistRequest->setType('private');
+        $wishlistRequest->setIsDefault(false);
+        $wishlistId = $this->wishlistCrudService->createWishlist($wishlistRequest, $this->context)->getId();
+
+        $productId = Uuid::randomHex();
+        $this->productRepository->create([[
+            'id' => $productId,
+            'name' => 'Sold Out Product',
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 0,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ]], $this->context);
+
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $itemId = $this->wishlistItemService->addItem($request, $this->context)->getId();
+
+        $this->stockMonitorService->subscribe($this->loadItem($itemId), $this->context);
+
+        return [$itemId, $productId];
+    }
+}
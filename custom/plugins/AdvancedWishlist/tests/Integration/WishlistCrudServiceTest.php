@@ -7,6 +7,7 @@ namespace AdvancedWishlist\Tests\Integration;
 use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
 use AdvancedWishlist\Core\DTO\Request\UpdateWishlistRequest;
 use AdvancedWishlist\Core\DTO\Response\WishlistResponse;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
 use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
 use AdvancedWishlist\Core\Service\WishlistCrudService;
 use AdvancedWishlist\Tests\Factory\WishlistFactory;
@@ -87,6 +88,49 @@ class WishlistCrudServiceTest extends TestCase
         $this->assertEquals('Updated Description', $wishlist->getDescription());
     }
 
+    public function testSaveWishlistReturnsStoredVersion(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Original Name');
+        $version = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context)->getVersion();
+
+        $request = new UpdateWishlistRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setVersion($version);
+        $request->setName('Updated Name');
+
+        // Act
+        $wishlist = $this->wishlistCrudService->saveWishlist($request, $this->context);
+
+        // Assert
+        $this->assertEquals('Updated Name', $wishlist->getName());
+        $this->assertEquals($version + 1, $wishlist->getVersion());
+    }
+
+    public function testSaveWishlistWithOutdatedVersionIsRejected(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Original Name');
+        $version = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context)->getVersion();
+
+        $first = new UpdateWishlistRequest();
+        $first->setWishlistId($wishlistId);
+        $first->setVersion($version);
+        $first->setName('First Save');
+        $this->wishlistCrudService->saveWishlist($first, $this->context);
+
+        $second = new UpdateWishlistRequest();
+        $second->setWishlistId($wishlistId);
+        $second->setVersion($version);
+        $second->setName('Second Save');
+
+        // Act & Assert
+        $this->expectException(OptimisticLockException::class);
+        $this->wishlistCrudService->saveWishlist($second, $this->context);
+    }
+
     public function testDeleteWishlist(): void
     {
         // Arrange
@@ -0,0 +1,194 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\WishlistLimitExceededException;
+use AdvancedWishlist\Core\Exception\WishlistNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistDuplicateService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistLimitService;
+use AdvancedWishlist\Service\ShareService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+
+/**
+ * Integration tests for WishlistDuplicateService.
+ */
+class WishlistDuplicateServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private WishlistDuplicateService $duplicateService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private ShareService $shareService;
+    private EntityRepository $wishlistRepository;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->duplicateService = $this->getContainer()->get(WishlistDuplicateService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->shareService = $this->getContainer()->get(ShareService::class);
+        $this->wishlistRepository = $this->getContainer()->get('wishlist.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testDuplicateCopiesItemsOfOriginal(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Birthday', true);
+        $this->addTestItem($wishlistId, $this->createTestProduct('Product 1'), 2, 'Blue please');
+        $this->addTestItem($wishlistId, $this->createTestProduct('Product 2'), 1, null);
+
+        $original = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context);
+        $this->getContainer()->get('wishlist_item.repository')->update([[
+            'id' => $original->getItems()->first()->getUniqueIdentifier(),
+            'addedAt' => new \DateTime('2024-01-15 10:00:00'),
+        ]], $this->context);
+
+        // Act
+        $result = $this->duplicateService->duplicate($wishlistId, [], $this->context);
+
+        // Assert
+        $this->assertEquals('Birthday', $result['name']);
+        $this->assertEquals($customerId, $result['customerId']);
+        $this->assertEquals(2, $result['itemCount']);
+        $this->assertEquals(0, $result['shareCount']);
+
+        $copy = $this->wishlistCrudService->loadWishlist($result['id'], $this->context);
+        $this->assertFalse($copy->isDefault);
+        $this->assertCount(2, $copy->getItems());
+
+        foreach ($original->getItems() as $item) {
+            $copiedItem = $copy->getItems()->filter(fn ($copied) => $copied->getProductId() === $item->getProductId())->first();
+
+            $this->assertNotNull($copiedItem);
+            $this->assertNotEquals($item->getUniqueIdentifier(), $copiedItem->getUniqueIdentifier());
+            $this->assertEquals($item->quantity, $copiedItem->quantity);
+            $this->assertEquals($item->note, $copiedItem->note);
+        }
+
+        $firstItem = $copy->getItems()->filter(fn ($copied) => $copied->getProductId() === $original->getItems()->first()->getProductId())->first();
+        $this->assertEquals('2024-01-15 10:00:00', $firstItem->getAddedAt()->format('Y-m-d H:i:s'));
+    }
+
+    public function testDuplicateWithSharesCopiesOnlyShareThatIsNotRevoked(): void
+    {
+        // Arrange
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex(), 'Birthday');
+        $activeShare = $this->shareService->createShare($wishlistId, $this->context);
+        $revokedShare = $this->shareService->createShare($wishlistId, $this->context);
+        $this->shareService->revokeShare($revokedShare->getUniqueIdentifier(), $this->context);
+
+        // Act
+        $result = $this->duplicateService->duplicate($wishlistId, ['name' => 'Birthday Copy', 'includeShares' => true], $this->context);
+
+        // Assert
+        $this->assertEquals('Birthday Copy', $result['name']);
+        $this->assertEquals(1, $result['shareCount']);
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('wishlistId', $result['id']));
+        $shares = $this->getContainer()->get('wishlist_share.repository')->search($criteria, $this->context)->getEntities();
+
+        $this->assertCount(1, $shares);
+        $this->assertNotEquals($activeShare->getTokenHash(), $shares->first()->getTokenHash());
+        $this->assertEquals(0, $shares->first()->getViews());
+    }
+
+    public function testDuplicateRespectsWishlistLimit(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, 1);
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex(), 'Birthday');
+
+        // Act & Assert
+        $this->expectException(WishlistLimitExceededException::class);
+        $this->duplicateService->duplicate($wishlistId, [], $this->context);
+    }
+
+    public function testDuplicateRejectsInvalidRequests(): void
+    {
+        // Arrange
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex(), 'Birthday');
+
+        // Act & Assert
+        foreach ([['name' => 'A'], ['customerId' => Uuid::randomHex()]] as $options) {
+            try {
+                $this->duplicateService->duplicate($wishlistId, $options, $this->context);
+                $this->fail('The wishlist has been duplicated');
+            } catch (\InvalidArgumentException) {
+                $this->addToAssertionCount(1);
+            }
+        }
+
+        $this->expectException(WishlistNotFoundException::class);
+        $this->duplicateService->duplicate(Uuid::randomHex(), [], $this->context);
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId, string $name, bool $isDefault = false): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName($name);
+        $request->setType('private');
+        $request->setIsDefault($isDefault);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+
+    /**
+     * Helper method to add a product to a wishlist.
+     */
+    private function addTestItem(string $wishlistId, string $productId, int $quantity, ?string $note): void
+    {
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $request->setQuantity($quantity);
+        $request->setNote($note);
+
+        $this->wishlistItemService->addItem($request, $this->context);
+    }
+
+    /**
+     * Helper method to create a test product.
+     */
+    private function createTestProduct(string $name): string
+    {
+        $productId = Uuid::randomHex();
+        $data = [
+            'id' => $productId,
+            'name' => $name,
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ];
+
+        $this->productRepository->create([$data], $this->context);
+
+        return $productId;
+    }
+}
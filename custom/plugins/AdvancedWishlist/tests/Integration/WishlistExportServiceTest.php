@@ -0,0 +1,152 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\WishlistExportNotFoundException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistExportService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Content\ImportExport\Message\ImportExportMessage;
+use Shopware\Core\Content\ImportExport\Service\ImportExportService;
+use Shopware\Core\Content\ImportExport\Struct\Progress;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Symfony\Component\Messenger\Envelope;
+use Symfony\Component\Messenger\MessageBusInterface;
+
+/**
+ * Integration tests for WishlistExportService.
+ */
+class WishlistExportServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private WishlistCrudService $wishlistCrudService;
+    private Context $context;
+
+    /**
+     * @var list<object>
+     */
+    private array $dispatchedMessages = [];
+
+    protected function setUp(): void
+    {
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->context = Context::createDefaultContext();
+        $this->dispatchedMessages = [];
+    }
+
+    public function testStartExportQueuesExportOfSelectedWishlists(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistIds = [
+            $this->createTestWishlist($customerId, 'Birthday'),
+            $this->createTestWishlist($customerId, 'Christmas'),
+        ];
+
+        // Act
+        $export = $this->createExportService()->startExport($wishlistIds, ['name', 'customerEmail', 'items'], WishlistExportService::FORMAT_CSV, $this->context);
+
+        // Assert
+        $this->assertEquals(Progress::STATE_PENDING, $export['state']);
+        $this->assertEquals(WishlistExportService::FORMAT_CSV, $export['format']);
+        $this->assertEquals(2, $export['total']);
+        $this->assertEquals(0, $export['progress']);
+        $this->assertEquals(['name', 'customerEmail', 'items'], $export['columns']);
+        $this->assertNull($export['fileId']);
+
+        $this->assertCount(1, $this->dispatchedMessages);
+        $this->assertInstanceOf(ImportExportMessage::class, $this->dispatchedMessages[0]);
+        $this->assertEquals($export['id'], $this->dispatchedMessages[0]->getLogId());
+    }
+
+    public function testStartedExportIsListedInHistory(): void
+    {
+        // Arrange
+        $exportService = $this->createExportService();
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex(), 'Birthday');
+        $export = $exportService->startExport([$wishlistId], ['id', 'name'], WishlistExportService::FORMAT_JSON, $this->context);
+
+        // Act
+        $history = $exportService->getExports(1, 10, $this->context);
+
+        // Assert
+        $this->assertGreaterThanOrEqual(1, $history['total']);
+        $this->assertEquals($export['id'], $history['data'][0]['id']);
+        $this->assertEquals(WishlistExportService::FORMAT_JSON, $history['data'][0]['format']);
+        $this->assertEquals($export, $exportService->getExport($export['id'], $this->context));
+    }
+
+    public function testStartExportRejectsInvalidRequests(): void
+    {
+        // Arrange
+        $exportService = $this->createExportService();
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex(), 'Birthday');
+
+        $invalidRequests = [
+            'unknown format' => [[$wishlistId], ['name'], 'pdf'],
+            'no columns' => [[$wishlistId], [], WishlistExportService::FORMAT_CSV],
+            'unknown column' => [[$wishlistId], ['name', 'password'], WishlistExportService::FORMAT_CSV],
+            'no wishlists' => [[Uuid::randomHex()], ['name'], WishlistExportService::FORMAT_CSV],
+        ];
+
+        // Act & Assert
+        foreach ($invalidRequests as $case => [$wishlistIds, $columns, $format]) {
+            try {
+                $exportService->startExport($wishlistIds, $columns, $format, $this->context);
+                $this->fail(\sprintf('The export with %s has been started', $case));
+            } catch (\InvalidArgumentException) {
+                $this->addToAssertionCount(1);
+            }
+        }
+
+        $this->assertCount(0, $this->dispatchedMessages);
+    }
+
+    public function testGetExportOfUnknownIdThrowsException(): void
+    {
+        // Act & Assert
+        $this->expectException(WishlistExportNotFoundException::class);
+        $this->createExportService()->getExport(Uuid::randomHex(), $this->context);
+    }
+
+    /**
+     * The export itself is processed by the message queue, the test only records the queued messages.
+     */
+    private function createExportService(): WishlistExportService
+    {
+        $messageBus = $this->createMock(MessageBusInterface::class);
+        $messageBus->method('dispatch')->willReturnCallback(function (object $message): Envelope {
+            $this->dispatchedMessages[] = $message;
+
+            return new Envelope($message);
+        });
+
+        return new WishlistExportService(
+            $this->getContainer()->get(ImportExportService::class),
+            $this->getContainer()->get('import_export_profile.repository'),
+            $this->getContainer()->get('import_export_log.repository'),
+            $this->getContainer()->get('wishlist.repository'),
+            $messageBus
+        );
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId, string $name): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName($name);
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+}
@@ -0,0 +1,387 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistImportService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistLimitService;
+use AdvancedWishlist\Core\Service\WishlistMergeService;
+use AdvancedWishlist\Core\Service\WishlistVersionService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Filter\EqualsFilter;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+use Shopware\Core\Test\TestDefaults;
+
+/**
+ * Integration tests for WishlistImportService.
+ */
+class WishlistImportServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private const array MAPPING = [
+        'customerEmail' => 'Email',
+        'wishlistName' => 'Wishlist',
+        'productNumber' => 'SKU',
+        'quantity' => 'Qty',
+    ];
+
+    private WishlistImportService $importService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $wishlistRepository;
+    private EntityRepository $customerRepository;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->importService = $this->getContainer()->get(WishlistImportService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->wishlistRepository = $this->getContainer()->get('wishlist.repository');
+        $this->customerRepository = $this->getContainer()->get('customer.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testAnalyzeDetectsDelimiterAndSuggestsMapping(): void
+    {
+        // Arrange
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['jane@example.com', 'Birthday', 'SW-1', '2'],
+        ], ';');
+
+        // Act
+        $result = $this->importService->analyze($content, null);
+
+        // Assert
+        $this->assertEquals(';', $result['delimiter']);
+        $this->assertEquals(['Email', 'Wishlist', 'SKU', 'Qty'], $result['headers']);
+        $this->assertEquals(1, $result['rowCount']);
+        $this->assertEquals('Email', $result['mapping']['customerEmail']);
+        $this->assertEquals('Wishlist', $result['mapping']['wishlistName']);
+        $this->assertEquals('SKU', $result['mapping']['productNumber']);
+        $this->assertEquals('Qty', $result['mapping']['quantity']);
+        $this->assertNull($result['mapping']['items']);
+    }
+
+    public function testDryRunReportsRowsWithoutWriting(): void
+    {
+        // Arrange
+        $customerId = $this->createTestCustomer('dry-run@example.com');
+        $productNumber = $this->createTestProduct('Import Product');
+
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['dry-run@example.com', 'Birthday', $productNumber, '2'],
+            ['dry-run@example.com', 'Birthday', 'UNKNOWN-PRODUCT', '1'],
+            ['unknown@example.com', 'Birthday', $productNumber, '1'],
+        ]);
+
+        // Act
+        $result = $this->importService->import($content, null, self::MAPPING, WishlistMergeService::STRATEGY_SUM, true, $this->context);
+
+        // Assert
+        $this->assertTrue($result['dryRun']);
+        $this->assertEquals(3, $result['summary']['rows']);
+        $this->assertEquals(1, $result['summary']['validRows']);
+        $this->assertEquals(1, $result['summary']['wishlistsCreated']);
+        $this->assertEquals(1, $result['summary']['itemsAdded']);
+
+        $this->assertEquals('create', $result['rows'][0]['wishlistAction']);
+        $this->assertEquals(WishlistImportService::ERROR_PRODUCT_NOT_FOUND, $result['rows'][1]['errors'][0]['code']);
+        $this->assertEquals(WishlistImportService::ERROR_CUSTOMER_NOT_FOUND, $result['rows'][2]['errors'][0]['code']);
+
+        $this->assertEquals(0, $this->countCustomerWishlists($customerId));
+    }
+
+    public function testImportCreatesWishlistsAndCombinesQuantitiesWithExistingItems(): void
+    {
+        // Arrange
+        $customerId = $this->createTestCustomer('import@example.com');
+        $existingNumber = $this->createTestProduct('Existing Product');
+        $newNumber = $this->createTestProduct('New Product');
+
+        $wishlistId = $this->createTestWishlist($customerId, 'Birthday');
+        $this->addTestItem($wishlistId, $this->getProductId($existingNumber), 1);
+
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['import@example.com', 'birthday', $existingNumber, '2'],
+            ['import@example.com', 'Birthday', $newNumber, '1'],
+            ['import@example.com', 'Christmas', $newNumber, '3'],
+        ]);
+
+        // Act
+        $result = $this->importService->import($content, null, self::MAPPING, WishlistMergeService::STRATEGY_SUM, false, $this->context);
+
+        // Assert
+        $this->assertEquals(3, $result['summary']['validRows']);
+        $this->assertEquals(1, $result['summary']['wishlistsCreated']);
+        $this->assertEquals(1, $result['summary']['wishlistsUpdated']);
+        $this->assertEquals(2, $result['summary']['itemsAdded']);
+        $this->assertEquals(1, $result['summary']['itemsUpdated']);
+
+        $wishlist = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context);
+        $this->assertCount(2, $wishlist->getItems());
+        foreach ($wishlist->getItems() as $item) {
+            $this->assertEquals(
+                $item->getProductId() === $this->getProductId($existingNumber) ? 3 : 1,
+                $item->getQuantity()
+            );
+        }
+
+        $this->assertEquals(2, $this->countCustomerWishlists($customerId));
+    }
+
+    public function testRowsExceedingItemLimitAreNotImported(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_ITEMS, 1);
+
+        $customerId = $this->createTestCustomer('limit@example.com');
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['limit@example.com', 'Birthday', $this->createTestProduct('Product 1'), '1'],
+            ['limit@example.com', 'Birthday', $this->createTestProduct('Product 2'), '1'],
+        ]);
+
+        // Act
+        $result = $this->importService->import($content, null, self::MAPPING, WishlistMergeService::STRATEGY_SUM, false, $this->context);
+
+        // Assert
+        $this->assertTrue($result['rows'][0]['valid']);
+        $this->assertFalse($result['rows'][1]['valid']);
+        $this->assertEquals(WishlistImportService::ERROR_ITEM_LIMIT, $result['rows'][1]['errors'][0]['code']);
+        $this->assertEquals(1, $result['summary']['itemsAdded']);
+        $this->assertEquals(1, $this->countCustomerWishlists($customerId));
+    }
+
+    public function testRowsExceedingWishlistLimitAreNotImported(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, 2);
+
+        $customerId = $this->createTestCustomer('wishlist-limit@example.com');
+        $this->createTestWishlist($customerId, 'Birthday');
+        $productNumber = $this->createTestProduct('Import Product');
+
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['wishlist-limit@example.com', 'Birthday', $productNumber, '1'],
+            ['wishlist-limit@example.com', 'Christmas', $productNumber, '1'],
+            ['wishlist-limit@example.com', 'Easter', $productNumber, '1'],
+            ['wishlist-limit@example.com', 'Christmas', $this->createTestProduct('Other Product'), '1'],
+        ]);
+
+        // Act
+        $result = $this->importService->import($content, null, self::MAPPING, WishlistMergeService::STRATEGY_SUM, false, $this->context);
+
+        // Assert
+        $this->assertTrue($result['rows'][0]['valid']);
+        $this->assertTrue($result['rows'][1]['valid']);
+        $this->assertFalse($result['rows'][2]['valid']);
+        $this->assertEquals(WishlistImportService::ERROR_WISHLIST_LIMIT, $result['rows'][2]['errors'][0]['code']);
+        $this->assertTrue($result['rows'][3]['valid']);
+        $this->assertEquals(1, $result['summary']['wishlistsCreated']);
+        $this->assertEquals(2, $this->countCustomerWishlists($customerId));
+    }
+
+    public function testFirstImportedWishlistOfCustomerBecomesDefault(): void
+    {
+        // Arrange
+        $this->getContainer()->get(SystemConfigService::class)->set(WishlistLimitService::CONFIG_MAX_ITEMS, 1);
+
+        $customerId = $this->createTestCustomer('default@example.com');
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'Items'],
+            ['default@example.com', 'Birthday', $this->createTestProduct('Product 1') . '|' . $this->createTestProduct('Product 2')],
+            ['default@example.com', 'Christmas', $this->createTestProduct('Product 3')],
+        ]);
+
+        // Act
+        $result = $this->importService->import(
+            $content,
+            null,
+            ['customerEmail' => 'Email', 'wishlistName' => 'Wishlist', 'items' => 'Items'],
+            WishlistMergeService::STRATEGY_SUM,
+            false,
+            $this->context
+        );
+
+        // Assert
+        $this->assertEquals(WishlistImportService::ERROR_ITEM_LIMIT, $result['rows'][0]['errors'][0]['code']);
+        $this->assertTrue($result['rows'][1]['valid']);
+
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+        $wishlists = $this->wishlistRepository->search($criteria, $this->context)->getEntities();
+
+        $this->assertCount(1, $wishlists);
+        $this->assertEquals('Christmas', $wishlists->first()->getName());
+        $this->assertTrue($wishlists->first()->isDefault);
+    }
+
+    public function testImportRaisesVersionOfUpdatedWishlists(): void
+    {
+        // Arrange
+        $customerId = $this->createTestCustomer('version@example.com');
+        $wishlistId = $this->createTestWishlist($customerId, 'Birthday');
+        $versionService = $this->getContainer()->get(WishlistVersionService::class);
+        $version = $versionService->getVersion($wishlistId);
+
+        $content = $this->createCsv([
+            ['Email', 'Wishlist', 'SKU', 'Qty'],
+            ['version@example.com', 'Birthday', $this->createTestProduct('Import Product'), '1'],
+        ]);
+
+        // Act
+        $this->importService->import($content, null, self::MAPPING, WishlistMergeService::STRATEGY_SUM, false, $this->context);
+
+        // Assert
+        $this->assertEquals($version + 1, $versionService->getVersion($wishlistId));
+    }
+
+    public function testImportRejectsMappingWithoutProductColumn(): void
+    {
+        // Arrange
+        $content = $this->createCsv([
+            ['Email', 'Wishlist'],
+            ['jane@example.com', 'Birthday'],
+        ]);
+
+        // Act & Assert
+        $this->expectException(\InvalidArgumentException::class);
+        $this->importService->import(
+            $content,
+            null,
+            ['customerEmail' => 'Email', 'wishlistName' => 'Wishlist'],
+            WishlistMergeService::STRATEGY_SUM,
+            true,
+            $this->context
+        );
+    }
+
+    /**
+     * Helper method to build the content of a CSV file.
+     *
+     * @param list<list<string>> $rows
+     */
+    private function createCsv(array $rows, string $delimiter = ','): string
+    {
+        return implode("\n", array_map(fn (array $row) => implode($delimiter, $row), $rows)) . "\n";
+    }
+
+    private function countCustomerWishlists(string $customerId): int
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('customerId', $customerId));
+
+        return $this->wishlistRepository->searchIds($criteria, $this->context)->getTotal();
+    }
+
+    /**
+     * Helper method to create a test customer.
+     */
+    private function createTestCustomer(string $email): string
+    {
+        $customerId = Uuid::randomHex();
+        $addressId = Uuid::randomHex();
+        $address = [
+            'id' => $addressId,
+            'firstName' => 'Max',
+            'lastName' => 'Mustermann',
+            'street' => 'Musterstraße 1',
+            'city' => 'Schöppingen',
+            'zipcode' => '12345',
+            'salutationId' => $this->getValidSalutationId(),
+            'countryId' => $this->getValidCountryId(),
+        ];
+
+        $this->customerRepository->create([[
+            'id' => $customerId,
+            'customerNumber' => 'TEST-'.$customerId,
+            'salesChannelId' => TestDefaults::SALES_CHANNEL,
+            'groupId' => TestDefaults::FALLBACK_CUSTOMER_GROUP,
+            'defaultShippingAddress' => $address,
+            'defaultBillingAddressId' => $addressId,
+            'salutationId' => $this->getValidSalutationId(),
+            'firstName' => 'Max',
+            'lastName' => 'Mustermann',
+            'email' => $email,
+            'password' => TestDefaults::HASHED_PASSWORD,
+            'guest' => false,
+        ]], $this->context);
+
+        return $customerId;
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId, string $name): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName($name);
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+
+    /**
+     * Helper method to add a product to a wishlist.
+     */
+    private function addTestItem(string $wishlistId, string $productId, int $quantity): void
+    {
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $request->setQuantity($quantity);
+
+        $this->wishlistItemService->addItem($request, $this->context);
+    }
+
+    /**
+     * Helper method to create a test product, returns its product number.
+     */
+    private function createTestProduct(string $name): string
+    {
+        $productNumber = 'TEST-'.Uuid::randomHex();
+        $data = [
+            'id' => Uuid::randomHex(),
+            'name' => $name,
+            'productNumber' => $productNumber,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ];
+
+        $this->productRepository->create([$data], $this->context);
+
+        return $productNumber;
+    }
+
+    private function getProductId(string $productNumber): string
+    {
+        $criteria = new Criteria();
+        $criteria->addFilter(new EqualsFilter('productNumber', $productNumber));
+
+        return (string) $this->productRepository->searchIds($criteria, $this->context)->firstId();
+    }
+}
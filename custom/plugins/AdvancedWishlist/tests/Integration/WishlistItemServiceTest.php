@@ -8,9 +8,12 @@ use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
 use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
 use AdvancedWishlist\Core\DTO\Request\UpdateItemRequest;
 use AdvancedWishlist\Core\Exception\DuplicateWishlistItemException;
+use AdvancedWishlist\Core\Exception\OptimisticLockException;
+use AdvancedWishlist\Core\Exception\WishlistException;
 use AdvancedWishlist\Core\Exception\WishlistItemNotFoundException;
 use AdvancedWishlist\Core\Service\WishlistCrudService;
 use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistVersionService;
 use AdvancedWishlist\Tests\Factory\WishlistFactory;
 use AdvancedWishlist\Tests\Factory\WishlistItemFactory;
 use PHPUnit\Framework\TestCase;
@@ -111,6 +114,7 @@ class WishlistItemServiceTest extends TestCase
 
         // Create update request
         $updateRequest = new UpdateItemRequest();
+        $updateRequest->setWishlistId($wishlistId);
         $updateRequest->setItemId($itemId);
         $updateRequest->setQuantity(3);
         $updateRequest->setNote('Updated note');
@@ -152,6 +156,44 @@ class WishlistItemServiceTest extends TestCase
         $this->wishlistItemService->removeItem($wishlistId, $itemId, $this->context);
     }
 
+    public function testUpdateItemOfAnotherWishlistIsRejected(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Test Wishlist');
+        $otherWishlistId = $this->createTestWishlist($customerId, 'Other Wishlist');
+
+        $addRequest = new AddItemRequest();
+        $addRequest->setWishlistId($wishlistId);
+        $addRequest->setProductId($this->createTestProduct('Test Product'));
+        $itemId = $this->wishlistItemService->addItem($addRequest, $this->context)->getId();
+
+        $updateRequest = new UpdateItemRequest();
+        $updateRequest->setWishlistId($otherWishlistId);
+        $updateRequest->setItemId($itemId);
+        $updateRequest->setQuantity(3);
+
+        // Act & Assert
+        $this->expectException(WishlistItemNotFoundException::class);
+        $this->wishlistItemService->updateItem($updateRequest, $this->context, $customerId);
+    }
+
+    public function testRemoveItemChecksStorefrontCustomer(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Test Wishlist');
+
+        $addRequest = new AddItemRequest();
+        $addRequest->setWishlistId($wishlistId);
+        $addRequest->setProductId($this->createTestProduct('Test Product'));
+        $itemId = $this->wishlistItemService->addItem($addRequest, $this->context, $customerId)->getId();
+
+        // Act & Assert
+        $this->expectException(WishlistException::class);
+        $this->wishlistItemService->removeItem($wishlistId, $itemId, $this->context, Uuid::randomHex());
+    }
+
     public function testMoveItem(): void
     {
         // Arrange
@@ -227,6 +269,70 @@ class WishlistItemServiceTest extends TestCase
         $this->assertCount(3, $wishlist->getItems());
     }
 
+    public function testManageItemsRaisesVersion(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Test Wishlist');
+        $productId = $this->createTestProduct('Test Product');
+        $version = $this->getContainer()->get(WishlistVersionService::class)->getVersion($wishlistId);
+
+        // Act
+        $result = $this->wishlistItemService->manageItems($wishlistId, [
+            ['operation' => WishlistItemService::OPERATION_ADD, 'productId' => $productId, 'quantity' => 2, 'reference' => 'a'],
+        ], $this->context, $version);
+
+        // Assert
+        $this->assertEquals(1, $result['successful']);
+        $this->assertEquals('a', $result['results'][0]['reference']);
+        $this->assertEquals($version + 1, $result['version']);
+        $this->assertEquals($version + 1, $this->getContainer()->get(WishlistVersionService::class)->getVersion($wishlistId));
+    }
+
+    public function testManageItemsWithOutdatedVersionIsRejected(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Test Wishlist');
+        $productId = $this->createTestProduct('Test Product');
+        $versionService = $this->getContainer()->get(WishlistVersionService::class);
+        $version = $versionService->getVersion($wishlistId);
+
+        // Another save based on the same version wins
+        $versionService->raiseVersion($wishlistId, $version);
+
+        // Act
+        try {
+            $this->wishlistItemService->manageItems($wishlistId, [
+                ['operation' => WishlistItemService::OPERATION_ADD, 'productId' => $productId, 'quantity' => 1],
+            ], $this->context, $version);
+            $this->fail('The outdated batch has been applied');
+        } catch (OptimisticLockException $e) {
+            // Assert
+            $this->assertEquals($version + 1, $e->getParameters()['currentVersion']);
+        }
+
+        $wishlist = $this->wishlistCrudService->loadWishlist($wishlistId, $this->context);
+        $this->assertCount(0, $wishlist->getItems());
+        $this->assertEquals($version + 1, $versionService->getVersion($wishlistId));
+    }
+
+    public function testRaiseVersionOnlyOncePerExpectedVersion(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId, 'Test Wishlist');
+        $versionService = $this->getContainer()->get(WishlistVersionService::class);
+        $version = $versionService->getVersion($wishlistId);
+
+        // Act
+        $this->assertEquals($version + 1, $versionService->raiseVersion($wishlistId, $version));
+
+        // Assert
+        $this->expectException(OptimisticLockException::class);
+        $versionService->raiseVersion($wishlistId, $version);
+    }
+
     /**
      * Helper method to create a test wishlist.
      */
@@ -0,0 +1,103 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\Service\WishlistLimitService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+use Shopware\Core\System\SystemConfig\SystemConfigService;
+use Shopware\Core\Test\TestDefaults;
+
+/**
+ * Integration tests for the override order of WishlistLimitService::getLimits().
+ */
+class WishlistLimitServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private WishlistLimitService $limitService;
+    private SystemConfigService $systemConfigService;
+
+    protected function setUp(): void
+    {
+        $this->systemConfigService = $this->getContainer()->get(SystemConfigService::class);
+
+        // The plugin installation writes the defaults of its configuration
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, null);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_ITEMS, null);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_CUSTOMER_GROUP_LIMITS, null);
+
+        $this->limitService = new WishlistLimitService(
+            $this->getContainer()->get('wishlist.repository'),
+            $this->getContainer()->get('wishlist_item.repository'),
+            $this->getContainer()->get('logger'),
+            5,
+            50,
+            $this->systemConfigService,
+            $this->getContainer()->get('customer.repository')
+        );
+    }
+
+    public function testConstructorLimitsApplyWithoutConfiguration(): void
+    {
+        // Act
+        $limits = $this->limitService->getLimits(TestDefaults::SALES_CHANNEL, TestDefaults::FALLBACK_CUSTOMER_GROUP);
+
+        // Assert
+        $this->assertEquals(['maxWishlistsPerCustomer' => 5, 'maxItemsPerWishlist' => 50], $limits);
+    }
+
+    public function testSalesChannelConfigurationOverridesGlobalConfiguration(): void
+    {
+        // Arrange
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, 8);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_ITEMS, 80);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_ITEMS, 30, TestDefaults::SALES_CHANNEL);
+
+        // Act
+        $globalLimits = $this->limitService->getLimits();
+        $salesChannelLimits = $this->limitService->getLimits(TestDefaults::SALES_CHANNEL);
+
+        // Assert
+        $this->assertEquals(['maxWishlistsPerCustomer' => 8, 'maxItemsPerWishlist' => 80], $globalLimits);
+        $this->assertEquals(['maxWishlistsPerCustomer' => 8, 'maxItemsPerWishlist' => 30], $salesChannelLimits);
+    }
+
+    public function testCustomerGroupEntryOverridesSalesChannelConfiguration(): void
+    {
+        // Arrange
+        $otherGroupId = Uuid::randomHex();
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_WISHLISTS, 8, TestDefaults::SALES_CHANNEL);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_ITEMS, 30, TestDefaults::SALES_CHANNEL);
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_CUSTOMER_GROUP_LIMITS, [
+            ['customerGroupId' => $otherGroupId, 'maxWishlistsPerCustomer' => 2, 'maxItemsPerWishlist' => 10],
+            // Empty fields keep the sales channel value
+            ['customerGroupId' => TestDefaults::FALLBACK_CUSTOMER_GROUP, 'maxWishlistsPerCustomer' => 20, 'maxItemsPerWishlist' => 0],
+        ]);
+
+        // Act
+        $groupLimits = $this->limitService->getLimits(TestDefaults::SALES_CHANNEL, TestDefaults::FALLBACK_CUSTOMER_GROUP);
+        $withoutGroupLimits = $this->limitService->getLimits(TestDefaults::SALES_CHANNEL);
+        $unlistedGroupLimits = $this->limitService->getLimits(TestDefaults::SALES_CHANNEL, Uuid::randomHex());
+
+        // Assert
+        $this->assertEquals(['maxWishlistsPerCustomer' => 20, 'maxItemsPerWishlist' => 30], $groupLimits);
+        $this->assertEquals(['maxWishlistsPerCustomer' => 8, 'maxItemsPerWishlist' => 30], $withoutGroupLimits);
+        $this->assertEquals($withoutGroupLimits, $unlistedGroupLimits);
+    }
+
+    public function testSetLimitsOnlyReplacesConstructorLimits(): void
+    {
+        // Arrange
+        $this->systemConfigService->set(WishlistLimitService::CONFIG_MAX_ITEMS, 80);
+
+        // Act
+        $this->limitService->setLimits(3, 40);
+
+        // Assert
+        $this->assertEquals(['maxWishlistsPerCustomer' => 3, 'maxItemsPerWishlist' => 80], $this->limitService->getLimits());
+    }
+}
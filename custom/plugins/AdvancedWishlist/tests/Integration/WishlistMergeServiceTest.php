@@ -0,0 +1,193 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\CrossCustomerMergeException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistMergeService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\DataAbstractionLayer\Search\Criteria;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Integration tests for WishlistMergeService.
+ */
+class WishlistMergeServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private WishlistMergeService $mergeService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $wishlistRepository;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->mergeService = $this->getContainer()->get(WishlistMergeService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->wishlistRepository = $this->getContainer()->get('wishlist.repository');
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testMergeSumsQuantitiesAndRaisesTargetVersion(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $targetId = $this->createTestWishlist($customerId, 'Target');
+        $sourceId = $this->createTestWishlist($customerId, 'Source');
+        $sharedProductId = $this->createTestProduct('Shared Product');
+        $sourceProductId = $this->createTestProduct('Source Product');
+
+        $this->addTestItem($targetId, $sharedProductId, 1);
+        $this->addTestItem($sourceId, $sharedProductId, 2);
+        $this->addTestItem($sourceId, $sourceProductId, 1);
+        $versionBefore = $this->wishlistCrudService->loadWishlist($targetId, $this->context)->getVersion();
+
+        // Act
+        $result = $this->mergeService->merge([$sourceId], $targetId, [
+            'strategy' => WishlistMergeService::STRATEGY_SUM,
+        ], $this->context);
+
+        // Assert
+        $this->assertEquals(2, $result['itemCount']);
+        $this->assertEquals(1, $result['itemsAdded']);
+        $this->assertEquals(1, $result['itemsUpdated']);
+
+        $target = $this->wishlistCrudService->loadWishlist($targetId, $this->context);
+        $this->assertCount(2, $target->getItems());
+        $this->assertEquals($versionBefore + 1, $target->getVersion());
+
+        foreach ($target->getItems() as $item) {
+            if ($item->getProductId() === $sharedProductId) {
+                $this->assertEquals(3, $item->getQuantity());
+            }
+        }
+
+        // Sources are kept without deleteSources
+        $this->assertCount(2, $this->wishlistCrudService->loadWishlist($sourceId, $this->context)->getItems());
+    }
+
+    public function testCrossCustomerMergeWritesNothing(): void
+    {
+        // Arrange
+        $targetId = $this->createTestWishlist(Uuid::randomHex(), 'Target');
+        $sourceId = $this->createTestWishlist(Uuid::randomHex(), 'Source');
+        $this->addTestItem($sourceId, $this->createTestProduct('Source Product'), 1);
+        $versionBefore = $this->wishlistCrudService->loadWishlist($targetId, $this->context)->getVersion();
+
+        // Act
+        try {
+            $this->mergeService->merge([$sourceId], $targetId, ['deleteSources' => true], $this->context);
+            $this->fail('Wishlists of different customers should not be merged');
+        } catch (CrossCustomerMergeException) {
+        }
+
+        // Assert
+        $target = $this->wishlistCrudService->loadWishlist($targetId, $this->context);
+        $this->assertCount(0, $target->getItems());
+        $this->assertEquals($versionBefore, $target->getVersion());
+        $this->assertEquals(1, $this->wishlistRepository->searchIds(new Criteria([$sourceId]), $this->context)->getTotal());
+    }
+
+    public function testDeleteWithTransferMovesItemsAndDeletesSources(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $targetId = $this->createTestWishlist($customerId, 'Target');
+        $sourceId = $this->createTestWishlist($customerId, 'Source');
+        $this->addTestItem($sourceId, $this->createTestProduct('Product 1'), 1);
+        $this->addTestItem($sourceId, $this->createTestProduct('Product 2'), 4);
+
+        // Act
+        $result = $this->mergeService->deleteWishlists([$sourceId], $targetId, $this->context);
+
+        // Assert
+        $this->assertEquals(1, $result['deleted']);
+        $this->assertEquals(2, $result['itemsTransferred']);
+        $this->assertCount(2, $this->wishlistCrudService->loadWishlist($targetId, $this->context)->getItems());
+        $this->assertEquals(0, $this->wishlistRepository->searchIds(new Criteria([$sourceId]), $this->context)->getTotal());
+    }
+
+    public function testDeleteWithTransferKeepsAddedAtOfMovedItems(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $targetId = $this->createTestWishlist($customerId, 'Target');
+        $sourceId = $this->createTestWishlist($customerId, 'Source');
+        $this->addTestItem($sourceId, $this->createTestProduct('Product 1'), 1);
+
+        $sourceItem = $this->wishlistCrudService->loadWishlist($sourceId, $this->context)->getItems()->first();
+        $this->getContainer()->get('wishlist_item.repository')->update([[
+            'id' => $sourceItem->getUniqueIdentifier(),
+            'addedAt' => new \DateTime('2024-01-15 10:00:00'),
+        ]], $this->context);
+
+        // Act
+        $this->mergeService->deleteWishlists([$sourceId], $targetId, $this->context);
+
+        // Assert
+        $targetItem = $this->wishlistCrudService->loadWishlist($targetId, $this->context)->getItems()->first();
+        $this->assertEquals('2024-01-15 10:00:00', $targetItem->getAddedAt()->format('Y-m-d H:i:s'));
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId, string $name): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName($name);
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+
+    /**
+     * Helper method to add a product to a wishlist.
+     */
+    private function addTestItem(string $wishlistId, string $productId, int $quantity): void
+    {
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $request->setQuantity($quantity);
+
+        $this->wishlistItemService->addItem($request, $this->context);
+    }
+
+    /**
+     * Helper method to create a test product.
+     */
+    private function createTestProduct(string $name): string
+    {
+        $productId = Uuid::randomHex();
+        $data = [
+            'id' => $productId,
+            'name' => $name,
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ];
+
+        $this->productRepository->create([$data], $this->context);
+
+        return $productId;
+    }
+}
@@ -0,0 +1,153 @@
+<?php
+
+declare(strict_types=1);
+
+namespace AdvancedWishlist\Tests\Integration;
+
+use AdvancedWishlist\Core\Content\Wishlist\Aggregate\WishlistShare\WishlistShareEntity;
+use AdvancedWishlist\Core\DTO\Request\AddItemRequest;
+use AdvancedWishlist\Core\DTO\Request\CreateWishlistRequest;
+use AdvancedWishlist\Core\Exception\ItemNotReservableException;
+use AdvancedWishlist\Core\Exception\SharePermissionDeniedException;
+use AdvancedWishlist\Core\Service\WishlistCrudService;
+use AdvancedWishlist\Core\Service\WishlistItemService;
+use AdvancedWishlist\Core\Service\WishlistReservationService;
+use AdvancedWishlist\Service\ShareService;
+use PHPUnit\Framework\TestCase;
+use Shopware\Core\Framework\Context;
+use Shopware\Core\Framework\DataAbstractionLayer\EntityRepository;
+use Shopware\Core\Framework\Test\TestCaseBase\IntegrationTestBehaviour;
+use Shopware\Core\Framework\Uuid\Uuid;
+
+/**
+ * Integration tests for WishlistReservationService.
+ */
+class WishlistReservationServiceTest extends TestCase
+{
+    use IntegrationTestBehaviour;
+
+    private WishlistReservationService $reservationService;
+    private ShareService $shareService;
+    private WishlistCrudService $wishlistCrudService;
+    private WishlistItemService $wishlistItemService;
+    private EntityRepository $productRepository;
+    private Context $context;
+
+    protected function setUp(): void
+    {
+        $this->reservationService = $this->getContainer()->get(WishlistReservationService::class);
+        $this->shareService = $this->getContainer()->get(ShareService::class);
+        $this->wishlistCrudService = $this->getContainer()->get(WishlistCrudService::class);
+        $this->wishlistItemService = $this->getContainer()->get(WishlistItemService::class);
+        $this->productRepository = $this->getContainer()->get('product.repository');
+        $this->context = Context::createDefaultContext();
+    }
+
+    public function testReserveIsLimitedToOpenQuantity(): void
+    {
+        // Arrange
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex());
+        $itemId = $this->addTestItem($wishlistId, 2);
+        $share = $this->createEditableShare($wishlistId);
+        $firstVisitor = Uuid::randomHex();
+        $secondVisitor = Uuid::randomHex();
+
+        $this->reservationService->reserve($share, $itemId, 'reserved', 1, $firstVisitor, null, $this->context);
+
+        // Act
+        try {
+            $this->reservationService->reserve($share, $itemId, 'reserved', 2, $secondVisitor, null, $this->context);
+            $this->fail('Only one of two gifts should be left');
+        } catch (ItemNotReservableException $e) {
+            $this->assertEquals(1, $e->getParameters()['available']);
+        }
+
+        $state = $this->reservationService->reserve($share, $itemId, 'purchased', 1, $secondVisitor, null, $this->context);
+
+        // Assert
+        $this->assertEquals(1, $state['reserved']);
+        $this->assertEquals(1, $state['purchased']);
+        $this->assertEquals(['status' => 'purchased', 'quantity' => 1], $state['own']);
+    }
+
+    public function testReserveReplacesOwnReservation(): void
+    {
+        // Arrange
+        $wishlistId = $this->createTestWishlist(Uuid::randomHex());
+        $itemId = $this->addTestItem($wishlistId, 2);
+        $share = $this->createEditableShare($wishlistId);
+        $visitorId = Uuid::randomHex();
+
+        $this->reservationService->reserve($share, $itemId, 'reserved', 2, $visitorId, null, $this->context);
+
+        // Act
+        $state = $this->reservationService->reserve($share, $itemId, 'purchased', 2, $visitorId, null, $this->context);
+
+        // Assert
+        $this->assertEquals(0, $state['reserved']);
+        $this->assertEquals(2, $state['purchased']);
+        $this->assertEquals(
+            ['reserved' => 0, 'purchased' => 2],
+            $this->reservationService->getReservationCounts($wishlistId, $this->context)[$itemId]
+        );
+    }
+
+    public function testOwnerCannotReserveOwnItems(): void
+    {
+        // Arrange
+        $customerId = Uuid::randomHex();
+        $wishlistId = $this->createTestWishlist($customerId);
+        $itemId = $this->addTestItem($wishlistId, 1);
+        $share = $this->createEditableShare($wishlistId);
+
+        // Act & Assert
+        $this->expectException(SharePermissionDeniedException::class);
+        $this->reservationService->reserve($share, $itemId, 'reserved', 1, $customerId, $customerId, $this->context);
+    }
+
+    private function createEditableShare(string $wishlistId): WishlistShareEntity
+    {
+        return $this->shareService->createShare($wishlistId, $this->context, [
+            'settings' => ['permissions' => [WishlistReservationService::PERMISSION_VIEW, WishlistReservationService::PERMISSION_EDIT]],
+        ]);
+    }
+
+    /**
+     * Helper method to create a test wishlist.
+     */
+    private function createTestWishlist(string $customerId): string
+    {
+        $request = new CreateWishlistRequest();
+        $request->setCustomerId($customerId);
+        $request->setName('Gift Wishlist');
+        $request->setType('private');
+        $request->setIsDefault(false);
+
+        return $this->wishlistCrudService->createWishlist($request, $this->context)->getId();
+    }
+
+    /**
+     * Helper method to add a new test product to a wishlist, returns the item ID.
+     */
+    private function addTestItem(string $wishlistId, int $quantity): string
+    {
+        $productId = Uuid::randomHex();
+        $this->productRepository->create([[
+            'id' => $productId,
+            'name' => 'Gift',
+            'productNumber' => 'TEST-'.$productId,
+            'stock' => 10,
+            'price' => [
+                ['currencyId' => 'b7d2554b0ce847cd82f3ac9bd1c0dfca', 'gross' => 15, 'net' => 10, 'linked' => false],
+            ],
+            'tax' => ['name' => '19%', 'taxRate' => 19],
+        ]], $this->context);
+
+        $request = new AddItemRequest();
+        $request->setWishlistId($wishlistId);
+        $request->setProductId($productId);
+        $request->setQuantity($quantity);
+
+        return $this->wishlistItemService->addItem($request, $this->context)->getId();
+    }
+}